@@ -8,21 +8,40 @@ const swaggerUi = require('swagger-ui-express');
 const authRoutes = require('./src/routes/authRoutes');
 const campaignRoutes = require('./src/routes/campaignRoutes');
 const userRoutes = require('./src/routes/userRoutes');
+const organizationRoutes = require('./src/routes/organizationRoutes');
+const apiKeyRoutes = require('./src/routes/apiKeyRoutes');
+const serveRoutes = require('./src/routes/serveRoutes');
+const clickRoutes = require('./src/routes/clickRoutes');
+const { startScheduler } = require('./src/services/scheduler');
+const { getLocalMediaDir } = require('./src/services/mediaStorage');
+const { checkMailTransport } = require('./src/services/mailer');
+const { requestId } = require('./src/middlewares/requestId');
+const { notFoundHandler, errorHandler } = require('./src/middlewares/errorHandler');
+const schemas = require('./src/schemas');
+const { paginationQuery } = require('./src/schemas/common');
+
+// Point out a missing mail setup at startup rather than on the first email
+checkMailTransport();
 
 const app = express();
 
+// Behind the hosting provider's proxy: trust it for client IPs (geo targeting)
+// and the original protocol (click URLs)
+app.set('trust proxy', 1);
+
 // CORS Configuration
 const corsOptions = {
     origin: ['http://localhost:3000', 'https://advertisemedia.onrender.com', 'https://advertiseing-hub.vercel.app'],
     methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization'],
-    exposedHeaders: ['Content-Range', 'X-Content-Range'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Request-Id'],
+    exposedHeaders: ['Content-Range', 'X-Content-Range', 'X-Request-Id'],
     credentials: true,
     preflightContinue: false,
     optionsSuccessStatus: 204
 };
 
 // Middleware
+app.use(requestId);
 app.use(cors(corsOptions));
 app.use(express.json());
 
@@ -46,11 +65,36 @@ const swaggerOptions = {
             }
         ],
         components: {
+            // Request schemas the routes validate against
+            schemas,
             securitySchemes: {
                 bearerAuth: {
                     type: 'http',
                     scheme: 'bearer',
                     bearerFormat: 'JWT'
+                },
+                apiKeyAuth: {
+                    type: 'apiKey',
+                    in: 'header',
+                    name: 'X-API-Key'
+                }
+            },
+            parameters: {
+                Page: {
+                    in: 'query',
+                    name: 'page',
+                    schema: paginationQuery.page
+                },
+                Limit: {
+                    in: 'query',
+                    name: 'limit',
+                    schema: paginationQuery.limit
+                }
+            },
+            headers: {
+                ContentRange: {
+                    description: 'Range returned and total matches, e.g. "campaigns 0-19/134"',
+                    schema: { type: 'string' }
                 }
             }
         },
@@ -68,6 +112,23 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
 app.use('/api/auth', authRoutes);
 app.use('/api/campaigns', campaignRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/organizations', organizationRoutes);
+app.use('/api/keys', apiKeyRoutes);
+app.use('/api/serve', serveRoutes);
+app.use('/c', clickRoutes);
+
+// HTML5 bundle files kept on this origin must never run as its pages when
+// opened directly, nor be sniffed into another type
+app.use('/media/bundles', (req, res, next) => {
+    res.set({
+        'Content-Security-Policy': 'sandbox',
+        'X-Content-Type-Options': 'nosniff'
+    });
+    next();
+});
+
+// Images kept by the local media storage driver
+app.use('/media', express.static(getLocalMediaDir(), { maxAge: '7d' }));
 
 // Health check route
 app.get('/health', (req, res) => {
@@ -75,10 +136,8 @@ app.get('/health', (req, res) => {
 });
 
 // Error handling middleware
-app.use((err, req, res, next) => {
-    console.error('Error:', err.stack);
-    res.status(500).json({ message: 'Something went wrong!' });
-});
+app.use(notFoundHandler);
+app.use(errorHandler);
 
 const PORT = process.env.PORT || 3001;
 
@@ -87,14 +146,23 @@ console.log('Attempting to connect to MongoDB...');
 mongoose.connect(process.env.MONGODB_URI)
     .then(() => {
         console.log('Successfully connected to MongoDB');
+        startScheduler();
         app.listen(PORT, '0.0.0.0', () => {
             console.log(`Server is running on port ${PORT}`);
             console.log(`API documentation available at http://localhost:${PORT}/api-docs`);
             console.log('Routes configured:');
             console.log('- POST /api/auth/register');
             console.log('- POST /api/auth/login');
+            console.log('- POST /api/auth/refresh');
+            console.log('- POST /api/auth/forgot-password');
+            console.log('- POST /api/auth/reset-password');
+            console.log('- POST /api/auth/verify-email');
             console.log('- GET /health');
             console.log('- All campaign routes under /api/campaigns');
+            console.log('- All organization routes under /api/organizations');
+            console.log('- All API key routes under /api/keys');
+            console.log('- GET /api/serve');
+            console.log('- GET /c/:token');
         });
     })
     .catch((error) => {
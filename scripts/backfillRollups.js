@@ -0,0 +1,33 @@
+// Backfill hourly and daily analytics rollups for campaigns whose events were
+// recorded before rollups existed, so their series reports aren't empty.
+// Usage: npm run backfill:rollups
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Campaign = require('../src/models/Campaign');
+const { backfillRollups } = require('../src/services/analyticsService');
+
+const run = async () => {
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    let backfilled = 0;
+    const campaigns = Campaign.find({
+        $or: [{ 'analytics.impressions': { $gt: 0 } }, { 'analytics.clicks': { $gt: 0 } }]
+    }).select('analytics updatedAt').cursor();
+
+    for await (const campaign of campaigns) {
+        const { impressions, clicks } = await backfillRollups(campaign);
+        if (impressions > 0 || clicks > 0) {
+            backfilled += 1;
+            console.log(`Campaign ${campaign._id}: backfilled ${impressions} impressions, ${clicks} clicks`);
+        }
+    }
+
+    console.log(`Backfilled rollups of ${backfilled} campaigns`);
+};
+
+run()
+    .catch((error) => {
+        console.error('Error backfilling analytics rollups:', error);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
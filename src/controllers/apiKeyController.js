@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const ApiKey = require('../models/ApiKey');
+const { validateApiKeyFields } = require('../utils/apiKeys');
+const { createApiKey } = require('../services/apiKeyService');
+const { CAMPAIGN_EDITORS, getMemberOrganizationIds, isMember } = require('../services/organizationService');
+const { ValidationError, ForbiddenError, NotFoundError } = require('../utils/errors');
+
+// Fields returned when listing keys; the hash never leaves the server
+const apiKeyFields = 'name prefix scopes organization expiresAt lastUsedAt revokedAt createdAt';
+
+// Keys the user may see and revoke: their own, and those of organizations they own
+const manageableKeys = async (userId) => ({
+    $or: [
+        { user: userId },
+        { organization: { $in: await getMemberOrganizationIds(userId, ['OWNER']) } }
+    ]
+});
+
+// Create API Key
+const createKey = async (req, res, next) => {
+    try {
+        const validationError = validateApiKeyFields(req.body);
+        if (validationError) {
+            return next(new ValidationError(validationError));
+        }
+
+        const { name, scopes, expiresAt, organizationId } = req.body;
+
+        // Organization keys act on the organization's campaigns, so only
+        // its owners and managers may create them
+        if (organizationId && !(await isMember(organizationId, req.user.userId, CAMPAIGN_EDITORS))) {
+            return next(new ForbiddenError('You cannot create keys for this organization'));
+        }
+
+        const { apiKey, key } = await createApiKey({
+            name,
+            user: req.user.userId,
+            organization: organizationId,
+            scopes: [...new Set(scopes)],
+            expiresAt
+        });
+
+        res.status(201).json({
+            message: 'API key created successfully. Store it now, it cannot be shown again',
+            key,
+            apiKey: {
+                id: apiKey._id,
+                name: apiKey.name,
+                prefix: apiKey.prefix,
+                scopes: apiKey.scopes,
+                organization: apiKey.organization,
+                expiresAt: apiKey.expiresAt,
+                createdAt: apiKey.createdAt
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// List API Keys
+const getKeys = async (req, res, next) => {
+    try {
+        const keys = await ApiKey.find(await manageableKeys(req.user.userId))
+            .populate('organization', 'name')
+            .select(apiKeyFields)
+            .sort({ createdAt: -1 });
+
+        res.json(keys);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Revoke API Key
+const revokeKey = async (req, res, next) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return next(new NotFoundError('API key not found'));
+        }
+
+        const apiKey = await ApiKey.findOneAndUpdate(
+            { _id: req.params.id, revokedAt: null, ...(await manageableKeys(req.user.userId)) },
+            { revokedAt: new Date() },
+            { new: true }
+        ).select(apiKeyFields);
+
+        if (!apiKey) {
+            return next(new NotFoundError('API key not found'));
+        }
+
+        res.json({ message: 'API key revoked successfully', apiKey });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    createKey,
+    getKeys,
+    revokeKey
+};
@@ -1,32 +1,148 @@
 const Campaign = require('../models/Campaign');
-const cloudinary = require('cloudinary').v2;
+const User = require('../models/User');
+const Click = require('../models/Click');
+const CampaignTransition = require('../models/CampaignTransition');
+const { validateLandingFields } = require('../utils/landingUrl');
+const { parsePagination, parseSort, parseDateRange, parseObjectId, setContentRange } = require('../utils/listQuery');
+const { validateBudgetFields, toBudgetUpdate } = require('../utils/budget');
+const { validateScheduleFields } = require('../utils/schedule');
+const { validateTargetingFields } = require('../utils/targeting');
+const { validateFrequencyCapFields } = require('../utils/frequencyCap');
+const { CREATIVE_FIELDS, validateCreativeFields, validateCreativeSplitFields } = require('../utils/creatives');
+const { recordEvents, parseSeriesOptions, getSeries } = require('../services/analyticsService');
+const { getBudgetSummary } = require('../services/budgetService');
+const { getFrequencyStats } = require('../services/frequencyService');
+const { buildCreativeReport } = require('../services/creativeService');
+const { awaitingReview, historyEntry, changedCreativeFields, resubmitForReview } = require('../services/moderationService');
+const { transitionCampaign } = require('../services/campaignStateMachine');
+const { ORG_ROLES, CAMPAIGN_EDITORS, campaignScope, resolveCampaignOrganization } = require('../services/organizationService');
+const { removeFiles } = require('../services/mediaStorage');
+const { processImage, imageKeysOf, removeImages } = require('../services/imageService');
+const { processRichMedia, removeRichMediaFiles } = require('../services/richMediaService');
+const { validateStoredImageSizes } = require('../utils/images');
+const { ValidationError, ForbiddenError, NotFoundError, ConflictError, errorFromResult } = require('../utils/errors');
+
+// Fields returned when reading campaigns. Review notes and reasons are
+// only shown to the campaign's organization and to admins.
+const campaignFields = 'campaignName campaignType status analytics headline body callToAction imageUrl renditions richMedia.kind richMedia.width richMedia.height richMedia.url richMedia.duration landingUrl utm startDate endDate timezone dayparts targeting frequencyCap creatives creativeSplit advertiser organization';
+
+const managedCampaignFields = `${campaignFields} moderation`;
+
+// Fields campaign lists can be sorted by
+const campaignSortFields = ['createdAt', 'updatedAt', 'campaignName', 'status', 'startDate', 'endDate'];
+
+// Stored state needed to validate partial updates and detect creative changes
+const findExistingCampaign = (filter) => Campaign.findOne(filter)
+    .select('campaignType status moderation.state startDate endDate headline body callToAction imageUrl imageKey renditions creatives.renditions richMedia.kind richMedia.keys landingUrl');
+
+// Images kept through an update have to fit the campaign's new type
+const validateCampaignTypeChange = (existing, body, { replacesImage = false } = {}) => {
+    if (body.campaignType === undefined || body.campaignType === existing.campaignType) {
+        return null;
+    }
+    if (existing.richMedia?.kind && body.campaignType !== 'INTERACTIVE') {
+        return 'Remove the campaign\'s rich media before changing it from INTERACTIVE';
+    }
+    const kept = replacesImage ? existing.creatives : [existing, ...existing.creatives];
+    return validateStoredImageSizes(kept, body.campaignType);
+};
 
-// Configure Cloudinary
-cloudinary.config({
-    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-    api_key: process.env.CLOUDINARY_API_KEY,
-    api_secret: process.env.CLOUDINARY_API_SECRET
+// Change a campaign's status on behalf of the requesting user, through the
+// state machine
+const changeStatus = async (req, status, reason) => transitionCampaign(req.params.id, status, {
+    role: req.user.role,
+    actor: req.user.userId,
+    reason,
+    // Advertisers may only change campaigns they manage in their organizations
+    filter: await campaignScope(req.user, CAMPAIGN_EDITORS),
+    // A manual status change overrides any pending budget resume
+    update: { $unset: { 'budget.pausedUntil': 1 } }
 });
 
+// Fields of a campaign the requesting user may read, with its review state
+// when they belong to its organization or are an admin
+const readableCampaignFields = async (req) => {
+    if (!req.user) {
+        return campaignFields;
+    }
+    const manages = await Campaign.exists({ _id: req.params.id, ...(await campaignScope(req.user, ORG_ROLES)) });
+    return manages ? managedCampaignFields : campaignFields;
+};
+
+// Update a campaign, sending it back to review in the same write when the
+// update changes its creative. Returns { campaign } or { error, statusCode }.
+const updateWithReview = async (req, existing, update, filter = {}) => {
+    const changed = changedCreativeFields(existing, update);
+    if (changed.length > 0) {
+        return resubmitForReview(existing, req.user.userId, `Changed ${changed.join(', ')}`, { filter, update });
+    }
+    const campaign = await Campaign.findOneAndUpdate({ _id: existing._id, ...filter }, update, { new: true });
+    return campaign ? { campaign } : { error: 'Campaign not found', statusCode: 404 };
+};
+
 // Create Campaign
-const createCampaign = async (req, res) => {
+const createCampaign = async (req, res, next) => {
     try {
         if (!req.file) {
-            return res.status(400).json({ message: 'Image is required' });
+            return next(new ValidationError('Image is required'));
+        }
+
+        const validationError = validateLandingFields(req.body, { requireLandingUrl: true })
+            || validateBudgetFields(req.body)
+            || validateScheduleFields(req.body)
+            || validateTargetingFields(req.body)
+            || validateFrequencyCapFields(req.body)
+            || validateCreativeSplitFields(req.body);
+        if (validationError) {
+            return next(new ValidationError(validationError));
+        }
+
+        // Campaigns belong to an organization the advertiser manages
+        // API keys created for an organization only create campaigns there
+        if (req.user.organizationId && req.body.organizationId && req.body.organizationId !== req.user.organizationId) {
+            return next(new ForbiddenError('This API key belongs to another organization'));
+        }
+        const advertiser = await User.findById(req.user.userId);
+        const { organizationId, error, statusCode } = await resolveCampaignOrganization(
+            advertiser,
+            req.user.organizationId || req.body.organizationId
+        );
+        if (error) {
+            return next(errorFromResult({ error, statusCode }));
         }
 
-        // Upload image to Cloudinary
-        const result = await cloudinary.uploader.upload(req.file.path);
+        const image = await processImage(req.file.path, req.body.campaignType);
+        if (image.error) {
+            return next(errorFromResult(image));
+        }
 
+        // The stored images go again if the campaign can't be saved
         const campaign = await Campaign.create({
             advertiser: req.user.userId,
+            organization: organizationId,
             campaignName: req.body.campaignName,
             campaignDescription: req.body.campaignDescription,
             campaignType: req.body.campaignType,
             headline: req.body.headline,
             body: req.body.body,
             callToAction: req.body.callToAction,
-            imageUrl: result.secure_url
+            ...image,
+            landingUrl: req.body.landingUrl,
+            utm: req.body.utm,
+            ...toBudgetUpdate(req.body.budget),
+            startDate: req.body.startDate,
+            endDate: req.body.endDate,
+            timezone: req.body.timezone,
+            dayparts: req.body.dayparts,
+            targeting: req.body.targeting,
+            frequencyCap: req.body.frequencyCap,
+            moderation: {
+                state: 'IN_REVIEW',
+                history: [historyEntry('SUBMITTED', { actor: req.user.userId, status: 'PENDING' })]
+            }
+        }).catch(async (error) => {
+            await removeImages([image]);
+            throw error;
         });
 
         res.status(201).json({
@@ -34,63 +150,116 @@ const createCampaign = async (req, res) => {
             campaign
         });
     } catch (error) {
-        console.error('Campaign creation error:', error);
-        res.status(500).json({ message: 'Error creating campaign' });
+        next(error);
     }
 };
 
-// Get All Campaigns
-const getAllCampaigns = async (req, res) => {
+// Get All Campaigns, a page at a time, with filters and search
+const getAllCampaigns = async (req, res, next) => {
     try {
-        const campaigns = await Campaign.find()
-            .populate('advertiser', 'userId fullName companyName')
-            .select('campaignName campaignType status analytics headline body callToAction imageUrl advertiser')
-            .sort({ createdAt: -1 });
-        
+        const { status, type, advertiser, createdFrom, createdTo, q, sort } = req.query;
+
+        const pagination = parsePagination(req.query);
+        const sorting = parseSort(sort, campaignSortFields, '-createdAt');
+        const created = parseDateRange('createdAt', createdFrom, createdTo);
+        const advertiserId = advertiser !== undefined ? parseObjectId('advertiser', advertiser) : {};
+        const queryError = pagination.error || sorting.error || created.error || advertiserId.error;
+        if (queryError) {
+            return next(new ValidationError(queryError));
+        }
+
+        const filter = {
+            ...(status && { status }),
+            ...(type && { campaignType: type }),
+            ...(advertiserId.id && { advertiser: advertiserId.id }),
+            ...created.filter,
+            ...(q && { $text: { $search: q } })
+        };
+
+        const [campaigns, total] = await Promise.all([
+            Campaign.find(filter)
+                .populate('advertiser', 'userId fullName companyName')
+                .populate('organization', 'name')
+                .select(campaignFields)
+                .sort(sorting.sort)
+                .skip(pagination.skip)
+                .limit(pagination.limit),
+            Campaign.countDocuments(filter)
+        ]);
+
+        setContentRange(res, 'campaigns', { skip: pagination.skip, count: campaigns.length, total });
         res.json(campaigns);
     } catch (error) {
-        console.error('Error fetching campaigns:', error);
-        res.status(500).json({ message: 'Error fetching campaigns' });
+        next(error);
     }
 };
 
 // Get Campaign Details
-const getCampaign = async (req, res) => {
+const getCampaign = async (req, res, next) => {
     try {
         const campaign = await Campaign.findById(req.params.id)
             .populate('advertiser', 'userId fullName companyName')
-            .select('campaignName campaignType status analytics headline body callToAction imageUrl advertiser');
+            .populate('organization', 'name')
+            .select(await readableCampaignFields(req));
         
         if (!campaign) {
-            return res.status(404).json({ message: 'Campaign not found' });
+            return next(new NotFoundError('Campaign not found'));
         }
         
         res.json(campaign);
     } catch (error) {
-        console.error('Error fetching campaign:', error);
-        res.status(500).json({ message: 'Error fetching campaign' });
+        next(error);
     }
 };
 
 // Update Campaign
-const updateCampaign = async (req, res) => {
+const updateCampaign = async (req, res, next) => {
     try {
         let updateData = { ...req.body };
+        const scope = await campaignScope(req.user, CAMPAIGN_EDITORS);
+        const existing = await findExistingCampaign({ _id: req.params.id, ...scope });
+        if (!existing) {
+            return next(new NotFoundError('Campaign not found'));
+        }
+
+        const validationError = validateLandingFields(updateData)
+            || validateBudgetFields(updateData)
+            || validateScheduleFields(updateData, { existing })
+            || validateTargetingFields(updateData)
+            || validateFrequencyCapFields(updateData)
+            || validateCreativeSplitFields(updateData)
+            || validateCampaignTypeChange(existing, updateData, { replacesImage: Boolean(req.file) });
+        if (validationError) {
+            return next(new ValidationError(validationError));
+        }
+
+        // Apply budget settings field by field so the tracked spend is kept
+        const { budget, ...rest } = updateData;
+        updateData = { ...rest, ...toBudgetUpdate(budget) };
 
         // If new image is uploaded
         if (req.file) {
-            const result = await cloudinary.uploader.upload(req.file.path);
-            updateData.imageUrl = result.secure_url;
+            const image = await processImage(req.file.path, updateData.campaignType || existing.campaignType);
+            if (image.error) {
+                return next(errorFromResult(image));
+            }
+            Object.assign(updateData, image);
         }
 
-        const campaign = await Campaign.findOneAndUpdate(
-            { _id: req.params.id, advertiser: req.user.userId },
-            updateData,
-            { new: true }
-        );
+        // Creative edits have to be approved again before they serve
+        const { campaign, error, statusCode } = await updateWithReview(req, existing, updateData, scope)
+            .catch(async (updateError) => {
+                await removeImages([updateData]);
+                throw updateError;
+            });
+        if (error) {
+            await removeImages([updateData]);
+            return next(errorFromResult({ error, statusCode }));
+        }
 
-        if (!campaign) {
-            return res.status(404).json({ message: 'Campaign not found' });
+        // The replaced image is no longer used
+        if (req.file) {
+            await removeImages([existing]);
         }
 
         res.json({
@@ -98,37 +267,112 @@ const updateCampaign = async (req, res) => {
             campaign
         });
     } catch (error) {
-        res.status(500).json({ message: 'Error updating campaign' });
+        next(error);
     }
 };
 
 // Delete Campaign
-const deleteCampaign = async (req, res) => {
+const deleteCampaign = async (req, res, next) => {
     try {
         const campaign = await Campaign.findOneAndDelete({
             _id: req.params.id,
-            advertiser: req.user.userId
+            ...(await campaignScope(req.user, CAMPAIGN_EDITORS))
         });
 
         if (!campaign) {
-            return res.status(404).json({ message: 'Campaign not found' });
+            return next(new NotFoundError('Campaign not found'));
         }
 
+        await Promise.all([
+            removeImages([campaign, ...campaign.creatives]),
+            removeRichMediaFiles(campaign.richMedia)
+        ]);
+
         res.json({ message: 'Campaign deleted successfully' });
     } catch (error) {
-        res.status(500).json({ message: 'Error deleting campaign' });
+        next(error);
+    }
+};
+
+// Set Campaign Rich Media: an HTML5 bundle or video for INTERACTIVE campaigns
+const setCampaignMedia = async (req, res, next) => {
+    try {
+        if (!req.file) {
+            return next(new ValidationError('Media file is required'));
+        }
+
+        const scope = await campaignScope(req.user, CAMPAIGN_EDITORS);
+        const existing = await findExistingCampaign({ _id: req.params.id, ...scope });
+        if (!existing) {
+            return next(new NotFoundError('Campaign not found'));
+        }
+        if (existing.campaignType !== 'INTERACTIVE') {
+            return next(new ConflictError('Only INTERACTIVE campaigns can carry rich media'));
+        }
+
+        const { richMedia, error, statusCode } = await processRichMedia(req.file);
+        if (error) {
+            return next(errorFromResult({ error, statusCode }));
+        }
+
+        // New media has to be approved before it serves
+        const review = await resubmitForReview(existing, req.user.userId, `Uploaded ${richMedia.kind} media`, {
+            filter: scope,
+            update: { richMedia },
+            projection: managedCampaignFields
+        }).catch(async (updateError) => {
+            await removeRichMediaFiles(richMedia);
+            throw updateError;
+        });
+        if (review.error) {
+            await removeRichMediaFiles(richMedia);
+            return next(errorFromResult(review));
+        }
+        const { campaign } = review;
+
+        // The replaced media is no longer used
+        await removeRichMediaFiles(existing.richMedia);
+
+        res.json({
+            message: 'Campaign media updated successfully',
+            campaign
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Remove Campaign Rich Media, serving the campaign's image again
+const deleteCampaignMedia = async (req, res, next) => {
+    try {
+        const campaign = await Campaign.findOneAndUpdate(
+            { _id: req.params.id, ...(await campaignScope(req.user, CAMPAIGN_EDITORS)), richMedia: { $exists: true } },
+            { $unset: { richMedia: 1 } }
+        ).select('richMedia.keys');
+
+        if (!campaign) {
+            return next(new NotFoundError('Campaign media not found'));
+        }
+
+        await removeRichMediaFiles(campaign.richMedia);
+
+        res.json({ message: 'Campaign media removed successfully' });
+    } catch (error) {
+        next(error);
     }
 };
 
 // Get Dashboard Stats
-const getDashboardStats = async (req, res) => {
+const getDashboardStats = async (req, res, next) => {
     try {
+        // Every campaign of the user's organizations
+        const scope = await campaignScope(req.user, ORG_ROLES);
         const activeCampaigns = await Campaign.countDocuments({
-            advertiser: req.user.userId,
+            ...scope,
             status: 'ACTIVE'
         });
 
-        const campaigns = await Campaign.find({ advertiser: req.user.userId });
+        const campaigns = await Campaign.find(scope).populate('organization', 'name');
         
         const totalImpressions = campaigns.reduce((sum, campaign) => 
             sum + campaign.analytics.impressions, 0);
@@ -140,70 +384,99 @@ const getDashboardStats = async (req, res) => {
             ? (totalClicks / totalImpressions) * 100 
             : 0;
 
+        const totalSpend = campaigns.reduce((sum, campaign) =>
+            sum + (campaign.budget?.spent || 0), 0);
+
         res.json({
             activeCampaigns,
             totalImpressions,
             overallCTR: overallCTR.toFixed(2),
+            totalSpend: totalSpend.toFixed(2),
             campaigns: campaigns.map(campaign => ({
                 id: campaign._id,
                 name: campaign.campaignName,
                 type: campaign.campaignType,
                 status: campaign.status,
+                organization: campaign.organization && {
+                    id: campaign.organization._id,
+                    name: campaign.organization.name
+                },
                 performance: {
                     impressions: campaign.analytics.impressions,
                     clicks: campaign.analytics.clicks,
                     ctr: campaign.analytics.ctr.toFixed(2)
-                }
+                },
+                budget: getBudgetSummary(campaign)
             }))
         });
     } catch (error) {
-        res.status(500).json({ message: 'Error fetching dashboard stats' });
+        next(error);
     }
 };
 
 // Get Campaign Analytics
-const getCampaignAnalytics = async (req, res) => {
+const getCampaignAnalytics = async (req, res, next) => {
     try {
+        const seriesOptions = parseSeriesOptions(req.query);
+        if (seriesOptions.error) {
+            return next(new ValidationError(seriesOptions.error));
+        }
+
         const campaign = await Campaign.findOne({
             _id: req.params.id,
-            advertiser: req.user.userId
+            ...(await campaignScope(req.user, ORG_ROLES))
         });
 
         if (!campaign) {
-            return res.status(404).json({ message: 'Campaign not found' });
+            return next(new NotFoundError('Campaign not found'));
         }
 
+        // Rejected clicks used to be stored one by one, they are counted now
+        const [expired, replayed, series, frequency] = await Promise.all([
+            Click.countDocuments({ campaign: campaign._id, status: 'EXPIRED' })
+                .then(stored => stored + (campaign.rejectedClicks?.expired || 0)),
+            Click.countDocuments({ campaign: campaign._id, status: 'REPLAYED' })
+                .then(stored => stored + (campaign.rejectedClicks?.replayed || 0)),
+            getSeries(campaign._id, seriesOptions),
+            getFrequencyStats(campaign)
+        ]);
+
         res.json({
             campaignName: campaign.campaignName,
             analytics: {
                 impressions: campaign.analytics.impressions,
                 clicks: campaign.analytics.clicks,
                 ctr: campaign.analytics.ctr.toFixed(2)
-            }
+            },
+            rejectedClicks: {
+                expired,
+                replayed
+            },
+            frequency,
+            granularity: seriesOptions.granularity,
+            from: seriesOptions.from,
+            to: seriesOptions.to,
+            series
         });
     } catch (error) {
-        res.status(500).json({ message: 'Error fetching campaign analytics' });
+        next(error);
     }
 };
 
-// Update Campaign Status (Admin only)
-const updateCampaignStatus = async (req, res) => {
+// Update Campaign Status
+const updateCampaignStatus = async (req, res, next) => {
     try {
-        const { status } = req.body;
+        const { status, reason } = req.body;
         
-        const validStatuses = ['PENDING', 'ACTIVE', 'PAUSED', 'COMPLETED'];
+        const validStatuses = Campaign.schema.path('status').enumValues;
         if (!validStatuses.includes(status)) {
-            return res.status(400).json({ message: 'Invalid status value' });
+            return next(new ValidationError('Invalid status value'));
         }
 
-        const campaign = await Campaign.findByIdAndUpdate(
-            req.params.id,
-            { status },
-            { new: true }
-        );
+        const { campaign, error, statusCode } = await changeStatus(req, status, reason);
 
-        if (!campaign) {
-            return res.status(404).json({ message: 'Campaign not found' });
+        if (error) {
+            return next(errorFromResult({ error, statusCode }));
         }
 
         res.json({
@@ -214,31 +487,31 @@ const updateCampaignStatus = async (req, res) => {
             }
         });
     } catch (error) {
-        console.error('Error updating campaign status:', error);
-        res.status(500).json({ message: 'Error updating campaign status' });
+        next(error);
     }
 };
 
 // Update Campaign Analytics
-const updateCampaignAnalytics = async (req, res) => {
+const updateCampaignAnalytics = async (req, res, next) => {
     try {
         const { impressions, clicks } = req.body;
         
         // Validate input
         if (typeof impressions !== 'number' || typeof clicks !== 'number') {
-            return res.status(400).json({ message: 'Impressions and clicks must be numbers' });
+            return next(new ValidationError('Impressions and clicks must be numbers'));
         }
 
         if (impressions < 0 || clicks < 0) {
-            return res.status(400).json({ message: 'Impressions and clicks cannot be negative' });
+            return next(new ValidationError('Impressions and clicks cannot be negative'));
         }
 
         const campaign = await Campaign.findOne({
             _id: req.params.id,
+            ...(await campaignScope(req.user, CAMPAIGN_EDITORS))
         });
 
         if (!campaign) {
-            return res.status(404).json({ message: 'Campaign not found' });
+            return next(new NotFoundError('Campaign not found'));
         }
 
         // Increment analytics
@@ -246,54 +519,404 @@ const updateCampaignAnalytics = async (req, res) => {
         const newClicks = (campaign.analytics.clicks || 0) + clicks;
 
         if (newClicks > newImpressions) {
-            return res.status(400).json({ message: 'Clicks cannot be greater than impressions' });
+            return next(new ValidationError('Clicks cannot be greater than impressions'));
         }
 
         // Calculate CTR
         const ctr = newImpressions > 0 ? (newClicks / newImpressions) * 100 : 0;
 
-        // Update analytics
-        campaign.analytics = {
-            impressions: newImpressions,
-            clicks: newClicks,
-            ctr
-        };
-
-        await campaign.save();
+        // Increment analytics and the time-series rollups together
+        await recordEvents(campaign._id, { impressions, clicks });
 
         res.json({
             message: 'Campaign analytics updated successfully',
             analytics: {
-                impressions: campaign.analytics.impressions,
-                clicks: campaign.analytics.clicks,
-                ctr: campaign.analytics.ctr.toFixed(2)
+                impressions: newImpressions,
+                clicks: newClicks,
+                ctr: ctr.toFixed(2)
             }
         });
     } catch (error) {
-        console.error('Error updating campaign analytics:', error);
-        res.status(500).json({ message: 'Error updating campaign analytics' });
+        next(error);
     }
 };
 
 // Update Campaign Details (JSON, no image upload)
-const updateCampaignDetails = async (req, res) => {
+const updateCampaignDetails = async (req, res, next) => {
+    try {
+        const scope = await campaignScope(req.user, CAMPAIGN_EDITORS);
+        const existing = await findExistingCampaign({ _id: req.params.id, ...scope });
+        if (!existing) {
+            return next(new NotFoundError('Campaign not found'));
+        }
+
+        const validationError = validateLandingFields(req.body)
+            || validateBudgetFields(req.body)
+            || validateScheduleFields(req.body, { existing })
+            || validateTargetingFields(req.body)
+            || validateFrequencyCapFields(req.body)
+            || validateCreativeSplitFields(req.body)
+            || validateCampaignTypeChange(existing, req.body);
+        if (validationError) {
+            return next(new ValidationError(validationError));
+        }
+
+        // Apply budget settings field by field so the tracked spend is kept.
+        // Ownership doesn't change through updates.
+        const { budget, status, statusReason, organization, ...rest } = req.body;
+        const updateData = { ...rest, ...toBudgetUpdate(budget) };
+
+        // Status is never written directly, it has to be a legal transition
+        if (status !== undefined && status !== existing.status) {
+            const transition = await changeStatus(req, status, statusReason);
+            if (transition.error) {
+                return next(errorFromResult(transition));
+            }
+            existing.status = transition.campaign.status;
+        }
+
+        // Creative edits have to be approved again before they serve
+        const { campaign, error, statusCode } = await updateWithReview(req, existing, updateData, scope);
+        if (error) {
+            return next(errorFromResult({ error, statusCode }));
+        }
+        res.json({
+            message: 'Campaign details updated successfully',
+            campaign
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Add Creative Variant
+const addCreative = async (req, res, next) => {
+    try {
+        if (!req.file) {
+            return next(new ValidationError('Image is required'));
+        }
+
+        const validationError = validateCreativeFields(req.body, { isNew: true });
+        if (validationError) {
+            return next(new ValidationError(validationError));
+        }
+
+        const scope = await campaignScope(req.user, CAMPAIGN_EDITORS);
+        const existing = await Campaign.findOne({ _id: req.params.id, ...scope }).select('campaignType status moderation.state');
+        if (!existing) {
+            return next(new NotFoundError('Campaign not found'));
+        }
+
+        // Variants share the campaign's ad sizes
+        const image = await processImage(req.file.path, existing.campaignType);
+        if (image.error) {
+            return next(errorFromResult(image));
+        }
+
+        // New variants have to be approved before they serve
+        const creative = {
+            name: req.body.name,
+            headline: req.body.headline,
+            body: req.body.body,
+            callToAction: req.body.callToAction,
+            ...image,
+            weight: req.body.weight
+        };
+        const review = await resubmitForReview(existing, req.user.userId, `Added creative ${req.body.name}`, {
+            filter: scope,
+            update: { $push: { creatives: creative } }
+        }).catch(async (error) => {
+            await removeImages([image]);
+            throw error;
+        });
+        if (review.error) {
+            await removeImages([image]);
+            return next(errorFromResult(review));
+        }
+
+        const { creatives } = review.campaign;
+        res.status(201).json({
+            message: 'Creative added successfully',
+            creative: creatives[creatives.length - 1]
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Update Creative Variant
+const updateCreative = async (req, res, next) => {
+    try {
+        const validationError = validateCreativeFields(req.body);
+        if (validationError) {
+            return next(new ValidationError(validationError));
+        }
+
+        const filter = { ...(await campaignScope(req.user, CAMPAIGN_EDITORS)), 'creatives._id': req.params.creativeId };
+        const existing = await Campaign.findOne({ _id: req.params.id, ...filter }).select('status moderation.state creatives.$');
+        if (!existing) {
+            return next(new NotFoundError('Creative not found'));
+        }
+
+        const [stored] = existing.creatives;
+        const fields = [...CREATIVE_FIELDS, 'weight'].filter(field => req.body[field] !== undefined);
+        const update = { $set: Object.fromEntries(fields.map(field => [`creatives.$.${field}`, req.body[field]])) };
+
+        // Edited variants have to be approved again before they serve
+        const edited = CREATIVE_FIELDS.some(field => req.body[field] !== undefined && req.body[field] !== stored[field]);
+        const review = edited
+            ? await resubmitForReview(existing, req.user.userId, `Changed creative ${stored.name}`, { filter, update })
+            : { campaign: await Campaign.findOneAndUpdate({ _id: req.params.id, ...filter }, update, { new: true }) };
+        if (review.error) {
+            return next(errorFromResult(review));
+        }
+        if (!review.campaign) {
+            return next(new NotFoundError('Creative not found'));
+        }
+
+        res.json({
+            message: 'Creative updated successfully',
+            creative: review.campaign.creatives.id(req.params.creativeId)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Delete Creative Variant
+const deleteCreative = async (req, res, next) => {
     try {
-        const updateData = req.body;
-        const campaign = await Campaign.findByIdAndUpdate(
-            req.params.id,
-            updateData,
+        const campaign = await Campaign.findOneAndUpdate(
+            { _id: req.params.id, ...(await campaignScope(req.user, CAMPAIGN_EDITORS)), 'creatives._id': req.params.creativeId },
+            { $pull: { creatives: { _id: req.params.creativeId } } }
+        );
+
+        if (!campaign) {
+            return next(new NotFoundError('Creative not found'));
+        }
+
+        // The campaign as it was before the update still has the creative
+        await removeImages([campaign.creatives.id(req.params.creativeId)]);
+
+        res.json({ message: 'Creative deleted successfully' });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Get Creative A/B Test Report
+const getCreativeReport = async (req, res, next) => {
+    try {
+        const campaign = await Campaign.findOne({
+            _id: req.params.id,
+            ...(await campaignScope(req.user, ORG_ROLES))
+        }).select('campaignName creatives creativeSplit');
+
+        if (!campaign) {
+            return next(new NotFoundError('Campaign not found'));
+        }
+
+        res.json({
+            campaignName: campaign.campaignName,
+            ...buildCreativeReport(campaign)
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Promote Creative Variant: make it the campaign's creative and end the test
+const promoteCreative = async (req, res, next) => {
+    try {
+        const filter = { _id: req.params.id, ...(await campaignScope(req.user, CAMPAIGN_EDITORS)), 'creatives._id': req.params.creativeId };
+        const existing = await Campaign.findOne(filter).select('status moderation.state imageKey renditions creatives');
+        if (!existing) {
+            return next(new NotFoundError('Creative not found'));
+        }
+        const creative = existing.creatives.id(req.params.creativeId);
+
+        // Guarded on the status, review state and variants read, so a
+        // concurrent review or variant change is never overwritten
+        const campaign = await Campaign.findOneAndUpdate(
+            {
+                ...filter,
+                status: existing.status,
+                'moderation.state': existing.moderation?.state ?? null,
+                creatives: { $size: existing.creatives.length }
+            },
+            {
+                headline: creative.headline,
+                body: creative.body,
+                callToAction: creative.callToAction,
+                imageUrl: creative.imageUrl,
+                imageKey: creative.imageKey,
+                renditions: creative.renditions.toObject(),
+                creatives: []
+            },
             { new: true }
         );
         if (!campaign) {
-            return res.status(404).json({ message: 'Campaign not found' });
+            return next(new ConflictError('Campaign changed concurrently, please retry'));
         }
+
+        // The campaign's image and those of the other variants are dropped
+        await removeFiles(imageKeysOf([
+            existing,
+            ...existing.creatives.filter(variant => variant !== creative)
+        ]));
+
         res.json({
-            message: 'Campaign details updated successfully',
+            message: 'Creative promoted successfully',
             campaign
         });
     } catch (error) {
-        console.error('Error updating campaign details:', error);
-        res.status(500).json({ message: 'Error updating campaign details' });
+        next(error);
+    }
+};
+
+// Get Moderation Queue (Admin only)
+const getModerationQueue = async (req, res, next) => {
+    try {
+        const campaigns = await Campaign.find(awaitingReview())
+            .populate('advertiser', 'userId fullName companyName')
+            .select(managedCampaignFields)
+            .sort({ updatedAt: 1 });
+
+        res.json(campaigns);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Approve Campaign (Admin only)
+const approveCampaign = async (req, res, next) => {
+    try {
+        const campaign = await Campaign.findOne({ _id: req.params.id, ...awaitingReview() });
+
+        if (!campaign) {
+            const exists = await Campaign.exists({ _id: req.params.id });
+            return exists
+                ? next(new ConflictError('Campaign is not awaiting review'))
+                : next(new NotFoundError('Campaign not found'));
+        }
+
+        // Campaigns with a future start date are activated by the scheduler
+        const startsLater = campaign.startDate && campaign.startDate > new Date();
+        const status = startsLater ? 'PENDING' : 'ACTIVE';
+        const update = {
+            'moderation.state': 'APPROVED',
+            $push: {
+                'moderation.history': historyEntry('APPROVED', { actor: req.user.userId, status, reason: req.body.reason })
+            }
+        };
+
+        if (startsLater) {
+            await Campaign.updateOne({ _id: campaign._id, ...awaitingReview() }, update);
+        } else {
+            const transition = await transitionCampaign(campaign._id, 'ACTIVE', {
+                role: req.user.role,
+                actor: req.user.userId,
+                reason: req.body.reason || 'Approved',
+                filter: awaitingReview(),
+                update
+            });
+            if (transition.error) {
+                return next(errorFromResult(transition));
+            }
+        }
+
+        res.json({
+            message: 'Campaign approved successfully',
+            campaign: {
+                id: campaign._id,
+                status
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Reject Campaign (Admin only)
+const rejectCampaign = async (req, res, next) => {
+    try {
+        const { reason } = req.body;
+
+        if (typeof reason !== 'string' || !reason.trim()) {
+            return next(new ValidationError('Rejection reason is required'));
+        }
+
+        const campaign = await Campaign.findOne({ _id: req.params.id, ...awaitingReview() });
+
+        if (!campaign) {
+            const exists = await Campaign.exists({ _id: req.params.id });
+            return exists
+                ? next(new ConflictError('Campaign is not awaiting review'))
+                : next(new NotFoundError('Campaign not found'));
+        }
+
+        const transition = await transitionCampaign(campaign._id, 'REJECTED', {
+            role: req.user.role,
+            actor: req.user.userId,
+            reason: reason.trim(),
+            filter: awaitingReview(),
+            update: {
+                'moderation.state': 'REJECTED',
+                $push: {
+                    'moderation.history': historyEntry('REJECTED', { actor: req.user.userId, status: 'REJECTED', reason: reason.trim() })
+                }
+            }
+        });
+        if (transition.error) {
+            return next(errorFromResult(transition));
+        }
+
+        res.json({
+            message: 'Campaign rejected successfully',
+            campaign: {
+                id: campaign._id,
+                status: transition.campaign.status
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Get Campaign Status History
+const getCampaignHistory = async (req, res, next) => {
+    try {
+        const { since, until, status } = req.query;
+
+        // Members only see the history of their organizations' campaigns
+        const campaign = await Campaign.exists({
+            _id: req.params.id,
+            ...(await campaignScope(req.user, ORG_ROLES))
+        });
+        if (!campaign) {
+            return next(new NotFoundError('Campaign not found'));
+        }
+
+        const filter = { campaign: req.params.id };
+        if (status) {
+            filter.to = status;
+        }
+        if (since || until) {
+            const range = { ...(since && { $gte: new Date(since) }), ...(until && { $lte: new Date(until) }) };
+            if (Object.values(range).some(date => Number.isNaN(date.getTime()))) {
+                return next(new ValidationError('since and until must be valid dates'));
+            }
+            filter.at = range;
+        }
+
+        const history = await CampaignTransition.find(filter)
+            .populate('actor', 'fullName email')
+            .select('from to actor actorRole reason at')
+            .sort({ at: -1 });
+
+        res.json(history);
+    } catch (error) {
+        next(error);
     }
 };
 
@@ -303,9 +926,20 @@ module.exports = {
     getCampaign,
     updateCampaign,
     deleteCampaign,
+    setCampaignMedia,
+    deleteCampaignMedia,
     getDashboardStats,
     getCampaignAnalytics,
     updateCampaignStatus,
     updateCampaignAnalytics,
-    updateCampaignDetails
+    updateCampaignDetails,
+    addCreative,
+    updateCreative,
+    deleteCreative,
+    getCreativeReport,
+    promoteCreative,
+    getModerationQueue,
+    approveCampaign,
+    rejectCampaign,
+    getCampaignHistory
 };
\ No newline at end of file
@@ -0,0 +1,167 @@
+const Organization = require('../models/Organization');
+const User = require('../models/User');
+const {
+    ORG_ROLES,
+    createOrganizationWithOwner,
+    sendMemberInvitation,
+    acceptMemberInvitation,
+    changeMemberRole,
+    removeOrganizationMember
+} = require('../services/organizationService');
+const { ValidationError, NotFoundError, ConflictError, errorFromResult } = require('../utils/errors');
+
+// Create Organization
+const createOrganization = async (req, res, next) => {
+    try {
+        const { name } = req.body;
+
+        if (typeof name !== 'string' || !name.trim()) {
+            return next(new ValidationError('Organization name is required'));
+        }
+
+        const organization = await createOrganizationWithOwner(name, req.user.userId);
+
+        res.status(201).json({
+            message: 'Organization created successfully',
+            organization
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Get My Organizations
+const getMyOrganizations = async (req, res, next) => {
+    try {
+        const organizations = await Organization.find({ 'members.user': req.user.userId })
+            .select('name members createdAt')
+            .sort({ createdAt: -1 });
+
+        res.json(organizations.map(organization => ({
+            id: organization._id,
+            name: organization.name,
+            role: organization.members.find(member => String(member.user) === String(req.user.userId)).role,
+            memberCount: organization.members.length
+        })));
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Get Organization with its members and pending invitations
+const getOrganization = async (req, res, next) => {
+    try {
+        const organization = await Organization.findById(req.params.id)
+            .populate('members.user', 'fullName email')
+            .select('-invitations.tokenHash');
+
+        if (!organization) {
+            return next(new NotFoundError('Organization not found'));
+        }
+
+        res.json(organization);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Invite Member by email
+const inviteMember = async (req, res, next) => {
+    try {
+        const { email, role } = req.body;
+
+        if (typeof email !== 'string' || !email) {
+            return next(new ValidationError('Email is required'));
+        }
+        if (!ORG_ROLES.includes(role)) {
+            return next(new ValidationError(`role must be one of ${ORG_ROLES.join(', ')}`));
+        }
+
+        const organization = await Organization.findById(req.params.id).populate('members.user', 'email');
+        if (!organization) {
+            return next(new NotFoundError('Organization not found'));
+        }
+        if (organization.members.some(member => member.user && member.user.email === email.toLowerCase())) {
+            return next(new ConflictError('User is already a member of this organization'));
+        }
+
+        const inviter = await User.findById(req.user.userId);
+        await sendMemberInvitation(organization, { email, role, invitedBy: inviter });
+
+        res.status(201).json({ message: 'Invitation sent successfully' });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Accept Invitation
+const acceptInvitation = async (req, res, next) => {
+    try {
+        const { token } = req.body;
+
+        if (typeof token !== 'string' || !token) {
+            return next(new ValidationError('Invitation token is required'));
+        }
+
+        const user = await User.findById(req.user.userId);
+        const { organization, role, error, statusCode } = await acceptMemberInvitation(token, user);
+        if (error) {
+            return next(errorFromResult({ error, statusCode }));
+        }
+
+        res.json({
+            message: 'Joined organization successfully',
+            organization: {
+                id: organization._id,
+                name: organization.name,
+                role
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Update Member Role
+const updateMemberRole = async (req, res, next) => {
+    try {
+        const { role } = req.body;
+
+        if (!ORG_ROLES.includes(role)) {
+            return next(new ValidationError(`role must be one of ${ORG_ROLES.join(', ')}`));
+        }
+
+        const { error, statusCode } = await changeMemberRole(req.params.id, req.params.userId, role);
+        if (error) {
+            return next(errorFromResult({ error, statusCode }));
+        }
+
+        res.json({ message: 'Member role updated successfully' });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Remove Member
+const removeMember = async (req, res, next) => {
+    try {
+        const { error, statusCode } = await removeOrganizationMember(req.params.id, req.params.userId);
+        if (error) {
+            return next(errorFromResult({ error, statusCode }));
+        }
+
+        res.json({ message: 'Member removed successfully' });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    createOrganization,
+    getMyOrganizations,
+    getOrganization,
+    inviteMember,
+    acceptInvitation,
+    updateMemberRole,
+    removeMember
+};
@@ -0,0 +1,299 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Campaign = require('../models/Campaign');
+const Click = require('../models/Click');
+const VideoImpression = require('../models/VideoImpression');
+const { selectCampaign, recordImpression, recordClick } = require('../services/adServer');
+const { pickCreative } = require('../services/creativeService');
+const { createClickToken, verifyClickToken } = require('../utils/clickToken');
+const { buildLandingUrl } = require('../utils/landingUrl');
+const { getRequestContext } = require('../utils/targeting');
+const { getViewerId } = require('../utils/viewerId');
+const { pickRendition } = require('../utils/images');
+const { CLICK_TAG_MACRO, withBaseUrl } = require('../utils/richMedia');
+const { buildVast, buildEmptyVast } = require('../utils/vast');
+const { ValidationError, NotFoundError, ConflictError, GoneError } = require('../utils/errors');
+
+const campaignTypes = Campaign.schema.path('campaignType').enumValues;
+
+const getBaseUrl = (req) => process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`;
+
+// HTML5 ads may run scripts and open the landing page, but get an opaque
+// origin: no access to this app's cookies or to the publisher's page
+const HTML5_SANDBOX = 'allow-scripts allow-popups allow-popups-to-escape-sandbox';
+
+// Where a click on the campaign should send the viewer. Campaigns created
+// before landing pages existed fall back to the configured default.
+const resolveLandingUrl = (campaign) => (campaign.landingUrl
+    ? buildLandingUrl(campaign)
+    : process.env.DEFAULT_LANDING_URL);
+
+// WebP is served when asked for, or when the request accepts it explicitly
+// (an image request rather than the usual script fetch)
+const acceptsWebp = (req) => ['1', 'true'].includes(req.query.webp)
+    || /image\/webp/i.test(req.get('accept') || '');
+
+// Image the viewer's screen needs: imageUrl points at the rendition for its
+// density and format, imageWidth and imageHeight give the ad size. Images
+// uploaded before renditions were generated are served as they are.
+const toServedCreative = ({ renditions, ...creative }, req) => {
+    const rendition = pickRendition(renditions, { density: Number(req.query.dpr) || 1, webp: acceptsWebp(req) });
+    if (!rendition) {
+        return { ...creative, imageWidth: null, imageHeight: null };
+    }
+    return {
+        ...creative,
+        imageUrl: rendition.url,
+        imageWidth: rendition.width / rendition.density,
+        imageHeight: rendition.height / rendition.density
+    };
+};
+
+// Rich media to play instead of the image. HTML5 bundles are framed from
+// a URL carrying the impression's click token.
+const toServedRichMedia = (campaign, req, clickToken) => {
+    const { richMedia } = campaign;
+    if (!richMedia?.kind) {
+        return null;
+    }
+    if (richMedia.kind === 'HTML5') {
+        return {
+            kind: richMedia.kind,
+            width: richMedia.width,
+            height: richMedia.height,
+            url: `${getBaseUrl(req)}/api/serve/html5/${clickToken}`,
+            sandbox: HTML5_SANDBOX
+        };
+    }
+    return {
+        kind: richMedia.kind,
+        width: richMedia.width,
+        height: richMedia.height,
+        duration: richMedia.duration,
+        url: richMedia.url
+    };
+};
+
+// Reject an invalid impression or click token with the matching error
+const tokenError = (reason, what) => (reason === 'EXPIRED'
+    ? new GoneError(`${what} link has expired`)
+    : new ValidationError(`Invalid ${what.toLowerCase()} link`));
+
+// Serve Ad
+const serveAd = async (req, res, next) => {
+    try {
+        const { placement, type } = req.query;
+
+        if (typeof placement !== 'string' || !placement) {
+            return next(new ValidationError('Placement is required'));
+        }
+
+        if (!campaignTypes.includes(type)) {
+            return next(new ValidationError('Invalid campaign type'));
+        }
+
+        // Served ads must never be cached, every response is a new impression
+        res.set('Cache-Control', 'no-store');
+
+        const viewerId = getViewerId(req, res);
+        const campaign = await selectCampaign({ placement, type, viewer: getRequestContext(req), viewerId });
+
+        if (!campaign) {
+            return res.status(204).end();
+        }
+
+        const { id: creativeId, ...creative } = pickCreative(campaign);
+        const impressionId = crypto.randomUUID();
+        await recordImpression(campaign, { placement, impressionId, viewerId, creativeId });
+
+        const clickToken = createClickToken({
+            campaignId: campaign._id.toString(),
+            impressionId,
+            creativeId: creativeId && creativeId.toString()
+        });
+
+        res.json({
+            impressionId,
+            campaignId: campaign._id,
+            placement,
+            type: campaign.campaignType,
+            creativeId,
+            creative: toServedCreative(creative, req),
+            richMedia: toServedRichMedia(campaign, req, clickToken),
+            clickUrl: `${getBaseUrl(req)}/c/${clickToken}`
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Serve HTML5 Ad: the bundle's entry page with its click tag filled in
+const serveHtml5 = async (req, res, next) => {
+    try {
+        const { valid, reason, payload } = verifyClickToken(req.params.token);
+        if (!valid) {
+            return next(tokenError(reason, 'Ad'));
+        }
+
+        const campaign = await Campaign.findById(payload.campaignId).select('richMedia.kind richMedia.html richMedia.url');
+        if (campaign?.richMedia?.kind !== 'HTML5') {
+            return next(new NotFoundError('HTML5 ad not found'));
+        }
+
+        const clickUrl = `${getBaseUrl(req)}/c/${req.params.token}`;
+        const html = withBaseUrl(campaign.richMedia.html, campaign.richMedia.url)
+            .split(CLICK_TAG_MACRO).join(clickUrl);
+
+        res.set({
+            'Content-Security-Policy': `sandbox ${HTML5_SANDBOX}`,
+            'X-Content-Type-Options': 'nosniff',
+            'Cache-Control': 'no-store'
+        });
+        res.type('html').send(html);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Serve VAST: a video ad for publisher video players. The impression is
+// recorded when the player reports it through the Impression URL.
+const serveVast = async (req, res, next) => {
+    try {
+        const { placement, deviceId } = req.query;
+
+        if (typeof placement !== 'string' || !placement) {
+            return next(new ValidationError('Placement is required'));
+        }
+
+        res.set('Cache-Control', 'no-store');
+        res.type('application/xml');
+
+        const campaign = await selectCampaign({
+            placement,
+            type: 'INTERACTIVE',
+            richMediaKind: 'VIDEO',
+            viewer: getRequestContext(req),
+            viewerId: getViewerId(req, res)
+        });
+
+        if (!campaign) {
+            return res.send(buildEmptyVast());
+        }
+
+        const impressionId = crypto.randomUUID();
+        const token = createClickToken({ campaignId: campaign._id.toString(), impressionId });
+        // The player's beacon is recorded for the same placement and counts
+        // towards the same viewer's frequency cap
+        const beaconQuery = new URLSearchParams({
+            placement,
+            ...(typeof deviceId === 'string' && deviceId && { deviceId })
+        });
+
+        res.send(buildVast({
+            campaign,
+            impressionId,
+            impressionUrl: `${getBaseUrl(req)}/api/serve/vast/impression/${token}?${beaconQuery}`,
+            clickUrl: `${getBaseUrl(req)}/c/${token}`
+        }));
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Track Video Impression, reported by the player once the ad started
+const trackVideoImpression = async (req, res, next) => {
+    try {
+        const { valid, reason, payload } = verifyClickToken(req.params.token);
+        if (!valid) {
+            return next(tokenError(reason, 'Impression'));
+        }
+
+        res.set('Cache-Control', 'no-store');
+
+        const campaign = await Campaign.findById(payload.campaignId).select('budget frequencyCap');
+        if (!campaign) {
+            return next(new NotFoundError('Campaign not found'));
+        }
+
+        try {
+            await VideoImpression.create({ impressionId: payload.impressionId, campaign: campaign._id });
+        } catch (error) {
+            if (error.code !== 11000) {
+                throw error;
+            }
+            // Already counted
+            return res.status(204).end();
+        }
+
+        await recordImpression(campaign, {
+            placement: typeof req.query.placement === 'string' ? req.query.placement : undefined,
+            impressionId: payload.impressionId,
+            viewerId: getViewerId(req, res)
+        });
+
+        res.status(204).end();
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Track Click
+const trackClick = async (req, res, next) => {
+    try {
+        const { valid, reason, payload } = verifyClickToken(req.params.token);
+        const requestInfo = { ip: req.ip, userAgent: req.get('user-agent') };
+
+        // Refused clicks are only counted, so made-up links can't fill the
+        // database. Only the claims of a correctly signed token can be trusted.
+        if (!valid) {
+            if (reason === 'EXPIRED' && mongoose.isValidObjectId(payload.campaignId)) {
+                await Campaign.updateOne({ _id: payload.campaignId }, { $inc: { 'rejectedClicks.expired': 1 } });
+            } else {
+                console.warn(`Rejected forged click token from ${requestInfo.ip}`);
+            }
+            return next(tokenError(reason, 'Click'));
+        }
+
+        const campaign = await Campaign.findById(payload.campaignId);
+
+        if (!campaign) {
+            return next(new NotFoundError('Campaign not found'));
+        }
+
+        try {
+            await Click.create({
+                ...requestInfo,
+                status: 'VALID',
+                campaign: campaign._id,
+                creative: payload.creativeId,
+                impressionId: payload.impressionId
+            });
+        } catch (error) {
+            if (error.code !== 11000) {
+                throw error;
+            }
+            await Campaign.updateOne({ _id: campaign._id }, { $inc: { 'rejectedClicks.replayed': 1 } });
+            return next(new ConflictError('Click already recorded'));
+        }
+
+        await recordClick(campaign, { impressionId: payload.impressionId, creativeId: payload.creativeId });
+
+        // The click counts even when there is nowhere to send the viewer
+        const landingUrl = resolveLandingUrl(campaign);
+        if (!landingUrl) {
+            return next(new NotFoundError('Campaign has no landing page'));
+        }
+
+        res.redirect(302, landingUrl);
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    serveAd,
+    serveHtml5,
+    serveVast,
+    trackVideoImpression,
+    trackClick
+};
@@ -0,0 +1,174 @@
+const bcrypt = require('bcryptjs');
+const User = require('../models/User');
+const {
+    verifySecondFactor,
+    startEnrollment,
+    activate,
+    disable,
+    replaceRecoveryCodes
+} = require('../services/twoFactorService');
+const { getSecurityPolicy, updateSecurityPolicy } = require('../services/securityPolicy');
+const { getRetryAfter, reserveAttempt, recordSuccess } = require('../services/loginThrottle');
+const { revokeAllSessions } = require('../services/sessionService');
+const { ValidationError, AuthenticationError, ForbiddenError, NotFoundError, ConflictError, TooManyRequestsError, errorFromResult } = require('../utils/errors');
+
+// Codes asked for on a live session are guessed against the same limits as
+// at login, so a stolen session can't brute-force them. Returns the error to
+// pass on, or null once the check passed.
+const checkCodeThrottled = async (req, res, verify, failureMessage = 'Invalid code') => {
+    const attempt = { ip: req.ip, email: req.user.email };
+    const { retryAfter, reservation } = await reserveAttempt(attempt);
+    if (retryAfter > 0) {
+        res.set('Retry-After', String(Math.ceil(retryAfter / 1000)));
+        return new TooManyRequestsError('Too many failed attempts, please try again later');
+    }
+
+    if (!(await verify())) {
+        const wait = await getRetryAfter(attempt);
+        if (wait > 0) {
+            res.set('Retry-After', String(Math.ceil(wait / 1000)));
+        }
+        return new AuthenticationError(failureMessage);
+    }
+
+    await recordSuccess(reservation);
+    return null;
+};
+
+// Start Two-Factor Setup
+const setupTwoFactor = async (req, res, next) => {
+    try {
+        const result = await startEnrollment(req.user.userId);
+        if (result.error) {
+            return next(errorFromResult(result));
+        }
+
+        res.json({
+            message: 'Scan the otpauth URI with an authenticator app, then activate with a code from it',
+            secret: result.secret,
+            otpauthUri: result.otpauthUri
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Activate Two-Factor Authentication
+const activateTwoFactor = async (req, res, next) => {
+    try {
+        const { code } = req.body;
+
+        if (!code) {
+            return next(new ValidationError('Code is required'));
+        }
+
+        const result = await activate(req.user.userId, code);
+        if (result.error) {
+            return next(errorFromResult(result));
+        }
+
+        // Other sessions were started with the password alone, so they end here
+        await revokeAllSessions(req.user.userId, { except: req.user.sessionId });
+
+        res.json({
+            message: 'Two-factor authentication enabled. Store the recovery codes now, they cannot be shown again',
+            recoveryCodes: result.recoveryCodes
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Disable Two-Factor Authentication
+const disableTwoFactor = async (req, res, next) => {
+    try {
+        const { password, code, recoveryCode } = req.body;
+
+        const user = await User.findById(req.user.userId);
+        if (!user) {
+            return next(new NotFoundError('User not found'));
+        }
+        if (!user.twoFactor.enabled) {
+            return next(new ConflictError('Two-factor authentication is not enabled'));
+        }
+
+        if (user.role === 'ADMIN' && (await getSecurityPolicy()).requireTwoFactorForAdmins) {
+            return next(new ForbiddenError('Two-factor authentication is required for admins'));
+        }
+
+        // Both factors, so a stolen session alone can't turn 2FA off
+        const error = await checkCodeThrottled(req, res, async () => typeof password === 'string'
+            && await bcrypt.compare(password, user.password)
+            && verifySecondFactor(user._id, { code, recoveryCode }), 'Invalid password or code');
+        if (error) {
+            return next(error);
+        }
+
+        await disable(user._id);
+        res.json({ message: 'Two-factor authentication disabled' });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Regenerate Recovery Codes
+const regenerateRecoveryCodes = async (req, res, next) => {
+    try {
+        const { code } = req.body;
+
+        if (!code) {
+            return next(new ValidationError('Code is required'));
+        }
+        const error = await checkCodeThrottled(req, res, () => verifySecondFactor(req.user.userId, { code }));
+        if (error) {
+            return next(error);
+        }
+
+        const recoveryCodes = await replaceRecoveryCodes(req.user.userId);
+        res.json({
+            message: 'Recovery codes replaced. Store them now, they cannot be shown again',
+            recoveryCodes
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Get Security Policy (Admin only)
+const getPolicy = async (req, res, next) => {
+    try {
+        res.json(await getSecurityPolicy());
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Update Security Policy (Admin only)
+const updatePolicy = async (req, res, next) => {
+    try {
+        const { requireTwoFactorForAdmins } = req.body;
+
+        if (typeof requireTwoFactorForAdmins !== 'boolean') {
+            return next(new ValidationError('requireTwoFactorForAdmins must be a boolean'));
+        }
+
+        // Don't let an admin lock themselves out
+        if (requireTwoFactorForAdmins && !req.user.twoFactorEnabled) {
+            return next(new ConflictError('Enable two-factor authentication on your own account first'));
+        }
+
+        const policy = await updateSecurityPolicy({ requireTwoFactorForAdmins }, req.user.userId);
+        res.json({ message: 'Security policy updated successfully', policy });
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    setupTwoFactor,
+    activateTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes,
+    getPolicy,
+    updatePolicy
+};
@@ -1,187 +1,587 @@
 const User = require('../models/User');
+const LoginAttempt = require('../models/LoginAttempt');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
+const { createSession, refreshSession, revokeSession, revokeAllSessions } = require('../services/sessionService');
+const { getRetryAfter, reserveAttempt, releaseAttempt, recordSuccess } = require('../services/loginThrottle');
+const { issueChallenge, verifyChallenge, verifySecondFactor } = require('../services/twoFactorService');
+const { consumeToken, sendVerificationEmail, sendPasswordResetEmail } = require('../services/authTokenService');
+const { ROLES, SELF_SERVICE_ROLES, canBootstrapAdmin, claimAdminBootstrap, releaseAdminBootstrap, changeUserRole } = require('../services/roleService');
+const { createInvitation, getPendingInvitations, acceptInvitation, releaseInvitation, revokeInvitation } = require('../services/invitationService');
+const { parsePagination, parseSort, containsText, setContentRange } = require('../utils/listQuery');
+const { ValidationError, AuthenticationError, ForbiddenError, NotFoundError, ConflictError, TooManyRequestsError, errorFromResult } = require('../utils/errors');
 
-const register = async (req, res) => {
+const MIN_PASSWORD_LENGTH = 8;
+
+// Fields user lists can be sorted by
+const userSortFields = ['createdAt', 'fullName', 'email', 'companyName', 'role'];
+
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('not-a-real-password', 10);
+
+const auditFailedLogin = (req, reason, user) => LoginAttempt.create({
+    email: user?.email || (typeof req.body.email === 'string' ? req.body.email : undefined),
+    user: user?._id,
+    reason,
+    ip: req.ip,
+    userAgent: req.get('user-agent')
+});
+
+// Start a session for a user who just logged in
+const sendLoginSession = async (req, res, user) => {
+    const { token, refreshToken } = await createSession(user, req);
+
+    res.json({
+        message: 'Login successful',
+        token,
+        refreshToken,
+        user: {
+            id: user._id,
+            fullName: user.fullName,
+            email: user.email,
+            role: user.role
+        }
+    });
+};
+
+// Same answer whether or not the email exists
+const tooManyAttempts = (res, next, retryAfter) => {
+    res.set('Retry-After', String(Math.ceil(retryAfter / 1000)));
+    return next(new TooManyRequestsError('Too many failed login attempts, please try again later'));
+};
+
+const register = async (req, res, next) => {
     try {
-        const { fullName, companyName, email, password, role } = req.body;
+        const { fullName, companyName, email, password, invitationToken, bootstrapToken } = req.body;
+        let { role } = req.body;
 
-        // Validate role
-        const validRoles = ['USER', 'ADVERTISER', 'ADMIN'];
-        if (!validRoles.includes(role)) {
-            return res.status(400).json({ message: 'Invalid role' });
+        // Validate role; ADMIN needs an invitation or the bootstrap token
+        if (!invitationToken && !ROLES.includes(role)) {
+            return next(new ValidationError('Invalid role'));
+        }
+        const bootstrapping = !invitationToken && !SELF_SERVICE_ROLES.includes(role);
+        if (bootstrapping && !(await canBootstrapAdmin(bootstrapToken))) {
+            return next(new ForbiddenError('Admin accounts can only be created by invitation'));
         }
 
         // Check if user already exists
         const existingUser = await User.findOne({ email });
 
         if (existingUser) {
-            return res.status(400).json({ message: 'User already exists' });
+            return next(new ConflictError('User already exists'));
         }
 
         // Hash password
         const hashedPassword = await bcrypt.hash(password, 10);
 
-        // Create user
+        // The invitation decides the role, and its link proves the email address
+        let invitation = null;
+        if (invitationToken) {
+            invitation = await acceptInvitation(invitationToken, email);
+            if (!invitation) {
+                return next(new ValidationError('Invalid or expired invitation'));
+            }
+            role = invitation.role;
+        }
+
+        // Only one of concurrent bootstrap registrations becomes the first admin
+        if (bootstrapping && !(await claimAdminBootstrap())) {
+            return next(new ForbiddenError('Admin accounts can only be created by invitation'));
+        }
+
+        // Create user. The invitation or bootstrap stays usable if this fails.
         const user = await User.create({
             fullName,
             companyName,
             email,
             password: hashedPassword,
-            role
+            role,
+            emailVerified: Boolean(invitation),
+            emailVerifiedAt: invitation ? new Date() : undefined
+        }).catch(async (error) => {
+            await Promise.all([
+                invitation && releaseInvitation(invitation),
+                bootstrapping && releaseAdminBootstrap()
+            ]);
+            throw error;
         });
 
-        // Generate token
-        const token = jwt.sign(
-            { userId: user._id, email: user.email, role: user.role },
-            process.env.JWT_SECRET,
-            { expiresIn: '24h' }
-        );
+        // A failed email shouldn't fail the registration; the user can ask for a new one
+        if (!invitation) {
+            try {
+                await sendVerificationEmail(user);
+            } catch (error) {
+                console.error('Error sending verification email:', error);
+            }
+        }
+
+        // Start a session
+        const { token, refreshToken } = await createSession(user, req);
 
         res.status(201).json({
             message: 'User registered successfully',
             token,
+            refreshToken,
             user: {
                 id: user._id,
                 fullName: user.fullName,
                 email: user.email,
-                role: user.role
+                role: user.role,
+                emailVerified: user.emailVerified
             }
         });
     } catch (error) {
-        console.error('Registration error:', error);
-        res.status(500).json({ message: 'Error registering user' });
+        next(error);
     }
 };
 
-const login = async (req, res) => {
+const login = async (req, res, next) => {
     try {
         const { email, password } = req.body;
+        const attempt = { ip: req.ip, email };
+
+        // Refuse throttled attempts before looking anything up. The others
+        // count as failures until the password is right, so parallel guesses
+        // can't all get past the limits.
+        const { retryAfter, reservation } = await reserveAttempt(attempt);
+        if (retryAfter > 0) {
+            await auditFailedLogin(req, 'THROTTLED');
+            return tooManyAttempts(res, next, retryAfter);
+        }
 
         // Find user
         const user = await User.findOne({ email });
 
+        // Check password. Unknown emails are checked against a dummy hash so
+        // they take as long as wrong passwords.
+        const isValidPassword = await bcrypt.compare(String(password), user ? user.password : DUMMY_PASSWORD_HASH);
+
+        if (!user || !isValidPassword) {
+            const wait = await getRetryAfter(attempt);
+            await auditFailedLogin(req, user ? 'WRONG_PASSWORD' : 'UNKNOWN_EMAIL', user);
+            if (wait > 0) {
+                res.set('Retry-After', String(Math.ceil(wait / 1000)));
+            }
+            return next(new AuthenticationError('Invalid credentials'));
+        }
+
+        // With 2FA the password only earns a challenge. The account's earlier
+        // failures are kept until the second factor is right too.
+        if (user.twoFactor?.enabled) {
+            await releaseAttempt(reservation);
+            return res.json({
+                message: 'Two-factor authentication required',
+                twoFactorRequired: true,
+                challengeToken: issueChallenge(user)
+            });
+        }
+
+        await recordSuccess(reservation);
+        await sendLoginSession(req, res, user);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Login, second step: the challenge token and a code from the authenticator
+// app or a recovery code
+const loginTwoFactor = async (req, res, next) => {
+    try {
+        const { challengeToken, code, recoveryCode } = req.body;
+
+        if (typeof challengeToken !== 'string' || !challengeToken) {
+            return next(new ValidationError('Challenge token is required'));
+        }
+        if (!code && !recoveryCode) {
+            return next(new ValidationError('A code or a recovery code is required'));
+        }
+
+        const userId = verifyChallenge(challengeToken);
+        const user = userId && await User.findById(userId);
         if (!user) {
-            return res.status(401).json({ message: 'Invalid credentials' });
+            return next(new AuthenticationError('Invalid or expired challenge, please log in again'));
         }
 
-        // Check password
-        const isValidPassword = await bcrypt.compare(password, user.password);
+        // Codes are guessed against the same limits as passwords
+        const attempt = { ip: req.ip, email: user.email };
+        const { retryAfter, reservation } = await reserveAttempt(attempt);
+        if (retryAfter > 0) {
+            await auditFailedLogin(req, 'THROTTLED', user);
+            return tooManyAttempts(res, next, retryAfter);
+        }
 
-        if (!isValidPassword) {
-            return res.status(401).json({ message: 'Invalid credentials' });
+        if (!(await verifySecondFactor(user._id, { code, recoveryCode }))) {
+            const wait = await getRetryAfter(attempt);
+            await auditFailedLogin(req, 'WRONG_SECOND_FACTOR', user);
+            if (wait > 0) {
+                res.set('Retry-After', String(Math.ceil(wait / 1000)));
+            }
+            return next(new AuthenticationError('Invalid code'));
         }
 
-        // Generate token
-        const token = jwt.sign(
-            { userId: user._id, email: user.email, role: user.role },
-            process.env.JWT_SECRET,
-            { expiresIn: '24h' }
-        );
+        await recordSuccess(reservation);
+        await sendLoginSession(req, res, user);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Refresh Access Token
+const refresh = async (req, res, next) => {
+    try {
+        const { refreshToken } = req.body;
+
+        if (typeof refreshToken !== 'string' || !refreshToken) {
+            return next(new ValidationError('Refresh token is required'));
+        }
+
+        const session = await refreshSession(refreshToken);
+
+        if (!session) {
+            return next(new AuthenticationError('Invalid or expired refresh token'));
+        }
 
         res.json({
-            message: 'Login successful',
-            token,
-            user: {
-                id: user._id,
-                fullName: user.fullName,
-                email: user.email,
-                role: user.role
-            }
+            message: 'Token refreshed successfully',
+            token: session.token,
+            refreshToken: session.refreshToken
         });
     } catch (error) {
-        console.error('Login error:', error);
-        res.status(500).json({ message: 'Error logging in' });
+        next(error);
+    }
+};
+
+// Forgot Password
+const forgotPassword = async (req, res, next) => {
+    try {
+        const { email } = req.body;
+
+        if (typeof email !== 'string' || !email) {
+            return next(new ValidationError('Email is required'));
+        }
+
+        // The email goes out after the response, and a failed one is only
+        // logged, so neither the answer nor its timing tells who has an account
+        const user = await User.findOne({ email: email.toLowerCase() });
+        if (user) {
+            sendPasswordResetEmail(user).catch((error) => {
+                console.error('Error sending password reset email:', error);
+            });
+        }
+
+        res.json({ message: 'If an account exists for this email, a password reset link has been sent' });
+    } catch (error) {
+        next(error);
     }
 };
 
-// Get All Users
-const getAllUsers = async (req, res) => {
+// Reset Password
+const resetPassword = async (req, res, next) => {
     try {
-        const users = await User.find()
-            .select('userId fullName email companyName role')
-            .sort({ createdAt: -1 });
+        const { token, password } = req.body;
+
+        if (typeof token !== 'string' || !token) {
+            return next(new ValidationError('Reset token is required'));
+        }
+        if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+            return next(new ValidationError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`));
+        }
+
+        const userId = await consumeToken(token, 'PASSWORD_RESET');
+        if (!userId) {
+            return next(new ValidationError('Invalid or expired reset token'));
+        }
+
+        const hashedPassword = await bcrypt.hash(password, 10);
+        // Following the emailed link also proves the address
+        const user = await User.findByIdAndUpdate(userId, {
+            password: hashedPassword,
+            emailVerified: true,
+            emailVerifiedAt: new Date()
+        });
+        if (!user) {
+            return next(new NotFoundError('User not found'));
+        }
+
+        // Whoever knew the old password is logged out everywhere
+        await revokeAllSessions(user._id);
+
+        res.json({ message: 'Password reset successfully' });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Verify Email
+const verifyEmail = async (req, res, next) => {
+    try {
+        const { token } = req.body;
+
+        if (typeof token !== 'string' || !token) {
+            return next(new ValidationError('Verification token is required'));
+        }
+
+        const userId = await consumeToken(token, 'EMAIL_VERIFICATION');
+        if (!userId) {
+            return next(new ValidationError('Invalid or expired verification token'));
+        }
+
+        const user = await User.findByIdAndUpdate(userId, {
+            emailVerified: true,
+            emailVerifiedAt: new Date()
+        });
+        if (!user) {
+            return next(new NotFoundError('User not found'));
+        }
+
+        res.json({ message: 'Email verified successfully' });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Resend Verification Email
+const resendVerification = async (req, res, next) => {
+    try {
+        const user = await User.findById(req.user.userId);
+        if (!user) {
+            return next(new NotFoundError('User not found'));
+        }
+
+        if (user.emailVerified !== false) {
+            return next(new ConflictError('Email is already verified'));
+        }
+
+        await sendVerificationEmail(user);
+        res.json({ message: 'Verification email sent' });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Get All Users, a page at a time, with filters and search
+const getAllUsers = async (req, res, next) => {
+    try {
+        const { role, company, q, sort } = req.query;
+
+        const pagination = parsePagination(req.query);
+        const sorting = parseSort(sort, userSortFields, '-createdAt');
+        const queryError = pagination.error || sorting.error
+            || (role !== undefined && !ROLES.includes(role) && 'Invalid role')
+            || (company !== undefined && typeof company !== 'string' && 'company must be a single search term')
+            || (q !== undefined && typeof q !== 'string' && 'q must be a single search term');
+        if (queryError) {
+            return next(new ValidationError(queryError));
+        }
+
+        const filter = {
+            ...(role && { role }),
+            ...(company && { companyName: containsText(company) }),
+            ...(q && { $or: [{ fullName: containsText(q) }, { email: containsText(q) }] })
+        };
+
+        const [users, total] = await Promise.all([
+            User.find(filter)
+                .select('userId fullName email companyName role')
+                .sort(sorting.sort)
+                .skip(pagination.skip)
+                .limit(pagination.limit),
+            User.countDocuments(filter)
+        ]);
+
+        setContentRange(res, 'users', { skip: pagination.skip, count: users.length, total });
         res.json(users);
     } catch (error) {
-        console.error('Error fetching users:', error);
-        res.status(500).json({ message: 'Error fetching users' });
+        next(error);
     }
 };
 
 // Get User by ID
-const getUserById = async (req, res) => {
+const getUserById = async (req, res, next) => {
     try {
         const user = await User.findById(req.params.id)
             .select('userId fullName email companyName role');
         
         if (!user) {
-            return res.status(404).json({ message: 'User not found' });
+            return next(new NotFoundError('User not found'));
         }
         
         res.json(user);
     } catch (error) {
-        console.error('Error fetching user:', error);
-        res.status(500).json({ message: 'Error fetching user' });
+        next(error);
     }
 };
 
 // Update User
-const updateUser = async (req, res) => {
+const updateUser = async (req, res, next) => {
     try {
         const { fullName, companyName, email } = req.body;
         
         const user = await User.findById(req.params.id);
         if (!user) {
-            return res.status(404).json({ message: 'User not found' });
+            return next(new NotFoundError('User not found'));
         }
 
-        // Check if user is updating their own profile or is an admin
-     
+        // Only the user themselves or an admin gets here, see the user permissions
         user.fullName = fullName || user.fullName;
         user.companyName = companyName || user.companyName;
+        // A new address has to be verified again
+        const emailChanged = Boolean(email) && email.toLowerCase() !== user.email;
         user.email = email || user.email;
+        if (emailChanged) {
+            user.emailVerified = false;
+            user.emailVerifiedAt = undefined;
+        }
 
         await user.save();
+
+        if (emailChanged) {
+            try {
+                await sendVerificationEmail(user);
+            } catch (error) {
+                console.error('Error sending verification email:', error);
+            }
+        }
         res.json({ message: 'User updated successfully', user });
     } catch (error) {
-        console.error('Error updating user:', error);
-        res.status(500).json({ message: 'Error updating user' });
+        next(error);
     }
 };
 
 // Delete User
-const deleteUser = async (req, res) => {
+const deleteUser = async (req, res, next) => {
     try {
         const user = await User.findByIdAndDelete(req.params.id);
         if (!user) {
-            return res.status(404).json({ message: 'User not found' });
+            return next(new NotFoundError('User not found'));
         }
 
+        await revokeAllSessions(user._id);
+
         res.json({ message: 'User deleted successfully' });
     } catch (error) {
-        console.error('Error deleting user:', error);
-        res.status(500).json({ message: 'Error deleting user' });
+        next(error);
+    }
+};
+
+// Update User Role
+const updateUserRole = async (req, res, next) => {
+    try {
+        const { role } = req.body;
+
+        if (!ROLES.includes(role)) {
+            return next(new ValidationError('Invalid role'));
+        }
+
+        const result = await changeUserRole(req.params.id, role);
+        if (result.error) {
+            return next(errorFromResult(result));
+        }
+
+        res.json({
+            message: 'User role updated successfully',
+            user: {
+                id: result.user._id,
+                fullName: result.user.fullName,
+                email: result.user.email,
+                role: result.user.role
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Invite Admin
+const inviteAdmin = async (req, res, next) => {
+    try {
+        const { email } = req.body;
+
+        if (typeof email !== 'string' || !email) {
+            return next(new ValidationError('Email is required'));
+        }
+
+        if (await User.exists({ email: email.toLowerCase() })) {
+            return next(new ConflictError('User already exists; change their role instead'));
+        }
+
+        const inviter = await User.findById(req.user.userId);
+        const invitation = await createInvitation(email, inviter);
+
+        res.status(201).json({
+            message: 'Invitation sent successfully',
+            invitation: {
+                id: invitation._id,
+                email: invitation.email,
+                role: invitation.role,
+                expiresAt: invitation.expiresAt
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Get Pending Invitations
+const getInvitations = async (req, res, next) => {
+    try {
+        const invitations = await getPendingInvitations();
+        res.json(invitations);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Revoke Invitation
+const deleteInvitation = async (req, res, next) => {
+    try {
+        const invitation = await revokeInvitation(req.params.invitationId);
+        if (!invitation) {
+            return next(new NotFoundError('Invitation not found'));
+        }
+
+        res.json({ message: 'Invitation revoked successfully' });
+    } catch (error) {
+        next(error);
     }
 };
 
 // Logout
-const logout = async (req, res) => {
+const logout = async (req, res, next) => {
     try {
-        // Since we're using JWT, we don't need to do anything server-side
-        // The client should remove the token from their storage
+        // Revoking the session invalidates its access and refresh tokens
+        await revokeSession(req.user.sessionId);
         res.json({ message: 'Logged out successfully' });
     } catch (error) {
-        console.error('Error during logout:', error);
-        res.status(500).json({ message: 'Error during logout' });
+        next(error);
+    }
+};
+
+// Logout All Devices
+const logoutAll = async (req, res, next) => {
+    try {
+        await revokeAllSessions(req.user.userId);
+        res.json({ message: 'Logged out of all devices successfully' });
+    } catch (error) {
+        next(error);
     }
 };
 
 module.exports = {
     register,
     login,
+    loginTwoFactor,
+    refresh,
+    forgotPassword,
+    resetPassword,
+    verifyEmail,
+    resendVerification,
     getAllUsers,
     getUserById,
     updateUser,
     deleteUser,
-    logout
+    updateUserRole,
+    inviteAdmin,
+    getInvitations,
+    deleteInvitation,
+    logout,
+    logoutAll
 }; 
\ No newline at end of file
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+const multer = require('multer');
+const {
+    AppError,
+    ValidationError,
+    NotFoundError,
+    ConflictError,
+    PayloadTooLargeError
+} = require('../utils/errors');
+
+// Typed equivalent of errors raised by Mongoose, multer and the body
+// parser, or null for unexpected errors
+const fromLibraryError = (err) => {
+    if (err instanceof mongoose.Error.CastError) {
+        return new ValidationError(`Invalid ${err.path}`, {
+            errors: [{ field: err.path, message: err.kind === 'ObjectId' ? 'must be a valid id' : `must be a valid ${err.kind}` }]
+        });
+    }
+
+    if (err instanceof mongoose.Error.ValidationError) {
+        return new ValidationError('Validation failed', {
+            errors: Object.values(err.errors).map(error => ({ field: error.path, message: error.message }))
+        });
+    }
+
+    // Duplicate key. The conflicting value isn't echoed back.
+    if (err.code === 11000) {
+        const fields = Object.keys(err.keyPattern || err.keyValue || {});
+        return new ConflictError(fields.length > 0 ? `${fields.join(', ')} already in use` : 'Duplicate value', {
+            errors: fields.map(field => ({ field, message: 'is already in use' }))
+        });
+    }
+
+    if (err instanceof multer.MulterError) {
+        if (err.code === 'LIMIT_FILE_SIZE') {
+            return new PayloadTooLargeError('Uploaded file is too large');
+        }
+        return new ValidationError(err.message, {
+            errors: err.field ? [{ field: `body.${err.field}`, message: err.message }] : undefined
+        });
+    }
+
+    if (err.type === 'entity.too.large') {
+        return new PayloadTooLargeError('Request body is too large');
+    }
+    if (err.type === 'entity.parse.failed') {
+        return new ValidationError('Request body is not valid JSON');
+    }
+
+    return null;
+};
+
+// JSON 404 for requests no route matched
+const notFoundHandler = (req, res, next) => {
+    next(new NotFoundError(`Cannot ${req.method} ${req.path}`));
+};
+
+// Turn any error into a JSON response with a stable code and the request
+// id. Unexpected errors are logged and answered with a generic 500.
+const errorHandler = (err, req, res, next) => {
+    if (res.headersSent) {
+        return next(err);
+    }
+
+    const error = err instanceof AppError ? err : fromLibraryError(err);
+
+    if (!error || error.status >= 500) {
+        console.error(`Error [${req.id}] ${req.method} ${req.originalUrl}:`, err);
+    }
+    if (!error) {
+        return res.status(500).json({
+            message: 'Something went wrong!',
+            code: 'INTERNAL_ERROR',
+            requestId: req.id
+        });
+    }
+
+    res.status(error.status).json({
+        message: error.message,
+        code: error.code,
+        requestId: req.id,
+        ...(error.errors && { errors: error.errors })
+    });
+};
+
+module.exports = {
+    notFoundHandler,
+    errorHandler
+};
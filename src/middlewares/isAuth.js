@@ -1,28 +1,128 @@
 const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { isSessionActive } = require('../services/sessionService');
+const { mustEnrollTwoFactor } = require('../services/securityPolicy');
+const { authenticateApiKey, isApiKey } = require('../services/apiKeyService');
+const { AuthenticationError, ForbiddenError } = require('../utils/errors');
 
-const isAuth = (req, res, next) => {
+// Authenticate with an API key, acting as the user who created it within
+// the key's scopes
+const authenticateWithApiKey = async (key, req, res, next) => {
     try {
-        const token = req.headers.authorization?.split(' ')[1];
-        
-        if (!token) {
-            return res.status(401).json({ message: 'Authentication required' });
+        const result = await authenticateApiKey(key);
+        if (!result) {
+            return next(new AuthenticationError('Invalid, expired or revoked API key'));
         }
 
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        req.user = decoded;
+        const { apiKey, user } = result;
+        req.user = {
+            userId: String(user._id),
+            email: user.email,
+            role: user.role,
+            apiKeyId: apiKey._id,
+            scopes: apiKey.scopes,
+            organizationId: apiKey.organization && String(apiKey.organization),
+            twoFactorEnabled: user.twoFactor.enabled
+        };
         next();
     } catch (error) {
-        return res.status(401).json({ message: 'Invalid or expired token' });
+        next(error);
     }
 };
 
+const authenticate = async (req, res, next) => {
+    const token = req.headers.authorization?.split(' ')[1];
+    const apiKey = req.get('x-api-key') || (isApiKey(token) ? token : null);
+
+    if (apiKey) {
+        return authenticateWithApiKey(apiKey, req, res, next);
+    }
+    
+    if (!token) {
+        return next(new AuthenticationError('Authentication required'));
+    }
+
+    let decoded;
+    try {
+        decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+        return next(new AuthenticationError('Invalid or expired token'));
+    }
+
+    try {
+        // Tokens die with their session and with their user
+        const [sessionActive, user] = await Promise.all([
+            isSessionActive(decoded.sessionId),
+            User.findById(decoded.userId).select('twoFactor.enabled')
+        ]);
+        if (!sessionActive || !user) {
+            return next(new AuthenticationError('Invalid or expired token'));
+        }
+        req.user = { ...decoded, twoFactorEnabled: user.twoFactor.enabled };
+    } catch (error) {
+        return next(error);
+    }
+
+    next();
+};
+
+// The security policy may require admins to set up 2FA before anything else
+const enforceTwoFactorSetup = async (req, res, next) => {
+    try {
+        if (await mustEnrollTwoFactor(req.user)) {
+            return next(new ForbiddenError('Two-factor authentication is required for admins, set it up at /api/auth/2fa/setup', { code: 'TWO_FACTOR_SETUP_REQUIRED' }));
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+const isAuth = (req, res, next) => authenticate(req, res, (error) => (
+    error ? next(error) : enforceTwoFactorSetup(req, res, next)
+));
+
+// For the routes admins need before they have set up 2FA: setting it up,
+// and logging out
+const isAuthBeforeTwoFactorSetup = authenticate;
+
+// Identify callers who send credentials on routes open to everyone, e.g. to
+// show owners more of a resource
+const optionalAuth = (req, res, next) => {
+    if (!req.headers.authorization && !req.get('x-api-key')) {
+        return next();
+    }
+    return authenticate(req, res, next);
+};
+
+// For account and session management, which API keys may not do
+const requireSession = (req, res, next) => {
+    if (req.user.apiKeyId) {
+        return next(new ForbiddenError('This endpoint cannot be used with an API key'));
+    }
+    next();
+};
+
 const checkRole = (roles) => {
     return (req, res, next) => {
         if (!roles.includes(req.user.role)) {
-            return res.status(403).json({ message: 'Access denied' });
+            return next(new ForbiddenError('Access denied'));
         }
         next();
     };
 };
 
-module.exports = { isAuth, checkRole }; 
\ No newline at end of file
+// Block accounts that have not confirmed their email address yet
+const requireVerifiedEmail = async (req, res, next) => {
+    try {
+        const user = await User.findById(req.user.userId).select('emailVerified');
+        if (!user || user.emailVerified === false) {
+            return next(new ForbiddenError('Please verify your email address first', { code: 'EMAIL_NOT_VERIFIED' }));
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = { isAuth, isAuthBeforeTwoFactorSetup, optionalAuth, checkRole, requireSession, requireVerifiedEmail }; 
\ No newline at end of file
@@ -0,0 +1,148 @@
+const mongoose = require('mongoose');
+const Organization = require('../models/Organization');
+const { ORG_ROLES, CAMPAIGN_EDITORS, isMember, canAccessCampaign } = require('../services/organizationService');
+const { AuthenticationError, ForbiddenError, NotFoundError } = require('../utils/errors');
+
+const ALL_ROLES = ['USER', 'ADVERTISER', 'ADMIN'];
+
+// Who may do what, per resource and action. A rule grants the action to its
+// roles; with `owner` set, only on resources the caller owns, and for
+// organization-owned resources only with one of `orgRoles`. `public` rules
+// need no login at all. Actions without a matching rule are denied.
+const PERMISSIONS = {
+    user: {
+        list: [{ roles: ['ADMIN'] }],
+        read: [{ roles: ['ADMIN'] }, { roles: ['USER', 'ADVERTISER'], owner: 'self' }],
+        update: [{ roles: ['ADMIN'] }, { roles: ['USER', 'ADVERTISER'], owner: 'self' }],
+        delete: [{ roles: ['ADMIN'] }],
+        changeRole: [{ roles: ['ADMIN'] }],
+        invite: [{ roles: ['ADMIN'] }]
+    },
+    campaign: {
+        list: [{ public: true }],
+        read: [{ public: true }],
+        create: [{ roles: ['ADVERTISER'] }],
+        viewDashboard: [{ roles: ['USER', 'ADVERTISER'] }],
+        readAnalytics: [{ roles: ['ADMIN'] }, { roles: ['USER', 'ADVERTISER'], owner: 'campaign', orgRoles: ORG_ROLES }],
+        recordAnalytics: [{ roles: ['ADMIN'] }, { roles: ['ADVERTISER'], owner: 'campaign', orgRoles: CAMPAIGN_EDITORS }],
+        update: [{ roles: ['ADMIN'] }, { roles: ['ADVERTISER'], owner: 'campaign', orgRoles: CAMPAIGN_EDITORS }],
+        delete: [{ roles: ['ADMIN'] }, { roles: ['ADVERTISER'], owner: 'campaign', orgRoles: CAMPAIGN_EDITORS }],
+        changeStatus: [{ roles: ['ADMIN'] }, { roles: ['ADVERTISER'], owner: 'campaign', orgRoles: CAMPAIGN_EDITORS }],
+        readHistory: [{ roles: ['ADMIN'] }, { roles: ['USER', 'ADVERTISER'], owner: 'campaign', orgRoles: ORG_ROLES }],
+        manageCreatives: [{ roles: ['ADVERTISER'], owner: 'campaign', orgRoles: CAMPAIGN_EDITORS }],
+        moderate: [{ roles: ['ADMIN'] }]
+    },
+    organization: {
+        list: [{ roles: ALL_ROLES }],
+        create: [{ roles: ALL_ROLES }],
+        join: [{ roles: ALL_ROLES }],
+        read: [{ roles: ['ADMIN'] }, { roles: ['USER', 'ADVERTISER'], owner: 'organization', orgRoles: ORG_ROLES }],
+        manageMembers: [{ roles: ['ADMIN'] }, { roles: ['USER', 'ADVERTISER'], owner: 'organization', orgRoles: ['OWNER'] }]
+    },
+    apiKey: {
+        create: [{ roles: ['ADVERTISER', 'ADMIN'] }],
+        list: [{ roles: ['ADVERTISER', 'ADMIN'] }],
+        revoke: [{ roles: ['ADVERTISER', 'ADMIN'] }]
+    },
+    securityPolicy: {
+        read: [{ roles: ['ADMIN'] }],
+        update: [{ roles: ['ADMIN'] }]
+    }
+};
+
+// API key scope needed for each action. Actions without one can't be
+// performed with an API key.
+const API_KEY_SCOPES = {
+    campaign: {
+        list: 'campaigns:read',
+        read: 'campaigns:read',
+        create: 'campaigns:write',
+        update: 'campaigns:write',
+        delete: 'campaigns:write',
+        changeStatus: 'campaigns:write',
+        manageCreatives: 'campaigns:write',
+        readHistory: 'campaigns:read',
+        viewDashboard: 'analytics:read',
+        readAnalytics: 'analytics:read',
+        recordAnalytics: 'analytics:write'
+    }
+};
+
+// Ownership rules. Each resolves whether the caller owns the resource in
+// the request, or null when the resource doesn't exist.
+const OWNERSHIP = {
+    self: async (req) => req.params.id === String(req.user.userId),
+    campaign: async (req, rule) => {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return null;
+        }
+        return canAccessCampaign(req.params.id, req.user, rule.orgRoles);
+    },
+    organization: async (req, rule) => {
+        if (!mongoose.isValidObjectId(req.params.id) || !(await Organization.exists({ _id: req.params.id }))) {
+            return null;
+        }
+        return Boolean(await isMember(req.params.id, req.user.userId, rule.orgRoles));
+    }
+};
+
+// Find the rule granting the action to the caller, if any
+const findRule = (resource, action, user) => {
+    const rules = PERMISSIONS[resource]?.[action];
+    if (!rules) {
+        throw new Error(`No permissions defined for ${resource}:${action}`);
+    }
+    return rules.find(rule => rule.public || (user && rule.roles.includes(user.role)));
+};
+
+// Allow the request through only if the caller may perform the action.
+// Runs after isAuth on every route that isn't public.
+const authorize = (resource, action) => {
+    // Fail at startup rather than on the first request
+    findRule(resource, action);
+
+    return async (req, res, next) => {
+        const rule = findRule(resource, action, req.user);
+
+        if (!rule) {
+            if (!req.user) {
+                return next(new AuthenticationError('Authentication required'));
+            }
+            return next(new ForbiddenError('Access denied'));
+        }
+
+        if (rule.public) {
+            return next();
+        }
+
+        if (req.user.apiKeyId) {
+            const scope = API_KEY_SCOPES[resource]?.[action];
+            if (!scope || !req.user.scopes.includes(scope)) {
+                return next(new ForbiddenError(scope ? `API key lacks the ${scope} scope` : 'This action cannot be performed with an API key', { code: 'INSUFFICIENT_SCOPE' }));
+            }
+        }
+
+        try {
+            if (!rule.owner) {
+                return next();
+            }
+
+            const owns = await OWNERSHIP[rule.owner](req, rule);
+            if (owns === null) {
+                return next(new NotFoundError(`${resource.charAt(0).toUpperCase()}${resource.slice(1)} not found`));
+            }
+            if (!owns) {
+                return next(new ForbiddenError('Access denied'));
+            }
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+};
+
+module.exports = {
+    PERMISSIONS,
+    API_KEY_SCOPES,
+    authorize
+};
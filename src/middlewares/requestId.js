@@ -0,0 +1,15 @@
+const crypto = require('crypto');
+
+// Ids set by the proxy in front of the app are kept if they look sane
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Tag each request with an id, returned in the X-Request-Id header and in
+// error responses so a failure can be matched to its log entry
+const requestId = (req, res, next) => {
+    const incoming = req.get('X-Request-Id');
+    req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    res.set('X-Request-Id', req.id);
+    next();
+};
+
+module.exports = { requestId };
@@ -0,0 +1,97 @@
+const fs = require('fs');
+const multer = require('multer');
+const { SNIFF_LENGTH, sniffImageFormat } = require('../utils/images');
+const { sniffMediaFormat } = require('../utils/richMedia');
+const { ValidationError } = require('../utils/errors');
+
+// Uploads are written here first and removed once the request is done
+const UPLOAD_DIR = 'uploads/';
+
+fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+
+// Configure multer for file upload
+const storage = multer.diskStorage({
+    destination: function (req, file, cb) {
+        cb(null, UPLOAD_DIR);
+    },
+    // The client's extension isn't trusted, the format is sniffed instead
+    filename: function (req, file, cb) {
+        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+        cb(null, file.fieldname + '-' + uniqueSuffix);
+    }
+});
+
+const upload = multer({
+    storage: storage,
+    limits: {
+        fileSize: 5 * 1024 * 1024 // 5MB limit
+    }
+});
+
+// HTML5 bundles and videos
+const uploadLarge = multer({
+    storage: storage,
+    limits: {
+        fileSize: 20 * 1024 * 1024 // 20MB limit
+    }
+});
+
+// Delete the temp file once the response has been sent, whether the upload
+// was stored or the request failed
+const removeTempFile = (req, res, next) => {
+    if (req.file) {
+        res.once('close', () => {
+            fs.rm(req.file.path, { force: true }, (error) => {
+                if (error) {
+                    console.error(`Error removing temp file ${req.file.path}:`, error);
+                }
+            });
+        });
+    }
+    next();
+};
+
+const readHead = async (filePath) => {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+        const { buffer, bytesRead } = await handle.read(Buffer.alloc(SNIFF_LENGTH), 0, SNIFF_LENGTH, 0);
+        return buffer.subarray(0, bytesRead);
+    } finally {
+        await handle.close();
+    }
+};
+
+// Reject uploads whose content isn't of an accepted format, whatever
+// mimetype the client claimed. The sniffed format is kept on req.file.format.
+const checkContent = (sniff, message, expected) => async (req, res, next) => {
+    if (!req.file) {
+        return next();
+    }
+    try {
+        req.file.format = sniff(await readHead(req.file.path));
+        if (!req.file.format) {
+            return next(new ValidationError(message, {
+                errors: [{ field: `body.${req.file.fieldname}`, message: `must be ${expected}` }]
+            }));
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Accept a single image in the given form field
+const uploadImage = (field) => [
+    upload.single(field),
+    removeTempFile,
+    checkContent(sniffImageFormat, 'Not an image! Please upload a JPEG, PNG, GIF or WebP image.', 'a JPEG, PNG, GIF or WebP image')
+];
+
+// Accept a single HTML5 zip bundle or MP4 video in the given form field
+const uploadRichMedia = (field) => [
+    uploadLarge.single(field),
+    removeTempFile,
+    checkContent(sniffMediaFormat, 'Please upload an HTML5 zip bundle or an MP4 video.', 'a zip bundle or an MP4 video')
+];
+
+module.exports = { uploadImage, uploadRichMedia };
@@ -0,0 +1,79 @@
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const { objectId, nonEmptyString } = require('../schemas/common');
+const { ValidationError } = require('../utils/errors');
+
+// Form fields and query strings arrive as strings, so values are coerced to
+// the schema's types. The coerced values replace the originals on req.
+const ajv = new Ajv({ allErrors: true, coerceTypes: true });
+addFormats(ajv);
+
+// Dates may be given without a time or timezone, not just as full RFC 3339
+// timestamps
+ajv.addFormat('date-time', (value) => /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/i.test(value)
+    && !Number.isNaN(Date.parse(value)));
+
+// Readable message for a failing field
+const describe = (error) => {
+    switch (error.keyword) {
+        case 'required':
+            return 'is required';
+        case 'additionalProperties':
+            return 'is not allowed';
+        case 'enum':
+            return `must be one of ${error.params.allowedValues.join(', ')}`;
+        case 'pattern':
+            if (error.params.pattern === objectId.pattern) {
+                return 'must be a valid id';
+            }
+            return error.params.pattern === nonEmptyString.pattern ? 'must not be blank' : error.message;
+        case 'minLength':
+            return error.params.limit === 1 ? 'must not be blank' : error.message;
+        default:
+            return error.message;
+    }
+};
+
+// Dotted path of the failing field, e.g. body.budget.rate
+const fieldOf = (location, error) => {
+    const segments = error.instancePath.split('/').filter(Boolean);
+    const property = error.params.missingProperty || error.params.additionalProperty;
+    if (property) {
+        segments.push(property);
+    }
+    return [location, ...segments].join('.');
+};
+
+// Validate the request's params, query and body against the given schemas,
+// failing with a ValidationError that lists every failing field
+const validate = (schemas) => {
+    const validators = Object.entries(schemas).map(([location, schema]) => [location, ajv.compile(schema)]);
+
+    return (req, res, next) => {
+        const errors = new Map();
+
+        for (const [location, check] of validators) {
+            // multer leaves req.body unset when nothing was sent
+            if (location === 'body' && req.body === undefined) {
+                req.body = {};
+            }
+            if (!check(req[location])) {
+                for (const error of check.errors) {
+                    const field = fieldOf(location, error);
+                    if (!errors.has(field)) {
+                        errors.set(field, describe(error));
+                    }
+                }
+            }
+        }
+
+        if (errors.size > 0) {
+            return next(new ValidationError('Validation failed', {
+                errors: [...errors].map(([field, message]) => ({ field, message }))
+            }));
+        }
+        next();
+    };
+};
+
+module.exports = { validate };
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// Impressions and clicks of a campaign within one hour or one day (UTC)
+const analyticsRollupSchema = new mongoose.Schema({
+    campaign: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Campaign',
+        required: true
+    },
+    granularity: {
+        type: String,
+        enum: ['hour', 'day'],
+        required: true
+    },
+    bucket: {
+        type: Date,
+        required: true
+    },
+    impressions: {
+        type: Number,
+        default: 0
+    },
+    clicks: {
+        type: Number,
+        default: 0
+    }
+});
+
+analyticsRollupSchema.index({ campaign: 1, granularity: 1, bucket: 1 }, { unique: true });
+
+module.exports = mongoose.model('AnalyticsRollup', analyticsRollupSchema);
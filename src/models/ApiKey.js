@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+const { API_KEY_SCOPES } = require('../utils/apiKeys');
+
+// Key for server-to-server calls, acting on behalf of the user who created it
+const apiKeySchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Keys created for an organization only act on its campaigns
+    organization: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Organization'
+    },
+    // Start of the key, shown in listings so keys can be told apart
+    prefix: {
+        type: String,
+        required: true
+    },
+    // SHA-256 of the key; the key itself is only shown once, when created
+    keyHash: {
+        type: String,
+        required: true
+    },
+    scopes: [{
+        type: String,
+        enum: API_KEY_SCOPES
+    }],
+    expiresAt: {
+        type: Date
+    },
+    lastUsedAt: {
+        type: Date
+    },
+    revokedAt: {
+        type: Date
+    }
+}, {
+    timestamps: true
+});
+
+apiKeySchema.index({ keyHash: 1 }, { unique: true });
+apiKeySchema.index({ user: 1 });
+apiKeySchema.index({ organization: 1 });
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
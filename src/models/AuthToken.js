@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// Single-use token sent by email, e.g. to reset a password
+const authTokenSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    purpose: {
+        type: String,
+        enum: ['PASSWORD_RESET', 'EMAIL_VERIFICATION'],
+        required: true
+    },
+    // SHA-256 of the token; the token itself only exists in the email
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    usedAt: {
+        type: Date
+    }
+}, {
+    timestamps: true
+});
+
+authTokenSchema.index({ user: 1, purpose: 1 });
+// Let MongoDB remove tokens once they have expired
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AuthToken', authTokenSchema);
@@ -1,11 +1,154 @@
 const mongoose = require('mongoose');
+const { isValidLandingUrl } = require('../utils/landingUrl');
+const { WEEKDAYS, isValidTimezone } = require('../utils/schedule');
+const { DEVICE_CLASSES } = require('../utils/targeting');
+const { IMAGE_FORMATS } = require('../utils/images');
+const { RICH_MEDIA_KINDS } = require('../utils/richMedia');
+
+// One step of a campaign's review by an admin
+const moderationEntrySchema = new mongoose.Schema({
+    action: {
+        type: String,
+        enum: ['SUBMITTED', 'RESUBMITTED', 'APPROVED', 'REJECTED'],
+        required: true
+    },
+    // Campaign status after the action
+    status: String,
+    reason: String,
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    at: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+// A resized copy of an uploaded image, picked at serve time by screen density
+// and WebP support
+const renditionSchema = new mongoose.Schema({
+    width: Number,
+    height: Number,
+    // 2 for the copy meant for high-DPI screens
+    density: Number,
+    format: {
+        type: String,
+        enum: IMAGE_FORMATS
+    },
+    url: String,
+    // Media storage key, for removing it
+    key: String
+}, { _id: false });
+
+// An HTML5 bundle or video served by an INTERACTIVE campaign. The campaign's
+// image remains its backup, shown where rich media can't play.
+const richMediaSchema = new mongoose.Schema({
+    kind: {
+        type: String,
+        enum: RICH_MEDIA_KINDS,
+        required: true
+    },
+    width: Number,
+    height: Number,
+    // HTML5: the bundle's index.html, served with its click tag filled in
+    html: String,
+    // HTML5: URL the bundle's files are stored under. VIDEO: the MP4 file.
+    url: String,
+    // VIDEO: length in seconds
+    duration: Number,
+    // Media storage keys of every stored file, for removing them
+    keys: [String]
+}, { _id: false });
+
+// A creative variant competing with the others in an A/B test
+const creativeSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true
+    },
+    headline: {
+        type: String,
+        required: true
+    },
+    body: {
+        type: String,
+        required: true
+    },
+    callToAction: {
+        type: String,
+        required: true
+    },
+    imageUrl: {
+        type: String,
+        required: true
+    },
+    // Media storage key of the image, for removing it
+    imageKey: String,
+    renditions: [renditionSchema],
+    // Share of traffic under the WEIGHTED split
+    weight: {
+        type: Number,
+        min: 0,
+        default: 1
+    },
+    analytics: {
+        impressions: {
+            type: Number,
+            default: 0
+        },
+        clicks: {
+            type: Number,
+            default: 0
+        }
+    }
+}, {
+    timestamps: true
+});
+
+const targetingRule = (options) => new mongoose.Schema({
+    include: [{ type: String, ...options }],
+    exclude: [{ type: String, ...options }]
+}, { _id: false });
+
+// Viewer attributes a campaign is restricted to, evaluated at serve time
+const targetingSchema = new mongoose.Schema({
+    countries: targetingRule({ uppercase: true }),
+    devices: targetingRule({ lowercase: true, enum: DEVICE_CLASSES }),
+    languages: targetingRule({ lowercase: true }),
+    referrers: targetingRule({ lowercase: true })
+}, { _id: false });
+
+// A weekly window, in the campaign's timezone, during which it may serve
+const daypartSchema = new mongoose.Schema({
+    days: [{
+        type: String,
+        enum: WEEKDAYS
+    }],
+    // HH:MM, end exclusive
+    start: {
+        type: String,
+        required: true
+    },
+    end: {
+        type: String,
+        required: true
+    }
+}, { _id: false });
 
 const campaignSchema = new mongoose.Schema({
+    // The user who created the campaign
     advertiser: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
         required: true
     },
+    // The organization owning the campaign. Campaigns created before
+    // organizations existed have none and belong to their advertiser alone.
+    organization: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Organization'
+    },
     campaignName: {
         type: String,
         required: true
@@ -35,11 +178,112 @@ const campaignSchema = new mongoose.Schema({
         type: String,
         required: true
     },
+    // Media storage key of the image, for removing it. Unset on images
+    // uploaded before media storage kept keys.
+    imageKey: String,
+    // Unset on images uploaded before renditions were generated
+    renditions: [renditionSchema],
+    richMedia: richMediaSchema,
+    // Variants served instead of the headline, body, callToAction and imageUrl
+    // above while an A/B test is running
+    creatives: [creativeSchema],
+    creativeSplit: {
+        type: String,
+        enum: ['EVEN', 'WEIGHTED', 'THOMPSON'],
+        default: 'EVEN'
+    },
+    landingUrl: {
+        type: String,
+        validate: {
+            validator: isValidLandingUrl,
+            message: 'Landing URL must be a valid http(s) URL'
+        }
+    },
+    // Appended to the landing URL as utm_* query parameters on click
+    utm: {
+        source: String,
+        medium: String,
+        campaign: String,
+        content: String
+    },
     status: {
         type: String,
-        enum: ['PENDING', 'ACTIVE', 'PAUSED', 'COMPLETED'],
+        enum: ['PENDING', 'ACTIVE', 'PAUSED', 'COMPLETED', 'REJECTED'],
         default: 'PENDING'
     },
+    moderation: {
+        // Unset on campaigns created before moderation was introduced
+        state: {
+            type: String,
+            enum: ['IN_REVIEW', 'APPROVED', 'REJECTED']
+        },
+        history: [moderationEntrySchema]
+    },
+    // Flight dates: the scheduler activates the campaign at startDate and
+    // completes it at endDate
+    startDate: Date,
+    endDate: Date,
+    timezone: {
+        type: String,
+        default: 'UTC',
+        validate: {
+            validator: isValidTimezone,
+            message: 'Invalid timezone'
+        }
+    },
+    dayparts: [daypartSchema],
+    targeting: targetingSchema,
+    // At most `impressions` impressions per viewer within `windowHours`
+    frequencyCap: {
+        impressions: {
+            type: Number,
+            min: 1
+        },
+        windowHours: {
+            type: Number,
+            min: 1
+        }
+    },
+    // Relative share of traffic when several campaigns are eligible to serve
+    weight: {
+        type: Number,
+        min: 0,
+        default: 1
+    },
+    budget: {
+        pricingModel: {
+            type: String,
+            enum: ['CPM', 'CPC'],
+            default: 'CPM'
+        },
+        // Price per thousand impressions (CPM) or per click (CPC)
+        rate: {
+            type: Number,
+            min: 0,
+            default: 0
+        },
+        // Caps are unlimited when unset
+        total: {
+            type: Number,
+            min: 0
+        },
+        daily: {
+            type: Number,
+            min: 0
+        },
+        spent: {
+            type: Number,
+            default: 0
+        },
+        spentToday: {
+            type: Number,
+            default: 0
+        },
+        // UTC day (YYYY-MM-DD) that spentToday refers to
+        spentDate: String,
+        // Set when the daily cap paused the campaign, cleared when it resumes
+        pausedUntil: Date
+    },
     analytics: {
         impressions: {
             type: Number,
@@ -53,11 +297,28 @@ const campaignSchema = new mongoose.Schema({
             type: Number,
             default: 0
         }
+    },
+    // Clicks refused with a correctly signed token, only counted
+    rejectedClicks: {
+        expired: {
+            type: Number,
+            default: 0
+        },
+        replayed: {
+            type: Number,
+            default: 0
+        }
     }
 }, {
     timestamps: true
 });
 
+campaignSchema.index({ status: 1, startDate: 1 });
+campaignSchema.index({ status: 1, endDate: 1 });
+campaignSchema.index({ organization: 1 });
+// Campaign list search
+campaignSchema.index({ campaignName: 'text', headline: 'text' });
+
 // Calculate CTR before saving
 campaignSchema.pre('save', function(next) {
     if (this.analytics.impressions > 0) {
@@ -66,4 +327,27 @@ campaignSchema.pre('save', function(next) {
     next();
 });
 
+// Increment analytics counters atomically, keeping CTR in sync
+campaignSchema.statics.incrementAnalytics = function(campaignId, { impressions = 0, clicks = 0 }) {
+    return this.updateOne({ _id: campaignId }, [
+        {
+            $set: {
+                'analytics.impressions': { $add: [{ $ifNull: ['$analytics.impressions', 0] }, impressions] },
+                'analytics.clicks': { $add: [{ $ifNull: ['$analytics.clicks', 0] }, clicks] }
+            }
+        },
+        {
+            $set: {
+                'analytics.ctr': {
+                    $cond: [
+                        { $gt: ['$analytics.impressions', 0] },
+                        { $multiply: [{ $divide: ['$analytics.clicks', '$analytics.impressions'] }, 100] },
+                        0
+                    ]
+                }
+            }
+        }
+    ]);
+};
+
 module.exports = mongoose.model('Campaign', campaignSchema);
\ No newline at end of file
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// One change of a campaign's status
+const campaignTransitionSchema = new mongoose.Schema({
+    campaign: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Campaign',
+        required: true
+    },
+    from: {
+        type: String,
+        required: true
+    },
+    to: {
+        type: String,
+        required: true
+    },
+    // Unset for transitions made by the scheduler or budget tracking alone
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    actorRole: {
+        type: String,
+        enum: ['ADVERTISER', 'ADMIN', 'SYSTEM'],
+        required: true
+    },
+    reason: String,
+    at: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+campaignTransitionSchema.index({ campaign: 1, at: -1 });
+
+module.exports = mongoose.model('CampaignTransition', campaignTransitionSchema);
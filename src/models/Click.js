@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+const clickSchema = new mongoose.Schema({
+    campaign: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Campaign'
+    },
+    // Creative variant the click was served with, when the campaign has variants
+    creative: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+    impressionId: {
+        type: String
+    },
+    status: {
+        type: String,
+        enum: ['VALID', 'FORGED', 'EXPIRED', 'REPLAYED'],
+        required: true
+    },
+    ip: {
+        type: String
+    },
+    userAgent: {
+        type: String
+    }
+}, {
+    timestamps: true
+});
+
+// A served impression can only ever be credited with one click
+clickSchema.index(
+    { impressionId: 1 },
+    { unique: true, partialFilterExpression: { status: 'VALID' } }
+);
+clickSchema.index({ campaign: 1, status: 1 });
+
+module.exports = mongoose.model('Click', clickSchema);
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// Impressions of one campaign seen by one viewer within the current capping window
+const frequencyCounterSchema = new mongoose.Schema({
+    campaign: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Campaign',
+        required: true
+    },
+    viewerId: {
+        type: String,
+        required: true
+    },
+    count: {
+        type: Number,
+        default: 0
+    },
+    windowStart: {
+        type: Date,
+        required: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+});
+
+frequencyCounterSchema.index({ viewerId: 1, campaign: 1 }, { unique: true });
+frequencyCounterSchema.index({ campaign: 1, expiresAt: 1 });
+// Let MongoDB remove counters once their window has passed
+frequencyCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('FrequencyCounter', frequencyCounterSchema);
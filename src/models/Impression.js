@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// A served impression, kept with the placement it was served to so
+// impressions can be reported per placement
+const impressionSchema = new mongoose.Schema({
+    impressionId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    campaign: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Campaign',
+        required: true
+    },
+    // Creative variant served, when the campaign has variants
+    creative: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+    placement: {
+        type: String
+    },
+    at: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+impressionSchema.index({ campaign: 1, placement: 1, at: 1 });
+
+module.exports = mongoose.model('Impression', impressionSchema);
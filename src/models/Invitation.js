@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// Invitation to register with a role that can't be self-assigned
+const invitationSchema = new mongoose.Schema({
+    email: {
+        type: String,
+        required: true,
+        lowercase: true
+    },
+    role: {
+        type: String,
+        enum: ['ADMIN'],
+        default: 'ADMIN'
+    },
+    // SHA-256 of the token; the token itself only exists in the email
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    invitedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    acceptedAt: {
+        type: Date
+    }
+}, {
+    timestamps: true
+});
+
+invitationSchema.index({ email: 1 });
+// Let MongoDB remove invitations once they have expired
+invitationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Invitation', invitationSchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// Audit record of a failed or refused login
+const loginAttemptSchema = new mongoose.Schema({
+    email: {
+        type: String,
+        lowercase: true
+    },
+    // Set when the email belongs to an account
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    reason: {
+        type: String,
+        enum: ['UNKNOWN_EMAIL', 'WRONG_PASSWORD', 'WRONG_SECOND_FACTOR', 'THROTTLED'],
+        required: true
+    },
+    ip: {
+        type: String
+    },
+    userAgent: {
+        type: String
+    },
+    at: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+loginAttemptSchema.index({ email: 1, at: -1 });
+loginAttemptSchema.index({ ip: 1, at: -1 });
+// Keep the audit trail for 90 days
+loginAttemptSchema.index({ at: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+const memberSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    role: {
+        type: String,
+        enum: ['OWNER', 'MANAGER', 'VIEWER'],
+        required: true
+    },
+    joinedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+// Pending invitation to join by email
+const invitationSchema = new mongoose.Schema({
+    email: {
+        type: String,
+        required: true,
+        lowercase: true
+    },
+    role: {
+        type: String,
+        enum: ['OWNER', 'MANAGER', 'VIEWER'],
+        required: true
+    },
+    // SHA-256 of the token; the token itself only exists in the email
+    tokenHash: {
+        type: String,
+        required: true
+    },
+    invitedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+});
+
+const organizationSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    members: [memberSchema],
+    invitations: [invitationSchema]
+}, {
+    timestamps: true
+});
+
+organizationSchema.index({ 'members.user': 1 });
+organizationSchema.index({ 'invitations.tokenHash': 1 });
+
+module.exports = mongoose.model('Organization', organizationSchema);
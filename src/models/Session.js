@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// A logged-in device. Access tokens reference the session so it can be revoked.
+const sessionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // SHA-256 of the current refresh token; the token itself is never stored
+    refreshTokenHash: {
+        type: String,
+        required: true
+    },
+    // Hash of the token it replaced, to detect reuse of a rotated token
+    previousRefreshTokenHash: {
+        type: String
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: {
+        type: Date
+    },
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+    userAgent: {
+        type: String
+    },
+    ip: {
+        type: String
+    }
+}, {
+    timestamps: true
+});
+
+sessionSchema.index({ refreshTokenHash: 1 }, { unique: true });
+sessionSchema.index({ previousRefreshTokenHash: 1 });
+sessionSchema.index({ user: 1 });
+// Let MongoDB remove sessions once they can no longer be refreshed
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
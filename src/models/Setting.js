@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// Platform-wide setting changed at runtime by admins
+const settingSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    value: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('Setting', settingSchema);
@@ -23,6 +23,43 @@ const userSchema = new mongoose.Schema({
         type: String,
         enum: ['USER', 'ADVERTISER', 'ADMIN'],
         default: 'USER'
+    },
+    // No default: accounts created before verification existed count as verified
+    emailVerified: {
+        type: Boolean
+    },
+    emailVerifiedAt: {
+        type: Date
+    },
+    // TOTP two-factor authentication. Secrets and recovery codes are only
+    // loaded when explicitly selected.
+    twoFactor: {
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        secret: {
+            type: String,
+            select: false
+        },
+        // Secret being enrolled, until a first code confirms it
+        pendingSecret: {
+            type: String,
+            select: false
+        },
+        // SHA-256 hashes of the unused recovery codes
+        recoveryCodes: {
+            type: [String],
+            select: false
+        },
+        // Time step of the last accepted code, so a code can't be used twice
+        lastUsedStep: {
+            type: Number,
+            select: false
+        },
+        enabledAt: {
+            type: Date
+        }
     }
 }, {
     timestamps: true
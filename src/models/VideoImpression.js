@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// A video impression reported by a player through the VAST Impression URL.
+// Recorded once per served ad, so a repeated beacon is never counted twice.
+const videoImpressionSchema = new mongoose.Schema({
+    impressionId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    campaign: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Campaign',
+        required: true
+    },
+    at: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Impression tokens have expired long before records are dropped
+videoImpressionSchema.index({ at: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('VideoImpression', videoImpressionSchema);
@@ -0,0 +1,125 @@
+const express = require('express');
+const router = express.Router();
+const { isAuth, requireSession } = require('../middlewares/isAuth');
+const { authorize } = require('../middlewares/permissions');
+const { validate } = require('../middlewares/validate');
+const { idParams } = require('../schemas/common');
+const { CreateApiKeyRequest } = require('../schemas/apiKeySchemas');
+const { createKey, getKeys, revokeKey } = require('../controllers/apiKeyController');
+
+/**
+ * @swagger
+ * tags:
+ *   name: API Keys
+ *   description: Keys for server-to-server integrations. Send a key in the X-API-Key header, or as a Bearer token; it acts as the user who created it, limited to its scopes.
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ApiKey:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *         prefix:
+ *           type: string
+ *           description: Start of the key, to tell keys apart
+ *         scopes:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [campaigns:read, campaigns:write, analytics:read, analytics:write]
+ *         organization:
+ *           type: string
+ *           description: Organization whose campaigns the key is limited to
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         lastUsedAt:
+ *           type: string
+ *           format: date-time
+ *         revokedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/keys:
+ *   post:
+ *     summary: Create an API key
+ *     description: The key is only returned in this response. Organization keys can be created by the organization's owners and managers.
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CreateApiKeyRequest'
+ *     responses:
+ *       201:
+ *         description: API key created; the response holds the key itself
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ */
+router.post('/', isAuth, requireSession, validate({ body: CreateApiKeyRequest }), authorize('apiKey', 'create'), createKey);
+
+/**
+ * @swagger
+ * /api/keys:
+ *   get:
+ *     summary: List your API keys and those of organizations you own
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: API keys, without the keys themselves
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ApiKey'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ */
+router.get('/', isAuth, requireSession, authorize('apiKey', 'list'), getKeys);
+
+/**
+ * @swagger
+ * /api/keys/{id}:
+ *   delete:
+ *     summary: Revoke an API key
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *     responses:
+ *       200:
+ *         description: API key revoked successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: API key not found
+ */
+router.delete('/:id', isAuth, requireSession, validate({ params: idParams('id') }), authorize('apiKey', 'revoke'), revokeKey);
+
+module.exports = router;
@@ -1,6 +1,38 @@
 const express = require('express');
 const router = express.Router();
-const { register, login } = require('../controllers/userController');
+const { isAuth, isAuthBeforeTwoFactorSetup, requireSession } = require('../middlewares/isAuth');
+const { authorize } = require('../middlewares/permissions');
+const { validate } = require('../middlewares/validate');
+const {
+    RegisterRequest,
+    LoginRequest,
+    TwoFactorLoginRequest,
+    RefreshRequest,
+    ForgotPasswordRequest,
+    ResetPasswordRequest,
+    VerifyEmailRequest,
+    TwoFactorCodeRequest,
+    DisableTwoFactorRequest,
+    SecurityPolicyRequest
+} = require('../schemas/authSchemas');
+const {
+    register,
+    login,
+    loginTwoFactor,
+    refresh,
+    forgotPassword,
+    resetPassword,
+    verifyEmail,
+    resendVerification
+} = require('../controllers/userController');
+const {
+    setupTwoFactor,
+    activateTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes,
+    getPolicy,
+    updatePolicy
+} = require('../controllers/twoFactorController');
 
 /**
  * @swagger
@@ -13,59 +45,353 @@ const { register, login } = require('../controllers/userController');
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - fullName
- *               - companyName
- *               - email
- *               - password
- *               - role
- *             properties:
- *               fullName:
- *                 type: string
- *               companyName:
- *                 type: string
- *               email:
- *                 type: string
- *               password:
- *                 type: string
- *               role:
- *                 type: string
- *                 enum: [USER, ADVERTISER, ADMIN]
+ *             $ref: '#/components/schemas/RegisterRequest'
  *     responses:
  *       201:
- *         description: User registered successfully
+ *         description: User registered successfully, returns an access token and a refresh token. A verification link is emailed to the user.
  *       400:
- *         description: Invalid input
+ *         description: Invalid input, or invalid or expired invitation
+ *       403:
+ *         description: Admin accounts can only be created by invitation
+ *       409:
+ *         description: User already exists
  */
-router.post('/register', register);
+router.post('/register', validate({ body: RegisterRequest }), register);
 
 /**
  * @swagger
  * /api/auth/login:
  *   post:
  *     summary: Login user
+ *     description: Failed attempts are limited per IP and per account. After a few failures each further one blocks login for exponentially longer, and repeated failures lock the account temporarily.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/LoginRequest'
+ *     responses:
+ *       200:
+ *         description: Login successful, returns an access token and a refresh token. With two-factor authentication enabled it returns `twoFactorRequired` and a `challengeToken` for POST /api/auth/login/2fa instead.
+ *       401:
+ *         description: Invalid credentials. Retry-After is set when further attempts are blocked for a while.
+ *         headers:
+ *           Retry-After:
+ *             schema:
+ *               type: integer
+ *             description: Seconds until the next attempt is allowed
+ *       429:
+ *         description: Too many failed login attempts
+ *         headers:
+ *           Retry-After:
+ *             schema:
+ *               type: integer
+ *             description: Seconds until the next attempt is allowed
+ */
+router.post('/login', validate({ body: LoginRequest }), login);
+
+/**
+ * @swagger
+ * /api/auth/login/2fa:
+ *   post:
+ *     summary: Complete a login with two-factor authentication
+ *     description: Takes the challenge token from POST /api/auth/login, valid for 5 minutes, and a code from the authenticator app or a recovery code. Failed codes count towards the same limits as failed passwords.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TwoFactorLoginRequest'
+ *     responses:
+ *       200:
+ *         description: Login successful, returns an access token and a refresh token
+ *       400:
+ *         description: Challenge token and a code are required
+ *       401:
+ *         description: Invalid code, or invalid or expired challenge
+ *       429:
+ *         description: Too many failed login attempts
+ */
+router.post('/login/2fa', validate({ body: TwoFactorLoginRequest }), loginTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new access token
+ *     description: The refresh token is rotated; reusing an old refresh token revokes the session.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RefreshRequest'
+ *     responses:
+ *       200:
+ *         description: New access token and refresh token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 token:
+ *                   type: string
+ *                 refreshToken:
+ *                   type: string
+ *       400:
+ *         description: Refresh token is required
+ *       401:
+ *         description: Invalid or expired refresh token
+ */
+router.post('/refresh', validate({ body: RefreshRequest }), refresh);
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Email a password reset link
+ *     description: Responds the same way whether or not an account exists for the email. The link expires after 1 hour.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ForgotPasswordRequest'
+ *     responses:
+ *       200:
+ *         description: Reset link sent if the account exists
+ *       400:
+ *         description: Email is required
+ */
+router.post('/forgot-password', validate({ body: ForgotPasswordRequest }), forgotPassword);
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Set a new password with a reset token
+ *     description: The token can only be used once. All sessions of the user are revoked.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ResetPasswordRequest'
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *       400:
+ *         description: Invalid input, or invalid or expired reset token
+ */
+router.post('/reset-password', validate({ body: ResetPasswordRequest }), resetPassword);
+
+/**
+ * @swagger
+ * /api/auth/verify-email:
+ *   post:
+ *     summary: Verify an email address with the emailed token
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/VerifyEmailRequest'
+ *     responses:
+ *       200:
+ *         description: Email verified successfully
+ *       400:
+ *         description: Invalid or expired verification token
+ */
+router.post('/verify-email', validate({ body: VerifyEmailRequest }), verifyEmail);
+
+/**
+ * @swagger
+ * /api/auth/resend-verification:
+ *   post:
+ *     summary: Email a new verification link to the current user
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification email sent
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Admins have to set up two-factor authentication first
+ *       409:
+ *         description: Email is already verified
+ */
+router.post('/resend-verification', isAuth, requireSession, resendVerification);
+
+/**
+ * @swagger
+ * /api/auth/2fa/setup:
+ *   post:
+ *     summary: Start setting up two-factor authentication
+ *     description: Returns a new TOTP secret and its otpauth URI for an authenticator app. It takes effect once activated.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: TOTP secret and otpauth URI
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 secret:
+ *                   type: string
+ *                 otpauthUri:
+ *                   type: string
+ *       401:
+ *         description: Unauthorized
+ *       409:
+ *         description: Two-factor authentication is already enabled
+ */
+router.post('/2fa/setup', isAuthBeforeTwoFactorSetup, requireSession, setupTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/activate:
+ *   post:
+ *     summary: Activate two-factor authentication with a first code
+ *     description: Ends all other sessions of the user.
  *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - email
- *               - password
- *             properties:
- *               email:
- *                 type: string
- *               password:
- *                 type: string
+ *             $ref: '#/components/schemas/TwoFactorCodeRequest'
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: Two-factor authentication enabled; returns one-time recovery codes
+ *       400:
+ *         description: Invalid code
+ *       401:
+ *         description: Unauthorized
+ *       409:
+ *         description: Already enabled, or setup not started
+ */
+router.post('/2fa/activate', isAuthBeforeTwoFactorSetup, requireSession, validate({ body: TwoFactorCodeRequest }), activateTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/disable:
+ *   post:
+ *     summary: Disable two-factor authentication
+ *     description: Needs the password and a code or recovery code. Not allowed for admins while the security policy requires 2FA.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DisableTwoFactorRequest'
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *       401:
+ *         description: Invalid password or code
+ *       403:
+ *         description: Required for admins by the security policy
+ *       409:
+ *         description: Two-factor authentication is not enabled
+ *       429:
+ *         description: Too many failed attempts
+ */
+router.post('/2fa/disable', isAuth, requireSession, validate({ body: DisableTwoFactorRequest }), disableTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Replace the recovery codes
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TwoFactorCodeRequest'
+ *     responses:
+ *       200:
+ *         description: New one-time recovery codes
+ *       400:
+ *         description: Code is required
+ *       401:
+ *         description: Invalid code
+ *       429:
+ *         description: Too many failed attempts
+ */
+router.post('/2fa/recovery-codes', isAuth, requireSession, validate({ body: TwoFactorCodeRequest }), regenerateRecoveryCodes);
+
+/**
+ * @swagger
+ * /api/auth/2fa/policy:
+ *   get:
+ *     summary: Get the two-factor security policy
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Security policy
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 requireTwoFactorForAdmins:
+ *                   type: boolean
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ */
+router.get('/2fa/policy', isAuth, requireSession, authorize('securityPolicy', 'read'), getPolicy);
+
+/**
+ * @swagger
+ * /api/auth/2fa/policy:
+ *   put:
+ *     summary: Require two-factor authentication for all admins
+ *     description: While required, admins without 2FA can only set it up. The admin turning it on must have 2FA enabled.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SecurityPolicyRequest'
+ *     responses:
+ *       200:
+ *         description: Security policy updated successfully
+ *       400:
+ *         description: Invalid input
  *       401:
- *         description: Invalid credentials
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       409:
+ *         description: Enable two-factor authentication on your own account first
  */
-router.post('/login', login);
+router.put('/2fa/policy', isAuth, requireSession, authorize('securityPolicy', 'update'), validate({ body: SecurityPolicyRequest }), updatePolicy);
 
 module.exports = router; 
\ No newline at end of file
@@ -1,46 +1,50 @@
 const express = require('express');
 const router = express.Router();
-const multer = require('multer');
-const { isAuth, checkRole } = require('../middlewares/isAuth');
+const { isAuth, optionalAuth, requireVerifiedEmail } = require('../middlewares/isAuth');
+const { authorize } = require('../middlewares/permissions');
+const { validate } = require('../middlewares/validate');
+const { uploadImage, uploadRichMedia } = require('../middlewares/upload');
+const { idParams, emptyObject } = require('../schemas/common');
+const {
+    CreateCampaignRequest,
+    UpdateCampaignRequest,
+    UpdateCampaignDetailsRequest,
+    ListCampaignsQuery,
+    AnalyticsQuery,
+    HistoryQuery,
+    RecordAnalyticsRequest,
+    UpdateStatusRequest,
+    ApproveCampaignRequest,
+    RejectCampaignRequest,
+    CreateCreativeRequest,
+    UpdateCreativeRequest
+} = require('../schemas/campaignSchemas');
 const {
     createCampaign,
     getAllCampaigns,
     getCampaign,
     updateCampaign,
     deleteCampaign,
+    setCampaignMedia,
+    deleteCampaignMedia,
     getDashboardStats,
     getCampaignAnalytics,
     updateCampaignStatus,
     updateCampaignAnalytics,
-    updateCampaignDetails
+    updateCampaignDetails,
+    addCreative,
+    updateCreative,
+    deleteCreative,
+    getCreativeReport,
+    promoteCreative,
+    getModerationQueue,
+    approveCampaign,
+    rejectCampaign,
+    getCampaignHistory
 } = require('../controllers/campaignController');
 
-// Configure multer for file upload
-const storage = multer.diskStorage({
-    destination: function (req, file, cb) {
-        cb(null, 'uploads/');
-    },
-    filename: function (req, file, cb) {
-        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-        cb(null, file.fieldname + '-' + uniqueSuffix + '.' + file.originalname.split('.').pop());
-    }
-});
-
-const fileFilter = (req, file, cb) => {
-    if (file.mimetype.startsWith('image/')) {
-        cb(null, true);
-    } else {
-        cb(new Error('Not an image! Please upload an image.'), false);
-    }
-};
-
-const upload = multer({
-    storage: storage,
-    fileFilter: fileFilter,
-    limits: {
-        fileSize: 5 * 1024 * 1024 // 5MB limit
-    }
-});
+const campaignParams = idParams('id');
+const creativeParams = idParams('id', 'creativeId');
 
 /**
  * @swagger
@@ -63,6 +67,9 @@ const upload = multer({
  *         campaignType:
  *           type: string
  *           enum: [BANNER, FEATURED, INTERACTIVE]
+ *         organization:
+ *           type: string
+ *           description: Id of the organization owning the campaign
  *         headline:
  *           type: string
  *         body:
@@ -71,9 +78,62 @@ const upload = multer({
  *           type: string
  *         imageUrl:
  *           type: string
+ *           description: 1x rendition of the image in its original format
+ *         renditions:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/Rendition'
+ *         richMedia:
+ *           $ref: '#/components/schemas/RichMedia'
+ *         landingUrl:
+ *           type: string
+ *           format: uri
+ *         utm:
+ *           $ref: '#/components/schemas/UtmParameters'
+ *         budget:
+ *           $ref: '#/components/schemas/CampaignBudget'
+ *         startDate:
+ *           type: string
+ *           format: date-time
+ *         endDate:
+ *           type: string
+ *           format: date-time
+ *         timezone:
+ *           type: string
+ *           example: Europe/Berlin
+ *         dayparts:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/Daypart'
+ *         creatives:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/Creative'
+ *         creativeSplit:
+ *           type: string
+ *           enum: [EVEN, WEIGHTED, THOMPSON]
+ *           description: How traffic is split between creative variants
+ *         targeting:
+ *           $ref: '#/components/schemas/Targeting'
+ *         frequencyCap:
+ *           $ref: '#/components/schemas/FrequencyCap'
  *         status:
  *           type: string
- *           enum: [PENDING, ACTIVE, PAUSED, COMPLETED]
+ *           enum: [PENDING, ACTIVE, PAUSED, COMPLETED, REJECTED]
+ *         moderation:
+ *           type: object
+ *           description: Review state, only shown to the campaign's organization and admins
+ *           properties:
+ *             state:
+ *               type: string
+ *               enum: [IN_REVIEW, APPROVED, REJECTED]
+ *             history:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ModerationEntry'
+ *         weight:
+ *           type: number
+ *           description: Relative share of traffic among eligible campaigns
  *         analytics:
  *           type: object
  *           properties:
@@ -83,6 +143,170 @@ const upload = multer({
  *               type: number
  *             ctr:
  *               type: number
+ *     UtmParameters:
+ *       type: object
+ *       description: Appended to the landing URL as utm_* query parameters when a click is redirected
+ *       properties:
+ *         source:
+ *           type: string
+ *         medium:
+ *           type: string
+ *         campaign:
+ *           type: string
+ *         content:
+ *           type: string
+ *     CampaignBudget:
+ *       type: object
+ *       description: Spend limits. The campaign is paused for the rest of the UTC day when the daily cap is hit and completed when the total is exhausted.
+ *       properties:
+ *         pricingModel:
+ *           type: string
+ *           enum: [CPM, CPC]
+ *         rate:
+ *           type: number
+ *           description: Price per thousand impressions (CPM) or per click (CPC)
+ *         total:
+ *           type: number
+ *         daily:
+ *           type: number
+ *     Daypart:
+ *       type: object
+ *       description: Weekly window, in the campaign timezone, during which the campaign may serve
+ *       required:
+ *         - days
+ *         - start
+ *         - end
+ *       properties:
+ *         days:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [SUN, MON, TUE, WED, THU, FRI, SAT]
+ *         start:
+ *           type: string
+ *           example: '09:00'
+ *         end:
+ *           type: string
+ *           example: '17:00'
+ *     TargetingRule:
+ *       type: object
+ *       properties:
+ *         include:
+ *           type: array
+ *           items:
+ *             type: string
+ *         exclude:
+ *           type: array
+ *           items:
+ *             type: string
+ *     Targeting:
+ *       type: object
+ *       description: Viewer restrictions evaluated at serve time. An include list requires a match, an exclude list rejects any match.
+ *       properties:
+ *         countries:
+ *           allOf:
+ *             - $ref: '#/components/schemas/TargetingRule'
+ *           description: Two-letter country codes, resolved from the viewer IP
+ *         devices:
+ *           allOf:
+ *             - $ref: '#/components/schemas/TargetingRule'
+ *           description: desktop, mobile or tablet, parsed from the User-Agent
+ *         languages:
+ *           allOf:
+ *             - $ref: '#/components/schemas/TargetingRule'
+ *           description: Language codes from Accept-Language, e.g. en
+ *         referrers:
+ *           allOf:
+ *             - $ref: '#/components/schemas/TargetingRule'
+ *           description: Referrer domains, subdomains included
+ *     FrequencyCap:
+ *       type: object
+ *       description: Maximum impressions per viewer within a rolling window
+ *       properties:
+ *         impressions:
+ *           type: integer
+ *           example: 3
+ *         windowHours:
+ *           type: integer
+ *           example: 24
+ *     Creative:
+ *       type: object
+ *       description: Creative variant served in place of the campaign creative while an A/B test runs
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *         headline:
+ *           type: string
+ *         body:
+ *           type: string
+ *         callToAction:
+ *           type: string
+ *         imageUrl:
+ *           type: string
+ *         renditions:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/Rendition'
+ *         weight:
+ *           type: number
+ *         analytics:
+ *           type: object
+ *           properties:
+ *             impressions:
+ *               type: number
+ *             clicks:
+ *               type: number
+ *     Rendition:
+ *       type: object
+ *       description: Resized copy of the uploaded image, without EXIF data
+ *       properties:
+ *         width:
+ *           type: integer
+ *         height:
+ *           type: integer
+ *         density:
+ *           type: integer
+ *           description: Screen pixel density the copy is meant for, 1 or 2
+ *         format:
+ *           type: string
+ *           enum: [jpeg, png, gif, webp]
+ *         url:
+ *           type: string
+ *     RichMedia:
+ *       type: object
+ *       description: HTML5 bundle or video served by an INTERACTIVE campaign instead of its image, which stays as the backup
+ *       properties:
+ *         kind:
+ *           type: string
+ *           enum: [HTML5, VIDEO]
+ *         width:
+ *           type: integer
+ *         height:
+ *           type: integer
+ *         url:
+ *           type: string
+ *           description: URL the bundle's files are stored under, or of the MP4 video
+ *         duration:
+ *           type: number
+ *           description: Video length in seconds
+ *     ModerationEntry:
+ *       type: object
+ *       properties:
+ *         action:
+ *           type: string
+ *           enum: [SUBMITTED, RESUBMITTED, APPROVED, REJECTED]
+ *         status:
+ *           type: string
+ *           description: Campaign status after the action
+ *         reason:
+ *           type: string
+ *         actor:
+ *           type: string
+ *         at:
+ *           type: string
+ *           format: date-time
  *   securitySchemes:
  *     bearerAuth:
  *       type: http
@@ -97,97 +321,108 @@ const upload = multer({
  *   description: Campaign management endpoints
  */
 
+/**
+ * @swagger
+ * tags:
+ *   name: Moderation
+ *   description: Admin review of new and edited campaigns
+ */
+
 /**
  * @swagger
  * /api/campaigns:
  *   post:
  *     summary: Create a new campaign
+ *     description: Nested fields are sent as bracketed form fields, e.g. budget[rate] or targeting[countries][include][].
  *     tags: [Campaigns]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     requestBody:
  *       required: true
  *       content:
  *         multipart/form-data:
  *           schema:
- *             type: object
- *             required:
- *               - campaignName
- *               - campaignDescription
- *               - campaignType
- *               - headline
- *               - body
- *               - callToAction
- *               - image
- *             properties:
- *               campaignName:
- *                 type: string
- *               campaignDescription:
- *                 type: string
- *               campaignType:
- *                 type: string
- *                 enum: [BANNER, FEATURED, INTERACTIVE]
- *               headline:
- *                 type: string
- *               body:
- *                 type: string
- *               callToAction:
- *                 type: string
- *               image:
- *                 type: string
- *                 format: binary
+ *             allOf:
+ *               - $ref: '#/components/schemas/CreateCampaignRequest'
+ *               - type: object
+ *                 required:
+ *                   - image
+ *                 properties:
+ *                   image:
+ *                     type: string
+ *                     format: binary
+ *                     description: JPEG, PNG, GIF or WebP image at one of the campaign type's ad sizes (BANNER 728x90, 300x250 or 320x50; FEATURED 1200x628, 1080x1080 or 300x600; INTERACTIVE 300x250, 336x280 or 300x600), or at 2x or 3x of it. 1x and 2x renditions are generated in the image's format and as WebP.
  *     responses:
  *       201:
  *         description: Campaign created successfully
+ *       400:
+ *         description: Invalid input, or a missing image or one that is not an accepted format or ad size
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Forbidden
+ *         description: Forbidden, or the advertiser has not verified their email address
  */
-router.post('/', isAuth, checkRole(['ADVERTISER']), upload.single('image'), createCampaign);
+router.post('/', isAuth, authorize('campaign', 'create'), requireVerifiedEmail, uploadImage('image'), validate({ body: CreateCampaignRequest }), createCampaign);
 
 /**
  * @swagger
  * /api/campaigns:
  *   get:
  *     summary: Get all campaigns
+ *     description: Returns one page of campaigns. The Content-Range header holds the range returned and the total number of matches.
  *     tags: [Campaigns]
+ *     parameters:
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           $ref: '#/components/schemas/ListCampaignsQuery/properties/sort'
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           $ref: '#/components/schemas/ListCampaignsQuery/properties/status'
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           $ref: '#/components/schemas/ListCampaignsQuery/properties/type'
+ *       - in: query
+ *         name: advertiser
+ *         description: Id of the advertiser who created the campaign
+ *         schema:
+ *           $ref: '#/components/schemas/ListCampaignsQuery/properties/advertiser'
+ *       - in: query
+ *         name: createdFrom
+ *         schema:
+ *           $ref: '#/components/schemas/ListCampaignsQuery/properties/createdFrom'
+ *       - in: query
+ *         name: createdTo
+ *         schema:
+ *           $ref: '#/components/schemas/ListCampaignsQuery/properties/createdTo'
+ *       - in: query
+ *         name: q
+ *         description: Search for words in the campaign name and headline
+ *         schema:
+ *           $ref: '#/components/schemas/ListCampaignsQuery/properties/q'
  *     responses:
  *       200:
  *         description: List of campaigns
+ *         headers:
+ *           Content-Range:
+ *             $ref: '#/components/headers/ContentRange'
  *         content:
  *           application/json:
  *             schema:
  *               type: array
  *               items:
  *                 $ref: '#/components/schemas/Campaign'
+ *       400:
+ *         description: Invalid pagination, sort or filter
  */
-router.get('/', getAllCampaigns);
-
-/**
- * @swagger
- * /api/campaigns/{id}:
- *   get:
- *     summary: Get campaign details
- *     tags: [Campaigns]
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *     responses:
- *       200:
- *         description: Campaign details
- *         content:
- *           application/json:
- *             schema:
- *               $ref: '#/components/schemas/Campaign'
- *       404:
- *         description: Campaign not found
- */
-router.get('/:id', getCampaign);
+router.get('/', validate({ query: ListCampaignsQuery }), authorize('campaign', 'list'), getAllCampaigns);
 
+// Fixed paths go before /:id, which would take them as ids
 /**
  * @swagger
  * /api/campaigns/dashboard/stats:
@@ -196,6 +431,7 @@ router.get('/:id', getCampaign);
  *     tags: [Campaigns]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     responses:
  *       200:
  *         description: Dashboard statistics
@@ -210,6 +446,8 @@ router.get('/:id', getCampaign);
  *                   type: number
  *                 overallCTR:
  *                   type: number
+ *                 totalSpend:
+ *                   type: number
  *                 campaigns:
  *                   type: array
  *                   items:
@@ -232,91 +470,125 @@ router.get('/:id', getCampaign);
  *                             type: number
  *                           ctr:
  *                             type: number
+ *                       budget:
+ *                         type: object
+ *                         properties:
+ *                           pricingModel:
+ *                             type: string
+ *                           rate:
+ *                             type: number
+ *                           total:
+ *                             type: number
+ *                             nullable: true
+ *                           daily:
+ *                             type: number
+ *                             nullable: true
+ *                           spent:
+ *                             type: number
+ *                           spentToday:
+ *                             type: number
+ *                           remaining:
+ *                             type: number
+ *                             nullable: true
+ *                           projectedExhaustionDate:
+ *                             type: string
+ *                             format: date-time
+ *                             nullable: true
  *       401:
  *         description: Unauthorized
  *       403:
  *         description: Forbidden
  */
-router.get('/dashboard/stats', isAuth, checkRole(['ADVERTISER']), getDashboardStats);
+router.get('/dashboard/stats', isAuth, authorize('campaign', 'viewDashboard'), getDashboardStats);
 
 /**
  * @swagger
- * /api/campaigns/{id}/analytics:
+ * /api/campaigns/moderation/queue:
  *   get:
- *     summary: Get campaign analytics
+ *     summary: List campaigns awaiting review (Admin only)
+ *     tags: [Moderation]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Pending campaigns, oldest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Campaign'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Admin access required
+ */
+router.get('/moderation/queue', isAuth, authorize('campaign', 'moderate'), getModerationQueue);
+
+/**
+ * @swagger
+ * /api/campaigns/{id}:
+ *   get:
+ *     summary: Get campaign details
+ *     description: Open to everyone. The review state, moderation, is only included for members of the campaign's organization and admins, who have to send their credentials.
  *     tags: [Campaigns]
  *     security:
+ *       - {}
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema:
- *           type: string
+ *           $ref: '#/components/schemas/ObjectId'
  *     responses:
  *       200:
- *         description: Campaign analytics
+ *         description: Campaign details
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 campaignName:
- *                   type: string
- *                 analytics:
- *                   type: object
- *                   properties:
- *                     impressions:
- *                       type: number
- *                     clicks:
- *                       type: number
- *                     ctr:
- *                       type: number
+ *               $ref: '#/components/schemas/Campaign'
  *       401:
- *         description: Unauthorized
- *       403:
- *         description: Forbidden
+ *         description: Invalid or expired credentials were sent
  *       404:
  *         description: Campaign not found
  */
-router.get('/:id/analytics', isAuth, getCampaignAnalytics);
+router.get('/:id', optionalAuth, validate({ params: campaignParams }), authorize('campaign', 'read'), getCampaign);
 
 /**
  * @swagger
- * /api/campaigns/{id}/analytics:
+ * /api/campaigns/{id}:
  *   put:
- *     summary: Update campaign analytics
+ *     summary: Update a campaign, optionally replacing its image
+ *     description: Open to admins and to owners and managers of the campaign's organization. Status changes go through PUT /api/campaigns/{id}/status. Nested fields are sent as bracketed form fields, e.g. budget[rate].
  *     tags: [Campaigns]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema:
- *           type: string
+ *           $ref: '#/components/schemas/ObjectId'
  *     requestBody:
- *       required: true
  *       content:
- *         application/json:
+ *         multipart/form-data:
  *           schema:
- *             type: object
- *             required:
- *               - impressions
- *               - clicks
- *               - ctr
- *             properties:
- *               impressions:
- *                 type: number
- *               clicks:
- *                 type: number
- *               ctr:
- *                 type: number
+ *             allOf:
+ *               - $ref: '#/components/schemas/UpdateCampaignRequest'
+ *               - type: object
+ *                 properties:
+ *                   image:
+ *                     type: string
+ *                     format: binary
+ *                     description: JPEG, PNG, GIF or WebP image at one of the ad sizes of the campaign's type, or of its new type when it changes, or at 2x or 3x of it, see POST /api/campaigns
  *     responses:
  *       200:
- *         description: Campaign analytics updated successfully
+ *         description: Campaign updated successfully
  *       400:
- *         description: Invalid analytics format
+ *         description: Invalid input, an image that is not an accepted format or ad size, or a campaign type the stored images don't fit
  *       401:
  *         description: Unauthorized
  *       403:
@@ -324,97 +596,681 @@ router.get('/:id/analytics', isAuth, getCampaignAnalytics);
  *       404:
  *         description: Campaign not found
  */
-router.put('/:id/analytics',  updateCampaignAnalytics);
+router.put('/:id', isAuth, validate({ params: campaignParams }), authorize('campaign', 'update'), uploadImage('image'), validate({ body: UpdateCampaignRequest }), updateCampaign);
 
 /**
  * @swagger
- * /api/campaigns/{id}/status:
- *   put:
- *     summary: Update campaign status (Admin only)
+ * /api/campaigns/{id}:
+ *   delete:
+ *     summary: Delete a campaign
+ *     description: Open to admins and to owners and managers of the campaign's organization
  *     tags: [Campaigns]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema:
- *           type: string
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - status
- *             properties:
- *               status:
- *                 type: string
- *                 enum: [PENDING, ACTIVE, PAUSED, COMPLETED]
+ *           $ref: '#/components/schemas/ObjectId'
  *     responses:
  *       200:
- *         description: Campaign status updated successfully
- *       400:
- *         description: Invalid status value
+ *         description: Campaign deleted successfully
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Forbidden - Admin access required
+ *         description: Forbidden
  *       404:
  *         description: Campaign not found
  */
-router.put('/:id/status', isAuth, updateCampaignStatus);
+router.delete('/:id', isAuth, validate({ params: campaignParams }), authorize('campaign', 'delete'), deleteCampaign);
 
 /**
  * @swagger
- * /api/campaigns/{id}/details:
+ * /api/campaigns/{id}/media:
  *   put:
- *     summary: Update campaign details (JSON, no image)
+ *     summary: Upload rich media for an INTERACTIVE campaign, replacing any it has
+ *     description: >
+ *       Accepts an HTML5 zip bundle or an MP4 video of up to 120 seconds. A bundle needs an index.html at its root that declares
+ *       one of the INTERACTIVE ad sizes with <meta name="ad.size" content="width=300,height=250"> and links to the landing page
+ *       through the %%CLICK_URL%% click tag, e.g. var clickTag = "%%CLICK_URL%%". Besides that page it may contain up to 99
+ *       CSS, JavaScript, JSON, PNG, JPEG, GIF, WebP and font files, 10MB unpacked; other HTML and SVG files are rejected. Bundles are served sandboxed from GET /api/serve/html5/{token}, videos through
+ *       GET /api/serve/vast. The campaign goes back to review.
  *     tags: [Campaigns]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
  *         required: true
  *         schema:
- *           type: string
+ *           $ref: '#/components/schemas/ObjectId'
  *     requestBody:
  *       required: true
  *       content:
- *         application/json:
+ *         multipart/form-data:
  *           schema:
  *             type: object
+ *             required:
+ *               - media
  *             properties:
- *               campaignName:
- *                 type: string
- *               campaignDescription:
+ *               media:
  *                 type: string
- *               campaignType:
- *                 type: string
- *                 enum: [BANNER, FEATURED, INTERACTIVE]
- *               headline:
- *                 type: string
- *               body:
- *                 type: string
- *               callToAction:
- *                 type: string
- *               status:
- *                 type: string
- *                 enum: [PENDING, ACTIVE, PAUSED, COMPLETED]
+ *                 format: binary
+ *                 description: Zip bundle or MP4 video, up to 20MB
  *     responses:
  *       200:
- *         description: Campaign details updated successfully
+ *         description: Campaign media updated successfully
  *       400:
- *         description: Invalid input
+ *         description: Missing media, or a bundle or video that fails validation
  *       401:
  *         description: Unauthorized
  *       403:
  *         description: Forbidden
  *       404:
  *         description: Campaign not found
+ *       409:
+ *         description: The campaign is not INTERACTIVE
+ *       413:
+ *         description: Media file larger than 20MB
+ *   delete:
+ *     summary: Remove a campaign's rich media, serving its image again
+ *     tags: [Campaigns]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *     responses:
+ *       200:
+ *         description: Campaign media removed successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Campaign or campaign media not found
+ */
+router.put('/:id/media', isAuth, validate({ params: campaignParams }), authorize('campaign', 'update'), uploadRichMedia('media'), validate({ body: emptyObject }), setCampaignMedia);
+router.delete('/:id/media', isAuth, validate({ params: campaignParams }), authorize('campaign', 'update'), deleteCampaignMedia);
+
+/**
+ * @swagger
+ * /api/campaigns/{id}/analytics:
+ *   get:
+ *     summary: Get campaign analytics
+ *     tags: [Campaigns]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *       - in: query
+ *         name: from
+ *         description: Start of the series (defaults to 30 buckets before to)
+ *         schema:
+ *           $ref: '#/components/schemas/AnalyticsQuery/properties/from'
+ *       - in: query
+ *         name: to
+ *         description: End of the series (defaults to now)
+ *         schema:
+ *           $ref: '#/components/schemas/AnalyticsQuery/properties/to'
+ *       - in: query
+ *         name: granularity
+ *         schema:
+ *           $ref: '#/components/schemas/AnalyticsQuery/properties/granularity'
+ *     responses:
+ *       200:
+ *         description: Campaign analytics
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 campaignName:
+ *                   type: string
+ *                 analytics:
+ *                   type: object
+ *                   properties:
+ *                     impressions:
+ *                       type: number
+ *                     clicks:
+ *                       type: number
+ *                     ctr:
+ *                       type: number
+ *                 rejectedClicks:
+ *                   type: object
+ *                   description: Click-tracking hits that were not counted
+ *                   properties:
+ *                     expired:
+ *                       type: number
+ *                     replayed:
+ *                       type: number
+ *                 frequency:
+ *                   type: object
+ *                   properties:
+ *                     cap:
+ *                       allOf:
+ *                         - $ref: '#/components/schemas/FrequencyCap'
+ *                       nullable: true
+ *                     activeViewers:
+ *                       type: number
+ *                       description: Viewers with an open capping window
+ *                     cappedViewers:
+ *                       type: number
+ *                       description: Viewers currently at their cap
+ *                 granularity:
+ *                   type: string
+ *                 from:
+ *                   type: string
+ *                   format: date-time
+ *                 to:
+ *                   type: string
+ *                   format: date-time
+ *                 series:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       bucket:
+ *                         type: string
+ *                         format: date-time
+ *                       impressions:
+ *                         type: number
+ *                       clicks:
+ *                         type: number
+ *                       ctr:
+ *                         type: number
+ *       400:
+ *         description: Invalid series range or granularity
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Campaign not found
+ */
+router.get('/:id/analytics', isAuth, validate({ params: campaignParams, query: AnalyticsQuery }), authorize('campaign', 'readAnalytics'), getCampaignAnalytics);
+
+/**
+ * @swagger
+ * /api/campaigns/{id}/analytics:
+ *   put:
+ *     summary: Update campaign analytics
+ *     description: Superseded by GET /api/serve and GET /c/{token}, which record impressions and clicks server-side
+ *     deprecated: true
+ *     tags: [Campaigns]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RecordAnalyticsRequest'
+ *     responses:
+ *       200:
+ *         description: Campaign analytics updated successfully
+ *       400:
+ *         description: Invalid analytics format
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Campaign not found
+ */
+router.put('/:id/analytics', isAuth, validate({ params: campaignParams, body: RecordAnalyticsRequest }), authorize('campaign', 'recordAnalytics'), updateCampaignAnalytics);
+
+/**
+ * @swagger
+ * /api/campaigns/{id}/status:
+ *   put:
+ *     summary: Update campaign status
+ *     description: |
+ *       Only legal transitions are accepted, and only for the roles allowed to make them:
+ *       PENDING to ACTIVE or REJECTED (admin), PENDING to COMPLETED (advertiser or admin),
+ *       ACTIVE and PAUSED to each other or to COMPLETED (advertiser or admin).
+ *       COMPLETED is final. Advertisers can only change their own campaigns.
+ *     tags: [Campaigns]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UpdateStatusRequest'
+ *     responses:
+ *       200:
+ *         description: Campaign status updated successfully
+ *       400:
+ *         description: Invalid status value
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - role may not perform this transition
+ *       404:
+ *         description: Campaign not found
+ *       409:
+ *         description: Illegal status transition
+ */
+router.put('/:id/status', isAuth, validate({ params: campaignParams, body: UpdateStatusRequest }), authorize('campaign', 'changeStatus'), updateCampaignStatus);
+
+/**
+ * @swagger
+ * /api/campaigns/{id}/history:
+ *   get:
+ *     summary: Get the status transition history of a campaign
+ *     tags: [Campaigns]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *       - in: query
+ *         name: status
+ *         description: Only transitions into this status
+ *         schema:
+ *           $ref: '#/components/schemas/HistoryQuery/properties/status'
+ *       - in: query
+ *         name: since
+ *         schema:
+ *           $ref: '#/components/schemas/HistoryQuery/properties/since'
+ *       - in: query
+ *         name: until
+ *         schema:
+ *           $ref: '#/components/schemas/HistoryQuery/properties/until'
+ *     responses:
+ *       200:
+ *         description: Transitions, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   from:
+ *                     type: string
+ *                   to:
+ *                     type: string
+ *                   actor:
+ *                     type: object
+ *                     nullable: true
+ *                     properties:
+ *                       fullName:
+ *                         type: string
+ *                       email:
+ *                         type: string
+ *                   actorRole:
+ *                     type: string
+ *                     enum: [ADVERTISER, ADMIN, SYSTEM]
+ *                   reason:
+ *                     type: string
+ *                   at:
+ *                     type: string
+ *                     format: date-time
+ *       400:
+ *         description: Invalid date range
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Campaign not found
+ */
+router.get('/:id/history', isAuth, validate({ params: campaignParams, query: HistoryQuery }), authorize('campaign', 'readHistory'), getCampaignHistory);
+
+/**
+ * @swagger
+ * /api/campaigns/{id}/details:
+ *   put:
+ *     summary: Update campaign details (JSON, no image)
+ *     tags: [Campaigns]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UpdateCampaignDetailsRequest'
+ *     responses:
+ *       200:
+ *         description: Campaign details updated successfully
+ *       400:
+ *         description: Invalid input, or a campaign type the stored images don't fit
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Campaign not found
+ *       409:
+ *         description: Illegal status transition
+ */
+router.put('/:id/details', isAuth, validate({ params: campaignParams, body: UpdateCampaignDetailsRequest }), authorize('campaign', 'update'), updateCampaignDetails);
+
+/**
+ * @swagger
+ * /api/campaigns/{id}/approve:
+ *   post:
+ *     summary: Approve a campaign awaiting review (Admin only)
+ *     description: The campaign becomes ACTIVE, or stays PENDING until its start date.
+ *     tags: [Moderation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ApproveCampaignRequest'
+ *     responses:
+ *       200:
+ *         description: Campaign approved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Admin access required
+ *       404:
+ *         description: Campaign not found
+ *       409:
+ *         description: Campaign is not awaiting review
+ */
+router.post('/:id/approve', isAuth, validate({ params: campaignParams, body: ApproveCampaignRequest }), authorize('campaign', 'moderate'), approveCampaign);
+
+/**
+ * @swagger
+ * /api/campaigns/{id}/reject:
+ *   post:
+ *     summary: Reject a campaign awaiting review (Admin only)
+ *     tags: [Moderation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RejectCampaignRequest'
+ *     responses:
+ *       200:
+ *         description: Campaign rejected successfully
+ *       400:
+ *         description: Rejection reason is required
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Admin access required
+ *       404:
+ *         description: Campaign not found
+ *       409:
+ *         description: Campaign is not awaiting review
+ */
+router.post('/:id/reject', isAuth, validate({ params: campaignParams, body: RejectCampaignRequest }), authorize('campaign', 'moderate'), rejectCampaign);
+
+/**
+ * @swagger
+ * /api/campaigns/{id}/creatives:
+ *   post:
+ *     summary: Add a creative variant for A/B testing
+ *     tags: [Campaigns]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/CreateCreativeRequest'
+ *               - type: object
+ *                 required:
+ *                   - image
+ *                 properties:
+ *                   image:
+ *                     type: string
+ *                     format: binary
+ *                     description: JPEG, PNG, GIF or WebP image at one of the campaign type's ad sizes, or at 2x or 3x of it, see POST /api/campaigns
+ *     responses:
+ *       201:
+ *         description: Creative added successfully
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Campaign not found
+ */
+router.post('/:id/creatives', isAuth, validate({ params: campaignParams }), authorize('campaign', 'manageCreatives'), uploadImage('image'), validate({ body: CreateCreativeRequest }), addCreative);
+
+/**
+ * @swagger
+ * /api/campaigns/{id}/creatives/report:
+ *   get:
+ *     summary: Get per-variant CTR and significance of the A/B test
+ *     tags: [Campaigns]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *     responses:
+ *       200:
+ *         description: A/B test report. Each variant is compared to the leader with a two-proportion z-test.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 campaignName:
+ *                   type: string
+ *                 creativeSplit:
+ *                   type: string
+ *                 confidenceLevel:
+ *                   type: number
+ *                 winner:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Leading variant once it beats every other variant significantly
+ *                 variants:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                       name:
+ *                         type: string
+ *                       weight:
+ *                         type: number
+ *                       impressions:
+ *                         type: number
+ *                       clicks:
+ *                         type: number
+ *                       ctr:
+ *                         type: number
+ *                       isLeader:
+ *                         type: boolean
+ *                       comparedToLeader:
+ *                         type: object
+ *                         nullable: true
+ *                         properties:
+ *                           zScore:
+ *                             type: number
+ *                           pValue:
+ *                             type: number
+ *                           significant:
+ *                             type: boolean
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Campaign not found
+ */
+router.get('/:id/creatives/report', isAuth, validate({ params: campaignParams }), authorize('campaign', 'readAnalytics'), getCreativeReport);
+
+/**
+ * @swagger
+ * /api/campaigns/{id}/creatives/{creativeId}:
+ *   put:
+ *     summary: Update a creative variant
+ *     tags: [Campaigns]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *       - in: path
+ *         name: creativeId
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UpdateCreativeRequest'
+ *     responses:
+ *       200:
+ *         description: Creative updated successfully
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Creative not found
+ *   delete:
+ *     summary: Delete a creative variant
+ *     tags: [Campaigns]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *       - in: path
+ *         name: creativeId
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *     responses:
+ *       200:
+ *         description: Creative deleted successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Creative not found
+ */
+router.put('/:id/creatives/:creativeId', isAuth, validate({ params: creativeParams, body: UpdateCreativeRequest }), authorize('campaign', 'manageCreatives'), updateCreative);
+router.delete('/:id/creatives/:creativeId', isAuth, validate({ params: creativeParams }), authorize('campaign', 'manageCreatives'), deleteCreative);
+
+/**
+ * @swagger
+ * /api/campaigns/{id}/creatives/{creativeId}/promote:
+ *   post:
+ *     summary: Promote a variant to the campaign creative and end the A/B test
+ *     tags: [Campaigns]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *       - in: path
+ *         name: creativeId
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *     responses:
+ *       200:
+ *         description: Creative promoted successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Creative not found
+ *       409:
+ *         description: The campaign changed while promoting, retry
  */
-router.put('/:id/details', isAuth, checkRole(['ADVERTISER', 'ADMIN']), updateCampaignDetails);
+router.post('/:id/creatives/:creativeId/promote', isAuth, validate({ params: creativeParams }), authorize('campaign', 'manageCreatives'), promoteCreative);
 
 module.exports = router;
\ No newline at end of file
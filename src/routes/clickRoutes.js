@@ -0,0 +1,33 @@
+const express = require('express');
+const router = express.Router();
+const { trackClick } = require('../controllers/serveController');
+
+/**
+ * @swagger
+ * /c/{token}:
+ *   get:
+ *     summary: Record a click and redirect to the campaign landing page
+ *     tags: [Serving]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         description: Signed click token issued by GET /api/serve or GET /api/serve/vast
+ *         schema:
+ *           type: string
+ *     responses:
+ *       302:
+ *         description: Redirect to the campaign landing page
+ *       400:
+ *         description: Forged or malformed click token
+ *       404:
+ *         description: Campaign not found, or it has no landing page (the click is still recorded)
+ *       409:
+ *         description: Click already recorded for this impression
+ *       410:
+ *         description: Click token has expired
+ */
+router.get('/:token', trackClick);
+
+module.exports = router;
@@ -0,0 +1,283 @@
+const express = require('express');
+const router = express.Router();
+const { isAuth } = require('../middlewares/isAuth');
+const { authorize } = require('../middlewares/permissions');
+const { validate } = require('../middlewares/validate');
+const { idParams } = require('../schemas/common');
+const {
+    CreateOrganizationRequest,
+    InviteMemberRequest,
+    AcceptMemberInvitationRequest,
+    UpdateMemberRoleRequest
+} = require('../schemas/organizationSchemas');
+const {
+    createOrganization,
+    getMyOrganizations,
+    getOrganization,
+    inviteMember,
+    acceptInvitation,
+    updateMemberRole,
+    removeMember
+} = require('../controllers/organizationController');
+
+const organizationParams = idParams('id');
+const memberParams = idParams('id', 'userId');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Organizations
+ *   description: Organizations own campaigns and share them between their members
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     OrganizationMember:
+ *       type: object
+ *       properties:
+ *         user:
+ *           type: string
+ *         role:
+ *           type: string
+ *           enum: [OWNER, MANAGER, VIEWER]
+ *           description: Owners manage members, managers manage campaigns, viewers see campaigns and their analytics
+ *         joinedAt:
+ *           type: string
+ *           format: date-time
+ *     Organization:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *         members:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/OrganizationMember'
+ *         invitations:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *                 enum: [OWNER, MANAGER, VIEWER]
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/organizations:
+ *   post:
+ *     summary: Create an organization, owned by the current user
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CreateOrganizationRequest'
+ *     responses:
+ *       201:
+ *         description: Organization created successfully
+ *       400:
+ *         description: Organization name is required
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/', isAuth, validate({ body: CreateOrganizationRequest }), authorize('organization', 'create'), createOrganization);
+
+/**
+ * @swagger
+ * /api/organizations:
+ *   get:
+ *     summary: List the organizations of the current user
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Organizations with the user's role in each
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', isAuth, authorize('organization', 'list'), getMyOrganizations);
+
+/**
+ * @swagger
+ * /api/organizations/invitations/accept:
+ *   post:
+ *     summary: Join an organization with an emailed invitation
+ *     description: The invitation must be addressed to the current user's email
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AcceptMemberInvitationRequest'
+ *     responses:
+ *       200:
+ *         description: Joined organization successfully
+ *       400:
+ *         description: Invalid or expired invitation
+ *       401:
+ *         description: Unauthorized
+ *       409:
+ *         description: Already a member
+ */
+router.post('/invitations/accept', isAuth, validate({ body: AcceptMemberInvitationRequest }), authorize('organization', 'join'), acceptInvitation);
+
+/**
+ * @swagger
+ * /api/organizations/{id}:
+ *   get:
+ *     summary: Get an organization with its members and pending invitations
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *     responses:
+ *       200:
+ *         description: Organization details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Organization'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Not a member
+ *       404:
+ *         description: Organization not found
+ */
+router.get('/:id', isAuth, validate({ params: organizationParams }), authorize('organization', 'read'), getOrganization);
+
+/**
+ * @swagger
+ * /api/organizations/{id}/invitations:
+ *   post:
+ *     summary: Invite someone to the organization by email
+ *     description: Owners only. The link expires after 7 days; a new invitation replaces any pending one to the same email.
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/InviteMemberRequest'
+ *     responses:
+ *       201:
+ *         description: Invitation sent successfully
+ *       400:
+ *         description: Invalid email or role
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Organization not found
+ *       409:
+ *         description: Already a member
+ */
+router.post('/:id/invitations', isAuth, validate({ params: organizationParams, body: InviteMemberRequest }), authorize('organization', 'manageMembers'), inviteMember);
+
+/**
+ * @swagger
+ * /api/organizations/{id}/members/{userId}:
+ *   put:
+ *     summary: Change a member's role
+ *     description: Owners only. The last owner can't be demoted.
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UpdateMemberRoleRequest'
+ *     responses:
+ *       200:
+ *         description: Member role updated successfully
+ *       400:
+ *         description: Invalid role
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Member not found
+ *       409:
+ *         description: An organization needs at least one owner
+ */
+router.put('/:id/members/:userId', isAuth, validate({ params: memberParams, body: UpdateMemberRoleRequest }), authorize('organization', 'manageMembers'), updateMemberRole);
+
+/**
+ * @swagger
+ * /api/organizations/{id}/members/{userId}:
+ *   delete:
+ *     summary: Remove a member from the organization
+ *     description: Owners only. The last owner can't be removed; the organization keeps its campaigns.
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *     responses:
+ *       200:
+ *         description: Member removed successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Member not found
+ *       409:
+ *         description: An organization needs at least one owner
+ */
+router.delete('/:id/members/:userId', isAuth, validate({ params: memberParams }), authorize('organization', 'manageMembers'), removeMember);
+
+module.exports = router;
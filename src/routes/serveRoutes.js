@@ -0,0 +1,229 @@
+const express = require('express');
+const router = express.Router();
+const { serveAd, serveHtml5, serveVast, trackVideoImpression } = require('../controllers/serveController');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Serving
+ *   description: Public ad-serving endpoints for publisher sites
+ */
+
+/**
+ * @swagger
+ * /api/serve:
+ *   get:
+ *     summary: Select an eligible campaign and record an impression
+ *     tags: [Serving]
+ *     security: []
+ *     parameters:
+ *       - in: query
+ *         name: placement
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [BANNER, FEATURED, INTERACTIVE]
+ *       - in: query
+ *         name: deviceId
+ *         description: Publisher-supplied device id used for frequency capping instead of the viewer cookie
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: referrer
+ *         description: Page the ad is shown on, used for referrer targeting when the Referer header is unavailable
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: dpr
+ *         description: Device pixel ratio of the viewer's screen, 2 or more selects the high-DPI image
+ *         schema:
+ *           type: number
+ *           default: 1
+ *       - in: query
+ *         name: webp
+ *         description: Whether the viewer's browser displays WebP images. Also assumed when the Accept header lists image/webp.
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Render-ready ad payload
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 impressionId:
+ *                   type: string
+ *                 campaignId:
+ *                   type: string
+ *                 placement:
+ *                   type: string
+ *                 type:
+ *                   type: string
+ *                 creativeId:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Creative variant served, null when the campaign has no A/B test
+ *                 creative:
+ *                   type: object
+ *                   properties:
+ *                     headline:
+ *                       type: string
+ *                     body:
+ *                       type: string
+ *                     callToAction:
+ *                       type: string
+ *                     imageUrl:
+ *                       type: string
+ *                       description: Image rendition for the viewer's pixel density and WebP support
+ *                     imageWidth:
+ *                       type: integer
+ *                       nullable: true
+ *                       description: Ad width in CSS pixels, null for images uploaded before ad sizes were enforced
+ *                     imageHeight:
+ *                       type: integer
+ *                       nullable: true
+ *                 richMedia:
+ *                   type: object
+ *                   nullable: true
+ *                   description: HTML5 bundle or video to play instead of the image, null for image ads
+ *                   properties:
+ *                     kind:
+ *                       type: string
+ *                       enum: [HTML5, VIDEO]
+ *                     width:
+ *                       type: integer
+ *                     height:
+ *                       type: integer
+ *                     url:
+ *                       type: string
+ *                       description: For HTML5, the page to load in an iframe of the given size; for VIDEO, the MP4 file
+ *                     sandbox:
+ *                       type: string
+ *                       description: HTML5 only, the iframe's sandbox attribute
+ *                       example: allow-scripts allow-popups allow-popups-to-escape-sandbox
+ *                     duration:
+ *                       type: number
+ *                       description: VIDEO only, length in seconds
+ *                 clickUrl:
+ *                   type: string
+ *                   description: Signed click-tracking redirect URL
+ *       204:
+ *         description: No eligible campaign for this placement
+ *       400:
+ *         description: Missing placement or invalid campaign type
+ */
+router.get('/', serveAd);
+
+/**
+ * @swagger
+ * /api/serve/html5/{token}:
+ *   get:
+ *     summary: Entry page of an HTML5 ad, with its click tag set to the impression's click URL
+ *     description: Sent with a Content-Security-Policy sandbox, so the ad runs in an opaque origin even outside a sandboxed iframe.
+ *     tags: [Serving]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         description: Signed token issued by GET /api/serve
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: HTML page of the ad
+ *         content:
+ *           text/html:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Forged or malformed token
+ *       404:
+ *         description: The campaign has no HTML5 ad
+ *       410:
+ *         description: Token has expired
+ */
+router.get('/html5/:token', serveHtml5);
+
+/**
+ * @swagger
+ * /api/serve/vast:
+ *   get:
+ *     summary: Select an eligible video campaign as a VAST 4 response
+ *     description: >
+ *       For video players on publisher sites. Serves ACTIVE INTERACTIVE campaigns carrying a video, selected and targeted
+ *       like GET /api/serve. The impression is recorded when the player requests the Impression URL; ClickThrough is the
+ *       signed click-tracking redirect.
+ *     tags: [Serving]
+ *     security: []
+ *     parameters:
+ *       - in: query
+ *         name: placement
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: deviceId
+ *         description: Publisher-supplied device id used for frequency capping instead of the viewer cookie
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: referrer
+ *         description: Page the ad is shown on, used for referrer targeting when the Referer header is unavailable
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: VAST document with one inline linear ad, or with no ad when no campaign is eligible
+ *         content:
+ *           application/xml:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Missing placement
+ */
+router.get('/vast', serveVast);
+
+/**
+ * @swagger
+ * /api/serve/vast/impression/{token}:
+ *   get:
+ *     summary: Record a video impression reported by the player
+ *     description: Impression URL of VAST responses. Repeated requests for the same impression are not counted again.
+ *     tags: [Serving]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         description: Signed token issued by GET /api/serve/vast
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: placement
+ *         description: Placement the ad was served to, as set in the Impression URL
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: deviceId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Impression recorded
+ *       400:
+ *         description: Forged or malformed token
+ *       404:
+ *         description: Campaign not found
+ *       410:
+ *         description: Token has expired
+ */
+router.get('/vast/impression/:token', trackVideoImpression);
+
+module.exports = router;
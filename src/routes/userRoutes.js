@@ -1,12 +1,26 @@
 const express = require('express');
 const router = express.Router();
-const { isAuth, checkRole } = require('../middlewares/isAuth');
+const { isAuth, isAuthBeforeTwoFactorSetup, requireSession } = require('../middlewares/isAuth');
+const { authorize } = require('../middlewares/permissions');
+const { validate } = require('../middlewares/validate');
+const { idParams } = require('../schemas/common');
+const {
+    ListUsersQuery,
+    UpdateUserRequest,
+    UpdateUserRoleRequest,
+    InviteAdminRequest
+} = require('../schemas/userSchemas');
 const {
     getAllUsers,
     getUserById,
     updateUser,
     deleteUser,
-    logout
+    updateUserRole,
+    inviteAdmin,
+    getInvitations,
+    deleteInvitation,
+    logout,
+    logoutAll
 } = require('../controllers/userController');
 
 /**
@@ -21,12 +35,37 @@ const {
  * /api/users:
  *   get:
  *     summary: Get all users
+ *     description: Returns one page of users. The Content-Range header holds the range returned and the total number of matches.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Page'
+ *       - $ref: '#/components/parameters/Limit'
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           $ref: '#/components/schemas/ListUsersQuery/properties/sort'
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           $ref: '#/components/schemas/ListUsersQuery/properties/role'
+ *       - in: query
+ *         name: company
+ *         description: Part of the company name
+ *         schema:
+ *           $ref: '#/components/schemas/ListUsersQuery/properties/company'
+ *       - in: query
+ *         name: q
+ *         description: Search in name and email
+ *         schema:
+ *           $ref: '#/components/schemas/ListUsersQuery/properties/q'
  *     responses:
  *       200:
  *         description: List of users
+ *         headers:
+ *           Content-Range:
+ *             $ref: '#/components/headers/ContentRange'
  *         content:
  *           application/json:
  *             schema:
@@ -44,16 +83,92 @@ const {
  *                     type: string
  *                   role:
  *                     type: string
+ *       400:
+ *         description: Invalid pagination, sort or filter
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/', isAuth, validate({ query: ListUsersQuery }), authorize('user', 'list'), getAllUsers);
+
+/**
+ * @swagger
+ * /api/users/invitations:
+ *   get:
+ *     summary: List pending admin invitations
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Pending invitations
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ */
+router.get('/invitations', isAuth, authorize('user', 'invite'), getInvitations);
+
+/**
+ * @swagger
+ * /api/users/invitations:
+ *   post:
+ *     summary: Invite someone to register as an admin
+ *     description: Emails a registration link that expires after 7 days. A new invitation replaces any pending one to the same email.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/InviteAdminRequest'
+ *     responses:
+ *       201:
+ *         description: Invitation sent successfully
+ *       400:
+ *         description: Email is required
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       409:
+ *         description: A user with this email already exists
  */
-router.get('/', isAuth, checkRole(['ADMIN']), getAllUsers);
+router.post('/invitations', isAuth, validate({ body: InviteAdminRequest }), authorize('user', 'invite'), inviteAdmin);
+
+/**
+ * @swagger
+ * /api/users/invitations/{invitationId}:
+ *   delete:
+ *     summary: Revoke a pending invitation
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: invitationId
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *     responses:
+ *       200:
+ *         description: Invitation revoked successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Invitation not found
+ */
+router.delete('/invitations/:invitationId', isAuth, validate({ params: idParams('invitationId') }), authorize('user', 'invite'), deleteInvitation);
 
 /**
  * @swagger
  * /api/users/{id}:
  *   get:
  *     summary: Get user by ID
+ *     description: Users may only read their own profile; admins may read any
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -62,22 +177,25 @@ router.get('/', isAuth, checkRole(['ADMIN']), getAllUsers);
  *         name: id
  *         required: true
  *         schema:
- *           type: string
+ *           $ref: '#/components/schemas/ObjectId'
  *     responses:
  *       200:
  *         description: User details
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
  *       404:
  *         description: User not found
  */
-router.get('/:id', isAuth, getUserById);
+router.get('/:id', isAuth, validate({ params: idParams('id') }), authorize('user', 'read'), getUserById);
 
 /**
  * @swagger
  * /api/users/{id}:
  *   put:
  *     summary: Update user
+ *     description: Users may only update their own profile; admins may update any
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -86,19 +204,12 @@ router.get('/:id', isAuth, getUserById);
  *         name: id
  *         required: true
  *         schema:
- *           type: string
+ *           $ref: '#/components/schemas/ObjectId'
  *     requestBody:
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               fullName:
- *                 type: string
- *               companyName:
- *                 type: string
- *               email:
- *                 type: string
+ *             $ref: '#/components/schemas/UpdateUserRequest'
  *     responses:
  *       200:
  *         description: User updated successfully
@@ -109,7 +220,44 @@ router.get('/:id', isAuth, getUserById);
  *       404:
  *         description: User not found
  */
-router.put('/:id', isAuth, updateUser);
+router.put('/:id', isAuth, validate({ params: idParams('id'), body: UpdateUserRequest }), authorize('user', 'update'), updateUser);
+
+/**
+ * @swagger
+ * /api/users/{id}/role:
+ *   put:
+ *     summary: Change a user's role
+ *     description: Revokes all sessions of the user, so tokens carrying the old role stop working.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/ObjectId'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UpdateUserRoleRequest'
+ *     responses:
+ *       200:
+ *         description: User role updated successfully
+ *       400:
+ *         description: Invalid role
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: Cannot remove the last admin
+ */
+router.put('/:id/role', isAuth, validate({ params: idParams('id'), body: UpdateUserRoleRequest }), authorize('user', 'changeRole'), updateUserRole);
 
 /**
  * @swagger
@@ -124,7 +272,7 @@ router.put('/:id', isAuth, updateUser);
  *         name: id
  *         required: true
  *         schema:
- *           type: string
+ *           $ref: '#/components/schemas/ObjectId'
  *     responses:
  *       200:
  *         description: User deleted successfully
@@ -135,13 +283,14 @@ router.put('/:id', isAuth, updateUser);
  *       404:
  *         description: User not found
  */
-router.delete('/:id', isAuth, checkRole(['ADMIN']), deleteUser);
+router.delete('/:id', isAuth, validate({ params: idParams('id') }), authorize('user', 'delete'), deleteUser);
 
 /**
  * @swagger
  * /api/users/logout:
  *   post:
  *     summary: Logout user
+ *     description: Revokes the current session, invalidating its access and refresh tokens
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -151,6 +300,23 @@ router.delete('/:id', isAuth, checkRole(['ADMIN']), deleteUser);
  *       401:
  *         description: Unauthorized
  */
-router.post('/logout', isAuth, logout);
+router.post('/logout', isAuthBeforeTwoFactorSetup, requireSession, logout);
+
+/**
+ * @swagger
+ * /api/users/logout-all:
+ *   post:
+ *     summary: Logout user from all devices
+ *     description: Revokes every session of the user, invalidating all of their access and refresh tokens
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out of all devices successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/logout-all', isAuthBeforeTwoFactorSetup, requireSession, logoutAll);
 
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,17 @@
+const { nonEmptyString, dateTime, objectId, strictObject } = require('./common');
+const { API_KEY_SCOPES } = require('../utils/apiKeys');
+
+const CreateApiKeyRequest = strictObject({
+    name: nonEmptyString,
+    scopes: {
+        type: 'array',
+        minItems: 1,
+        items: { type: 'string', enum: API_KEY_SCOPES }
+    },
+    organizationId: { ...objectId, description: 'Organization the key acts for; its owners and managers may create one' },
+    expiresAt: { ...dateTime, nullable: true, description: 'Must be in the future; the key never expires when unset' }
+}, ['name', 'scopes']);
+
+module.exports = {
+    CreateApiKeyRequest
+};
@@ -0,0 +1,79 @@
+const { nonEmptyString, email, strictObject } = require('./common');
+
+const password = { type: 'string', minLength: 1 };
+const newPassword = { type: 'string', minLength: 8 };
+
+const RegisterRequest = strictObject({
+    fullName: nonEmptyString,
+    companyName: nonEmptyString,
+    email,
+    password,
+    role: {
+        type: 'string',
+        enum: ['USER', 'ADVERTISER', 'ADMIN'],
+        description: 'Required unless registering with an invitation. ADMIN is only accepted with a valid bootstrapToken while no admin exists.'
+    },
+    invitationToken: {
+        type: 'string',
+        description: 'Token from an admin invitation email; the invitation decides the role'
+    },
+    bootstrapToken: {
+        type: 'string',
+        description: 'Value of ADMIN_BOOTSTRAP_TOKEN, for creating the first admin'
+    }
+}, ['fullName', 'companyName', 'email', 'password']);
+
+const LoginRequest = strictObject({
+    email,
+    password
+}, ['email', 'password']);
+
+const TwoFactorLoginRequest = strictObject({
+    challengeToken: nonEmptyString,
+    code: { type: 'string' },
+    recoveryCode: { type: 'string' }
+}, ['challengeToken']);
+
+const RefreshRequest = strictObject({
+    refreshToken: nonEmptyString
+}, ['refreshToken']);
+
+const ForgotPasswordRequest = strictObject({
+    email
+}, ['email']);
+
+const ResetPasswordRequest = strictObject({
+    token: nonEmptyString,
+    password: newPassword
+}, ['token', 'password']);
+
+const VerifyEmailRequest = strictObject({
+    token: nonEmptyString
+}, ['token']);
+
+const TwoFactorCodeRequest = strictObject({
+    code: nonEmptyString
+}, ['code']);
+
+const DisableTwoFactorRequest = strictObject({
+    password,
+    code: { type: 'string' },
+    recoveryCode: { type: 'string' }
+}, ['password']);
+
+const SecurityPolicyRequest = strictObject({
+    requireTwoFactorForAdmins: { type: 'boolean' }
+}, ['requireTwoFactorForAdmins']);
+
+module.exports = {
+    RegisterRequest,
+    LoginRequest,
+    TwoFactorLoginRequest,
+    RefreshRequest,
+    ForgotPasswordRequest,
+    ResetPasswordRequest,
+    VerifyEmailRequest,
+    TwoFactorCodeRequest,
+    DisableTwoFactorRequest,
+    SecurityPolicyRequest
+};
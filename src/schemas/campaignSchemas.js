@@ -0,0 +1,169 @@
+const { nonEmptyString, dateTime, objectId, strictObject, paginationQuery } = require('./common');
+const { PRICING_MODELS } = require('../utils/budget');
+const { WEEKDAYS } = require('../utils/schedule');
+const { DEVICE_CLASSES } = require('../utils/targeting');
+const { CREATIVE_SPLITS } = require('../utils/creatives');
+
+// Kept in step with the Campaign model
+const CAMPAIGN_TYPES = ['BANNER', 'FEATURED', 'INTERACTIVE'];
+const CAMPAIGN_STATUSES = ['PENDING', 'ACTIVE', 'PAUSED', 'COMPLETED', 'REJECTED'];
+
+const nonNegativeNumber = { type: 'number', minimum: 0 };
+const stringList = { type: 'array', items: { type: 'string' } };
+
+// Values are checked per dimension by validateTargetingFields
+const targetingRule = (description) => ({
+    ...strictObject({ include: stringList, exclude: stringList }),
+    description
+});
+
+const utm = strictObject({
+    source: { type: 'string' },
+    medium: { type: 'string' },
+    campaign: { type: 'string' },
+    content: { type: 'string' }
+});
+
+const budget = strictObject({
+    pricingModel: { type: 'string', enum: PRICING_MODELS },
+    rate: { ...nonNegativeNumber, description: 'Price per thousand impressions (CPM) or per click (CPC)' },
+    total: nonNegativeNumber,
+    daily: nonNegativeNumber
+});
+
+const daypart = strictObject({
+    days: { type: 'array', minItems: 1, items: { type: 'string', enum: WEEKDAYS } },
+    start: { type: 'string', pattern: '^\\d{2}:\\d{2}$', description: 'HH:MM' },
+    end: { type: 'string', pattern: '^\\d{2}:\\d{2}$', description: 'HH:MM, exclusive' }
+}, ['days', 'start', 'end']);
+
+const targeting = strictObject({
+    countries: targetingRule('Two-letter country codes'),
+    devices: targetingRule(DEVICE_CLASSES.join(', ')),
+    languages: targetingRule('Language codes, e.g. en'),
+    referrers: targetingRule('Referrer domains, subdomains included')
+});
+
+const frequencyCap = {
+    ...strictObject({
+        impressions: { type: 'integer', minimum: 1 },
+        windowHours: { type: 'integer', minimum: 1 }
+    }, ['impressions', 'windowHours']),
+    nullable: true,
+    description: 'Maximum impressions per viewer within a rolling window, null to remove the cap'
+};
+
+// Fields an advertiser may set on a campaign. Ownership, moderation, spend
+// and analytics are maintained by the server.
+const campaignFields = {
+    campaignName: nonEmptyString,
+    campaignDescription: nonEmptyString,
+    campaignType: { type: 'string', enum: CAMPAIGN_TYPES },
+    headline: nonEmptyString,
+    body: nonEmptyString,
+    callToAction: nonEmptyString,
+    landingUrl: { type: 'string', format: 'uri' },
+    utm,
+    budget,
+    startDate: { ...dateTime, nullable: true, description: 'null to remove the start date' },
+    endDate: { ...dateTime, nullable: true, description: 'null to remove the end date' },
+    timezone: { type: 'string', description: 'IANA timezone, e.g. Europe/Berlin' },
+    dayparts: { type: 'array', items: daypart },
+    targeting,
+    frequencyCap,
+    creativeSplit: { type: 'string', enum: CREATIVE_SPLITS }
+};
+
+const CreateCampaignRequest = strictObject({
+    ...campaignFields,
+    organizationId: { ...objectId, description: 'Organization to create the campaign in' }
+}, ['campaignName', 'campaignDescription', 'campaignType', 'headline', 'body', 'callToAction', 'landingUrl']);
+
+// The image only changes through an upload, so the stored file is tracked
+const UpdateCampaignRequest = strictObject({
+    ...campaignFields,
+    weight: { ...nonNegativeNumber, description: 'Relative share of traffic among eligible campaigns' }
+});
+
+const UpdateCampaignDetailsRequest = strictObject({
+    ...UpdateCampaignRequest.properties,
+    status: {
+        type: 'string',
+        enum: CAMPAIGN_STATUSES,
+        description: 'Applied as a status transition, see PUT /api/campaigns/{id}/status'
+    },
+    statusReason: { type: 'string' }
+});
+
+const ListCampaignsQuery = strictObject({
+    ...paginationQuery,
+    sort: {
+        type: 'string',
+        default: '-createdAt',
+        enum: ['createdAt', '-createdAt', 'updatedAt', '-updatedAt', 'campaignName', '-campaignName', 'status', '-status', 'startDate', '-startDate', 'endDate', '-endDate']
+    },
+    status: { type: 'string', enum: CAMPAIGN_STATUSES },
+    type: { type: 'string', enum: CAMPAIGN_TYPES },
+    advertiser: objectId,
+    createdFrom: dateTime,
+    createdTo: dateTime,
+    q: { type: 'string' }
+});
+
+const AnalyticsQuery = strictObject({
+    from: dateTime,
+    to: dateTime,
+    granularity: { type: 'string', enum: ['hour', 'day'], default: 'day' }
+});
+
+const HistoryQuery = strictObject({
+    status: { type: 'string', enum: CAMPAIGN_STATUSES },
+    since: dateTime,
+    until: dateTime
+});
+
+const RecordAnalyticsRequest = strictObject({
+    impressions: { type: 'integer', minimum: 0 },
+    clicks: { type: 'integer', minimum: 0 },
+    ctr: { type: 'number', description: 'Ignored, CTR is computed from impressions and clicks' }
+}, ['impressions', 'clicks']);
+
+const UpdateStatusRequest = strictObject({
+    status: { type: 'string', enum: CAMPAIGN_STATUSES },
+    reason: { type: 'string' }
+}, ['status']);
+
+const ApproveCampaignRequest = strictObject({
+    reason: { type: 'string' }
+});
+
+const RejectCampaignRequest = strictObject({
+    reason: nonEmptyString
+}, ['reason']);
+
+const creativeFields = {
+    name: nonEmptyString,
+    headline: nonEmptyString,
+    body: nonEmptyString,
+    callToAction: nonEmptyString,
+    weight: { ...nonNegativeNumber, description: 'Share of traffic under the WEIGHTED split' }
+};
+
+const CreateCreativeRequest = strictObject(creativeFields, ['name', 'headline', 'body', 'callToAction']);
+
+const UpdateCreativeRequest = strictObject(creativeFields);
+
+module.exports = {
+    CreateCampaignRequest,
+    UpdateCampaignRequest,
+    UpdateCampaignDetailsRequest,
+    ListCampaignsQuery,
+    AnalyticsQuery,
+    HistoryQuery,
+    RecordAnalyticsRequest,
+    UpdateStatusRequest,
+    ApproveCampaignRequest,
+    RejectCampaignRequest,
+    CreateCreativeRequest,
+    UpdateCreativeRequest
+};
@@ -0,0 +1,57 @@
+// Building blocks for request schemas. Schemas are JSON Schema in the subset
+// OpenAPI 3.0 understands, so the same objects validate requests and document
+// them in Swagger.
+
+const objectId = {
+    type: 'string',
+    pattern: '^[0-9a-fA-F]{24}$',
+    description: 'MongoDB ObjectId'
+};
+
+const nonEmptyString = {
+    type: 'string',
+    minLength: 1,
+    pattern: '\\S'
+};
+
+const email = {
+    type: 'string',
+    format: 'email'
+};
+
+const dateTime = {
+    type: 'string',
+    format: 'date-time'
+};
+
+// Object accepting only the listed properties
+const strictObject = (properties, required = []) => ({
+    type: 'object',
+    properties,
+    ...(required.length > 0 && { required }),
+    additionalProperties: false
+});
+
+// Path parameters that are all ObjectIds
+const idParams = (...names) => strictObject(
+    Object.fromEntries(names.map(name => [name, objectId])),
+    names
+);
+
+const paginationQuery = {
+    page: { type: 'integer', minimum: 1, default: 1 },
+    limit: { type: 'integer', minimum: 1, maximum: 100, default: 20 }
+};
+
+const emptyObject = strictObject({});
+
+module.exports = {
+    objectId,
+    nonEmptyString,
+    email,
+    dateTime,
+    strictObject,
+    idParams,
+    paginationQuery,
+    emptyObject
+};
@@ -0,0 +1,37 @@
+const { objectId } = require('./common');
+
+// Body of every error response
+const ErrorResponse = {
+    type: 'object',
+    properties: {
+        message: { type: 'string' },
+        code: {
+            type: 'string',
+            description: 'Stable machine-readable code, e.g. VALIDATION_FAILED, NOT_FOUND or UPSTREAM_FAILURE'
+        },
+        requestId: { type: 'string', description: 'Also sent in the X-Request-Id header' },
+        errors: {
+            type: 'array',
+            description: 'Failing fields, for validation errors',
+            items: {
+                type: 'object',
+                properties: {
+                    field: { type: 'string', example: 'body.budget.rate' },
+                    message: { type: 'string' }
+                }
+            }
+        }
+    }
+};
+
+// Named request schemas, registered as Swagger components so routes can
+// reference them with $ref
+module.exports = {
+    ObjectId: objectId,
+    ErrorResponse,
+    ...require('./authSchemas'),
+    ...require('./userSchemas'),
+    ...require('./campaignSchemas'),
+    ...require('./organizationSchemas'),
+    ...require('./apiKeySchemas')
+};
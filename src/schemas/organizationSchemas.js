@@ -0,0 +1,28 @@
+const { nonEmptyString, email, strictObject } = require('./common');
+const { ORG_ROLES } = require('../services/organizationService');
+
+const orgRole = { type: 'string', enum: ORG_ROLES };
+
+const CreateOrganizationRequest = strictObject({
+    name: nonEmptyString
+}, ['name']);
+
+const InviteMemberRequest = strictObject({
+    email,
+    role: orgRole
+}, ['email', 'role']);
+
+const AcceptMemberInvitationRequest = strictObject({
+    token: nonEmptyString
+}, ['token']);
+
+const UpdateMemberRoleRequest = strictObject({
+    role: orgRole
+}, ['role']);
+
+module.exports = {
+    CreateOrganizationRequest,
+    InviteMemberRequest,
+    AcceptMemberInvitationRequest,
+    UpdateMemberRoleRequest
+};
@@ -0,0 +1,36 @@
+const { nonEmptyString, email, strictObject, paginationQuery } = require('./common');
+
+const roles = ['USER', 'ADVERTISER', 'ADMIN'];
+
+const ListUsersQuery = strictObject({
+    ...paginationQuery,
+    sort: {
+        type: 'string',
+        default: '-createdAt',
+        enum: ['createdAt', '-createdAt', 'fullName', '-fullName', 'email', '-email', 'companyName', '-companyName', 'role', '-role']
+    },
+    role: { type: 'string', enum: roles },
+    company: { type: 'string' },
+    q: { type: 'string' }
+});
+
+const UpdateUserRequest = strictObject({
+    fullName: nonEmptyString,
+    companyName: nonEmptyString,
+    email
+});
+
+const UpdateUserRoleRequest = strictObject({
+    role: { type: 'string', enum: roles }
+}, ['role']);
+
+const InviteAdminRequest = strictObject({
+    email
+}, ['email']);
+
+module.exports = {
+    ListUsersQuery,
+    UpdateUserRequest,
+    UpdateUserRoleRequest,
+    InviteAdminRequest
+};
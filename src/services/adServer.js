@@ -0,0 +1,61 @@
+const Campaign = require('../models/Campaign');
+const Impression = require('../models/Impression');
+const { recordEvents } = require('./analyticsService');
+const { costOf, recordSpend } = require('./budgetService');
+const { withinFlight } = require('./flightService');
+const { filterFrequencyCapped, recordFrequency } = require('./frequencyService');
+const { recordCreativeEvents } = require('./creativeService');
+const { isWithinDaypart } = require('../utils/schedule');
+const { matchesTargeting } = require('../utils/targeting');
+const { pickWeighted } = require('../utils/stats');
+
+// Find the campaigns currently allowed to serve for a placement, optionally
+// only those carrying a kind of rich media
+const findEligibleCampaigns = async ({ type, richMediaKind, viewer, viewerId, now = new Date() }) => {
+    const campaigns = await Campaign.find({
+        status: 'ACTIVE',
+        campaignType: type,
+        ...(richMediaKind && { 'richMedia.kind': richMediaKind }),
+        // Campaigns created before weights existed have none and serve with
+        // the default weight
+        weight: { $not: { $lte: 0 } },
+        ...withinFlight(now)
+    }).select('campaignType headline body callToAction imageUrl renditions richMedia.kind richMedia.width richMedia.height richMedia.url richMedia.duration creatives creativeSplit weight budget timezone dayparts targeting frequencyCap');
+
+    const scheduledAndTargeted = campaigns.filter(campaign => isWithinDaypart(campaign, now)
+        && matchesTargeting(campaign.targeting, viewer));
+
+    return filterFrequencyCapped(scheduledAndTargeted, viewerId, now);
+};
+
+const selectCampaign = async (context) => {
+    const campaigns = await findEligibleCampaigns(context);
+    return pickWeighted(campaigns);
+};
+
+// Record a served impression against the campaign and the placement it was
+// served to, and charge for it
+const recordImpression = async (campaign, { placement, impressionId, viewerId, creativeId } = {}) => {
+    await Promise.all([
+        Impression.create({ impressionId, campaign: campaign._id, creative: creativeId, placement }),
+        recordEvents(campaign._id, { impressions: 1 }),
+        recordCreativeEvents(campaign._id, creativeId, { impressions: 1 }),
+        recordSpend(campaign._id, costOf(campaign, { impressions: 1 })),
+        recordFrequency(campaign, viewerId)
+    ]);
+};
+
+// Record a verified click against the campaign and charge for it
+const recordClick = async (campaign, { creativeId } = {}) => {
+    await Promise.all([
+        recordEvents(campaign._id, { clicks: 1 }),
+        recordCreativeEvents(campaign._id, creativeId, { clicks: 1 }),
+        recordSpend(campaign._id, costOf(campaign, { clicks: 1 }))
+    ]);
+};
+
+module.exports = {
+    selectCampaign,
+    recordImpression,
+    recordClick
+};
@@ -0,0 +1,146 @@
+const Campaign = require('../models/Campaign');
+const AnalyticsRollup = require('../models/AnalyticsRollup');
+const Click = require('../models/Click');
+
+const BUCKET_MS = {
+    hour: 60 * 60 * 1000,
+    day: 24 * 60 * 60 * 1000
+};
+
+// Longest range a single series request may cover, in buckets
+const MAX_BUCKETS = 1000;
+
+// Start of the UTC hour or day containing the date
+const truncate = (date, granularity) => {
+    const truncated = new Date(date);
+    truncated.setUTCMinutes(0, 0, 0);
+    if (granularity === 'day') {
+        truncated.setUTCHours(0);
+    }
+    return truncated;
+};
+
+const calculateCTR = (impressions, clicks) => (impressions > 0 ? (clicks / impressions) * 100 : 0);
+
+const incrementRollups = (campaignId, { impressions = 0, clicks = 0, at }) => AnalyticsRollup.bulkWrite(
+    ['hour', 'day'].map(granularity => ({
+        updateOne: {
+            filter: { campaign: campaignId, granularity, bucket: truncate(at, granularity) },
+            update: { $inc: { impressions, clicks } },
+            upsert: true
+        }
+    }))
+);
+
+// Record impressions and/or clicks, keeping the cumulative counters on the
+// campaign and the hourly and daily rollups in step
+const recordEvents = async (campaignId, { impressions = 0, clicks = 0, at = new Date() }) => {
+    await Promise.all([
+        Campaign.incrementAnalytics(campaignId, { impressions, clicks }),
+        incrementRollups(campaignId, { impressions, clicks, at })
+    ]);
+};
+
+// Bring a campaign's rollups up to its cumulative counters, for events
+// recorded before rollups existed. Clicks are placed at the time their Click
+// was recorded; the remaining impressions and clicks, whose times are
+// unknown, go in the last hour before the first rollup (or the campaign's
+// last update when it has none). Running it again adds nothing.
+const backfillRollups = async (campaign) => {
+    const [rolledUp] = await AnalyticsRollup.aggregate([
+        { $match: { campaign: campaign._id, granularity: 'hour' } },
+        { $group: { _id: null, impressions: { $sum: '$impressions' }, clicks: { $sum: '$clicks' }, first: { $min: '$bucket' } } }
+    ]);
+    const impressions = campaign.analytics.impressions - (rolledUp?.impressions || 0);
+    let clicks = campaign.analytics.clicks - (rolledUp?.clicks || 0);
+    if (impressions <= 0 && clicks <= 0) {
+        return { impressions: 0, clicks: 0 };
+    }
+
+    const legacyAt = rolledUp ? new Date(rolledUp.first.getTime() - 1) : campaign.updatedAt || new Date();
+    const result = { impressions: Math.max(impressions, 0), clicks: Math.max(clicks, 0) };
+
+    if (clicks > 0) {
+        const clickHours = await Click.aggregate([
+            { $match: { campaign: campaign._id, status: 'VALID', createdAt: { $lte: legacyAt } } },
+            { $group: { _id: { $dateTrunc: { date: '$createdAt', unit: 'hour' } }, clicks: { $sum: 1 } } },
+            { $sort: { _id: 1 } }
+        ]);
+        for (const hour of clickHours) {
+            const count = Math.min(hour.clicks, clicks);
+            if (count <= 0) {
+                break;
+            }
+            await incrementRollups(campaign._id, { clicks: count, at: hour._id });
+            clicks -= count;
+        }
+    }
+
+    if (impressions > 0 || clicks > 0) {
+        await incrementRollups(campaign._id, {
+            impressions: Math.max(impressions, 0),
+            clicks: Math.max(clicks, 0),
+            at: legacyAt
+        });
+    }
+    return result;
+};
+
+// Parse and validate series query options. Returns { error } or the resolved
+// { from, to, granularity }.
+const parseSeriesOptions = ({ from, to, granularity = 'day' }) => {
+    if (!BUCKET_MS[granularity]) {
+        return { error: 'Granularity must be hour or day' };
+    }
+
+    const end = to ? new Date(to) : new Date();
+    const start = from ? new Date(from) : new Date(end.getTime() - 30 * BUCKET_MS[granularity]);
+
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+        return { error: 'from and to must be valid dates' };
+    }
+
+    if (start > end) {
+        return { error: 'from must be before to' };
+    }
+
+    if ((end - start) / BUCKET_MS[granularity] > MAX_BUCKETS) {
+        return { error: `Range cannot exceed ${MAX_BUCKETS} ${granularity} buckets` };
+    }
+
+    return { from: truncate(start, granularity), to: end, granularity };
+};
+
+// Per-bucket impressions, clicks and CTR, with empty buckets filled in
+const getSeries = async (campaignId, { from, to, granularity }) => {
+    const rollups = await AnalyticsRollup.find({
+        campaign: campaignId,
+        granularity,
+        bucket: { $gte: from, $lte: to }
+    }).sort({ bucket: 1 });
+
+    const byBucket = new Map(rollups.map(rollup => [rollup.bucket.getTime(), rollup]));
+    const series = [];
+
+    for (let time = from.getTime(); time <= to.getTime(); time += BUCKET_MS[granularity]) {
+        const rollup = byBucket.get(time);
+        const impressions = rollup ? rollup.impressions : 0;
+        const clicks = rollup ? rollup.clicks : 0;
+
+        series.push({
+            bucket: new Date(time),
+            impressions,
+            clicks,
+            ctr: Number(calculateCTR(impressions, clicks).toFixed(2))
+        });
+    }
+
+    return series;
+};
+
+module.exports = {
+    recordEvents,
+    backfillRollups,
+    parseSeriesOptions,
+    getSeries
+};
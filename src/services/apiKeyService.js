@@ -0,0 +1,66 @@
+const crypto = require('crypto');
+const ApiKey = require('../models/ApiKey');
+const User = require('../models/User');
+
+const KEY_PREFIX = 'am_';
+
+// Don't write lastUsedAt on every request from a busy integration
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// Issue a key. Returns the stored key and the key itself, which can't be
+// recovered later.
+const createApiKey = async ({ name, user, organization, scopes, expiresAt }) => {
+    const prefix = `${KEY_PREFIX}${crypto.randomBytes(6).toString('base64url')}`;
+    const key = `${prefix}.${crypto.randomBytes(32).toString('base64url')}`;
+
+    const apiKey = await ApiKey.create({
+        name,
+        user,
+        organization,
+        prefix,
+        keyHash: hashKey(key),
+        scopes,
+        expiresAt
+    });
+
+    return { apiKey, key };
+};
+
+// Look up a live key and the user it acts for. Returns null when the key is
+// unknown, revoked or expired, or its user is gone.
+const authenticateApiKey = async (key) => {
+    const now = new Date();
+    const apiKey = await ApiKey.findOne({
+        keyHash: hashKey(key),
+        revokedAt: null,
+        $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+    });
+    if (!apiKey) {
+        return null;
+    }
+
+    const user = await User.findById(apiKey.user).select('email role twoFactor.enabled');
+    if (!user) {
+        return null;
+    }
+
+    await ApiKey.updateOne(
+        {
+            _id: apiKey._id,
+            $or: [{ lastUsedAt: null }, { lastUsedAt: { $lt: new Date(now - LAST_USED_RESOLUTION_MS) } }]
+        },
+        { lastUsedAt: now }
+    );
+
+    return { apiKey, user };
+};
+
+const isApiKey = (credential) => typeof credential === 'string' && credential.startsWith(KEY_PREFIX);
+
+module.exports = {
+    createApiKey,
+    authenticateApiKey,
+    isApiKey
+};
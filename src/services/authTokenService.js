@@ -0,0 +1,64 @@
+const crypto = require('crypto');
+const AuthToken = require('../models/AuthToken');
+const { getAppUrl, sendMail } = require('./mailer');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const TOKEN_TTL_MS = {
+    PASSWORD_RESET: HOUR_MS,
+    EMAIL_VERIFICATION: 48 * HOUR_MS
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Issue a token for the purpose, invalidating any earlier unused one
+const issueToken = async (user, purpose) => {
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    await AuthToken.updateMany(
+        { user: user._id, purpose, usedAt: null },
+        { usedAt: new Date() }
+    );
+    await AuthToken.create({
+        user: user._id,
+        purpose,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + TOKEN_TTL_MS[purpose])
+    });
+
+    return token;
+};
+
+// Use up a token. Returns the id of its user, or null when the token is
+// unknown, expired or already used.
+const consumeToken = async (token, purpose) => {
+    const authToken = await AuthToken.findOneAndUpdate(
+        { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: new Date() } },
+        { usedAt: new Date() }
+    );
+    return authToken ? authToken.user : null;
+};
+
+const sendVerificationEmail = async (user) => {
+    const token = await issueToken(user, 'EMAIL_VERIFICATION');
+    await sendMail({
+        to: user.email,
+        subject: 'Verify your AdvertiseMedia email address',
+        text: `Hi ${user.fullName},\n\nPlease confirm your email address by opening the link below. It expires in 48 hours.\n\n${getAppUrl()}/verify-email?token=${token}\n`
+    });
+};
+
+const sendPasswordResetEmail = async (user) => {
+    const token = await issueToken(user, 'PASSWORD_RESET');
+    await sendMail({
+        to: user.email,
+        subject: 'Reset your AdvertiseMedia password',
+        text: `Hi ${user.fullName},\n\nSomeone asked to reset the password of your account. Open the link below to choose a new one. It expires in 1 hour.\n\n${getAppUrl()}/reset-password?token=${token}\n\nIf this wasn't you, you can ignore this email.\n`
+    });
+};
+
+module.exports = {
+    consumeToken,
+    sendVerificationEmail,
+    sendPasswordResetEmail
+};
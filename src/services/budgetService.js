@@ -0,0 +1,99 @@
+const Campaign = require('../models/Campaign');
+const { transitionCampaign, transitionMatching } = require('./campaignStateMachine');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// UTC calendar day, used to reset the daily spend counter
+const toDay = (date) => date.toISOString().slice(0, 10);
+
+const startOfNextDay = (date) => new Date(Date.parse(toDay(date)) + DAY_MS);
+
+// Price of the given impressions and clicks under the campaign's pricing model
+const costOf = (campaign, { impressions = 0, clicks = 0 }) => {
+    const { pricingModel, rate } = campaign.budget || {};
+    if (!rate) {
+        return 0;
+    }
+    return pricingModel === 'CPC' ? clicks * rate : (impressions * rate) / 1000;
+};
+
+// Add spend to the campaign, then pause it when the daily cap is reached or
+// complete it when the total budget is exhausted
+const recordSpend = async (campaignId, cost, now = new Date()) => {
+    if (cost <= 0) {
+        return;
+    }
+
+    const today = toDay(now);
+
+    const campaign = await Campaign.findOneAndUpdate({ _id: campaignId }, [
+        {
+            $set: {
+                'budget.spent': { $add: [{ $ifNull: ['$budget.spent', 0] }, cost] },
+                'budget.spentToday': {
+                    $add: [
+                        { $cond: [{ $eq: ['$budget.spentDate', today] }, { $ifNull: ['$budget.spentToday', 0] }, 0] },
+                        cost
+                    ]
+                },
+                'budget.spentDate': today
+            }
+        }
+    ], { new: true }).select('status budget');
+
+    if (!campaign || campaign.status !== 'ACTIVE') {
+        return;
+    }
+
+    const { total, daily, spent, spentToday } = campaign.budget;
+    // Concurrent impressions may race to the cap; only the first transition applies
+    if (total > 0 && spent >= total) {
+        await transitionCampaign(campaign._id, 'COMPLETED', { reason: 'Total budget exhausted' });
+    } else if (daily > 0 && spentToday >= daily) {
+        await transitionCampaign(campaign._id, 'PAUSED', {
+            reason: 'Daily budget cap reached',
+            update: { 'budget.pausedUntil': startOfNextDay(now) }
+        });
+    }
+};
+
+// Reactivate campaigns that were paused by their daily cap once the next day starts
+const resumeDailyCappedCampaigns = async (now = new Date()) => transitionMatching(
+    { status: 'PAUSED', 'budget.pausedUntil': { $lte: now } },
+    'ACTIVE',
+    { reason: 'Daily budget reset', update: { $unset: { 'budget.pausedUntil': 1 } } }
+);
+
+// Spend, remaining budget and projected exhaustion date of a campaign
+const getBudgetSummary = (campaign, now = new Date()) => {
+    const budget = campaign.budget || {};
+    const spent = budget.spent || 0;
+    const spentToday = budget.spentDate === toDay(now) ? budget.spentToday || 0 : 0;
+    const remaining = budget.total > 0 ? Math.max(budget.total - spent, 0) : null;
+
+    // Project from the average daily spend since the campaign was created
+    let projectedExhaustionDate = null;
+    if (remaining !== null && spent > 0 && campaign.status !== 'COMPLETED') {
+        const daysRunning = Math.max((now - campaign.createdAt) / DAY_MS, 1);
+        const dailySpend = budget.daily > 0 ? Math.min(spent / daysRunning, budget.daily) : spent / daysRunning;
+        projectedExhaustionDate = new Date(now.getTime() + (remaining / dailySpend) * DAY_MS);
+    }
+
+    return {
+        pricingModel: budget.pricingModel,
+        rate: budget.rate,
+        total: budget.total ?? null,
+        daily: budget.daily ?? null,
+        spent: spent.toFixed(2),
+        spentToday: spentToday.toFixed(2),
+        remaining: remaining === null ? null : remaining.toFixed(2),
+        projectedExhaustionDate
+    };
+};
+
+module.exports = {
+    costOf,
+    recordSpend,
+    resumeDailyCappedCampaigns,
+    getBudgetSummary
+};
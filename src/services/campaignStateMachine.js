@@ -0,0 +1,93 @@
+const Campaign = require('../models/Campaign');
+const CampaignTransition = require('../models/CampaignTransition');
+
+const ALL = ['ADVERTISER', 'ADMIN', 'SYSTEM'];
+
+// Legal status transitions and the roles allowed to perform each. SYSTEM
+// covers the scheduler, budget tracking and resubmission after creative edits.
+const TRANSITIONS = {
+    PENDING: {
+        ACTIVE: ['ADMIN', 'SYSTEM'],
+        REJECTED: ['ADMIN'],
+        COMPLETED: ['ADVERTISER', 'ADMIN']
+    },
+    ACTIVE: {
+        PAUSED: ALL,
+        COMPLETED: ALL,
+        PENDING: ['SYSTEM']
+    },
+    PAUSED: {
+        ACTIVE: ALL,
+        COMPLETED: ALL,
+        PENDING: ['SYSTEM']
+    },
+    REJECTED: {
+        PENDING: ['SYSTEM']
+    },
+    COMPLETED: {}
+};
+
+const allowedRoles = (from, to) => (TRANSITIONS[from] && TRANSITIONS[from][to]) || null;
+
+// Move a campaign to a new status if the transition is legal for the role,
+// and record it. `filter` narrows which campaign may be changed (e.g. by
+// owner) and `update` is applied in the same atomic write. `projection`
+// selects the fields of the campaign returned.
+// Returns { campaign, from } or { error, statusCode }.
+const transitionCampaign = async (campaignId, to, { role = 'SYSTEM', actor, reason, filter = {}, update = {}, projection } = {}) => {
+    const current = await Campaign.findOne({ _id: campaignId, ...filter }).select('status');
+    if (!current) {
+        return { error: 'Campaign not found', statusCode: 404 };
+    }
+
+    const from = current.status;
+    const roles = allowedRoles(from, to);
+    if (!roles) {
+        return { error: `Cannot change campaign status from ${from} to ${to}`, statusCode: 409 };
+    }
+    if (!roles.includes(role)) {
+        return { error: `${role} cannot change campaign status from ${from} to ${to}`, statusCode: 403 };
+    }
+
+    // Guard on the status we validated against so concurrent changes cannot interleave
+    const campaign = await Campaign.findOneAndUpdate(
+        { _id: campaignId, ...filter, status: from },
+        { ...update, status: to },
+        { new: true, projection }
+    );
+    if (!campaign) {
+        return { error: 'Campaign status changed concurrently, please retry', statusCode: 409 };
+    }
+
+    await CampaignTransition.create({
+        campaign: campaign._id,
+        from,
+        to,
+        actor,
+        actorRole: role,
+        reason
+    });
+
+    return { campaign, from };
+};
+
+// Apply a SYSTEM transition to every matching campaign. Campaigns that move
+// on concurrently are skipped.
+const transitionMatching = async (filter, to, options = {}) => {
+    const campaigns = await Campaign.find(filter).select('_id');
+    let transitioned = 0;
+
+    for (const { _id } of campaigns) {
+        const result = await transitionCampaign(_id, to, { ...options, filter });
+        if (!result.error) {
+            transitioned += 1;
+        }
+    }
+    return transitioned;
+};
+
+module.exports = {
+    TRANSITIONS,
+    transitionCampaign,
+    transitionMatching
+};
@@ -0,0 +1,117 @@
+const Campaign = require('../models/Campaign');
+const { pickWeighted, sampleBeta, twoProportionZTest } = require('../utils/stats');
+
+const SIGNIFICANCE_LEVEL = 0.05;
+
+// Draw from each variant's Beta posterior of CTR and take the best draw
+const pickThompson = (creatives) => {
+    let best = null;
+    let bestSample = -1;
+    for (const creative of creatives) {
+        const { impressions, clicks } = creative.analytics;
+        const sample = sampleBeta(clicks + 1, Math.max(impressions - clicks, 0) + 1);
+        if (sample > bestSample) {
+            best = creative;
+            bestSample = sample;
+        }
+    }
+    return best;
+};
+
+const toPayload = (source, id = null) => ({
+    id,
+    headline: source.headline,
+    body: source.body,
+    callToAction: source.callToAction,
+    imageUrl: source.imageUrl,
+    renditions: source.renditions
+});
+
+// Choose the creative to render for a campaign. Campaigns without variants
+// serve their own headline, body, call to action and image.
+const pickCreative = (campaign) => {
+    const creatives = campaign.creatives || [];
+    if (creatives.length === 0) {
+        return toPayload(campaign);
+    }
+
+    let creative;
+    switch (campaign.creativeSplit) {
+        case 'WEIGHTED':
+            creative = pickWeighted(creatives);
+            break;
+        case 'THOMPSON':
+            creative = pickThompson(creatives);
+            break;
+        default:
+            creative = pickWeighted(creatives, () => 1);
+    }
+
+    return creative ? toPayload(creative, creative._id) : toPayload(campaign);
+};
+
+// Increment the analytics of one creative variant
+const recordCreativeEvents = async (campaignId, creativeId, { impressions = 0, clicks = 0 }) => {
+    if (!creativeId) {
+        return;
+    }
+
+    await Campaign.updateOne(
+        { _id: campaignId, 'creatives._id': creativeId },
+        {
+            $inc: {
+                'creatives.$.analytics.impressions': impressions,
+                'creatives.$.analytics.clicks': clicks
+            }
+        }
+    );
+};
+
+const ctrOf = ({ impressions, clicks }) => (impressions > 0 ? (clicks / impressions) * 100 : 0);
+
+// Per-variant CTR with each variant tested against the current leader
+const buildCreativeReport = (campaign) => {
+    const creatives = campaign.creatives || [];
+    const leader = creatives.reduce((best, creative) => (!best || ctrOf(creative.analytics) > ctrOf(best.analytics) ? creative : best), null);
+
+    const variants = creatives.map(creative => {
+        const { impressions, clicks } = creative.analytics;
+        const isLeader = creative === leader;
+        const test = isLeader ? null : twoProportionZTest(
+            leader.analytics.clicks, leader.analytics.impressions,
+            clicks, impressions
+        );
+
+        return {
+            id: creative._id,
+            name: creative.name,
+            weight: creative.weight,
+            impressions,
+            clicks,
+            ctr: ctrOf(creative.analytics).toFixed(2),
+            isLeader,
+            comparedToLeader: test && {
+                zScore: Number(test.zScore.toFixed(3)),
+                pValue: Number(test.pValue.toFixed(4)),
+                significant: test.pValue < SIGNIFICANCE_LEVEL
+            }
+        };
+    });
+
+    // The leader wins once it beats every other variant significantly
+    const others = variants.filter(variant => !variant.isLeader);
+    const hasWinner = others.length > 0 && others.every(variant => variant.comparedToLeader?.significant);
+
+    return {
+        creativeSplit: campaign.creativeSplit,
+        confidenceLevel: 1 - SIGNIFICANCE_LEVEL,
+        winner: hasWinner ? leader._id : null,
+        variants
+    };
+};
+
+module.exports = {
+    pickCreative,
+    recordCreativeEvents,
+    buildCreativeReport
+};
@@ -0,0 +1,38 @@
+const { transitionMatching } = require('./campaignStateMachine');
+
+// Campaigns whose flight has not ended yet
+const notEnded = (now) => ({
+    $or: [{ endDate: null }, { endDate: { $gt: now } }]
+});
+
+// Activate approved pending campaigns whose flight has started
+const activateStartedCampaigns = async (now = new Date()) => transitionMatching(
+    { status: 'PENDING', 'moderation.state': 'APPROVED', startDate: { $lte: now }, ...notEnded(now) },
+    'ACTIVE',
+    { reason: 'Flight started' }
+);
+
+// Complete running campaigns whose flight has ended
+const completeEndedCampaigns = async (now = new Date()) => {
+    const ended = { endDate: { $lte: now } };
+    const options = { reason: 'Flight ended', update: { $unset: { 'budget.pausedUntil': 1 } } };
+
+    const completedActive = await transitionMatching({ status: 'ACTIVE', ...ended }, 'COMPLETED', options);
+    const completedPaused = await transitionMatching({ status: 'PAUSED', ...ended }, 'COMPLETED', options);
+    return completedActive + completedPaused;
+};
+
+// Query conditions restricting serving to campaigns within their flight dates,
+// so serving is correct even between scheduler runs
+const withinFlight = (now = new Date()) => ({
+    $and: [
+        { $or: [{ startDate: null }, { startDate: { $lte: now } }] },
+        notEnded(now)
+    ]
+});
+
+module.exports = {
+    activateStartedCampaigns,
+    completeEndedCampaigns,
+    withinFlight
+};
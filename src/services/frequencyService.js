@@ -0,0 +1,75 @@
+const FrequencyCounter = require('../models/FrequencyCounter');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const hasCap = (campaign) => Boolean(campaign.frequencyCap?.impressions && campaign.frequencyCap?.windowHours);
+
+// Drop the campaigns the viewer has already seen as often as their cap allows
+const filterFrequencyCapped = async (campaigns, viewerId, now = new Date()) => {
+    const capped = campaigns.filter(hasCap);
+    if (!viewerId || capped.length === 0) {
+        return campaigns;
+    }
+
+    const counters = await FrequencyCounter.find({
+        viewerId,
+        campaign: { $in: capped.map(campaign => campaign._id) },
+        expiresAt: { $gt: now }
+    });
+    const counts = new Map(counters.map(counter => [counter.campaign.toString(), counter.count]));
+
+    return campaigns.filter(campaign => !hasCap(campaign)
+        || (counts.get(campaign._id.toString()) || 0) < campaign.frequencyCap.impressions);
+};
+
+// Count an impression towards the viewer's cap, starting a new window when
+// the previous one has passed
+const recordFrequency = async (campaign, viewerId, now = new Date()) => {
+    if (!viewerId || !hasCap(campaign)) {
+        return;
+    }
+
+    const windowExpired = { $or: [{ $not: ['$expiresAt'] }, { $lte: ['$expiresAt', now] }] };
+
+    await FrequencyCounter.updateOne(
+        { campaign: campaign._id, viewerId },
+        [{
+            $set: {
+                count: { $cond: [windowExpired, 1, { $add: ['$count', 1] }] },
+                windowStart: { $cond: [windowExpired, now, '$windowStart'] },
+                expiresAt: {
+                    $cond: [windowExpired, new Date(now.getTime() + campaign.frequencyCap.windowHours * HOUR_MS), '$expiresAt']
+                }
+            }
+        }],
+        { upsert: true }
+    );
+};
+
+// Configured cap and the current state of its counters
+const getFrequencyStats = async (campaign, now = new Date()) => {
+    if (!hasCap(campaign)) {
+        return { cap: null, activeViewers: 0, cappedViewers: 0 };
+    }
+
+    const active = { campaign: campaign._id, expiresAt: { $gt: now } };
+    const [activeViewers, cappedViewers] = await Promise.all([
+        FrequencyCounter.countDocuments(active),
+        FrequencyCounter.countDocuments({ ...active, count: { $gte: campaign.frequencyCap.impressions } })
+    ]);
+
+    return {
+        cap: {
+            impressions: campaign.frequencyCap.impressions,
+            windowHours: campaign.frequencyCap.windowHours
+        },
+        activeViewers,
+        cappedViewers
+    };
+};
+
+module.exports = {
+    filterFrequencyCapped,
+    recordFrequency,
+    getFrequencyStats
+};
@@ -0,0 +1,94 @@
+const fs = require('fs/promises');
+const sharp = require('sharp');
+const { DENSITIES, matchAdSize } = require('../utils/images');
+const { storeFile, removeFiles } = require('./mediaStorage');
+
+const EXTENSIONS = { jpeg: '.jpg', png: '.png', gif: '.gif', webp: '.webp' };
+
+// Format served to viewers without WebP support. WebP uploads get a JPEG
+// fallback, or PNG / GIF when transparency or animation has to be kept.
+const fallbackFormat = ({ format, hasAlpha, pages = 1 }) => {
+    if (format !== 'webp') {
+        return format;
+    }
+    if (pages > 1) {
+        return 'gif';
+    }
+    return hasAlpha ? 'png' : 'jpeg';
+};
+
+// Write one rendition next to the upload. Output carries no metadata, so
+// EXIF data (camera, location) is stripped once its orientation is applied.
+const render = async (filePath, { width, height, format }) => {
+    const output = `${filePath}-${width}x${height}${EXTENSIONS[format]}`;
+    await sharp(filePath, { animated: true })
+        .autoOrient()
+        .resize(width, height, { fit: 'fill' })
+        .toFormat(format)
+        .toFile(output);
+    return output;
+};
+
+// Validate an uploaded image against the ad sizes of the campaign type, then
+// store resized renditions for each screen density in its own format and as
+// WebP. Resolves to the campaign image fields, imageUrl and imageKey being
+// those of the 1x fallback rendition.
+const processImage = async (filePath, campaignType) => {
+    const metadata = await sharp(filePath, { animated: true }).metadata().catch(() => null);
+    if (!metadata) {
+        return { error: 'Image could not be read', statusCode: 400 };
+    }
+
+    // Animated images report the height of all frames stacked
+    const dimensions = {
+        width: metadata.autoOrient.width,
+        height: metadata.pageHeight || metadata.autoOrient.height
+    };
+    const { adSize, density, error } = matchAdSize(dimensions, campaignType);
+    if (error) {
+        return { error, statusCode: 400 };
+    }
+
+    const formats = [fallbackFormat(metadata), 'webp'];
+    const variants = DENSITIES.filter(candidate => candidate <= density)
+        .flatMap(scale => formats.map(format => ({
+            width: adSize.width * scale,
+            height: adSize.height * scale,
+            density: scale,
+            format
+        })));
+
+    const renditions = [];
+    const outputs = [];
+    try {
+        for (const variant of variants) {
+            const output = await render(filePath, variant);
+            outputs.push(output);
+            const { url, key } = await storeFile(output);
+            renditions.push({ ...variant, url, key });
+        }
+    } catch (error) {
+        await removeFiles(renditions.map(rendition => rendition.key));
+        throw error;
+    } finally {
+        await Promise.all(outputs.map(output => fs.rm(output, { force: true })));
+    }
+
+    const primary = renditions[0];
+    return { imageUrl: primary.url, imageKey: primary.key, renditions };
+};
+
+// Storage keys of images and their renditions
+const imageKeysOf = (sources) => [...new Set(sources.filter(Boolean).flatMap(source => [
+    source.imageKey,
+    ...(source.renditions || []).map(rendition => rendition.key)
+]))];
+
+// Remove the stored images and renditions of campaigns or creatives
+const removeImages = (sources) => removeFiles(imageKeysOf(sources));
+
+module.exports = {
+    processImage,
+    imageKeysOf,
+    removeImages
+};
@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+const Invitation = require('../models/Invitation');
+const { getAppUrl, sendMail } = require('./mailer');
+
+const INVITATION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Invite someone by email, replacing any pending invitation to the same address
+const createInvitation = async (email, invitedBy, role = 'ADMIN') => {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const normalizedEmail = email.toLowerCase();
+
+    await Invitation.deleteMany({ email: normalizedEmail, acceptedAt: null });
+    const invitation = await Invitation.create({
+        email: normalizedEmail,
+        role,
+        tokenHash: hashToken(token),
+        invitedBy: invitedBy._id,
+        expiresAt: new Date(Date.now() + INVITATION_TTL_MS)
+    });
+
+    await sendMail({
+        to: normalizedEmail,
+        subject: 'You have been invited to AdvertiseMedia',
+        text: `Hi,\n\n${invitedBy.fullName} invited you to join AdvertiseMedia as ${role.toLowerCase()}. Open the link below to create your account. It expires in 7 days.\n\n${getAppUrl()}/accept-invitation?token=${token}\n`
+    });
+
+    return invitation;
+};
+
+const getPendingInvitations = () => Invitation.find({ acceptedAt: null, expiresAt: { $gt: new Date() } })
+    .select('email role invitedBy expiresAt createdAt')
+    .populate('invitedBy', 'fullName email')
+    .sort({ createdAt: -1 });
+
+// Use up an invitation addressed to the email. Returns null when the token is
+// unknown, expired, already used or meant for someone else.
+const acceptInvitation = (token, email) => Invitation.findOneAndUpdate(
+    {
+        tokenHash: hashToken(token),
+        email: String(email).toLowerCase(),
+        acceptedAt: null,
+        expiresAt: { $gt: new Date() }
+    },
+    { acceptedAt: new Date() },
+    { new: true }
+);
+
+// Make an accepted invitation usable again, when the account it was accepted
+// for could not be created
+const releaseInvitation = (invitation) => Invitation.updateOne(
+    { _id: invitation._id },
+    { $unset: { acceptedAt: 1 } }
+);
+
+const revokeInvitation = (invitationId) => Invitation.findOneAndDelete({ _id: invitationId, acceptedAt: null });
+
+module.exports = {
+    createInvitation,
+    getPendingInvitations,
+    acceptInvitation,
+    releaseInvitation,
+    revokeInvitation
+};
@@ -0,0 +1,181 @@
+// Brute-force protection for login. Failures are counted per IP and per
+// account; past a few free attempts each failure blocks further attempts for
+// exponentially longer, and enough failures on an account lock it for a while.
+
+const POLICIES = {
+    ip: { freeAttempts: 20, lockoutAfter: null },
+    account: { freeAttempts: 5, lockoutAfter: 10 }
+};
+
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 15 * 60 * 1000;
+const LOCKOUT_MS = 30 * 60 * 1000;
+// Failures are forgotten once nothing has happened for this long
+const FAILURE_WINDOW_MS = 60 * 60 * 1000;
+
+// The memory store drops expired entries this often, and its oldest entries
+// past this many, so a flood of throwaway IPs and emails can't grow it unbounded
+const SWEEP_INTERVAL_MS = 60 * 1000;
+const MAX_MEMORY_ENTRIES = 100000;
+
+// Stores keep a small state object per key until it expires. Each store has
+// async get(key), update(key, change) and delete(key). update calls
+// change(current) and writes the { value, ttlMs } it returns, or nothing when
+// it returns null, as one atomic step; it resolves to the value now stored.
+const stores = {
+    // Per process; fine for a single instance
+    memory: () => {
+        const entries = new Map();
+        const sweep = setInterval(() => {
+            const now = Date.now();
+            for (const [key, entry] of entries) {
+                if (entry.expiresAt <= now) {
+                    entries.delete(key);
+                }
+            }
+        }, SWEEP_INTERVAL_MS);
+        sweep.unref();
+
+        const read = (key) => {
+            const entry = entries.get(key);
+            if (!entry) {
+                return null;
+            }
+            if (entry.expiresAt <= Date.now()) {
+                entries.delete(key);
+                return null;
+            }
+            return entry.value;
+        };
+
+        return {
+            async get(key) {
+                return read(key);
+            },
+            // Synchronous from read to write, so no other call gets in between
+            async update(key, change) {
+                const current = read(key);
+                const next = change(current);
+                if (!next) {
+                    return current;
+                }
+                // Re-inserting keeps the Map in order of last write, oldest first
+                entries.delete(key);
+                entries.set(key, { value: next.value, expiresAt: Date.now() + next.ttlMs });
+                if (entries.size > MAX_MEMORY_ENTRIES) {
+                    entries.delete(entries.keys().next().value);
+                }
+                return next.value;
+            },
+            async delete(key) {
+                entries.delete(key);
+            }
+        };
+    }
+};
+
+let store = null;
+
+// Register an additional store, e.g. one shared between instances
+const registerStore = (name, factory) => {
+    stores[name] = factory;
+    store = null;
+};
+
+const getStore = () => {
+    if (!store) {
+        const name = process.env.LOGIN_THROTTLE_STORE || 'memory';
+        if (!stores[name]) {
+            throw new Error(`Unknown login throttle store: ${name}`);
+        }
+        store = stores[name]();
+    }
+    return store;
+};
+
+const throttleKeys = ({ ip, email }) => ({
+    ip: `login:ip:${ip}`,
+    account: `login:account:${String(email).toLowerCase()}`
+});
+
+// How long an attempt has to wait, in ms; 0 when it may go ahead
+const getRetryAfter = async (attempt, now = Date.now()) => {
+    const keys = throttleKeys(attempt);
+    const states = await Promise.all(Object.values(keys).map(key => getStore().get(key)));
+    const blockedUntil = Math.max(0, ...states.map(state => state?.blockedUntil || 0));
+    return Math.max(0, blockedUntil - now);
+};
+
+const nextBlock = (failures, policy, now) => {
+    if (policy.lockoutAfter && failures >= policy.lockoutAfter) {
+        return now + LOCKOUT_MS;
+    }
+    if (failures < policy.freeAttempts) {
+        return 0;
+    }
+    return now + Math.min(BASE_DELAY_MS * 2 ** (failures - policy.freeAttempts), MAX_DELAY_MS);
+};
+
+const ttlFor = (blockedUntil, now) => Math.max(FAILURE_WINDOW_MS, blockedUntil - now);
+
+// Undo reserved attempts. A block set by a failure since then stays.
+const releaseAttempt = (reservation, now = Date.now()) => Promise.all(reservation.map(({ key, blockedUntil, previousBlockedUntil }) => (
+    getStore().update(key, (state) => {
+        if (!state) {
+            return null;
+        }
+        const restored = state.blockedUntil === blockedUntil ? previousBlockedUntil : state.blockedUntil;
+        return {
+            value: { failures: Math.max(0, state.failures - 1), blockedUntil: restored },
+            ttlMs: ttlFor(restored, now)
+        };
+    })
+)));
+
+// Count the attempt as a failure against the IP and the account before its
+// credentials are checked, so parallel guesses can't all pass the limits
+// before the first failure is recorded. Resolves to { retryAfter } in ms,
+// with nothing counted, when the attempt has to wait; otherwise to
+// { retryAfter: 0, reservation }. A failed attempt simply stays counted.
+const reserveAttempt = async (attempt, now = Date.now()) => {
+    const reservation = [];
+    for (const [type, key] of Object.entries(throttleKeys(attempt))) {
+        let reserved = false;
+        let previousBlockedUntil = 0;
+        const state = await getStore().update(key, (current) => {
+            reserved = !(current?.blockedUntil > now);
+            if (!reserved) {
+                return null;
+            }
+            previousBlockedUntil = current?.blockedUntil || 0;
+            const failures = (current?.failures || 0) + 1;
+            const blockedUntil = nextBlock(failures, POLICIES[type], now);
+            return { value: { failures, blockedUntil }, ttlMs: ttlFor(blockedUntil, now) };
+        });
+
+        if (!reserved) {
+            await releaseAttempt(reservation, now);
+            return { retryAfter: state.blockedUntil - now };
+        }
+        reservation.push({ type, key, blockedUntil: state.blockedUntil, previousBlockedUntil });
+    }
+    return { retryAfter: 0, reservation };
+};
+
+// Forget the account's failures after a successful login. The IP keeps the
+// failures before this attempt, so one valid account can't reset it for
+// guessing others.
+const recordSuccess = async (reservation) => {
+    await releaseAttempt(reservation.filter(({ type }) => type === 'ip'));
+    await Promise.all(reservation
+        .filter(({ type }) => type === 'account')
+        .map(({ key }) => getStore().delete(key)));
+};
+
+module.exports = {
+    registerStore,
+    getRetryAfter,
+    reserveAttempt,
+    releaseAttempt,
+    recordSuccess
+};
@@ -0,0 +1,83 @@
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { UpstreamError } = require('../utils/errors');
+
+// Mail transports, selected with MAIL_TRANSPORT. Each takes a message
+// ({ from, to, subject, text }) and delivers it.
+const transports = {
+    // Development stand-in: print the message to the console
+    console: () => async (message) => {
+        console.log(`[mail] To: ${message.to}\n[mail] Subject: ${message.subject}\n${message.text}`);
+    },
+
+    // Development and test stand-in: write each message as JSON to MAIL_OUTBOX_DIR
+    file: () => {
+        const outbox = process.env.MAIL_OUTBOX_DIR || 'mail-outbox';
+        return async (message) => {
+            await fs.mkdir(outbox, { recursive: true });
+            const fileName = `${Date.now()}-${Math.round(Math.random() * 1E9)}.json`;
+            await fs.writeFile(path.join(outbox, fileName), JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+        };
+    },
+
+    smtp: () => {
+        const transporter = nodemailer.createTransport(process.env.SMTP_URL);
+        return (message) => transporter.sendMail(message);
+    }
+};
+
+// Base URL of the web app, for links in emails
+const getAppUrl = () => process.env.APP_URL || 'http://localhost:3000';
+
+let send = null;
+
+// Register an additional transport, e.g. for a mail provider's HTTP API
+const registerTransport = (name, factory) => {
+    transports[name] = factory;
+    send = null;
+};
+
+const getTransport = () => {
+    if (!send) {
+        const name = process.env.MAIL_TRANSPORT || 'console';
+        if (!transports[name]) {
+            throw new Error(`Unknown mail transport: ${name}`);
+        }
+        send = transports[name]();
+    }
+    return send;
+};
+
+// Warn at startup when emails would not reach anyone. Outside development,
+// reset links and the like must not quietly end up in the logs instead.
+const checkMailTransport = () => {
+    const name = process.env.MAIL_TRANSPORT;
+    if (name && !transports[name]) {
+        console.warn(`Unknown mail transport ${name}, emails cannot be sent`);
+    } else if (!name && process.env.NODE_ENV !== 'development') {
+        console.warn('MAIL_TRANSPORT is not set, emails are only printed to the console');
+    }
+};
+
+// Send a message. Delivery failures are raised as UpstreamError.
+const sendMail = async ({ to, subject, text }) => {
+    const transport = getTransport();
+    try {
+        await transport({
+            from: process.env.MAIL_FROM || 'AdvertiseMedia <no-reply@advertisemedia.com>',
+            to,
+            subject,
+            text
+        });
+    } catch (error) {
+        throw new UpstreamError('Email could not be sent, please try again later', { cause: error });
+    }
+};
+
+module.exports = {
+    checkMailTransport,
+    getAppUrl,
+    registerTransport,
+    sendMail
+};
@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const cloudinary = require('cloudinary').v2;
+const { UpstreamError } = require('../utils/errors');
+
+// Directory the local driver stores files in, served under /media
+const getLocalMediaDir = () => path.resolve(process.env.MEDIA_DIR || 'media');
+
+// Storage drivers, selected with MEDIA_STORAGE. Each has async
+// upload(filePath, options) resolving to { url, id }, and async remove(id).
+// options.id asks for a path-like id, e.g. bundles/<uuid>/index.html, so files
+// stored together can reference each other by relative URL. options.resourceType
+// is image (the default), video or raw.
+const drivers = {
+    cloudinary: () => {
+        cloudinary.config({
+            cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+            api_key: process.env.CLOUDINARY_API_KEY,
+            api_secret: process.env.CLOUDINARY_API_SECRET
+        });
+        return {
+            async upload(filePath, { id, resourceType = 'image' } = {}) {
+                try {
+                    const result = await cloudinary.uploader.upload(filePath, {
+                        resource_type: resourceType,
+                        // Only raw files keep their extension in the public id
+                        ...(id && { public_id: resourceType === 'raw' ? id : id.replace(/\.[^/.]+$/, '') })
+                    });
+                    // Files other than images can only be removed by type
+                    return {
+                        url: result.secure_url,
+                        id: resourceType === 'image' ? result.public_id : `${resourceType}:${result.public_id}`
+                    };
+                } catch (error) {
+                    throw new UpstreamError('Media upload failed, please try again later', { cause: error });
+                }
+            },
+            async remove(id) {
+                const [, resourceType, publicId] = id.match(/^(?:(video|raw):)?(.*)$/s);
+                await cloudinary.uploader.destroy(publicId, { resource_type: resourceType || 'image' });
+            }
+        };
+    },
+
+    // Development and test stand-in: keep files on disk and serve them from
+    // this app
+    local: () => {
+        const dir = getLocalMediaDir();
+        const baseUrl = process.env.MEDIA_BASE_URL
+            || `${process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 3001}`}/media`;
+        // Ids never resolve outside the media directory
+        const resolve = (id) => {
+            const target = path.resolve(dir, id);
+            if (!target.startsWith(`${dir}${path.sep}`)) {
+                throw new Error(`Invalid media id: ${id}`);
+            }
+            return target;
+        };
+        return {
+            async upload(filePath, options = {}) {
+                const id = options.id || `${crypto.randomUUID()}${path.extname(filePath).toLowerCase()}`;
+                const target = resolve(id);
+                await fs.mkdir(path.dirname(target), { recursive: true });
+                await fs.copyFile(filePath, target);
+                return { url: `${baseUrl}/${id.split('/').map(encodeURIComponent).join('/')}`, id };
+            },
+            async remove(id) {
+                await fs.rm(resolve(id), { force: true });
+            }
+        };
+    }
+};
+
+const instances = {};
+
+// Register an additional driver, e.g. for another CDN
+const registerDriver = (name, factory) => {
+    drivers[name] = factory;
+    delete instances[name];
+};
+
+// Defaults to Cloudinary when it is configured
+const getDriverName = () => process.env.MEDIA_STORAGE
+    || (process.env.CLOUDINARY_CLOUD_NAME ? 'cloudinary' : 'local');
+
+const getDriver = (name) => {
+    if (!instances[name]) {
+        if (!drivers[name]) {
+            throw new Error(`Unknown media storage driver: ${name}`);
+        }
+        instances[name] = drivers[name]();
+    }
+    return instances[name];
+};
+
+// Store an uploaded file. The returned key records the driver that holds
+// the file, so it can still be removed after switching drivers.
+const storeFile = async (filePath, options) => {
+    const name = getDriverName();
+    const { url, id } = await getDriver(name).upload(filePath, options);
+    return { url, key: `${name}:${id}` };
+};
+
+// Remove stored files by key. Missing keys, left by images stored before
+// keys were recorded, are skipped; failures are logged, not raised, since
+// the change that made the files obsolete has already been saved.
+const removeFiles = async (keys) => {
+    await Promise.all(keys.filter(Boolean).map(async (key) => {
+        const separator = key.indexOf(':');
+        try {
+            await getDriver(key.slice(0, separator)).remove(key.slice(separator + 1));
+        } catch (error) {
+            console.error(`Error removing stored file ${key}:`, error);
+        }
+    }));
+};
+
+module.exports = {
+    getLocalMediaDir,
+    registerDriver,
+    storeFile,
+    removeFiles
+};
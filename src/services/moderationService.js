@@ -0,0 +1,62 @@
+const Campaign = require('../models/Campaign');
+const { transitionCampaign } = require('./campaignStateMachine');
+
+// Fields an admin has to review again when an advertiser changes them
+const REVIEWED_FIELDS = ['headline', 'body', 'callToAction', 'imageUrl', 'landingUrl'];
+
+// Statuses that go back to PENDING when a campaign is resubmitted for review
+const RESUBMITTABLE_STATUSES = ['ACTIVE', 'PAUSED', 'REJECTED'];
+
+// Campaigns waiting for an admin decision. Campaigns created before
+// moderation existed have no moderation state yet.
+const awaitingReview = () => ({
+    status: 'PENDING',
+    'moderation.state': { $in: ['IN_REVIEW', null] }
+});
+
+const historyEntry = (action, { actor, status, reason }) => ({
+    action,
+    status,
+    reason,
+    actor,
+    at: new Date()
+});
+
+// Reviewed fields that an update would change
+const changedCreativeFields = (existing, update) => REVIEWED_FIELDS
+    .filter(field => update[field] !== undefined && update[field] !== existing[field]);
+
+// Apply a creative change and send the campaign back to review in the same
+// write, so the new creative never serves unapproved and a failed change
+// leaves the campaign as it was. `filter` narrows which campaign may be
+// changed, guarded on the status and review state read into `campaign`.
+// Returns { campaign } or { error, statusCode }.
+const resubmitForReview = async (campaign, actor, reason, { filter = {}, update = {}, projection } = {}) => {
+    const status = RESUBMITTABLE_STATUSES.includes(campaign.status) ? 'PENDING' : campaign.status;
+    const inReview = campaign.moderation?.state === 'IN_REVIEW';
+    const review = inReview ? update : {
+        ...update,
+        'moderation.state': 'IN_REVIEW',
+        $push: { ...update.$push, 'moderation.history': historyEntry('RESUBMITTED', { actor, status, reason }) }
+    };
+
+    if (inReview || status === campaign.status) {
+        const updated = await Campaign.findOneAndUpdate(
+            { _id: campaign._id, ...filter, status: campaign.status, 'moderation.state': campaign.moderation?.state ?? null },
+            review,
+            { new: true, projection }
+        );
+        return updated
+            ? { campaign: updated }
+            : { error: 'Campaign changed concurrently, please retry', statusCode: 409 };
+    }
+    return transitionCampaign(campaign._id, status, { actor, reason, filter, update: review, projection });
+};
+
+module.exports = {
+    REVIEWED_FIELDS,
+    awaitingReview,
+    historyEntry,
+    changedCreativeFields,
+    resubmitForReview
+};
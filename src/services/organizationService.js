@@ -0,0 +1,210 @@
+const crypto = require('crypto');
+const Organization = require('../models/Organization');
+const Campaign = require('../models/Campaign');
+const { getAppUrl, sendMail } = require('./mailer');
+
+const ORG_ROLES = ['OWNER', 'MANAGER', 'VIEWER'];
+
+// Organization roles allowed to create and change campaigns
+const CAMPAIGN_EDITORS = ['OWNER', 'MANAGER'];
+
+const INVITATION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const membership = (userId, roles = ORG_ROLES) => ({
+    members: { $elemMatch: { user: userId, role: { $in: roles } } }
+});
+
+// Ids of the organizations where the user has one of the roles
+const getMemberOrganizationIds = async (userId, roles = ORG_ROLES) => {
+    const organizations = await Organization.find(membership(userId, roles)).select('_id');
+    return organizations.map(organization => organization._id);
+};
+
+const isMember = (organizationId, userId, roles = ORG_ROLES) => Organization.exists({
+    _id: organizationId,
+    ...membership(userId, roles)
+});
+
+// Query filter limiting campaigns to those the user may access with the
+// organization roles. Admins see every campaign.
+const campaignScope = async (user, roles = ORG_ROLES) => {
+    // API keys created for an organization only reach its campaigns
+    if (user.organizationId) {
+        const allowed = user.role === 'ADMIN' || await isMember(user.organizationId, user.userId, roles);
+        return allowed ? { organization: user.organizationId } : { _id: null };
+    }
+    if (user.role === 'ADMIN') {
+        return {};
+    }
+    const organizationIds = await getMemberOrganizationIds(user.userId, roles);
+    return {
+        $or: [
+            { organization: { $in: organizationIds } },
+            { organization: null, advertiser: user.userId }
+        ]
+    };
+};
+
+// Whether the user may access the campaign with the organization roles.
+// Returns null when the campaign doesn't exist.
+const canAccessCampaign = async (campaignId, user, roles = ORG_ROLES) => {
+    const campaign = await Campaign.findById(campaignId).select('advertiser organization');
+    if (!campaign) {
+        return null;
+    }
+    if (user.organizationId && String(campaign.organization) !== user.organizationId) {
+        return false;
+    }
+    if (!campaign.organization) {
+        return String(campaign.advertiser) === String(user.userId);
+    }
+    return Boolean(await isMember(campaign.organization, user.userId, roles));
+};
+
+const createOrganizationWithOwner = (name, ownerId) => Organization.create({
+    name,
+    members: [{ user: ownerId, role: 'OWNER' }]
+});
+
+// The organization a new campaign of the user goes to. Users without one get
+// an organization named after their company, which also takes over the
+// campaigns they created before organizations existed.
+const resolveCampaignOrganization = async (user, organizationId) => {
+    if (organizationId) {
+        if (!(await isMember(organizationId, user._id, CAMPAIGN_EDITORS))) {
+            return { error: 'You cannot create campaigns in this organization', statusCode: 403 };
+        }
+        return { organizationId };
+    }
+
+    const organizationIds = await getMemberOrganizationIds(user._id, CAMPAIGN_EDITORS);
+    if (organizationIds.length > 1) {
+        return { error: 'organizationId is required when you belong to several organizations', statusCode: 400 };
+    }
+    if (organizationIds.length === 1) {
+        return { organizationId: organizationIds[0] };
+    }
+
+    const organization = await createOrganizationWithOwner(user.companyName, user._id);
+    await Campaign.updateMany(
+        { advertiser: user._id, organization: null },
+        { organization: organization._id }
+    );
+    return { organizationId: organization._id };
+};
+
+// Invite someone by email, replacing any pending invitation to the same address
+const sendMemberInvitation = async (organization, { email, role, invitedBy }) => {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const normalizedEmail = email.toLowerCase();
+
+    await Organization.updateOne(
+        { _id: organization._id },
+        { $pull: { invitations: { email: normalizedEmail } } }
+    );
+    await Organization.updateOne(
+        { _id: organization._id },
+        {
+            $push: {
+                invitations: {
+                    email: normalizedEmail,
+                    role,
+                    tokenHash: hashToken(token),
+                    invitedBy: invitedBy._id,
+                    expiresAt: new Date(Date.now() + INVITATION_TTL_MS)
+                }
+            }
+        }
+    );
+
+    await sendMail({
+        to: normalizedEmail,
+        subject: `Join ${organization.name} on AdvertiseMedia`,
+        text: `Hi,\n\n${invitedBy.fullName} invited you to join ${organization.name} on AdvertiseMedia as ${role.toLowerCase()}. Sign in or create an account with this email address, then open the link below. It expires in 7 days.\n\n${getAppUrl()}/join-organization?token=${token}\n`
+    });
+};
+
+// Add the user to the organization the invitation is for. The invitation
+// must be addressed to the user's email.
+const acceptMemberInvitation = async (token, user) => {
+    const tokenHash = hashToken(token);
+    const invitationFilter = {
+        invitations: {
+            $elemMatch: { tokenHash, email: user.email, expiresAt: { $gt: new Date() } }
+        }
+    };
+
+    const organization = await Organization.findOne(invitationFilter);
+    if (!organization) {
+        return { error: 'Invalid or expired invitation', statusCode: 400 };
+    }
+    if (organization.members.some(member => String(member.user) === String(user._id))) {
+        return { error: 'You are already a member of this organization', statusCode: 409 };
+    }
+
+    const { role } = organization.invitations.find(invitation => invitation.tokenHash === tokenHash);
+    // Only one request can use the invitation
+    const joined = await Organization.findOneAndUpdate(
+        { _id: organization._id, ...invitationFilter, 'members.user': { $ne: user._id } },
+        {
+            $pull: { invitations: { tokenHash } },
+            $push: { members: { user: user._id, role } }
+        },
+        { new: true }
+    );
+    if (!joined) {
+        return { error: 'Invalid or expired invitation', statusCode: 400 };
+    }
+
+    return { organization: joined, role };
+};
+
+const hasOtherOwner = (organization, userId) => organization.members
+    .some(member => member.role === 'OWNER' && String(member.user) !== String(userId));
+
+const changeMemberRole = async (organizationId, userId, role) => {
+    const organization = await Organization.findById(organizationId);
+    const member = organization && organization.members.find(item => String(item.user) === String(userId));
+    if (!member) {
+        return { error: 'Member not found', statusCode: 404 };
+    }
+    if (member.role === 'OWNER' && role !== 'OWNER' && !hasOtherOwner(organization, userId)) {
+        return { error: 'An organization needs at least one owner', statusCode: 409 };
+    }
+
+    member.role = role;
+    await organization.save();
+    return { organization };
+};
+
+const removeOrganizationMember = async (organizationId, userId) => {
+    const organization = await Organization.findById(organizationId);
+    const member = organization && organization.members.find(item => String(item.user) === String(userId));
+    if (!member) {
+        return { error: 'Member not found', statusCode: 404 };
+    }
+    if (member.role === 'OWNER' && !hasOtherOwner(organization, userId)) {
+        return { error: 'An organization needs at least one owner', statusCode: 409 };
+    }
+
+    organization.members = organization.members.filter(item => item !== member);
+    await organization.save();
+    return { organization };
+};
+
+module.exports = {
+    ORG_ROLES,
+    CAMPAIGN_EDITORS,
+    getMemberOrganizationIds,
+    isMember,
+    campaignScope,
+    canAccessCampaign,
+    createOrganizationWithOwner,
+    resolveCampaignOrganization,
+    sendMemberInvitation,
+    acceptMemberInvitation,
+    changeMemberRole,
+    removeOrganizationMember
+};
@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const { createWriteStream } = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const yauzl = require('yauzl');
+const { AD_SIZES } = require('../utils/images');
+const {
+    CLICK_TAG_MACRO,
+    MAX_BUNDLE_BYTES,
+    MAX_VIDEO_SECONDS,
+    normalizeBundlePath,
+    validateBundleFiles,
+    readDeclaredAdSize,
+    readMp4Info
+} = require('../utils/richMedia');
+const { storeFile, removeFiles } = require('./mediaStorage');
+
+// Kept open after the entries are listed, to extract them; closed by the caller
+const openZip = (filePath) => new Promise((resolve, reject) => {
+    yauzl.open(filePath, { lazyEntries: true, autoClose: false }, (error, zipfile) => (error ? reject(error) : resolve(zipfile)));
+});
+
+const readEntries = (zipfile) => new Promise((resolve, reject) => {
+    const entries = [];
+    zipfile.on('entry', (entry) => {
+        entries.push(entry);
+        zipfile.readEntry();
+    });
+    zipfile.on('end', () => resolve(entries));
+    zipfile.on('error', reject);
+    zipfile.readEntry();
+});
+
+const openEntry = (zipfile, entry) => new Promise((resolve, reject) => {
+    zipfile.openReadStream(entry, (error, stream) => (error ? reject(error) : resolve(stream)));
+});
+
+// Files of the bundle by bundle-relative path. Folders and macOS metadata are
+// left out, and a single top-level folder wrapping everything is dropped.
+const listBundleFiles = (entries) => {
+    const files = [];
+    for (const entry of entries) {
+        const isMetadata = entry.fileName.startsWith('__MACOSX/') || path.posix.basename(entry.fileName).startsWith('.');
+        if (entry.fileName.endsWith('/') || isMetadata) {
+            continue;
+        }
+        const { path: filePath, error } = normalizeBundlePath(entry.fileName);
+        if (error) {
+            return { error };
+        }
+        files.push({ entry, path: filePath });
+    }
+
+    const [root] = files.length > 0 ? files[0].path.split('/') : [];
+    const wrapped = files.length > 0 && files.every(file => file.path.startsWith(`${root}/`));
+    if (wrapped && !files.some(file => file.path === 'index.html')) {
+        files.forEach((file) => {
+            file.path = file.path.slice(root.length + 1);
+        });
+    }
+    return { files };
+};
+
+// Check an HTML5 bundle's entry page: it has to declare one of the
+// INTERACTIVE ad sizes and link to its landing page through the click tag
+const checkEntryPage = (html) => {
+    const size = readDeclaredAdSize(html);
+    if (!size) {
+        return { error: 'index.html must declare its size, e.g. <meta name="ad.size" content="width=300,height=250">' };
+    }
+    if (!AD_SIZES.INTERACTIVE.includes(`${size.width}x${size.height}`)) {
+        return { error: `HTML5 ads must be one of ${AD_SIZES.INTERACTIVE.join(', ')}, not ${size.width}x${size.height}` };
+    }
+    if (!html.includes(CLICK_TAG_MACRO)) {
+        return { error: `index.html must link to the landing page through the ${CLICK_TAG_MACRO} click tag` };
+    }
+    return { size };
+};
+
+// Unpack the bundle's files into a directory. Entry sizes are checked while
+// extracting, so a forged size can't unpack more than was declared.
+const unpackBundle = async (zipfile, extractDir) => {
+    const { files, error } = listBundleFiles(await readEntries(zipfile));
+    const bundleError = error
+        || validateBundleFiles(files.map(file => file.path))
+        || (files.reduce((sum, file) => sum + file.entry.uncompressedSize, 0) > MAX_BUNDLE_BYTES
+            && `Bundle may unpack to at most ${MAX_BUNDLE_BYTES / (1024 * 1024)}MB`);
+    if (bundleError) {
+        return { error: bundleError };
+    }
+
+    for (const file of files) {
+        const target = path.join(extractDir, file.path);
+        await fs.mkdir(path.dirname(target), { recursive: true });
+        await pipeline(await openEntry(zipfile, file.entry), createWriteStream(target));
+    }
+    return { files };
+};
+
+// Store the files of a zipped HTML5 bundle under a common path, so they keep
+// referencing each other. The entry page is also kept on the campaign, to be
+// served with its click tag filled in.
+const processBundle = async (filePath) => {
+    const zipfile = await openZip(filePath).catch(() => null);
+    if (!zipfile) {
+        return { error: 'Bundle is not a valid zip archive', statusCode: 400 };
+    }
+
+    const extractDir = `${filePath}-bundle`;
+    try {
+        // Corrupt archives surface while reading entries
+        const { files, error } = await unpackBundle(zipfile, extractDir)
+            .catch(unpackError => ({ error: `Bundle could not be unpacked: ${unpackError.message}` }));
+        if (error) {
+            return { error, statusCode: 400 };
+        }
+
+        const html = await fs.readFile(path.join(extractDir, 'index.html'), 'utf8');
+        const page = checkEntryPage(html);
+        if (page.error) {
+            return { error: page.error, statusCode: 400 };
+        }
+
+        const bundleId = crypto.randomUUID();
+        const keys = [];
+        let baseUrl;
+        try {
+            for (const file of files) {
+                const { url, key } = await storeFile(path.join(extractDir, file.path), {
+                    id: `bundles/${bundleId}/${file.path}`,
+                    resourceType: 'raw'
+                });
+                keys.push(key);
+                if (file.path === 'index.html') {
+                    baseUrl = url.slice(0, -'index.html'.length);
+                }
+            }
+        } catch (storeError) {
+            await removeFiles(keys);
+            throw storeError;
+        }
+
+        return {
+            richMedia: { kind: 'HTML5', ...page.size, html, url: baseUrl, keys }
+        };
+    } finally {
+        zipfile.close();
+        await fs.rm(extractDir, { recursive: true, force: true });
+    }
+};
+
+// Store an MP4 video once its duration and frame size have been read
+const processVideo = async (filePath) => {
+    // Truncated files fail while their boxes are read
+    const info = await fs.readFile(filePath).then(readMp4Info).catch(() => null);
+    if (!info) {
+        return { error: 'Video must be an MP4 file with a video track', statusCode: 400 };
+    }
+    if (info.duration > MAX_VIDEO_SECONDS) {
+        return { error: `Video may be at most ${MAX_VIDEO_SECONDS} seconds long`, statusCode: 400 };
+    }
+
+    const { url, key } = await storeFile(filePath, {
+        id: `videos/${crypto.randomUUID()}.mp4`,
+        resourceType: 'video'
+    });
+    return {
+        richMedia: {
+            kind: 'VIDEO',
+            width: info.width,
+            height: info.height,
+            duration: Math.round(info.duration * 1000) / 1000,
+            url,
+            keys: [key]
+        }
+    };
+};
+
+// Validate and store an uploaded HTML5 bundle or video, resolving to
+// { richMedia } or { error, statusCode }
+const processRichMedia = (file) => (file.format === 'zip'
+    ? processBundle(file.path)
+    : processVideo(file.path));
+
+// Remove the stored files of a campaign's rich media
+const removeRichMediaFiles = (richMedia) => removeFiles(richMedia?.keys || []);
+
+module.exports = {
+    processRichMedia,
+    removeRichMediaFiles
+};
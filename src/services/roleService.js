@@ -0,0 +1,82 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const Setting = require('../models/Setting');
+const { revokeAllSessions } = require('./sessionService');
+
+const ROLES = ['USER', 'ADVERTISER', 'ADMIN'];
+
+// Roles anyone may pick when registering; admins are invited or bootstrapped
+const SELF_SERVICE_ROLES = ['USER', 'ADVERTISER'];
+
+// The first admin registers with role ADMIN and the ADMIN_BOOTSTRAP_TOKEN
+// from the environment. This only works while there is no admin yet.
+const canBootstrapAdmin = async (bootstrapToken) => {
+    const expected = process.env.ADMIN_BOOTSTRAP_TOKEN;
+    if (!expected || typeof bootstrapToken !== 'string') {
+        return false;
+    }
+
+    const given = Buffer.from(bootstrapToken);
+    const wanted = Buffer.from(expected);
+    if (given.length !== wanted.length || !crypto.timingSafeEqual(given, wanted)) {
+        return false;
+    }
+
+    return !(await User.exists({ role: 'ADMIN' }));
+};
+
+// Setting whose unique key marks the bootstrap as used
+const BOOTSTRAP_KEY = 'adminBootstrap';
+
+// Claim the admin bootstrap for one registration. Concurrent registrations
+// with the bootstrap token race for the same unique key, so only one of them
+// gets it. Resolves to whether this one did.
+const claimAdminBootstrap = async () => {
+    try {
+        await Setting.create({ key: BOOTSTRAP_KEY, value: { claimedAt: new Date() } });
+        return true;
+    } catch (error) {
+        if (error.code === 11000) {
+            return false;
+        }
+        throw error;
+    }
+};
+
+// Give up the claim when the admin could not be created
+const releaseAdminBootstrap = () => Setting.deleteOne({ key: BOOTSTRAP_KEY });
+
+// Change a user's role. Their tokens carry the old role, so all of their
+// sessions are revoked.
+const changeUserRole = async (userId, role) => {
+    const user = await User.findById(userId);
+    if (!user) {
+        return { error: 'User not found', statusCode: 404 };
+    }
+
+    if (user.role === role) {
+        return { user };
+    }
+
+    if (user.role === 'ADMIN') {
+        const adminCount = await User.countDocuments({ role: 'ADMIN' });
+        if (adminCount <= 1) {
+            return { error: 'Cannot remove the last admin', statusCode: 409 };
+        }
+    }
+
+    user.role = role;
+    await user.save();
+    await revokeAllSessions(user._id);
+
+    return { user };
+};
+
+module.exports = {
+    ROLES,
+    SELF_SERVICE_ROLES,
+    canBootstrapAdmin,
+    claimAdminBootstrap,
+    releaseAdminBootstrap,
+    changeUserRole
+};
@@ -0,0 +1,50 @@
+const { resumeDailyCappedCampaigns } = require('./budgetService');
+const { activateStartedCampaigns, completeEndedCampaigns } = require('./flightService');
+
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+
+let timer = null;
+
+// Run every periodic campaign job once
+const runScheduledJobs = async (now = new Date()) => {
+    // Complete ended flights first so an expired campaign is never resumed
+    const completed = await completeEndedCampaigns(now);
+    if (completed > 0) {
+        console.log(`Scheduler: completed ${completed} campaign(s) at end of flight`);
+    }
+
+    const activated = await activateStartedCampaigns(now);
+    if (activated > 0) {
+        console.log(`Scheduler: activated ${activated} campaign(s) at start of flight`);
+    }
+
+    const resumed = await resumeDailyCappedCampaigns(now);
+    if (resumed > 0) {
+        console.log(`Scheduler: resumed ${resumed} campaign(s) after daily budget reset`);
+    }
+};
+
+const startScheduler = (intervalMs = Number(process.env.SCHEDULER_INTERVAL_MS) || DEFAULT_INTERVAL_MS) => {
+    if (timer) {
+        return;
+    }
+
+    const tick = () => runScheduledJobs().catch(error => {
+        console.error('Scheduler error:', error);
+    });
+
+    tick();
+    timer = setInterval(tick, intervalMs);
+    timer.unref();
+};
+
+const stopScheduler = () => {
+    clearInterval(timer);
+    timer = null;
+};
+
+module.exports = {
+    runScheduledJobs,
+    startScheduler,
+    stopScheduler
+};
@@ -0,0 +1,46 @@
+const Setting = require('../models/Setting');
+
+const POLICY_KEY = 'securityPolicy';
+
+const DEFAULT_POLICY = {
+    requireTwoFactorForAdmins: false
+};
+
+// The policy is read on every admin request, so keep it for a little while
+const CACHE_MS = 30 * 1000;
+
+let cached = null;
+
+const getSecurityPolicy = async () => {
+    if (!cached || cached.expiresAt <= Date.now()) {
+        const setting = await Setting.findOne({ key: POLICY_KEY });
+        cached = {
+            policy: { ...DEFAULT_POLICY, ...setting?.value },
+            expiresAt: Date.now() + CACHE_MS
+        };
+    }
+    return cached.policy;
+};
+
+const updateSecurityPolicy = async (changes, updatedBy) => {
+    const policy = { ...(await getSecurityPolicy()), ...changes };
+    await Setting.findOneAndUpdate(
+        { key: POLICY_KEY },
+        { value: policy, updatedBy },
+        { upsert: true }
+    );
+    cached = null;
+    return policy;
+};
+
+// Whether the user still has to enroll in two-factor authentication before
+// doing anything else
+const mustEnrollTwoFactor = async (user) => user.role === 'ADMIN'
+    && !user.twoFactorEnabled
+    && (await getSecurityPolicy()).requireTwoFactorForAdmins;
+
+module.exports = {
+    getSecurityPolicy,
+    updateSecurityPolicy,
+    mustEnrollTwoFactor
+};
@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+
+const DEFAULT_ACCESS_TOKEN_TTL = '15m';
+const DEFAULT_REFRESH_TOKEN_TTL_DAYS = 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString('base64url');
+
+const refreshTokenExpiry = () => {
+    const days = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || DEFAULT_REFRESH_TOKEN_TTL_DAYS;
+    return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+};
+
+const signAccessToken = (user, session) => jwt.sign(
+    { userId: user._id, email: user.email, role: user.role, sessionId: session._id },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.ACCESS_TOKEN_TTL || DEFAULT_ACCESS_TOKEN_TTL }
+);
+
+// Start a session for the user and issue its first token pair
+const createSession = async (user, req) => {
+    const refreshToken = generateRefreshToken();
+    const session = await Session.create({
+        user: user._id,
+        refreshTokenHash: hashToken(refreshToken),
+        expiresAt: refreshTokenExpiry(),
+        userAgent: req.get('user-agent'),
+        ip: req.ip
+    });
+
+    return {
+        token: signAccessToken(user, session),
+        refreshToken
+    };
+};
+
+// Exchange a refresh token for a new token pair, rotating the refresh token.
+// Presenting an already rotated token revokes the session, since it means the
+// token was copied. Returns null when the token cannot be used.
+const refreshSession = async (refreshToken) => {
+    const tokenHash = hashToken(refreshToken);
+    const now = new Date();
+
+    const nextRefreshToken = generateRefreshToken();
+    const session = await Session.findOneAndUpdate(
+        { refreshTokenHash: tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+        {
+            refreshTokenHash: hashToken(nextRefreshToken),
+            previousRefreshTokenHash: tokenHash,
+            expiresAt: refreshTokenExpiry(),
+            lastUsedAt: now
+        },
+        { new: true }
+    );
+
+    if (!session) {
+        await Session.updateOne(
+            { previousRefreshTokenHash: tokenHash, revokedAt: null },
+            { revokedAt: now }
+        );
+        return null;
+    }
+
+    const user = await User.findById(session.user);
+    if (!user) {
+        await Session.updateOne({ _id: session._id }, { revokedAt: now });
+        return null;
+    }
+
+    return {
+        token: signAccessToken(user, session),
+        refreshToken: nextRefreshToken,
+        user
+    };
+};
+
+const revokeSession = (sessionId) => Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { revokedAt: new Date() }
+);
+
+// Optionally keeping the session the request came from
+const revokeAllSessions = (userId, { except } = {}) => Session.updateMany(
+    { user: userId, revokedAt: null, ...(except && { _id: { $ne: except } }) },
+    { revokedAt: new Date() }
+);
+
+// Whether an access token's session is still live
+const isSessionActive = async (sessionId) => Boolean(sessionId && await Session.exists({
+    _id: sessionId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+}));
+
+module.exports = {
+    createSession,
+    refreshSession,
+    revokeSession,
+    revokeAllSessions,
+    isSessionActive
+};
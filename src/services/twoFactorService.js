@@ -0,0 +1,159 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { generateSecret, verifyCode, buildOtpauthUri } = require('../utils/totp');
+
+const ISSUER = 'AdvertiseMedia';
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TTL = '5m';
+const CHALLENGE_PURPOSE = '2fa-challenge';
+
+const hashCode = (code) => crypto.createHash('sha256').update(code).digest('hex');
+
+const normalizeRecoveryCode = (code) => String(code).trim().toLowerCase();
+
+const generateRecoveryCodes = () => Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+});
+
+const findWithSecrets = (userId) => User.findById(userId)
+    .select('+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
+
+// Accept a TOTP code once: the time step it belongs to must be newer than
+// the last one used
+const useTotpCode = async (user, secret, code) => {
+    const step = verifyCode(secret, code);
+    if (step === null) {
+        return false;
+    }
+    const result = await User.updateOne(
+        {
+            _id: user._id,
+            $or: [{ 'twoFactor.lastUsedStep': null }, { 'twoFactor.lastUsedStep': { $lt: step } }]
+        },
+        { 'twoFactor.lastUsedStep': step }
+    );
+    return result.modifiedCount === 1;
+};
+
+const useRecoveryCode = async (user, code) => {
+    const result = await User.updateOne(
+        { _id: user._id, 'twoFactor.recoveryCodes': hashCode(normalizeRecoveryCode(code)) },
+        { $pull: { 'twoFactor.recoveryCodes': hashCode(normalizeRecoveryCode(code)) } }
+    );
+    return result.modifiedCount === 1;
+};
+
+// Check a second factor: a code from the authenticator app, or one of the
+// recovery codes
+const verifySecondFactor = async (userId, { code, recoveryCode }) => {
+    const user = await findWithSecrets(userId);
+    if (!user || !user.twoFactor.enabled) {
+        return false;
+    }
+    if (recoveryCode) {
+        return useRecoveryCode(user, recoveryCode);
+    }
+    return Boolean(code) && useTotpCode(user, user.twoFactor.secret, code);
+};
+
+// Start enrollment with a fresh secret; it only takes effect once activated
+const startEnrollment = async (userId) => {
+    const user = await User.findById(userId);
+    if (!user) {
+        return { error: 'User not found', statusCode: 404 };
+    }
+    if (user.twoFactor.enabled) {
+        return { error: 'Two-factor authentication is already enabled', statusCode: 409 };
+    }
+
+    const secret = generateSecret();
+    await User.updateOne({ _id: user._id }, { 'twoFactor.pendingSecret': secret });
+
+    return {
+        secret,
+        otpauthUri: buildOtpauthUri({ secret, account: user.email, issuer: ISSUER })
+    };
+};
+
+const replaceRecoveryCodes = async (userId) => {
+    const recoveryCodes = generateRecoveryCodes();
+    await User.updateOne(
+        { _id: userId },
+        { 'twoFactor.recoveryCodes': recoveryCodes.map(hashCode) }
+    );
+    return recoveryCodes;
+};
+
+// Confirm enrollment with a first code. Returns the recovery codes, which
+// are only shown this once.
+const activate = async (userId, code) => {
+    const user = await findWithSecrets(userId);
+    if (!user) {
+        return { error: 'User not found', statusCode: 404 };
+    }
+    if (user.twoFactor.enabled) {
+        return { error: 'Two-factor authentication is already enabled', statusCode: 409 };
+    }
+    if (!user.twoFactor.pendingSecret) {
+        return { error: 'Start two-factor setup first', statusCode: 409 };
+    }
+    if (!(await useTotpCode(user, user.twoFactor.pendingSecret, code))) {
+        return { error: 'Invalid code', statusCode: 400 };
+    }
+
+    await User.updateOne(
+        { _id: user._id },
+        {
+            'twoFactor.enabled': true,
+            'twoFactor.secret': user.twoFactor.pendingSecret,
+            'twoFactor.enabledAt': new Date(),
+            $unset: { 'twoFactor.pendingSecret': 1 }
+        }
+    );
+
+    return { recoveryCodes: await replaceRecoveryCodes(user._id) };
+};
+
+const disable = (userId) => User.updateOne(
+    { _id: userId },
+    {
+        'twoFactor.enabled': false,
+        $unset: {
+            'twoFactor.secret': 1,
+            'twoFactor.pendingSecret': 1,
+            'twoFactor.recoveryCodes': 1,
+            'twoFactor.lastUsedStep': 1,
+            'twoFactor.enabledAt': 1
+        }
+    }
+);
+
+// Short-lived token proving the password was right, exchanged for a session
+// together with the second factor
+const issueChallenge = (user) => jwt.sign(
+    { userId: user._id, purpose: CHALLENGE_PURPOSE },
+    process.env.JWT_SECRET,
+    { expiresIn: CHALLENGE_TTL }
+);
+
+// The user id of a valid challenge token, or null
+const verifyChallenge = (challengeToken) => {
+    try {
+        const decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+        return decoded.purpose === CHALLENGE_PURPOSE ? decoded.userId : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+module.exports = {
+    verifySecondFactor,
+    startEnrollment,
+    activate,
+    disable,
+    replaceRecoveryCodes,
+    issueChallenge,
+    verifyChallenge
+};
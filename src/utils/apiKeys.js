@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+const API_KEY_SCOPES = ['campaigns:read', 'campaigns:write', 'analytics:read', 'analytics:write'];
+
+// Validate the fields of a new API key
+const validateApiKeyFields = ({ name, scopes, expiresAt, organizationId }) => {
+    if (typeof name !== 'string' || !name.trim()) {
+        return 'Key name is required';
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every(scope => API_KEY_SCOPES.includes(scope))) {
+        return `scopes must be a non-empty list of ${API_KEY_SCOPES.join(', ')}`;
+    }
+    if (expiresAt !== undefined && expiresAt !== null) {
+        const date = new Date(expiresAt);
+        if (Number.isNaN(date.getTime()) || date <= new Date()) {
+            return 'expiresAt must be a date in the future';
+        }
+    }
+    if (organizationId !== undefined && !mongoose.isValidObjectId(organizationId)) {
+        return 'organizationId must be a valid id';
+    }
+    return null;
+};
+
+module.exports = {
+    API_KEY_SCOPES,
+    validateApiKeyFields
+};
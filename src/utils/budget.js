@@ -0,0 +1,60 @@
+const PRICING_MODELS = ['CPM', 'CPC'];
+
+// Budget settings an advertiser may change; spend tracking fields are
+// maintained by the server only
+const BUDGET_FIELDS = ['pricingModel', 'rate', 'total', 'daily'];
+
+const isNonNegativeNumber = (value) => value !== '' && value !== null && Number.isFinite(Number(value)) && Number(value) >= 0;
+
+// Validate the budget field of a campaign payload, returning an error message
+// or null when the payload is acceptable
+const validateBudgetFields = (body) => {
+    const { budget } = body;
+    if (budget === undefined) {
+        return null;
+    }
+
+    if (typeof budget !== 'object' || budget === null || Array.isArray(budget)) {
+        return 'Budget must be an object';
+    }
+
+    for (const key of Object.keys(budget)) {
+        if (!BUDGET_FIELDS.includes(key)) {
+            return `Unknown budget field: ${key}`;
+        }
+    }
+
+    if (budget.pricingModel !== undefined && !PRICING_MODELS.includes(budget.pricingModel)) {
+        return 'Pricing model must be CPM or CPC';
+    }
+
+    for (const key of ['rate', 'total', 'daily']) {
+        if (budget[key] !== undefined && !isNonNegativeNumber(budget[key])) {
+            return `Budget ${key} must be a non-negative number`;
+        }
+    }
+
+    if (budget.total !== undefined && budget.daily !== undefined && Number(budget.daily) > Number(budget.total)) {
+        return 'Daily budget cannot exceed total budget';
+    }
+
+    return null;
+};
+
+// Turn a validated budget payload into dotted update paths so that partial
+// updates never overwrite the tracked spend
+const toBudgetUpdate = (budget = {}) => {
+    const update = {};
+    for (const key of BUDGET_FIELDS) {
+        if (budget[key] !== undefined) {
+            update[`budget.${key}`] = key === 'pricingModel' ? budget[key] : Number(budget[key]);
+        }
+    }
+    return update;
+};
+
+module.exports = {
+    PRICING_MODELS,
+    validateBudgetFields,
+    toBudgetUpdate
+};
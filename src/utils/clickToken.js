@@ -0,0 +1,49 @@
+const crypto = require('crypto');
+
+const DEFAULT_TTL_HOURS = 24;
+
+const getSecret = () => process.env.CLICK_TOKEN_SECRET || process.env.JWT_SECRET;
+
+const getTtlMs = () => (Number(process.env.CLICK_TOKEN_TTL_HOURS) || DEFAULT_TTL_HOURS) * 60 * 60 * 1000;
+
+const sign = (payload) => crypto
+    .createHmac('sha256', getSecret())
+    .update(payload)
+    .digest('base64url');
+
+// Issue a token binding a click to the impression (and creative variant) it
+// was served with
+const createClickToken = ({ campaignId, impressionId, creativeId, issuedAt = Date.now() }) => {
+    const payload = [campaignId, impressionId, issuedAt, ...(creativeId ? [creativeId] : [])].join(':');
+    return `${Buffer.from(payload).toString('base64url')}.${sign(payload)}`;
+};
+
+// Verify a click token. Returns { valid, reason, payload } where reason is
+// FORGED or EXPIRED when the token is rejected.
+const verifyClickToken = (token, now = Date.now()) => {
+    const [encodedPayload, signature, ...rest] = String(token).split('.');
+    if (!encodedPayload || !signature || rest.length > 0) {
+        return { valid: false, reason: 'FORGED' };
+    }
+
+    const payload = Buffer.from(encodedPayload, 'base64url').toString();
+    const expected = Buffer.from(sign(payload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return { valid: false, reason: 'FORGED' };
+    }
+
+    const [campaignId, impressionId, issuedAt, creativeId] = payload.split(':');
+    const claims = { campaignId, impressionId, issuedAt: Number(issuedAt), creativeId };
+
+    if (!Number.isFinite(claims.issuedAt) || now - claims.issuedAt > getTtlMs()) {
+        return { valid: false, reason: 'EXPIRED', payload: claims };
+    }
+
+    return { valid: true, payload: claims };
+};
+
+module.exports = {
+    createClickToken,
+    verifyClickToken
+};
@@ -0,0 +1,38 @@
+const CREATIVE_SPLITS = ['EVEN', 'WEIGHTED', 'THOMPSON'];
+
+const CREATIVE_FIELDS = ['name', 'headline', 'body', 'callToAction'];
+
+// Validate a creative variant payload, returning an error message or null
+// when the payload is acceptable. New variants need every text field.
+const validateCreativeFields = (body, { isNew = false } = {}) => {
+    for (const field of CREATIVE_FIELDS) {
+        if (body[field] === undefined) {
+            if (isNew) {
+                return `Creative ${field} is required`;
+            }
+        } else if (typeof body[field] !== 'string' || !body[field].trim()) {
+            return `Creative ${field} must be a non-empty string`;
+        }
+    }
+
+    if (body.weight !== undefined && !(Number(body.weight) >= 0)) {
+        return 'Creative weight must be a non-negative number';
+    }
+
+    return null;
+};
+
+// Validate the creativeSplit field of a campaign payload
+const validateCreativeSplitFields = (body) => {
+    if (body.creativeSplit !== undefined && !CREATIVE_SPLITS.includes(body.creativeSplit)) {
+        return `Creative split must be one of ${CREATIVE_SPLITS.join(', ')}`;
+    }
+    return null;
+};
+
+module.exports = {
+    CREATIVE_SPLITS,
+    CREATIVE_FIELDS,
+    validateCreativeFields,
+    validateCreativeSplitFields
+};
@@ -0,0 +1,60 @@
+// Errors carrying an HTTP status and a stable, machine-readable code. Pass
+// them to next() and the error handler turns them into the response.
+class AppError extends Error {
+    constructor(message, { status = 500, code = 'INTERNAL_ERROR', errors, cause } = {}) {
+        super(message, { cause });
+        this.name = this.constructor.name;
+        this.status = status;
+        this.code = code;
+        // Failing fields as { field, message }, for validation errors
+        this.errors = errors;
+    }
+}
+
+const errorType = (status, code) => class extends AppError {
+    constructor(message, options = {}) {
+        super(message, { status, code, ...options });
+    }
+};
+
+class ValidationError extends errorType(400, 'VALIDATION_FAILED') {}
+class AuthenticationError extends errorType(401, 'UNAUTHENTICATED') {}
+class ForbiddenError extends errorType(403, 'FORBIDDEN') {}
+class NotFoundError extends errorType(404, 'NOT_FOUND') {}
+class ConflictError extends errorType(409, 'CONFLICT') {}
+class GoneError extends errorType(410, 'GONE') {}
+class PayloadTooLargeError extends errorType(413, 'PAYLOAD_TOO_LARGE') {}
+class TooManyRequestsError extends errorType(429, 'TOO_MANY_REQUESTS') {}
+class UpstreamError extends errorType(502, 'UPSTREAM_FAILURE') {}
+
+const ERRORS_BY_STATUS = {
+    400: ValidationError,
+    401: AuthenticationError,
+    403: ForbiddenError,
+    404: NotFoundError,
+    409: ConflictError,
+    410: GoneError,
+    413: PayloadTooLargeError,
+    429: TooManyRequestsError,
+    502: UpstreamError
+};
+
+// Typed error for the { error, statusCode } results services return
+const errorFromResult = ({ error, statusCode }) => {
+    const ErrorType = ERRORS_BY_STATUS[statusCode];
+    return ErrorType ? new ErrorType(error) : new AppError(error, { status: statusCode });
+};
+
+module.exports = {
+    AppError,
+    ValidationError,
+    AuthenticationError,
+    ForbiddenError,
+    NotFoundError,
+    ConflictError,
+    GoneError,
+    PayloadTooLargeError,
+    TooManyRequestsError,
+    UpstreamError,
+    errorFromResult
+};
@@ -0,0 +1,25 @@
+// Validate the frequencyCap field of a campaign payload, returning an error
+// message or null when the payload is acceptable
+const validateFrequencyCapFields = (body) => {
+    const { frequencyCap } = body;
+    if (frequencyCap === undefined || frequencyCap === null) {
+        return null;
+    }
+
+    if (typeof frequencyCap !== 'object' || Array.isArray(frequencyCap)) {
+        return 'Frequency cap must be an object';
+    }
+
+    for (const key of ['impressions', 'windowHours']) {
+        const value = Number(frequencyCap[key]);
+        if (!Number.isInteger(value) || value < 1) {
+            return `Frequency cap ${key} must be a positive integer`;
+        }
+    }
+
+    return null;
+};
+
+module.exports = {
+    validateFrequencyCapFields
+};
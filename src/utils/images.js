@@ -0,0 +1,106 @@
+// Leading bytes identifying each accepted image format. Uploads are
+// recognised by their content, never by the client's mimetype or filename.
+const SIGNATURES = [
+    { format: 'jpeg', bytes: [0xFF, 0xD8, 0xFF] },
+    { format: 'png', bytes: [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A] },
+    { format: 'gif', bytes: [...Buffer.from('GIF87a')] },
+    { format: 'gif', bytes: [...Buffer.from('GIF89a')] },
+    // RIFF container with a WEBP form type at offset 8
+    { format: 'webp', bytes: [...Buffer.from('RIFF')], then: { offset: 8, bytes: [...Buffer.from('WEBP')] } }
+];
+
+// Bytes needed to recognise any of the formats above
+const SNIFF_LENGTH = 12;
+
+const IMAGE_FORMATS = ['jpeg', 'png', 'gif', 'webp'];
+
+// Ad sizes (width x height) an image may have per campaign type. Images may
+// also be uploaded at a multiple of a size, for high-DPI screens.
+const AD_SIZES = {
+    BANNER: ['728x90', '300x250', '320x50'],
+    FEATURED: ['1200x628', '1080x1080', '300x600'],
+    INTERACTIVE: ['300x250', '336x280', '300x600']
+};
+
+// Pixel densities renditions are generated for, when the upload is large
+// enough
+const DENSITIES = [1, 2];
+const MAX_DENSITY = 3;
+
+const matches = (buffer, bytes, offset = 0) => bytes.every((byte, index) => buffer[offset + index] === byte);
+
+// Image format of a file's leading bytes, or null when it isn't an accepted
+// image
+const sniffImageFormat = (buffer) => {
+    const signature = SIGNATURES.find(({ bytes, then }) => matches(buffer, bytes)
+        && (!then || matches(buffer, then.bytes, then.offset)));
+    return signature ? signature.format : null;
+};
+
+const parseSize = (size) => {
+    const [width, height] = size.split('x').map(Number);
+    return { width, height };
+};
+
+// Match an image's dimensions against the ad sizes of a campaign type,
+// returning the ad size and the density the image was made for, or an
+// error message
+const matchAdSize = ({ width, height }, campaignType) => {
+    const sizes = AD_SIZES[campaignType] || [];
+    for (const size of sizes) {
+        const adSize = parseSize(size);
+        const density = width / adSize.width;
+        if (Number.isInteger(density) && density >= 1 && density <= MAX_DENSITY
+            && height === adSize.height * density) {
+            return { adSize, density };
+        }
+    }
+    const allowed = `${sizes.slice(0, -1).join(', ')} or ${sizes[sizes.length - 1]}`;
+    return {
+        error: `Image must be ${allowed} for ${campaignType} campaigns, or a 2x or 3x multiple, not ${width}x${height}`
+    };
+};
+
+// Ad size of stored renditions, or null for images uploaded before
+// renditions were generated
+const sizeOfRenditions = (renditions = []) => {
+    const rendition = renditions.find(candidate => candidate.density === 1);
+    return rendition ? { width: rendition.width, height: rendition.height } : null;
+};
+
+// Validate that stored images still fit when a campaign changes type,
+// returning an error message or null
+const validateStoredImageSizes = (sources, campaignType) => {
+    for (const source of sources) {
+        const size = sizeOfRenditions(source.renditions);
+        if (size) {
+            const { error } = matchAdSize(size, campaignType);
+            if (error) {
+                return `Stored image does not fit: ${error}`;
+            }
+        }
+    }
+    return null;
+};
+
+// Choose the rendition to serve for a screen density, preferring WebP when
+// the viewer supports it. Falls back to the next lower density available.
+const pickRendition = (renditions = [], { density = 1, webp = false } = {}) => {
+    const candidates = renditions
+        .filter(rendition => rendition.density <= Math.max(density, 1))
+        .sort((a, b) => b.density - a.density
+            || Number(b.format === 'webp') - Number(a.format === 'webp'));
+    return candidates.find(rendition => webp || rendition.format !== 'webp') || null;
+};
+
+module.exports = {
+    IMAGE_FORMATS,
+    AD_SIZES,
+    DENSITIES,
+    SNIFF_LENGTH,
+    sniffImageFormat,
+    matchAdSize,
+    sizeOfRenditions,
+    validateStoredImageSizes,
+    pickRendition
+};
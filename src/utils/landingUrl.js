@@ -0,0 +1,62 @@
+const UTM_FIELDS = ['source', 'medium', 'campaign', 'content'];
+
+const isValidLandingUrl = (value) => {
+    if (typeof value !== 'string') {
+        return false;
+    }
+    try {
+        const url = new URL(value);
+        return (url.protocol === 'http:' || url.protocol === 'https:') && Boolean(url.hostname);
+    } catch (error) {
+        return false;
+    }
+};
+
+// Validate the landingUrl and utm fields of a campaign payload, returning an
+// error message or null when the payload is acceptable
+const validateLandingFields = (body, { requireLandingUrl = false } = {}) => {
+    if (body.landingUrl === undefined) {
+        if (requireLandingUrl) {
+            return 'Landing URL is required';
+        }
+    } else if (!isValidLandingUrl(body.landingUrl)) {
+        return 'Landing URL must be a valid http(s) URL';
+    }
+
+    if (body.utm !== undefined) {
+        if (typeof body.utm !== 'object' || body.utm === null || Array.isArray(body.utm)) {
+            return 'UTM parameters must be an object';
+        }
+        for (const [key, value] of Object.entries(body.utm)) {
+            if (!UTM_FIELDS.includes(key)) {
+                return `Unknown UTM parameter: ${key}`;
+            }
+            if (typeof value !== 'string') {
+                return `UTM parameter ${key} must be a string`;
+            }
+        }
+    }
+
+    return null;
+};
+
+// Landing URL of a campaign with its UTM parameters appended
+const buildLandingUrl = (campaign) => {
+    const url = new URL(campaign.landingUrl);
+    const utm = campaign.utm || {};
+
+    for (const field of UTM_FIELDS) {
+        if (utm[field]) {
+            url.searchParams.set(`utm_${field}`, utm[field]);
+        }
+    }
+
+    return url.toString();
+};
+
+module.exports = {
+    UTM_FIELDS,
+    isValidLandingUrl,
+    validateLandingFields,
+    buildLandingUrl
+};
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Parse page-based pagination: ?page=1&limit=20
+const parsePagination = ({ page = 1, limit = DEFAULT_LIMIT }) => {
+    const pageNumber = Number(page);
+    const pageSize = Number(limit);
+    if (!Number.isInteger(pageNumber) || pageNumber < 1) {
+        return { error: 'page must be a positive integer' };
+    }
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_LIMIT) {
+        return { error: `limit must be an integer between 1 and ${MAX_LIMIT}` };
+    }
+    return { page: pageNumber, limit: pageSize, skip: (pageNumber - 1) * pageSize };
+};
+
+// Parse ?sort=field or ?sort=-field (descending), limited to the given fields.
+// Ties are broken by _id so pages don't overlap.
+const parseSort = (value, sortFields, defaultSort) => {
+    const sort = value || defaultSort;
+    const field = typeof sort === 'string' ? sort.replace(/^-/, '') : null;
+    if (!sortFields.includes(field)) {
+        return { error: `sort must be one of ${sortFields.join(', ')}, optionally prefixed with -` };
+    }
+    const direction = sort.startsWith('-') ? -1 : 1;
+    return { sort: { [field]: direction, _id: direction } };
+};
+
+// Case-insensitive "contains" match for user-supplied text
+const containsText = (text) => new RegExp(String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+
+// Filter for a ?from=&to= date range on the field
+const parseDateRange = (field, from, to) => {
+    if (!from && !to) {
+        return {};
+    }
+    const range = { ...(from && { $gte: new Date(from) }), ...(to && { $lte: new Date(to) }) };
+    if (Object.values(range).some(date => Number.isNaN(date.getTime()))) {
+        return { error: `${field} range must use valid dates` };
+    }
+    return { filter: { [field]: range } };
+};
+
+const parseObjectId = (name, value) => (mongoose.isValidObjectId(value)
+    ? { id: value }
+    : { error: `${name} must be a valid id` });
+
+// Describe the returned page in the Content-Range header, e.g.
+// "campaigns 20-39/134"
+const setContentRange = (res, unit, { skip, count, total }) => {
+    const range = count > 0 ? `${skip}-${skip + count - 1}` : '*';
+    res.set('Content-Range', `${unit} ${range}/${total}`);
+};
+
+module.exports = {
+    parsePagination,
+    parseSort,
+    containsText,
+    parseDateRange,
+    parseObjectId,
+    setContentRange
+};
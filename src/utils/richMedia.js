@@ -0,0 +1,157 @@
+const path = require('path');
+
+const RICH_MEDIA_KINDS = ['HTML5', 'VIDEO'];
+
+// Macro an HTML5 bundle's index.html uses for its landing page link, e.g.
+// var clickTag = "%%CLICK_URL%%"; replaced with a signed click URL when served
+const CLICK_TAG_MACRO = '%%CLICK_URL%%';
+
+// Files an HTML5 bundle may contain. Anything else, e.g. executables or
+// nested archives, gets the whole bundle rejected. Bundle files are stored
+// on the media origin, so index.html is the only page allowed: any other
+// HTML or SVG file would run as a page there when opened directly.
+const BUNDLE_ENTRY_PAGE = 'index.html';
+const BUNDLE_EXTENSIONS = ['.html', '.js', '.css', '.json', '.png', '.jpg', '.jpeg', '.gif', '.webp', '.woff', '.woff2', '.ttf', '.otf'];
+const MAX_BUNDLE_FILES = 100;
+const MAX_BUNDLE_BYTES = 10 * 1024 * 1024;
+
+// Longest video accepted, in seconds
+const MAX_VIDEO_SECONDS = 120;
+
+// Sniff a zip archive or MP4 video from a file's leading bytes, returning
+// zip, mp4 or null
+const sniffMediaFormat = (buffer) => {
+    if (buffer.subarray(0, 4).equals(Buffer.from([0x50, 0x4B, 0x03, 0x04]))) {
+        return 'zip';
+    }
+    // ISO base media file: a leading ftyp box
+    if (buffer.subarray(4, 8).toString('latin1') === 'ftyp') {
+        return 'mp4';
+    }
+    return null;
+};
+
+// Bundle-relative path of a zip entry, or an error message when it could
+// escape the bundle
+const normalizeBundlePath = (entryName) => {
+    if (entryName.includes('\\') || path.posix.isAbsolute(entryName)) {
+        return { error: `Bundle path ${entryName} is not allowed` };
+    }
+    const normalized = path.posix.normalize(entryName);
+    if (normalized === '..' || normalized.startsWith('../')) {
+        return { error: `Bundle path ${entryName} is not allowed` };
+    }
+    return { path: normalized };
+};
+
+// Validate the files of an HTML5 bundle, returning an error message or null
+const validateBundleFiles = (paths) => {
+    if (paths.length > MAX_BUNDLE_FILES) {
+        return `Bundle may contain at most ${MAX_BUNDLE_FILES} files`;
+    }
+    const disallowed = paths.find(file => !BUNDLE_EXTENSIONS.includes(path.posix.extname(file).toLowerCase()));
+    if (disallowed) {
+        return `Bundle file ${disallowed} is not allowed, use ${BUNDLE_EXTENSIONS.join(' ')} files`;
+    }
+    const page = paths.find(file => file !== BUNDLE_ENTRY_PAGE && path.posix.extname(file).toLowerCase() === '.html');
+    if (page) {
+        return `Bundle file ${page} is not allowed, ${BUNDLE_ENTRY_PAGE} is the only page a bundle may contain`;
+    }
+    if (!paths.includes(BUNDLE_ENTRY_PAGE)) {
+        return 'Bundle must contain an index.html at its root';
+    }
+    return null;
+};
+
+// Ad size an HTML5 bundle declares with <meta name="ad.size"
+// content="width=300,height=250">, or null
+const readDeclaredAdSize = (html) => {
+    const meta = html.match(/<meta[^>]+name=["']ad\.size["'][^>]*>/i);
+    const content = meta && meta[0].match(/content=["']\s*width\s*=\s*(\d+)\s*,\s*height\s*=\s*(\d+)\s*["']/i);
+    return content ? { width: Number(content[1]), height: Number(content[2]) } : null;
+};
+
+// Point the bundle's relative URLs at where its files are stored
+const withBaseUrl = (html, baseUrl) => {
+    const base = `<base href="${baseUrl.replace(/"/g, '&quot;')}">`;
+    return /<head[^>]*>/i.test(html)
+        ? html.replace(/<head[^>]*>/i, head => `${head}${base}`)
+        : `${base}${html}`;
+};
+
+// Walk the boxes of an ISO base media file between start and end
+const eachBox = (buffer, start, end, visit) => {
+    let offset = start;
+    while (offset + 8 <= end) {
+        let size = buffer.readUInt32BE(offset);
+        const type = buffer.toString('latin1', offset + 4, offset + 8);
+        let headerSize = 8;
+        if (size === 1) {
+            if (offset + 16 > end) {
+                return;
+            }
+            size = Number(buffer.readBigUInt64BE(offset + 8));
+            headerSize = 16;
+        } else if (size === 0) {
+            size = end - offset;
+        }
+        if (size < headerSize || offset + size > end) {
+            return;
+        }
+        visit(type, offset + headerSize, offset + size);
+        offset += size;
+    }
+};
+
+// Duration, in seconds, and frame size of an MP4 video, read from its movie
+// header and the first video track header. Returns null when the file has no
+// playable video track.
+const readMp4Info = (buffer) => {
+    let info = null;
+    eachBox(buffer, 0, buffer.length, (type, start, end) => {
+        if (type !== 'moov') {
+            return;
+        }
+        let duration = null;
+        let size = null;
+        eachBox(buffer, start, end, (childType, childStart, childEnd) => {
+            if (childType === 'mvhd') {
+                const version = buffer[childStart];
+                const timescale = buffer.readUInt32BE(childStart + (version === 1 ? 20 : 12));
+                const length = version === 1
+                    ? Number(buffer.readBigUInt64BE(childStart + 24))
+                    : buffer.readUInt32BE(childStart + 16);
+                duration = timescale > 0 ? length / timescale : null;
+            }
+            if (childType === 'trak' && !size) {
+                eachBox(buffer, childStart, childEnd, (trackType, trackStart, trackEnd) => {
+                    // Width and height close the track header, as 16.16 fixed point
+                    if (trackType === 'tkhd' && trackEnd - trackStart >= 8) {
+                        const width = buffer.readUInt32BE(trackEnd - 8) >>> 16;
+                        const height = buffer.readUInt32BE(trackEnd - 4) >>> 16;
+                        if (width > 0 && height > 0) {
+                            size = { width, height };
+                        }
+                    }
+                });
+            }
+        });
+        if (duration && size) {
+            info = { duration, ...size };
+        }
+    });
+    return info;
+};
+
+module.exports = {
+    RICH_MEDIA_KINDS,
+    CLICK_TAG_MACRO,
+    MAX_BUNDLE_BYTES,
+    MAX_VIDEO_SECONDS,
+    sniffMediaFormat,
+    normalizeBundlePath,
+    validateBundleFiles,
+    readDeclaredAdSize,
+    withBaseUrl,
+    readMp4Info
+};
@@ -0,0 +1,120 @@
+const WEEKDAYS = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$|^24:00$/;
+
+const toMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+const isValidTimezone = (timezone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+const parseDate = (value) => {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// Weekday and minute of day of an instant in the given timezone
+const getLocalTime = (date, timezone = 'UTC') => {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        weekday: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(date).map(part => [part.type, part.value]));
+
+    return {
+        weekday: parts.weekday.toUpperCase(),
+        minutes: Number(parts.hour) * 60 + Number(parts.minute)
+    };
+};
+
+// Whether the campaign may serve at this instant. Campaigns without dayparts
+// serve around the clock.
+const isWithinDaypart = (campaign, now = new Date()) => {
+    if (!campaign.dayparts || campaign.dayparts.length === 0) {
+        return true;
+    }
+
+    const { weekday, minutes } = getLocalTime(now, campaign.timezone);
+    return campaign.dayparts.some(daypart => daypart.days.includes(weekday)
+        && minutes >= toMinutes(daypart.start)
+        && minutes < toMinutes(daypart.end));
+};
+
+const validateDayparts = (dayparts) => {
+    if (!Array.isArray(dayparts)) {
+        return 'Dayparts must be an array';
+    }
+
+    for (const daypart of dayparts) {
+        if (!daypart || !Array.isArray(daypart.days) || daypart.days.length === 0
+            || !daypart.days.every(day => WEEKDAYS.includes(day))) {
+            return `Daypart days must be a non-empty list of ${WEEKDAYS.join(', ')}`;
+        }
+        if (!TIME_PATTERN.test(daypart.start) || !TIME_PATTERN.test(daypart.end)) {
+            return 'Daypart start and end must be HH:MM times';
+        }
+        if (toMinutes(daypart.start) >= toMinutes(daypart.end)) {
+            return 'Daypart end must be after its start';
+        }
+    }
+
+    return null;
+};
+
+// Validate the flight schedule of a campaign payload, returning an error
+// message or null when the payload is acceptable. `existing` holds the stored
+// schedule when an existing campaign is being updated.
+const validateScheduleFields = (body, { existing = null, now = new Date() } = {}) => {
+    // null clears a date rather than meaning the epoch
+    const dateOf = (value, stored) => {
+        if (value === undefined) {
+            return stored;
+        }
+        return value === null ? null : parseDate(value);
+    };
+    const startDate = dateOf(body.startDate, existing?.startDate);
+    const endDate = dateOf(body.endDate, existing?.endDate);
+
+    if (body.startDate !== undefined && body.startDate !== null && !startDate) {
+        return 'Start date must be a valid date';
+    }
+
+    if (body.endDate !== undefined && body.endDate !== null && !endDate) {
+        return 'End date must be a valid date';
+    }
+
+    if (!existing && startDate && startDate < now) {
+        return 'Start date cannot be in the past';
+    }
+
+    if (startDate && endDate && endDate <= startDate) {
+        return 'End date must be after start date';
+    }
+
+    if (body.timezone !== undefined && !isValidTimezone(body.timezone)) {
+        return 'Invalid timezone';
+    }
+
+    if (body.dayparts !== undefined) {
+        return validateDayparts(body.dayparts);
+    }
+
+    return null;
+};
+
+module.exports = {
+    WEEKDAYS,
+    isValidTimezone,
+    isWithinDaypart,
+    validateScheduleFields
+};
@@ -0,0 +1,88 @@
+// Pick one item at random, proportionally to its weight
+const pickWeighted = (items, weightOf = item => item.weight) => {
+    const totalWeight = items.reduce((sum, item) => sum + weightOf(item), 0);
+    if (totalWeight <= 0) {
+        return null;
+    }
+
+    let roll = Math.random() * totalWeight;
+    for (const item of items) {
+        roll -= weightOf(item);
+        if (roll < 0) {
+            return item;
+        }
+    }
+    return items[items.length - 1];
+};
+
+// Standard normal variate (Box-Muller)
+const sampleNormal = () => {
+    const u = 1 - Math.random();
+    const v = Math.random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
+
+// Gamma(shape, 1) variate (Marsaglia-Tsang)
+const sampleGamma = (shape) => {
+    if (shape < 1) {
+        return sampleGamma(shape + 1) * Math.pow(Math.random(), 1 / shape);
+    }
+
+    const d = shape - 1 / 3;
+    const c = 1 / Math.sqrt(9 * d);
+    for (;;) {
+        let x;
+        let v;
+        do {
+            x = sampleNormal();
+            v = 1 + c * x;
+        } while (v <= 0);
+
+        v = v * v * v;
+        const u = Math.random();
+        if (Math.log(u) < 0.5 * x * x + d - d * v + d * Math.log(v)) {
+            return d * v;
+        }
+    }
+};
+
+const sampleBeta = (alpha, beta) => {
+    const x = sampleGamma(alpha);
+    return x / (x + sampleGamma(beta));
+};
+
+// Error function approximation (Abramowitz-Stegun 7.1.26)
+const erf = (x) => {
+    const sign = x < 0 ? -1 : 1;
+    const t = 1 / (1 + 0.3275911 * Math.abs(x));
+    const y = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+    return sign * y;
+};
+
+const normalCdf = (z) => 0.5 * (1 + erf(z / Math.SQRT2));
+
+// Two-sided two-proportion z-test. Returns null when either sample is empty
+// or there is no variance to test.
+const twoProportionZTest = (successesA, trialsA, successesB, trialsB) => {
+    if (trialsA === 0 || trialsB === 0) {
+        return null;
+    }
+
+    const pooled = (successesA + successesB) / (trialsA + trialsB);
+    const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / trialsA + 1 / trialsB));
+    if (standardError === 0) {
+        return null;
+    }
+
+    const zScore = (successesA / trialsA - successesB / trialsB) / standardError;
+    return {
+        zScore,
+        pValue: 2 * (1 - normalCdf(Math.abs(zScore)))
+    };
+};
+
+module.exports = {
+    pickWeighted,
+    sampleBeta,
+    twoProportionZTest
+};
@@ -0,0 +1,136 @@
+const geoip = require('geoip-country');
+
+const DEVICE_CLASSES = ['desktop', 'mobile', 'tablet'];
+
+// How each targeting dimension's values are validated and read from the
+// request context
+const DIMENSIONS = {
+    countries: {
+        isValid: value => /^[A-Z]{2}$/i.test(value),
+        message: 'two-letter country codes',
+        contextValues: context => [context.country]
+    },
+    devices: {
+        isValid: value => DEVICE_CLASSES.includes(String(value).toLowerCase()),
+        message: `device classes (${DEVICE_CLASSES.join(', ')})`,
+        contextValues: context => [context.device]
+    },
+    languages: {
+        isValid: value => /^[a-z]{2,3}$/i.test(value),
+        message: 'language codes such as en or de',
+        contextValues: context => context.languages
+    },
+    referrers: {
+        isValid: value => /^[a-z0-9-]+(\.[a-z0-9-]+)+$/i.test(value),
+        message: 'domain names',
+        contextValues: context => [context.referrerDomain]
+    }
+};
+
+const getDeviceClass = (userAgent = '') => {
+    if (/iPad|Tablet|PlayBook|Silk|Android(?!.*Mobi)/i.test(userAgent)) {
+        return 'tablet';
+    }
+    if (/Mobi|iPhone|iPod|Android|BlackBerry|IEMobile|Opera Mini/i.test(userAgent)) {
+        return 'mobile';
+    }
+    return 'desktop';
+};
+
+// Primary language subtags of an Accept-Language header, e.g. "en-US,de;q=0.8" => ['en', 'de']
+const getLanguages = (acceptLanguage = '') => [...new Set(acceptLanguage
+    .split(',')
+    .map(entry => entry.split(';')[0].trim().split('-')[0].toLowerCase())
+    .filter(language => language && language !== '*'))];
+
+const getDomain = (url) => {
+    try {
+        return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+    } catch (error) {
+        return null;
+    }
+};
+
+// Viewer attributes that targeting rules are evaluated against. Country is
+// resolved from the bundled offline IP dataset.
+const getRequestContext = (req) => {
+    const geo = req.ip ? geoip.lookup(req.ip.replace(/^::ffff:/, '')) : null;
+
+    return {
+        country: geo ? geo.country : null,
+        device: getDeviceClass(req.get('user-agent')),
+        languages: getLanguages(req.get('accept-language')),
+        referrerDomain: getDomain(req.query.referrer || req.get('referer'))
+    };
+};
+
+// Referrer domains also match their subdomains
+const valueMatches = (dimension, ruleValue, contextValue) => {
+    if (dimension === 'referrers') {
+        return contextValue === ruleValue || contextValue.endsWith(`.${ruleValue}`);
+    }
+    return contextValue === ruleValue;
+};
+
+const anyMatch = (dimension, ruleValues, contextValues) => contextValues.some(contextValue => contextValue
+    && ruleValues.some(ruleValue => valueMatches(dimension, ruleValue, contextValue)));
+
+// Whether a campaign's targeting rules admit the viewer. A dimension with an
+// include list requires a match; an exclude list rejects any match.
+const matchesTargeting = (targeting, context) => {
+    if (!targeting) {
+        return true;
+    }
+
+    return Object.entries(DIMENSIONS).every(([dimension, { contextValues }]) => {
+        const rule = targeting[dimension];
+        if (!rule) {
+            return true;
+        }
+
+        const values = contextValues(context);
+        if (rule.include?.length > 0 && !anyMatch(dimension, rule.include, values)) {
+            return false;
+        }
+        return !(rule.exclude?.length > 0 && anyMatch(dimension, rule.exclude, values));
+    });
+};
+
+// Validate the targeting field of a campaign payload, returning an error
+// message or null when the payload is acceptable
+const validateTargetingFields = (body) => {
+    const { targeting } = body;
+    if (targeting === undefined) {
+        return null;
+    }
+
+    if (typeof targeting !== 'object' || targeting === null || Array.isArray(targeting)) {
+        return 'Targeting must be an object';
+    }
+
+    for (const [dimension, rule] of Object.entries(targeting)) {
+        if (!DIMENSIONS[dimension]) {
+            return `Unknown targeting dimension: ${dimension}`;
+        }
+        if (typeof rule !== 'object' || rule === null || Array.isArray(rule)) {
+            return `Targeting ${dimension} must be an object with include and exclude lists`;
+        }
+        for (const [list, values] of Object.entries(rule)) {
+            if (list !== 'include' && list !== 'exclude') {
+                return `Targeting ${dimension} only supports include and exclude lists`;
+            }
+            if (!Array.isArray(values) || !values.every(DIMENSIONS[dimension].isValid)) {
+                return `Targeting ${dimension}.${list} must be a list of ${DIMENSIONS[dimension].message}`;
+            }
+        }
+    }
+
+    return null;
+};
+
+module.exports = {
+    DEVICE_CLASSES,
+    getRequestContext,
+    matchesTargeting,
+    validateTargetingFields
+};
@@ -0,0 +1,62 @@
+const VAST_VERSION = '4.1';
+const VAST_NAMESPACE = 'http://www.iab.com/VAST';
+const AD_SYSTEM = 'AdvertiseMedia';
+
+const escapeXml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+// URLs go in CDATA sections, which can't contain their own terminator
+const cdata = (value) => `<![CDATA[${String(value).replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+
+// VAST duration, HH:MM:SS.mmm
+const formatDuration = (seconds) => {
+    const milliseconds = Math.round(seconds * 1000);
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    return `${pad(Math.floor(milliseconds / 3600000))}:${pad(Math.floor(milliseconds / 60000) % 60)}:`
+        + `${pad(Math.floor(milliseconds / 1000) % 60)}.${pad(milliseconds % 1000, 3)}`;
+};
+
+const vastDocument = (body = '') => `<?xml version="1.0" encoding="UTF-8"?>\n`
+    + `<VAST version="${VAST_VERSION}" xmlns="${VAST_NAMESPACE}">${body}</VAST>\n`;
+
+// Response telling the player there is no ad to show
+const buildEmptyVast = () => vastDocument();
+
+// Inline linear ad playing a campaign's video
+const buildVast = ({ campaign, impressionId, impressionUrl, clickUrl }) => {
+    const { richMedia } = campaign;
+    const id = escapeXml(campaign._id);
+    return vastDocument(
+        `<Ad id="${id}">`
+        + '<InLine>'
+        + `<AdSystem>${AD_SYSTEM}</AdSystem>`
+        + `<AdServingId>${escapeXml(impressionId)}</AdServingId>`
+        + `<AdTitle>${escapeXml(campaign.headline)}</AdTitle>`
+        + `<Impression id="${escapeXml(impressionId)}">${cdata(impressionUrl)}</Impression>`
+        + '<Creatives>'
+        + `<Creative id="${id}" adId="${id}">`
+        + `<UniversalAdId idRegistry="${AD_SYSTEM}">${id}</UniversalAdId>`
+        + '<Linear>'
+        + `<Duration>${formatDuration(richMedia.duration)}</Duration>`
+        + '<MediaFiles>'
+        + `<MediaFile delivery="progressive" type="video/mp4" width="${richMedia.width}" height="${richMedia.height}">`
+        + cdata(richMedia.url)
+        + '</MediaFile>'
+        + '</MediaFiles>'
+        + `<VideoClicks><ClickThrough id="${id}">${cdata(clickUrl)}</ClickThrough></VideoClicks>`
+        + '</Linear>'
+        + '</Creative>'
+        + '</Creatives>'
+        + '</InLine>'
+        + '</Ad>'
+    );
+};
+
+module.exports = {
+    buildEmptyVast,
+    buildVast
+};
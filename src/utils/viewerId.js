@@ -0,0 +1,51 @@
+const crypto = require('crypto');
+
+const COOKIE_NAME = 'am_vid';
+const COOKIE_MAX_AGE_MS = 365 * 24 * 60 * 60 * 1000;
+const MAX_DEVICE_ID_LENGTH = 128;
+
+const readCookie = (req, name) => {
+    const cookies = req.get('cookie');
+    if (!cookies) {
+        return null;
+    }
+
+    for (const pair of cookies.split(';')) {
+        const [key, ...value] = pair.trim().split('=');
+        if (key === name) {
+            // A malformed value counts as no cookie, so a new one is issued
+            try {
+                return decodeURIComponent(value.join('=')) || null;
+            } catch (error) {
+                return null;
+            }
+        }
+    }
+    return null;
+};
+
+// Anonymous viewer id used for frequency capping. A device id supplied by the
+// publisher wins; otherwise the viewer cookie is used, and issued if missing.
+const getViewerId = (req, res) => {
+    const { deviceId } = req.query;
+    if (typeof deviceId === 'string' && deviceId && deviceId.length <= MAX_DEVICE_ID_LENGTH) {
+        return `device:${deviceId}`;
+    }
+
+    let viewerId = readCookie(req, COOKIE_NAME);
+    if (!viewerId) {
+        viewerId = crypto.randomUUID();
+        // Ads are embedded on publisher sites, so the cookie must be sent cross-site
+        res.cookie(COOKIE_NAME, viewerId, {
+            maxAge: COOKIE_MAX_AGE_MS,
+            httpOnly: true,
+            secure: req.secure,
+            sameSite: req.secure ? 'none' : 'lax'
+        });
+    }
+    return `cookie:${viewerId}`;
+};
+
+module.exports = {
+    getViewerId
+};
@@ -0,0 +1,206 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+
+process.env.JWT_SECRET = 'test-secret';
+
+// Every handler answers with its name, so the matrix shows which requests
+// get through the route's middleware and to which handler
+const stubHandlers = (modulePath) => Object.fromEntries(Object.keys(jest.requireActual(modulePath))
+    .map(name => [name, (req, res) => res.json({ handler: name })]));
+
+jest.mock('../src/controllers/userController', () => stubHandlers('../src/controllers/userController'));
+jest.mock('../src/controllers/campaignController', () => stubHandlers('../src/controllers/campaignController'));
+jest.mock('../src/services/sessionService', () => ({
+    ...jest.requireActual('../src/services/sessionService'),
+    isSessionActive: jest.fn(async () => true)
+}));
+jest.mock('../src/services/securityPolicy', () => ({
+    ...jest.requireActual('../src/services/securityPolicy'),
+    mustEnrollTwoFactor: jest.fn(async () => false)
+}));
+jest.mock('../src/services/organizationService', () => ({
+    ...jest.requireActual('../src/services/organizationService'),
+    canAccessCampaign: jest.fn()
+}));
+
+const User = require('../src/models/User');
+const { canAccessCampaign } = require('../src/services/organizationService');
+const userRoutes = require('../src/routes/userRoutes');
+const campaignRoutes = require('../src/routes/campaignRoutes');
+const { requestId } = require('../src/middlewares/requestId');
+const { notFoundHandler, errorHandler } = require('../src/middlewares/errorHandler');
+
+const app = express();
+app.use(requestId);
+app.use(express.json());
+app.use('/api/users', userRoutes);
+app.use('/api/campaigns', campaignRoutes);
+app.use(notFoundHandler);
+app.use(errorHandler);
+
+const USER_IDS = {
+    USER: '64b000000000000000000001',
+    ADVERTISER: '64b000000000000000000002',
+    ADMIN: '64b000000000000000000003'
+};
+const OTHER_USER_ID = '64b000000000000000000009';
+const CAMPAIGN_ID = '64c000000000000000000001';
+const CREATIVE_ID = '64d000000000000000000001';
+const INVITATION_ID = '64e000000000000000000001';
+
+const CALLERS = ['anonymous', 'USER', 'ADVERTISER', 'ADMIN'];
+
+const tokenFor = (role) => jwt.sign({
+    userId: USER_IDS[role],
+    email: `${role.toLowerCase()}@example.com`,
+    role,
+    sessionId: '64f000000000000000000001'
+}, process.env.JWT_SECRET);
+
+const send = (caller, { method, path, body }) => {
+    const me = USER_IDS[caller] || OTHER_USER_ID;
+    const call = request(app)[method](path.replace(':me', me));
+    if (caller !== 'anonymous') {
+        call.set('Authorization', `Bearer ${tokenFor(caller)}`);
+    }
+    return body ? call.send(body) : call;
+};
+
+// Status expected per caller, in the order of CALLERS
+const expectStatuses = (anonymous, user, advertiser, admin) => ({ anonymous, USER: user, ADVERTISER: advertiser, ADMIN: admin });
+
+const campaign = `/api/campaigns/${CAMPAIGN_ID}`;
+const creative = `${campaign}/creatives/${CREATIVE_ID}`;
+
+// Users act on their own account and the campaigns of their organizations
+const ROUTES = [
+    // userRoutes
+    { method: 'get', path: '/api/users', handler: 'getAllUsers', expected: expectStatuses(401, 403, 403, 200) },
+    { method: 'get', path: '/api/users/invitations', handler: 'getInvitations', expected: expectStatuses(401, 403, 403, 200) },
+    { method: 'post', path: '/api/users/invitations', body: { email: 'new.admin@example.com' }, handler: 'inviteAdmin', expected: expectStatuses(401, 403, 403, 200) },
+    { method: 'delete', path: `/api/users/invitations/${INVITATION_ID}`, handler: 'deleteInvitation', expected: expectStatuses(401, 403, 403, 200) },
+    { method: 'get', path: '/api/users/:me', handler: 'getUserById', expected: expectStatuses(401, 200, 200, 200) },
+    { method: 'put', path: '/api/users/:me', body: { fullName: 'New Name' }, handler: 'updateUser', expected: expectStatuses(401, 200, 200, 200) },
+    { method: 'put', path: '/api/users/:me/role', body: { role: 'ADVERTISER' }, handler: 'updateUserRole', expected: expectStatuses(401, 403, 403, 200) },
+    { method: 'delete', path: '/api/users/:me', handler: 'deleteUser', expected: expectStatuses(401, 403, 403, 200) },
+    { method: 'post', path: '/api/users/logout', handler: 'logout', expected: expectStatuses(401, 200, 200, 200) },
+    { method: 'post', path: '/api/users/logout-all', handler: 'logoutAll', expected: expectStatuses(401, 200, 200, 200) },
+
+    // campaignRoutes
+    {
+        method: 'post',
+        path: '/api/campaigns',
+        body: {
+            campaignName: 'Spring sale',
+            campaignDescription: 'Seasonal promotion',
+            campaignType: 'BANNER',
+            headline: 'Save 20%',
+            body: 'This week only',
+            callToAction: 'Shop now',
+            landingUrl: 'https://example.com/sale'
+        },
+        handler: 'createCampaign',
+        expected: expectStatuses(401, 403, 200, 403)
+    },
+    { method: 'get', path: '/api/campaigns', handler: 'getAllCampaigns', expected: expectStatuses(200, 200, 200, 200) },
+    { method: 'get', path: '/api/campaigns/dashboard/stats', handler: 'getDashboardStats', expected: expectStatuses(401, 200, 200, 403) },
+    { method: 'get', path: '/api/campaigns/moderation/queue', handler: 'getModerationQueue', expected: expectStatuses(401, 403, 403, 200) },
+    { method: 'get', path: campaign, handler: 'getCampaign', expected: expectStatuses(200, 200, 200, 200) },
+    { method: 'put', path: campaign, body: { headline: 'New headline' }, handler: 'updateCampaign', expected: expectStatuses(401, 403, 200, 200) },
+    { method: 'delete', path: campaign, handler: 'deleteCampaign', expected: expectStatuses(401, 403, 200, 200) },
+    { method: 'put', path: `${campaign}/media`, handler: 'setCampaignMedia', expected: expectStatuses(401, 403, 200, 200) },
+    { method: 'delete', path: `${campaign}/media`, handler: 'deleteCampaignMedia', expected: expectStatuses(401, 403, 200, 200) },
+    { method: 'get', path: `${campaign}/analytics`, handler: 'getCampaignAnalytics', expected: expectStatuses(401, 200, 200, 200) },
+    { method: 'put', path: `${campaign}/analytics`, body: { impressions: 10, clicks: 1 }, handler: 'updateCampaignAnalytics', expected: expectStatuses(401, 403, 200, 200) },
+    { method: 'put', path: `${campaign}/status`, body: { status: 'PAUSED' }, handler: 'updateCampaignStatus', expected: expectStatuses(401, 403, 200, 200) },
+    { method: 'get', path: `${campaign}/history`, handler: 'getCampaignHistory', expected: expectStatuses(401, 200, 200, 200) },
+    { method: 'put', path: `${campaign}/details`, body: { campaignName: 'Renamed' }, handler: 'updateCampaignDetails', expected: expectStatuses(401, 403, 200, 200) },
+    { method: 'post', path: `${campaign}/approve`, body: {}, handler: 'approveCampaign', expected: expectStatuses(401, 403, 403, 200) },
+    { method: 'post', path: `${campaign}/reject`, body: { reason: 'Misleading claims' }, handler: 'rejectCampaign', expected: expectStatuses(401, 403, 403, 200) },
+    {
+        method: 'post',
+        path: `${campaign}/creatives`,
+        body: { name: 'Variant B', headline: 'Save 25%', body: 'Today only', callToAction: 'Buy now' },
+        handler: 'addCreative',
+        expected: expectStatuses(401, 403, 200, 403)
+    },
+    { method: 'get', path: `${campaign}/creatives/report`, handler: 'getCreativeReport', expected: expectStatuses(401, 200, 200, 200) },
+    { method: 'put', path: creative, body: { headline: 'Save 30%' }, handler: 'updateCreative', expected: expectStatuses(401, 403, 200, 403) },
+    { method: 'delete', path: creative, handler: 'deleteCreative', expected: expectStatuses(401, 403, 200, 403) },
+    { method: 'post', path: `${creative}/promote`, handler: 'promoteCreative', expected: expectStatuses(401, 403, 200, 403) }
+];
+
+beforeEach(() => {
+    jest.spyOn(User, 'findById').mockImplementation(() => ({
+        select: async () => ({ twoFactor: { enabled: false }, emailVerified: true })
+    }));
+    canAccessCampaign.mockResolvedValue(true);
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('access matrix', () => {
+    const cases = ROUTES.flatMap(route => CALLERS.map(caller => [
+        route.method.toUpperCase(),
+        route.path,
+        caller,
+        route.expected[caller],
+        route
+    ]));
+
+    test.each(cases)('%s %s as %s responds %i', async (method, path, caller, status, route) => {
+        const res = await send(caller, route);
+
+        expect(res.status).toBe(status);
+        if (status === 200) {
+            expect(res.body.handler).toBe(route.handler);
+        }
+    });
+});
+
+describe('resources of others', () => {
+    test.each(['USER', 'ADVERTISER'])('%s cannot read or update another user', async (caller) => {
+        for (const method of ['get', 'put']) {
+            const res = await send(caller, { method, path: `/api/users/${OTHER_USER_ID}`, body: method === 'put' ? { fullName: 'Taken Over' } : undefined });
+            expect(res.status).toBe(403);
+        }
+    });
+
+    test('advertisers cannot manage campaigns outside their organizations', async () => {
+        canAccessCampaign.mockResolvedValue(false);
+
+        const res = await send('ADVERTISER', { method: 'put', path: campaign, body: { headline: 'New headline' } });
+
+        expect(res.status).toBe(403);
+    });
+
+    test('missing campaigns are not found before access is checked', async () => {
+        canAccessCampaign.mockResolvedValue(null);
+
+        const res = await send('ADVERTISER', { method: 'delete', path: campaign });
+
+        expect(res.status).toBe(404);
+    });
+});
+
+describe('every route is covered', () => {
+    const routesOf = (router, base) => router.stack
+        .filter(layer => layer.route)
+        .flatMap(layer => Object.keys(layer.route.methods).map(method => `${method.toUpperCase()} ${base}${layer.route.path === '/' ? '' : layer.route.path}`));
+
+    const covered = new Set(ROUTES.map(route => `${route.method.toUpperCase()} ${route.path
+        .replace(':me', ':id')
+        .replace(CAMPAIGN_ID, ':id')
+        .replace(CREATIVE_ID, ':creativeId')
+        .replace(INVITATION_ID, ':invitationId')}`));
+
+    test.each([
+        ...routesOf(userRoutes, '/api/users'),
+        ...routesOf(campaignRoutes, '/api/campaigns')
+    ])('%s', (route) => {
+        expect(covered).toContain(route);
+    });
+});
@@ -0,0 +1,145 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+
+mongoose.set('bufferCommands', false);
+
+jest.mock('../src/services/analyticsService', () => ({ recordEvents: jest.fn() }));
+jest.mock('../src/services/budgetService', () => ({
+    ...jest.requireActual('../src/services/budgetService'),
+    recordSpend: jest.fn()
+}));
+jest.mock('../src/services/frequencyService', () => ({
+    filterFrequencyCapped: jest.fn(async campaigns => campaigns),
+    recordFrequency: jest.fn()
+}));
+jest.mock('../src/services/creativeService', () => ({
+    ...jest.requireActual('../src/services/creativeService'),
+    recordCreativeEvents: jest.fn()
+}));
+
+process.env.CLICK_TOKEN_SECRET = 'click-secret';
+
+const Campaign = require('../src/models/Campaign');
+const Impression = require('../src/models/Impression');
+const { recordEvents } = require('../src/services/analyticsService');
+const { recordSpend } = require('../src/services/budgetService');
+const { verifyClickToken } = require('../src/utils/clickToken');
+const serveRoutes = require('../src/routes/serveRoutes');
+const { errorHandler } = require('../src/middlewares/errorHandler');
+
+const app = express();
+app.use('/api/serve', serveRoutes);
+app.use(errorHandler);
+
+// Stored campaigns as Mongoose loads them, defaults included
+const campaignDoc = (fields = {}) => Campaign.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    status: 'ACTIVE',
+    campaignType: 'BANNER',
+    headline: 'Spring sale',
+    body: 'Everything must go',
+    callToAction: 'Shop now',
+    imageUrl: 'https://cdn.example.com/a.jpg',
+    ...fields
+});
+
+// The campaigns Campaign.find returns
+const stored = (campaigns) => {
+    jest.spyOn(Campaign, 'find').mockReturnValue({ select: async () => campaigns });
+};
+
+beforeEach(() => {
+    jest.spyOn(Impression, 'create').mockResolvedValue({});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+});
+
+describe('serving ads', () => {
+    test('needs a placement and a campaign type', async () => {
+        expect((await request(app).get('/api/serve?type=BANNER')).body.message).toBe('Placement is required');
+        expect((await request(app).get('/api/serve?placement=home-top&type=POPUP')).body.message).toBe('Invalid campaign type');
+    });
+
+    test('answers 204 when nothing is eligible', async () => {
+        stored([]);
+
+        const response = await request(app).get('/api/serve?placement=home-top&type=BANNER');
+
+        expect(response.status).toBe(204);
+        expect(Impression.create).not.toHaveBeenCalled();
+    });
+
+    test('looks for active campaigns of the type with a weight', async () => {
+        stored([]);
+
+        await request(app).get('/api/serve?placement=home-top&type=FEATURED');
+
+        expect(Campaign.find).toHaveBeenCalledWith(expect.objectContaining({
+            status: 'ACTIVE',
+            campaignType: 'FEATURED',
+            weight: { $not: { $lte: 0 } }
+        }));
+    });
+
+    test('serves the creative with a signed click URL and records the impression with its placement', async () => {
+        const campaign = campaignDoc();
+        stored([campaign]);
+
+        const response = await request(app).get('/api/serve?placement=home-top&type=BANNER').set('Host', 'ads.example.com');
+
+        expect(response.status).toBe(200);
+        expect(response.headers['cache-control']).toBe('no-store');
+        expect(response.body).toMatchObject({
+            campaignId: String(campaign._id),
+            placement: 'home-top',
+            type: 'BANNER',
+            creative: { headline: 'Spring sale', body: 'Everything must go', callToAction: 'Shop now', imageUrl: 'https://cdn.example.com/a.jpg' },
+            richMedia: null
+        });
+
+        const { impressionId, clickUrl } = response.body;
+        const [, token] = clickUrl.match(/^http:\/\/ads\.example\.com\/c\/(.+)$/);
+        expect(verifyClickToken(token).payload).toMatchObject({ campaignId: String(campaign._id), impressionId });
+        expect(Impression.create).toHaveBeenCalledWith({ impressionId, campaign: campaign._id, creative: null, placement: 'home-top' });
+        expect(recordEvents).toHaveBeenCalledWith(campaign._id, { impressions: 1 });
+        expect(recordSpend).toHaveBeenCalledWith(campaign._id, 0);
+    });
+
+    test('every request is a new impression', async () => {
+        stored([campaignDoc()]);
+
+        const first = await request(app).get('/api/serve?placement=home-top&type=BANNER');
+        const second = await request(app).get('/api/serve?placement=home-top&type=BANNER');
+
+        expect(first.body.impressionId).not.toBe(second.body.impressionId);
+        expect(Impression.create).toHaveBeenCalledTimes(2);
+    });
+
+    test.each([
+        [0.2, 'light'],
+        [0.3, 'heavy'],
+        [0.99, 'heavy']
+    ])('picks campaigns in proportion to their weight (roll %d)', async (roll, headline) => {
+        stored([campaignDoc({ headline: 'light', weight: 1 }), campaignDoc({ headline: 'heavy', weight: 3 })]);
+        jest.spyOn(Math, 'random').mockReturnValue(roll);
+
+        const response = await request(app).get('/api/serve?placement=home-top&type=BANNER');
+
+        expect(response.body.creative.headline).toBe(headline);
+    });
+
+    test('campaigns created before weights existed serve with the default weight', async () => {
+        // Stored without a weight
+        const legacy = campaignDoc({ headline: 'legacy' });
+        expect(legacy.weight).toBe(1);
+        stored([legacy]);
+
+        const response = await request(app).get('/api/serve?placement=home-top&type=BANNER');
+
+        expect(response.body.creative.headline).toBe('legacy');
+    });
+});
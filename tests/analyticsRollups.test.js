@@ -0,0 +1,169 @@
+const mongoose = require('mongoose');
+
+mongoose.set('bufferCommands', false);
+
+const Campaign = require('../src/models/Campaign');
+const AnalyticsRollup = require('../src/models/AnalyticsRollup');
+const Click = require('../src/models/Click');
+const { recordEvents, backfillRollups, parseSeriesOptions, getSeries } = require('../src/services/analyticsService');
+
+const CAMPAIGN_ID = new mongoose.Types.ObjectId('64c000000000000000000001');
+const HOUR_MS = 60 * 60 * 1000;
+
+// Rollups by granularity and bucket, kept the way the service's bulk upserts would
+let rollups;
+// Times of the campaign's recorded valid clicks
+let clickTimes;
+
+const rollupAt = (granularity, bucket) => rollups.get(`${granularity} ${new Date(bucket).toISOString()}`);
+
+const hourRollups = () => [...rollups.values()].filter(rollup => rollup.granularity === 'hour');
+
+beforeEach(() => {
+    rollups = new Map();
+    clickTimes = [];
+
+    jest.spyOn(Campaign, 'incrementAnalytics').mockResolvedValue();
+    jest.spyOn(AnalyticsRollup, 'bulkWrite').mockImplementation(async (operations) => {
+        for (const { updateOne: { filter, update } } of operations) {
+            const key = `${filter.granularity} ${filter.bucket.toISOString()}`;
+            const rollup = rollups.get(key) || { granularity: filter.granularity, bucket: filter.bucket, impressions: 0, clicks: 0 };
+            rollup.impressions += update.$inc.impressions;
+            rollup.clicks += update.$inc.clicks;
+            rollups.set(key, rollup);
+        }
+    });
+    jest.spyOn(AnalyticsRollup, 'aggregate').mockImplementation(async () => {
+        const hours = hourRollups();
+        if (hours.length === 0) {
+            return [];
+        }
+        return [{
+            impressions: hours.reduce((sum, rollup) => sum + rollup.impressions, 0),
+            clicks: hours.reduce((sum, rollup) => sum + rollup.clicks, 0),
+            first: new Date(Math.min(...hours.map(rollup => rollup.bucket.getTime())))
+        }];
+    });
+    jest.spyOn(Click, 'aggregate').mockImplementation(async ([{ $match }]) => {
+        const counts = new Map();
+        for (const time of clickTimes.filter(at => at <= $match.createdAt.$lte)) {
+            const hour = Math.floor(time.getTime() / HOUR_MS) * HOUR_MS;
+            counts.set(hour, (counts.get(hour) || 0) + 1);
+        }
+        return [...counts].sort(([a], [b]) => a - b).map(([hour, clicks]) => ({ _id: new Date(hour), clicks }));
+    });
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('recordEvents', () => {
+    test('adds to the campaign counters and to the hour and day buckets', async () => {
+        await recordEvents(CAMPAIGN_ID, { impressions: 3, clicks: 1, at: new Date('2024-03-05T14:35:10Z') });
+
+        expect(Campaign.incrementAnalytics).toHaveBeenCalledWith(CAMPAIGN_ID, { impressions: 3, clicks: 1 });
+        expect(rollupAt('hour', '2024-03-05T14:00:00Z')).toMatchObject({ impressions: 3, clicks: 1 });
+        expect(rollupAt('day', '2024-03-05T00:00:00Z')).toMatchObject({ impressions: 3, clicks: 1 });
+    });
+
+    test('events of the same hour share a bucket', async () => {
+        await recordEvents(CAMPAIGN_ID, { impressions: 1, at: new Date('2024-03-05T14:01:00Z') });
+        await recordEvents(CAMPAIGN_ID, { impressions: 1, at: new Date('2024-03-05T14:59:00Z') });
+        await recordEvents(CAMPAIGN_ID, { impressions: 1, at: new Date('2024-03-05T15:00:00Z') });
+
+        expect(rollupAt('hour', '2024-03-05T14:00:00Z').impressions).toBe(2);
+        expect(rollupAt('hour', '2024-03-05T15:00:00Z').impressions).toBe(1);
+        expect(rollupAt('day', '2024-03-05T00:00:00Z').impressions).toBe(3);
+    });
+});
+
+describe('backfillRollups', () => {
+    const campaignWith = (impressions, clicks, updatedAt = new Date('2024-03-01T12:30:00Z')) => ({
+        _id: CAMPAIGN_ID,
+        analytics: { impressions, clicks },
+        updatedAt
+    });
+
+    test('places recorded clicks at their hour and the rest at the last update', async () => {
+        clickTimes = [new Date('2024-02-20T09:10:00Z'), new Date('2024-02-20T09:50:00Z'), new Date('2024-02-21T18:00:00Z')];
+
+        const added = await backfillRollups(campaignWith(100, 5));
+
+        expect(added).toEqual({ impressions: 100, clicks: 5 });
+        expect(rollupAt('hour', '2024-02-20T09:00:00Z')).toMatchObject({ impressions: 0, clicks: 2 });
+        expect(rollupAt('hour', '2024-02-21T18:00:00Z')).toMatchObject({ impressions: 0, clicks: 1 });
+        expect(rollupAt('hour', '2024-03-01T12:00:00Z')).toMatchObject({ impressions: 100, clicks: 2 });
+    });
+
+    test('puts the missing counts just before the first existing rollup', async () => {
+        await recordEvents(CAMPAIGN_ID, { impressions: 10, clicks: 1, at: new Date('2024-03-05T14:00:00Z') });
+
+        const added = await backfillRollups(campaignWith(50, 1));
+
+        expect(added).toEqual({ impressions: 40, clicks: 0 });
+        expect(rollupAt('hour', '2024-03-05T13:00:00Z')).toMatchObject({ impressions: 40, clicks: 0 });
+    });
+
+    test('never places more clicks than are missing', async () => {
+        clickTimes = [new Date('2024-02-20T09:10:00Z'), new Date('2024-02-21T09:10:00Z'), new Date('2024-02-22T09:10:00Z')];
+
+        await backfillRollups(campaignWith(10, 2));
+
+        expect(hourRollups().reduce((sum, rollup) => sum + rollup.clicks, 0)).toBe(2);
+        expect(rollupAt('hour', '2024-02-22T09:00:00Z')).toBeUndefined();
+    });
+
+    test('running it again adds nothing', async () => {
+        clickTimes = [new Date('2024-02-20T09:10:00Z')];
+        const campaign = campaignWith(100, 5);
+
+        await backfillRollups(campaign);
+        const again = await backfillRollups(campaign);
+
+        expect(again).toEqual({ impressions: 0, clicks: 0 });
+        expect(hourRollups().reduce((sum, rollup) => sum + rollup.impressions, 0)).toBe(100);
+        expect(hourRollups().reduce((sum, rollup) => sum + rollup.clicks, 0)).toBe(5);
+    });
+});
+
+describe('parseSeriesOptions', () => {
+    test('defaults to the last 30 days, starting at a day boundary', () => {
+        const options = parseSeriesOptions({ to: '2024-03-31T10:00:00Z' });
+
+        expect(options).toEqual({
+            from: new Date('2024-03-01T00:00:00Z'),
+            to: new Date('2024-03-31T10:00:00Z'),
+            granularity: 'day'
+        });
+    });
+
+    test.each([
+        [{ granularity: 'week' }, 'Granularity must be hour or day'],
+        [{ from: 'yesterday' }, 'from and to must be valid dates'],
+        [{ from: '2024-03-02T00:00:00Z', to: '2024-03-01T00:00:00Z' }, 'from must be before to'],
+        [{ from: '2024-01-01T00:00:00Z', to: '2024-03-01T00:00:00Z', granularity: 'hour' }, 'Range cannot exceed 1000 hour buckets']
+    ])('rejects %j', (query, error) => {
+        expect(parseSeriesOptions(query)).toEqual({ error });
+    });
+});
+
+describe('getSeries', () => {
+    test('fills empty buckets and rounds the CTR to a number', async () => {
+        jest.spyOn(AnalyticsRollup, 'find').mockImplementation(() => ({
+            sort: async () => [{ bucket: new Date('2024-03-02T00:00:00Z'), impressions: 3, clicks: 1 }]
+        }));
+
+        const series = await getSeries(CAMPAIGN_ID, {
+            from: new Date('2024-03-01T00:00:00Z'),
+            to: new Date('2024-03-03T00:00:00Z'),
+            granularity: 'day'
+        });
+
+        expect(series).toEqual([
+            { bucket: new Date('2024-03-01T00:00:00Z'), impressions: 0, clicks: 0, ctr: 0 },
+            { bucket: new Date('2024-03-02T00:00:00Z'), impressions: 3, clicks: 1, ctr: 33.33 },
+            { bucket: new Date('2024-03-03T00:00:00Z'), impressions: 0, clicks: 0, ctr: 0 }
+        ]);
+    });
+});
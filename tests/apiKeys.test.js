@@ -0,0 +1,230 @@
+const crypto = require('crypto');
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+
+mongoose.set('bufferCommands', false);
+
+process.env.JWT_SECRET = 'test-secret';
+
+// Campaign handlers answer with their name, to show which requests a key
+// gets through
+jest.mock('../src/controllers/campaignController', () => Object.fromEntries(
+    Object.keys(jest.requireActual('../src/controllers/campaignController'))
+        .map(name => [name, (req, res) => res.json({ handler: name, user: req.user })])
+));
+jest.mock('../src/services/securityPolicy', () => ({
+    ...jest.requireActual('../src/services/securityPolicy'),
+    mustEnrollTwoFactor: jest.fn(async () => false)
+}));
+
+const ApiKey = require('../src/models/ApiKey');
+const User = require('../src/models/User');
+const Organization = require('../src/models/Organization');
+const Campaign = require('../src/models/Campaign');
+const { validateApiKeyFields } = require('../src/utils/apiKeys');
+const { createApiKey, authenticateApiKey, isApiKey } = require('../src/services/apiKeyService');
+const { createKey, revokeKey } = require('../src/controllers/apiKeyController');
+const apiKeyRoutes = require('../src/routes/apiKeyRoutes');
+const campaignRoutes = require('../src/routes/campaignRoutes');
+const { errorHandler } = require('../src/middlewares/errorHandler');
+
+const app = express();
+app.use(express.json());
+app.use('/api/keys', apiKeyRoutes);
+app.use('/api/campaigns', campaignRoutes);
+app.use(errorHandler);
+
+const USER_ID = '64b000000000000000000001';
+const ORGANIZATION_ID = '64a000000000000000000001';
+const OTHER_ORGANIZATION_ID = '64a000000000000000000002';
+const CAMPAIGN_ID = '64c000000000000000000001';
+const KEY_ID = '64f000000000000000000001';
+
+const hash = key => crypto.createHash('sha256').update(key).digest('hex');
+
+// The live key ApiKey.findOne finds, and the user it belongs to
+const liveKey = (fields = {}) => {
+    const apiKey = { _id: KEY_ID, user: USER_ID, scopes: ['campaigns:read'], organization: null, ...fields };
+    jest.spyOn(ApiKey, 'findOne').mockResolvedValue(apiKey);
+    jest.spyOn(ApiKey, 'updateOne').mockResolvedValue({});
+    jest.spyOn(User, 'findById').mockReturnValue({
+        select: async () => ({ _id: USER_ID, email: 'jane@example.com', role: 'ADVERTISER', twoFactor: { enabled: false } })
+    });
+    return apiKey;
+};
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('validateApiKeyFields', () => {
+    test('accepts a named key with known scopes', () => {
+        expect(validateApiKeyFields({ name: 'CI', scopes: ['campaigns:read', 'analytics:read'] })).toBeNull();
+        expect(validateApiKeyFields({ name: 'CI', scopes: ['campaigns:write'], expiresAt: '2999-01-01', organizationId: ORGANIZATION_ID })).toBeNull();
+    });
+
+    test.each([
+        [{ name: ' ', scopes: ['campaigns:read'] }, 'Key name is required'],
+        [{ name: 'CI', scopes: [] }, 'scopes must be a non-empty list of campaigns:read, campaigns:write, analytics:read, analytics:write'],
+        [{ name: 'CI', scopes: ['users:write'] }, 'scopes must be a non-empty list of campaigns:read, campaigns:write, analytics:read, analytics:write'],
+        [{ name: 'CI', scopes: ['campaigns:read'], expiresAt: '2000-01-01' }, 'expiresAt must be a date in the future'],
+        [{ name: 'CI', scopes: ['campaigns:read'], expiresAt: 'soon' }, 'expiresAt must be a date in the future'],
+        [{ name: 'CI', scopes: ['campaigns:read'], organizationId: 'acme' }, 'organizationId must be a valid id']
+    ])('refuses %j', (fields, error) => {
+        expect(validateApiKeyFields(fields)).toBe(error);
+    });
+});
+
+describe('apiKeyService', () => {
+    test('only a hash of a new key is stored', async () => {
+        jest.spyOn(ApiKey, 'create').mockImplementation(async fields => fields);
+
+        const { apiKey, key } = await createApiKey({ name: 'CI', user: USER_ID, scopes: ['campaigns:read'] });
+
+        expect(isApiKey(key)).toBe(true);
+        expect(key.startsWith(`${apiKey.prefix}.`)).toBe(true);
+        expect(apiKey.keyHash).toBe(hash(key));
+        expect(JSON.stringify(apiKey)).not.toContain(key);
+    });
+
+    test('looks keys up by hash, among live ones', async () => {
+        jest.spyOn(ApiKey, 'findOne').mockResolvedValue(null);
+
+        expect(await authenticateApiKey('am_abc.def')).toBeNull();
+        expect(ApiKey.findOne).toHaveBeenCalledWith({
+            keyHash: hash('am_abc.def'),
+            revokedAt: null,
+            $or: [{ expiresAt: null }, { expiresAt: { $gt: expect.any(Date) } }]
+        });
+    });
+
+    test('refuses keys whose user is gone', async () => {
+        liveKey();
+        User.findById.mockReturnValue({ select: async () => null });
+
+        expect(await authenticateApiKey('am_abc.def')).toBeNull();
+        expect(ApiKey.updateOne).not.toHaveBeenCalled();
+    });
+
+    test('notes when a key was last used, at most once a minute', async () => {
+        liveKey();
+
+        await authenticateApiKey('am_abc.def');
+
+        const [filter, update] = ApiKey.updateOne.mock.calls[0];
+        expect(filter.$or[1].lastUsedAt.$lt.getTime()).toBeCloseTo(update.lastUsedAt.getTime() - 60 * 1000, -2);
+    });
+
+    test.each([['am_abc.def', true], ['eyJhbGciOi', false], [undefined, false]])('%s is an API key: %s', (credential, expected) => {
+        expect(isApiKey(credential)).toBe(expected);
+    });
+});
+
+describe('authenticating with an API key', () => {
+    test.each([
+        ['X-API-Key', { 'X-API-Key': 'am_abc.def' }],
+        ['a bearer token', { Authorization: 'Bearer am_abc.def' }]
+    ])('works with %s, acting as the key\'s user', async (name, headers) => {
+        liveKey({ scopes: ['analytics:read'] });
+
+        const response = await request(app).get('/api/campaigns/dashboard/stats').set(headers);
+
+        expect(response.status).toBe(200);
+        expect(response.body.user).toMatchObject({ userId: USER_ID, email: 'jane@example.com' });
+        expect(ApiKey.findOne).toHaveBeenCalledWith(expect.objectContaining({ keyHash: hash('am_abc.def') }));
+    });
+
+    test('refuses actions outside the key\'s scopes', async () => {
+        liveKey();
+
+        const response = await request(app).get('/api/campaigns/dashboard/stats').set('X-API-Key', 'am_abc.def');
+
+        expect(response.status).toBe(403);
+        expect(response.body).toMatchObject({ code: 'INSUFFICIENT_SCOPE', message: 'API key lacks the analytics:read scope' });
+    });
+
+    test('passes the key\'s scopes and organization on', async () => {
+        liveKey({ scopes: ['analytics:read'], organization: ORGANIZATION_ID });
+
+        const response = await request(app).get('/api/campaigns/dashboard/stats').set('X-API-Key', 'am_abc.def');
+
+        expect(response.body).toEqual({
+            handler: 'getDashboardStats',
+            user: expect.objectContaining({ userId: USER_ID, role: 'ADVERTISER', apiKeyId: KEY_ID, scopes: ['analytics:read'], organizationId: ORGANIZATION_ID })
+        });
+    });
+
+    test('organization keys only reach their organization\'s campaigns', async () => {
+        liveKey({ organization: ORGANIZATION_ID });
+        jest.spyOn(Campaign, 'findById').mockReturnValue({ select: async () => ({ organization: OTHER_ORGANIZATION_ID }) });
+        jest.spyOn(Organization, 'exists').mockResolvedValue({ _id: ORGANIZATION_ID });
+
+        const response = await request(app).get(`/api/campaigns/${CAMPAIGN_ID}/history`).set('X-API-Key', 'am_abc.def');
+
+        expect(response.status).toBe(403);
+    });
+
+    test('refuses unknown, revoked and expired keys', async () => {
+        jest.spyOn(ApiKey, 'findOne').mockResolvedValue(null);
+
+        const response = await request(app).get('/api/campaigns/dashboard/stats').set('X-API-Key', 'am_abc.def');
+
+        expect(response.status).toBe(401);
+        expect(response.body.message).toBe('Invalid, expired or revoked API key');
+    });
+
+    test('cannot manage keys', async () => {
+        liveKey({ scopes: ['campaigns:write'] });
+
+        const response = await request(app).get('/api/keys').set('X-API-Key', 'am_abc.def');
+
+        expect(response.status).toBe(403);
+        expect(response.body.message).toBe('This endpoint cannot be used with an API key');
+    });
+});
+
+describe('managing keys', () => {
+    const call = async (handler, req) => {
+        const res = { status: jest.fn(() => res), json: jest.fn() };
+        const next = jest.fn();
+        await handler({ user: { userId: USER_ID }, params: {}, ...req }, res, next);
+        return { status: res.status.mock.calls[0]?.[0], body: res.json.mock.calls[0]?.[0], error: next.mock.calls[0]?.[0] };
+    };
+
+    test('the key is shown once, with repeated scopes dropped', async () => {
+        jest.spyOn(ApiKey, 'create').mockImplementation(async fields => ({ _id: KEY_ID, ...fields }));
+
+        const { status, body } = await call(createKey, { body: { name: 'CI', scopes: ['campaigns:read', 'campaigns:read'] } });
+
+        expect(status).toBe(201);
+        expect(body.apiKey).toMatchObject({ id: KEY_ID, name: 'CI', scopes: ['campaigns:read'] });
+        expect(body.apiKey).not.toHaveProperty('keyHash');
+        expect(isApiKey(body.key)).toBe(true);
+    });
+
+    test('only owners and managers create organization keys', async () => {
+        jest.spyOn(Organization, 'exists').mockResolvedValue(null);
+        jest.spyOn(ApiKey, 'create');
+
+        const { error } = await call(createKey, { body: { name: 'CI', scopes: ['campaigns:read'], organizationId: ORGANIZATION_ID } });
+
+        expect(error).toMatchObject({ status: 403, message: 'You cannot create keys for this organization' });
+        expect(Organization.exists.mock.calls[0][0].members.$elemMatch.role).toEqual({ $in: ['OWNER', 'MANAGER'] });
+        expect(ApiKey.create).not.toHaveBeenCalled();
+    });
+
+    test('keys are revoked by their user or their organization\'s owners', async () => {
+        jest.spyOn(Organization, 'find').mockReturnValue({ select: async () => [{ _id: ORGANIZATION_ID }] });
+        jest.spyOn(ApiKey, 'findOneAndUpdate').mockReturnValue({ select: async () => null });
+
+        const { error } = await call(revokeKey, { params: { id: KEY_ID } });
+
+        expect(error).toMatchObject({ status: 404, message: 'API key not found' });
+        expect(ApiKey.findOneAndUpdate).toHaveBeenCalledWith(
+            { _id: KEY_ID, revokedAt: null, $or: [{ user: USER_ID }, { organization: { $in: [ORGANIZATION_ID] } }] },
+            { revokedAt: expect.any(Date) },
+            { new: true }
+        );
+    });
+});
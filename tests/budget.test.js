@@ -0,0 +1,161 @@
+const mongoose = require('mongoose');
+
+mongoose.set('bufferCommands', false);
+
+jest.mock('../src/services/campaignStateMachine', () => ({
+    transitionCampaign: jest.fn(async () => ({})),
+    transitionMatching: jest.fn(async () => 0)
+}));
+
+const Campaign = require('../src/models/Campaign');
+const { transitionCampaign, transitionMatching } = require('../src/services/campaignStateMachine');
+const { costOf, recordSpend, resumeDailyCappedCampaigns, getBudgetSummary } = require('../src/services/budgetService');
+const { validateBudgetFields, toBudgetUpdate } = require('../src/utils/budget');
+
+const CAMPAIGN_ID = '64c000000000000000000001';
+const NOW = new Date('2024-03-05T14:00:00Z');
+
+// The campaign as the spend update returns it
+const afterSpend = (campaign) => {
+    jest.spyOn(Campaign, 'findOneAndUpdate').mockImplementation(() => ({ select: async () => campaign }));
+};
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+});
+
+describe('costOf', () => {
+    test.each([
+        [{ pricingModel: 'CPM', rate: 2 }, { impressions: 500 }, 1],
+        [{ pricingModel: 'CPM', rate: 2 }, { clicks: 3 }, 0],
+        [{ pricingModel: 'CPC', rate: 0.5 }, { impressions: 500, clicks: 3 }, 1.5],
+        [{ pricingModel: 'CPC' }, { clicks: 3 }, 0],
+        [undefined, { impressions: 1000 }, 0]
+    ])('%j prices %j at %d', (budget, events, cost) => {
+        expect(costOf({ budget }, events)).toBe(cost);
+    });
+});
+
+describe('recordSpend', () => {
+    test('adds the cost in one pipeline update that resets the daily spend on a new day', async () => {
+        afterSpend({ _id: CAMPAIGN_ID, status: 'ACTIVE', budget: { total: 100, daily: 10, spent: 1, spentToday: 1 } });
+
+        await recordSpend(CAMPAIGN_ID, 0.25, NOW);
+
+        const [filter, pipeline, options] = Campaign.findOneAndUpdate.mock.calls[0];
+        expect(filter).toEqual({ _id: CAMPAIGN_ID });
+        expect(options).toEqual({ new: true });
+        expect(pipeline[0].$set).toEqual({
+            'budget.spent': { $add: [{ $ifNull: ['$budget.spent', 0] }, 0.25] },
+            'budget.spentToday': {
+                $add: [
+                    { $cond: [{ $eq: ['$budget.spentDate', '2024-03-05'] }, { $ifNull: ['$budget.spentToday', 0] }, 0] },
+                    0.25
+                ]
+            },
+            'budget.spentDate': '2024-03-05'
+        });
+        expect(transitionCampaign).not.toHaveBeenCalled();
+    });
+
+    test('writes nothing for free events', async () => {
+        afterSpend(null);
+
+        await recordSpend(CAMPAIGN_ID, 0, NOW);
+
+        expect(Campaign.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    test('pauses the campaign until the next day once the daily cap is reached', async () => {
+        afterSpend({ _id: CAMPAIGN_ID, status: 'ACTIVE', budget: { total: 100, daily: 10, spent: 40, spentToday: 10 } });
+
+        await recordSpend(CAMPAIGN_ID, 1, NOW);
+
+        expect(transitionCampaign).toHaveBeenCalledWith(CAMPAIGN_ID, 'PAUSED', {
+            reason: 'Daily budget cap reached',
+            update: { 'budget.pausedUntil': new Date('2024-03-06T00:00:00Z') }
+        });
+    });
+
+    test('completes the campaign once the total budget is spent', async () => {
+        afterSpend({ _id: CAMPAIGN_ID, status: 'ACTIVE', budget: { total: 100, daily: 10, spent: 100, spentToday: 10 } });
+
+        await recordSpend(CAMPAIGN_ID, 1, NOW);
+
+        expect(transitionCampaign).toHaveBeenCalledTimes(1);
+        expect(transitionCampaign).toHaveBeenCalledWith(CAMPAIGN_ID, 'COMPLETED', { reason: 'Total budget exhausted' });
+    });
+
+    test('leaves campaigns that are no longer active alone', async () => {
+        afterSpend({ _id: CAMPAIGN_ID, status: 'PAUSED', budget: { total: 100, daily: 10, spent: 100, spentToday: 10 } });
+
+        await recordSpend(CAMPAIGN_ID, 1, NOW);
+
+        expect(transitionCampaign).not.toHaveBeenCalled();
+    });
+});
+
+describe('resumeDailyCappedCampaigns', () => {
+    test('reactivates campaigns whose pause has run out', async () => {
+        await resumeDailyCappedCampaigns(NOW);
+
+        expect(transitionMatching).toHaveBeenCalledWith(
+            { status: 'PAUSED', 'budget.pausedUntil': { $lte: NOW } },
+            'ACTIVE',
+            { reason: 'Daily budget reset', update: { $unset: { 'budget.pausedUntil': 1 } } }
+        );
+    });
+});
+
+describe('getBudgetSummary', () => {
+    test('projects exhaustion from the average daily spend, at most the daily cap', () => {
+        const summary = getBudgetSummary({
+            status: 'ACTIVE',
+            createdAt: new Date('2024-03-03T14:00:00Z'),
+            budget: { pricingModel: 'CPM', rate: 2, total: 100, daily: 10, spent: 40, spentToday: 3, spentDate: '2024-03-05' }
+        }, NOW);
+
+        expect(summary).toEqual({
+            pricingModel: 'CPM',
+            rate: 2,
+            total: 100,
+            daily: 10,
+            spent: '40.00',
+            spentToday: '3.00',
+            remaining: '60.00',
+            projectedExhaustionDate: new Date('2024-03-11T14:00:00Z')
+        });
+    });
+
+    test('does not count an earlier day\'s spend as today\'s', () => {
+        const summary = getBudgetSummary({
+            status: 'ACTIVE',
+            createdAt: NOW,
+            budget: { spent: 5, spentToday: 5, spentDate: '2024-03-04' }
+        }, NOW);
+
+        expect(summary).toMatchObject({ spentToday: '0.00', remaining: null, projectedExhaustionDate: null });
+    });
+});
+
+describe('validateBudgetFields', () => {
+    test.each([
+        [{}, null],
+        [{ budget: { pricingModel: 'CPC', rate: '0.5', total: 100, daily: 10 } }, null],
+        [{ budget: [] }, 'Budget must be an object'],
+        [{ budget: { spent: 0 } }, 'Unknown budget field: spent'],
+        [{ budget: { pricingModel: 'CPA' } }, 'Pricing model must be CPM or CPC'],
+        [{ budget: { rate: -1 } }, 'Budget rate must be a non-negative number'],
+        [{ budget: { total: '' } }, 'Budget total must be a non-negative number'],
+        [{ budget: { total: 10, daily: 20 } }, 'Daily budget cannot exceed total budget']
+    ])('%j -> %s', (body, error) => {
+        expect(validateBudgetFields(body)).toBe(error);
+    });
+});
+
+describe('toBudgetUpdate', () => {
+    test('sets only the given settings, never the tracked spend', () => {
+        expect(toBudgetUpdate({ rate: '0.5', daily: 10 })).toEqual({ 'budget.rate': 0.5, 'budget.daily': 10 });
+    });
+});
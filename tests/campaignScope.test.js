@@ -0,0 +1,144 @@
+const mongoose = require('mongoose');
+
+// Nothing here talks to a database: any query that isn't faked below fails
+// straight away instead of waiting for a connection
+mongoose.set('bufferCommands', false);
+
+const Campaign = require('../src/models/Campaign');
+const CampaignTransition = require('../src/models/CampaignTransition');
+const Organization = require('../src/models/Organization');
+const campaignController = require('../src/controllers/campaignController');
+
+const CALLER_ID = '64b000000000000000000002';
+const OWN_ORGANIZATION_ID = '64a000000000000000000001';
+const OTHER_ORGANIZATION_ID = '64a000000000000000000002';
+const CAMPAIGN_ID = '64c000000000000000000001';
+const CREATIVE_ID = '64d000000000000000000001';
+
+// Campaign of an organization the caller doesn't belong to
+const storedCampaign = {
+    _id: CAMPAIGN_ID,
+    organization: OTHER_ORGANIZATION_ID,
+    advertiser: '64b000000000000000000009',
+    campaignName: 'Their campaign',
+    campaignType: 'INTERACTIVE',
+    status: 'ACTIVE',
+    moderation: { state: 'APPROVED' },
+    headline: 'Their headline',
+    richMedia: { kind: 'HTML5', keys: [] },
+    creatives: [{ _id: CREATIVE_ID, name: 'A', headline: 'h', body: 'b', callToAction: 'c', imageUrl: 'u' }],
+    analytics: { impressions: 10, clicks: 1, ctr: 10 }
+};
+
+// Values at a dotted path, through arrays of subdocuments
+const valuesAt = (doc, path) => path.split('.').reduce((values, key) => values.flatMap((value) => {
+    if (Array.isArray(value)) {
+        return value.map(element => element?.[key]);
+    }
+    return [value?.[key]];
+}), [doc]);
+
+// Just enough of MongoDB's query language for the filters of the handlers
+const matches = (doc, filter) => Object.entries(filter).every(([key, condition]) => {
+    if (key === '$or') {
+        return condition.some(branch => matches(doc, branch));
+    }
+    const values = valuesAt(doc, key);
+    if (condition === null) {
+        return values.every(value => value === undefined || value === null);
+    }
+    if (condition.$in) {
+        return values.some(value => condition.$in.map(String).includes(String(value)));
+    }
+    if (condition.$exists !== undefined) {
+        return values.some(value => value !== undefined) === condition.$exists;
+    }
+    if (condition.$size !== undefined) {
+        return values[0]?.length === condition.$size;
+    }
+    return values.some(value => String(value) === String(condition));
+});
+
+// Chainable stand-in for a mongoose query resolving to the result
+const fakeQuery = (result) => {
+    const query = {
+        select: () => query,
+        populate: () => query,
+        sort: () => query,
+        then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+        catch: reject => Promise.resolve(result).catch(reject)
+    };
+    return query;
+};
+
+const found = (filter) => (matches(storedCampaign, filter) ? Campaign.hydrate(storedCampaign) : null);
+
+const callHandler = async (handler, { body = {}, file } = {}) => {
+    const req = {
+        params: { id: CAMPAIGN_ID, creativeId: CREATIVE_ID },
+        query: {},
+        body,
+        file,
+        user: { userId: CALLER_ID, email: 'advertiser@example.com', role: 'ADVERTISER' }
+    };
+    const res = {
+        status: jest.fn(() => res),
+        set: jest.fn(() => res),
+        json: jest.fn(() => res)
+    };
+    const next = jest.fn();
+    await handler(req, res, next);
+    return { res, next };
+};
+
+const memberOf = (organizationId) => {
+    jest.spyOn(Organization, 'find').mockImplementation(() => fakeQuery([{ _id: organizationId }]));
+};
+
+beforeEach(() => {
+    jest.spyOn(Campaign, 'findOne').mockImplementation(filter => fakeQuery(found(filter)));
+    jest.spyOn(Campaign, 'findOneAndUpdate').mockImplementation(filter => fakeQuery(found(filter)));
+    jest.spyOn(Campaign, 'findOneAndDelete').mockImplementation(filter => fakeQuery(found(filter)));
+    jest.spyOn(Campaign, 'exists').mockImplementation(filter => fakeQuery(found(filter) && { _id: CAMPAIGN_ID }));
+    memberOf(OWN_ORGANIZATION_ID);
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('campaign handlers scope their lookups to the caller\'s organizations', () => {
+    const upload = { path: 'uploads/test-upload', format: 'zip' };
+
+    test.each([
+        ['updateCampaign', { body: { headline: 'Hijacked' } }],
+        ['deleteCampaign', {}],
+        ['setCampaignMedia', { file: upload }],
+        ['deleteCampaignMedia', {}],
+        ['getCampaignAnalytics', {}],
+        ['updateCampaignAnalytics', { body: { impressions: 1000, clicks: 900 } }],
+        ['updateCampaignStatus', { body: { status: 'PAUSED' } }],
+        ['getCampaignHistory', {}],
+        ['updateCampaignDetails', { body: { campaignName: 'Hijacked' } }],
+        ['addCreative', { body: { name: 'B', headline: 'h', body: 'b', callToAction: 'c' }, file: upload }],
+        ['getCreativeReport', {}],
+        ['updateCreative', { body: { headline: 'Hijacked' } }],
+        ['deleteCreative', {}],
+        ['promoteCreative', {}]
+    ])('%s does not find another organization\'s campaign', async (name, request) => {
+        const { res, next } = await callHandler(campaignController[name], request);
+
+        expect(next).toHaveBeenCalledWith(expect.objectContaining({ status: 404 }));
+        expect(res.json).not.toHaveBeenCalled();
+    });
+
+    test('members of the campaign\'s organization do find it', async () => {
+        memberOf(OTHER_ORGANIZATION_ID);
+        jest.spyOn(CampaignTransition, 'find').mockImplementation(() => fakeQuery([]));
+
+        const { res, next } = await callHandler(campaignController.getCampaignHistory);
+
+        expect(next).not.toHaveBeenCalled();
+        expect(res.json).toHaveBeenCalledWith([]);
+    });
+});
@@ -0,0 +1,195 @@
+const mongoose = require('mongoose');
+
+mongoose.set('bufferCommands', false);
+
+const Campaign = require('../src/models/Campaign');
+const CampaignTransition = require('../src/models/CampaignTransition');
+const { TRANSITIONS, transitionCampaign, transitionMatching } = require('../src/services/campaignStateMachine');
+const { resubmitForReview } = require('../src/services/moderationService');
+
+const CAMPAIGN_ID = '64c000000000000000000001';
+const ACTOR_ID = '64b000000000000000000002';
+const STATUSES = ['PENDING', 'ACTIVE', 'PAUSED', 'REJECTED', 'COMPLETED'];
+
+// The stored campaign's status, and the status left after a guarded write
+let storedStatus;
+
+beforeEach(() => {
+    storedStatus = 'ACTIVE';
+    jest.spyOn(Campaign, 'findOne').mockImplementation(() => ({
+        select: async () => (storedStatus ? { _id: CAMPAIGN_ID, status: storedStatus } : null)
+    }));
+    jest.spyOn(Campaign, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+        if (filter.status !== storedStatus) {
+            return null;
+        }
+        storedStatus = update.status || storedStatus;
+        return { _id: CAMPAIGN_ID, status: storedStatus };
+    });
+    jest.spyOn(CampaignTransition, 'create').mockResolvedValue({});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('transition table', () => {
+    // Allowed roles for every pair of statuses; '-' where there is no transition
+    const expected = {
+        PENDING: { PENDING: '-', ACTIVE: 'ADMIN SYSTEM', PAUSED: '-', REJECTED: 'ADMIN', COMPLETED: 'ADVERTISER ADMIN' },
+        ACTIVE: { PENDING: 'SYSTEM', ACTIVE: '-', PAUSED: 'ADVERTISER ADMIN SYSTEM', REJECTED: '-', COMPLETED: 'ADVERTISER ADMIN SYSTEM' },
+        PAUSED: { PENDING: 'SYSTEM', ACTIVE: 'ADVERTISER ADMIN SYSTEM', PAUSED: '-', REJECTED: '-', COMPLETED: 'ADVERTISER ADMIN SYSTEM' },
+        REJECTED: { PENDING: 'SYSTEM', ACTIVE: '-', PAUSED: '-', REJECTED: '-', COMPLETED: '-' },
+        COMPLETED: { PENDING: '-', ACTIVE: '-', PAUSED: '-', REJECTED: '-', COMPLETED: '-' }
+    };
+
+    test('covers every status', () => {
+        expect(Object.keys(TRANSITIONS).sort()).toEqual([...STATUSES].sort());
+    });
+
+    test.each(STATUSES.flatMap(from => STATUSES.map(to => [from, to])))('%s -> %s', (from, to) => {
+        expect(TRANSITIONS[from][to]?.join(' ') || '-').toBe(expected[from][to]);
+    });
+});
+
+describe('transitionCampaign', () => {
+    test('changes the status guarded on the one it validated and records the transition', async () => {
+        const result = await transitionCampaign(CAMPAIGN_ID, 'PAUSED', {
+            role: 'ADVERTISER',
+            actor: ACTOR_ID,
+            reason: 'Holiday',
+            filter: { advertiser: ACTOR_ID },
+            update: { note: 'x' }
+        });
+
+        expect(result).toEqual({ campaign: { _id: CAMPAIGN_ID, status: 'PAUSED' }, from: 'ACTIVE' });
+        expect(Campaign.findOneAndUpdate).toHaveBeenCalledWith(
+            { _id: CAMPAIGN_ID, advertiser: ACTOR_ID, status: 'ACTIVE' },
+            { note: 'x', status: 'PAUSED' },
+            { new: true, projection: undefined }
+        );
+        expect(CampaignTransition.create).toHaveBeenCalledWith({
+            campaign: CAMPAIGN_ID,
+            from: 'ACTIVE',
+            to: 'PAUSED',
+            actor: ACTOR_ID,
+            actorRole: 'ADVERTISER',
+            reason: 'Holiday'
+        });
+    });
+
+    test('acts as SYSTEM by default', async () => {
+        storedStatus = 'REJECTED';
+
+        expect((await transitionCampaign(CAMPAIGN_ID, 'PENDING')).from).toBe('REJECTED');
+        expect(CampaignTransition.create).toHaveBeenCalledWith(expect.objectContaining({ actorRole: 'SYSTEM' }));
+    });
+
+    test('does not find campaigns outside the filter', async () => {
+        storedStatus = null;
+
+        expect(await transitionCampaign(CAMPAIGN_ID, 'PAUSED')).toEqual({ error: 'Campaign not found', statusCode: 404 });
+    });
+
+    test('refuses transitions that do not exist', async () => {
+        storedStatus = 'COMPLETED';
+
+        expect(await transitionCampaign(CAMPAIGN_ID, 'ACTIVE', { role: 'ADMIN' })).toEqual({
+            error: 'Cannot change campaign status from COMPLETED to ACTIVE',
+            statusCode: 409
+        });
+        expect(Campaign.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    test('refuses roles the transition is not open to', async () => {
+        storedStatus = 'PENDING';
+
+        expect(await transitionCampaign(CAMPAIGN_ID, 'ACTIVE', { role: 'ADVERTISER' })).toEqual({
+            error: 'ADVERTISER cannot change campaign status from PENDING to ACTIVE',
+            statusCode: 403
+        });
+    });
+
+    test('reports a concurrent change instead of overwriting it', async () => {
+        Campaign.findOneAndUpdate.mockResolvedValue(null);
+
+        expect(await transitionCampaign(CAMPAIGN_ID, 'PAUSED', { role: 'ADMIN' })).toEqual({
+            error: 'Campaign status changed concurrently, please retry',
+            statusCode: 409
+        });
+        expect(CampaignTransition.create).not.toHaveBeenCalled();
+    });
+});
+
+describe('transitionMatching', () => {
+    test('counts the campaigns it moved and skips the ones that moved on', async () => {
+        jest.spyOn(Campaign, 'find').mockImplementation(() => ({
+            select: async () => [{ _id: 'a' }, { _id: 'b' }]
+        }));
+        Campaign.findOneAndUpdate
+            .mockResolvedValueOnce({ _id: 'a', status: 'COMPLETED' })
+            .mockResolvedValueOnce(null);
+
+        expect(await transitionMatching({ status: 'ACTIVE' }, 'COMPLETED', { reason: 'Flight ended' })).toBe(1);
+        expect(Campaign.findOneAndUpdate.mock.calls.map(([filter]) => filter)).toEqual([
+            { _id: 'a', status: 'ACTIVE' },
+            { _id: 'b', status: 'ACTIVE' }
+        ]);
+    });
+});
+
+describe('resubmitForReview', () => {
+    const change = { $set: { headline: 'New headline' } };
+
+    test('sends an approved campaign back to PENDING in the same write as the change', async () => {
+        const campaign = { _id: CAMPAIGN_ID, status: 'ACTIVE', moderation: { state: 'APPROVED' } };
+
+        const result = await resubmitForReview(campaign, ACTOR_ID, 'Creative changed', { filter: { advertiser: ACTOR_ID }, update: change });
+
+        expect(result.campaign.status).toBe('PENDING');
+        const [filter, update] = Campaign.findOneAndUpdate.mock.calls[0];
+        expect(filter).toEqual({ _id: CAMPAIGN_ID, advertiser: ACTOR_ID, status: 'ACTIVE' });
+        expect(update).toMatchObject({
+            $set: { headline: 'New headline' },
+            'moderation.state': 'IN_REVIEW',
+            $push: { 'moderation.history': expect.objectContaining({ action: 'RESUBMITTED', actor: ACTOR_ID, status: 'PENDING' }) },
+            status: 'PENDING'
+        });
+    });
+
+    test('only applies the change to a campaign already in review', async () => {
+        storedStatus = 'PENDING';
+        const campaign = { _id: CAMPAIGN_ID, status: 'PENDING', moderation: { state: 'IN_REVIEW' } };
+
+        await resubmitForReview(campaign, ACTOR_ID, 'Creative changed', { update: change });
+
+        expect(Campaign.findOneAndUpdate).toHaveBeenCalledWith(
+            { _id: CAMPAIGN_ID, status: 'PENDING', 'moderation.state': 'IN_REVIEW' },
+            change,
+            { new: true, projection: undefined }
+        );
+        expect(CampaignTransition.create).not.toHaveBeenCalled();
+    });
+
+    test('puts an approved pending campaign back in review without a transition', async () => {
+        storedStatus = 'PENDING';
+        const campaign = { _id: CAMPAIGN_ID, status: 'PENDING', moderation: { state: 'APPROVED' } };
+
+        await resubmitForReview(campaign, ACTOR_ID, 'Creative changed', { update: change });
+
+        const [filter, update] = Campaign.findOneAndUpdate.mock.calls[0];
+        expect(filter).toEqual({ _id: CAMPAIGN_ID, status: 'PENDING', 'moderation.state': 'APPROVED' });
+        expect(update['moderation.state']).toBe('IN_REVIEW');
+        expect(CampaignTransition.create).not.toHaveBeenCalled();
+    });
+
+    test('reports a concurrent change of the status or review state', async () => {
+        Campaign.findOneAndUpdate.mockResolvedValue(null);
+        const campaign = { _id: CAMPAIGN_ID, status: 'PENDING', moderation: { state: 'IN_REVIEW' } };
+
+        expect(await resubmitForReview(campaign, ACTOR_ID, 'Creative changed', { update: change })).toEqual({
+            error: 'Campaign changed concurrently, please retry',
+            statusCode: 409
+        });
+    });
+});
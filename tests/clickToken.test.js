@@ -0,0 +1,156 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+
+mongoose.set('bufferCommands', false);
+
+jest.mock('../src/services/adServer', () => ({ recordClick: jest.fn() }));
+
+const Campaign = require('../src/models/Campaign');
+const Click = require('../src/models/Click');
+const { recordClick } = require('../src/services/adServer');
+const clickRoutes = require('../src/routes/clickRoutes');
+const { errorHandler } = require('../src/middlewares/errorHandler');
+const { createClickToken, verifyClickToken } = require('../src/utils/clickToken');
+
+const CAMPAIGN_ID = '64c000000000000000000001';
+const IMPRESSION_ID = 'imp-1';
+const ISSUED_AT = Date.UTC(2024, 0, 1);
+const HOUR_MS = 60 * 60 * 1000;
+
+beforeEach(() => {
+    process.env.CLICK_TOKEN_SECRET = 'click-secret';
+    delete process.env.CLICK_TOKEN_TTL_HOURS;
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+});
+
+// Replace one character of the token at the index
+const tamper = (token, index) => `${token.slice(0, index)}${token[index] === 'A' ? 'B' : 'A'}${token.slice(index + 1)}`;
+
+describe('click tokens', () => {
+    test('a fresh token verifies and carries its claims', () => {
+        const token = createClickToken({ campaignId: CAMPAIGN_ID, impressionId: IMPRESSION_ID, issuedAt: ISSUED_AT });
+
+        expect(verifyClickToken(token, ISSUED_AT + HOUR_MS)).toEqual({
+            valid: true,
+            payload: { campaignId: CAMPAIGN_ID, impressionId: IMPRESSION_ID, issuedAt: ISSUED_AT, creativeId: undefined }
+        });
+    });
+
+    test('a changed payload is forged', () => {
+        const token = createClickToken({ campaignId: CAMPAIGN_ID, impressionId: IMPRESSION_ID, issuedAt: ISSUED_AT });
+
+        expect(verifyClickToken(tamper(token, 0), ISSUED_AT)).toEqual({ valid: false, reason: 'FORGED' });
+    });
+
+    test('a changed signature is forged', () => {
+        const token = createClickToken({ campaignId: CAMPAIGN_ID, impressionId: IMPRESSION_ID, issuedAt: ISSUED_AT });
+
+        expect(verifyClickToken(tamper(token, token.length - 1), ISSUED_AT)).toEqual({ valid: false, reason: 'FORGED' });
+    });
+
+    test('a token signed with another secret is forged', () => {
+        const token = createClickToken({ campaignId: CAMPAIGN_ID, impressionId: IMPRESSION_ID, issuedAt: ISSUED_AT });
+        process.env.CLICK_TOKEN_SECRET = 'another-secret';
+
+        expect(verifyClickToken(token, ISSUED_AT)).toEqual({ valid: false, reason: 'FORGED' });
+    });
+
+    test.each([
+        ['missing', undefined],
+        ['empty', ''],
+        ['without a signature', 'cGF5bG9hZA'],
+        ['with extra parts', 'a.b.c']
+    ])('a %s token is forged', (name, token) => {
+        expect(verifyClickToken(token)).toEqual({ valid: false, reason: 'FORGED' });
+    });
+
+    test('a token expires after the default 24 hours', () => {
+        const token = createClickToken({ campaignId: CAMPAIGN_ID, impressionId: IMPRESSION_ID, issuedAt: ISSUED_AT });
+
+        expect(verifyClickToken(token, ISSUED_AT + 24 * HOUR_MS).valid).toBe(true);
+        expect(verifyClickToken(token, ISSUED_AT + 24 * HOUR_MS + 1)).toEqual({
+            valid: false,
+            reason: 'EXPIRED',
+            payload: expect.objectContaining({ campaignId: CAMPAIGN_ID, impressionId: IMPRESSION_ID })
+        });
+    });
+
+    test('the lifetime can be configured', () => {
+        process.env.CLICK_TOKEN_TTL_HOURS = '1';
+        const token = createClickToken({ campaignId: CAMPAIGN_ID, impressionId: IMPRESSION_ID, issuedAt: ISSUED_AT });
+
+        expect(verifyClickToken(token, ISSUED_AT + HOUR_MS + 1).reason).toBe('EXPIRED');
+    });
+});
+
+describe('tracking clicks', () => {
+    const app = express();
+    app.use('/c', clickRoutes);
+    app.use(errorHandler);
+
+    const campaign = { _id: CAMPAIGN_ID, landingUrl: 'https://shop.example.com/' };
+    const freshToken = () => createClickToken({ campaignId: CAMPAIGN_ID, impressionId: IMPRESSION_ID });
+
+    beforeEach(() => {
+        jest.spyOn(Campaign, 'findById').mockResolvedValue(campaign);
+        jest.spyOn(Campaign, 'updateOne').mockResolvedValue({});
+        jest.spyOn(Click, 'create').mockResolvedValue({});
+    });
+
+    test('a valid click is recorded once for its impression', async () => {
+        const response = await request(app).get(`/c/${freshToken()}`).set('User-Agent', 'jest');
+
+        expect(response.status).toBe(302);
+        expect(Click.create).toHaveBeenCalledWith(expect.objectContaining({
+            status: 'VALID',
+            campaign: CAMPAIGN_ID,
+            impressionId: IMPRESSION_ID,
+            userAgent: 'jest'
+        }));
+        expect(recordClick).toHaveBeenCalledWith(campaign, { impressionId: IMPRESSION_ID, creativeId: undefined });
+    });
+
+    test('a replayed click is counted on the campaign, not charged', async () => {
+        Click.create.mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+        const response = await request(app).get(`/c/${freshToken()}`);
+
+        expect(response.status).toBe(409);
+        expect(Campaign.updateOne).toHaveBeenCalledWith({ _id: CAMPAIGN_ID }, { $inc: { 'rejectedClicks.replayed': 1 } });
+        expect(recordClick).not.toHaveBeenCalled();
+    });
+
+    test('an expired click is counted on the campaign it names', async () => {
+        const token = createClickToken({ campaignId: CAMPAIGN_ID, impressionId: IMPRESSION_ID, issuedAt: Date.now() - 25 * HOUR_MS });
+
+        const response = await request(app).get(`/c/${token}`);
+
+        expect(response.status).toBe(410);
+        expect(Campaign.updateOne).toHaveBeenCalledWith({ _id: CAMPAIGN_ID }, { $inc: { 'rejectedClicks.expired': 1 } });
+        expect(Click.create).not.toHaveBeenCalled();
+    });
+
+    test('a forged click is only logged, so made-up links can\'t fill the database', async () => {
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        const response = await request(app).get(`/c/${tamper(freshToken(), 0)}`);
+
+        expect(response.status).toBe(400);
+        expect(response.body.message).toBe('Invalid click link');
+        expect(warn).toHaveBeenCalled();
+        expect(Campaign.updateOne).not.toHaveBeenCalled();
+        expect(Click.create).not.toHaveBeenCalled();
+    });
+
+    test('a click on a deleted campaign is not found', async () => {
+        Campaign.findById.mockResolvedValue(null);
+
+        expect((await request(app).get(`/c/${freshToken()}`)).status).toBe(404);
+        expect(Click.create).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,204 @@
+const { pickWeighted, sampleBeta, twoProportionZTest } = require('../src/utils/stats');
+const { pickCreative, buildCreativeReport } = require('../src/services/creativeService');
+const { validateCreativeFields, validateCreativeSplitFields } = require('../src/utils/creatives');
+const { createClickToken, verifyClickToken } = require('../src/utils/clickToken');
+
+// Seeded stand-in for Math.random (mulberry32), so sampled results are repeatable
+const seedRandom = (seed) => {
+    let state = seed;
+    jest.spyOn(Math, 'random').mockImplementation(() => {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    });
+};
+
+const variant = (id, impressions, clicks, weight = 1) => ({
+    _id: id,
+    name: `Variant ${id}`,
+    headline: `Headline ${id}`,
+    body: 'Body',
+    callToAction: 'Buy',
+    weight,
+    analytics: { impressions, clicks }
+});
+
+const campaignWith = (creativeSplit, creatives) => ({
+    headline: 'Campaign headline',
+    body: 'Campaign body',
+    callToAction: 'Shop',
+    imageUrl: 'https://cdn.example.com/a.png',
+    creativeSplit,
+    creatives
+});
+
+// How often each variant is picked in the given number of draws
+const pickCounts = (campaign, draws) => {
+    const counts = {};
+    for (let i = 0; i < draws; i += 1) {
+        const { id } = pickCreative(campaign);
+        counts[id] = (counts[id] || 0) + 1;
+    }
+    return counts;
+};
+
+beforeEach(() => {
+    seedRandom(42);
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('pickWeighted', () => {
+    test('picks in proportion to the weights', () => {
+        const items = [{ id: 'a', weight: 1 }, { id: 'b', weight: 3 }];
+        const counts = { a: 0, b: 0 };
+        for (let i = 0; i < 4000; i += 1) {
+            counts[pickWeighted(items).id] += 1;
+        }
+
+        expect(counts.b / 4000).toBeCloseTo(0.75, 1);
+    });
+
+    test('never picks items without weight', () => {
+        const items = [{ id: 'a', weight: 0 }, { id: 'b', weight: 2 }];
+        for (let i = 0; i < 100; i += 1) {
+            expect(pickWeighted(items).id).toBe('b');
+        }
+        expect(pickWeighted([{ weight: 0 }])).toBeNull();
+    });
+});
+
+describe('sampleBeta', () => {
+    test.each([[1, 1], [3, 97], [0.5, 0.5], [50, 10]])('Beta(%d, %d) draws average to its mean', (alpha, beta) => {
+        const draws = Array.from({ length: 10000 }, () => sampleBeta(alpha, beta));
+
+        expect(Math.min(...draws)).toBeGreaterThanOrEqual(0);
+        expect(Math.max(...draws)).toBeLessThanOrEqual(1);
+        expect(draws.reduce((sum, draw) => sum + draw, 0) / draws.length).toBeCloseTo(alpha / (alpha + beta), 2);
+    });
+});
+
+describe('twoProportionZTest', () => {
+    test('matches the textbook two-proportion z-test', () => {
+        const { zScore, pValue } = twoProportionZTest(200, 1000, 150, 1000);
+
+        expect(zScore).toBeCloseTo(2.9424, 3);
+        expect(pValue).toBeCloseTo(0.00326, 4);
+    });
+
+    test('is symmetric', () => {
+        const ab = twoProportionZTest(30, 1000, 20, 1000);
+        const ba = twoProportionZTest(20, 1000, 30, 1000);
+
+        expect(ba.zScore).toBeCloseTo(-ab.zScore, 10);
+        expect(ba.pValue).toBeCloseTo(ab.pValue, 10);
+    });
+
+    test('has nothing to test without trials or variance', () => {
+        expect(twoProportionZTest(0, 0, 5, 100)).toBeNull();
+        expect(twoProportionZTest(0, 100, 0, 100)).toBeNull();
+    });
+});
+
+describe('pickCreative', () => {
+    test('serves the campaign itself without variants', () => {
+        expect(pickCreative(campaignWith('EVEN', []))).toEqual({
+            id: null,
+            headline: 'Campaign headline',
+            body: 'Campaign body',
+            callToAction: 'Shop',
+            imageUrl: 'https://cdn.example.com/a.png',
+            renditions: undefined
+        });
+    });
+
+    test('EVEN ignores the weights', () => {
+        const counts = pickCounts(campaignWith('EVEN', [variant('a', 0, 0, 1), variant('b', 0, 0, 9)]), 4000);
+
+        expect(counts.a / 4000).toBeCloseTo(0.5, 1);
+    });
+
+    test('WEIGHTED follows the weights and falls back to the campaign when they are all zero', () => {
+        const counts = pickCounts(campaignWith('WEIGHTED', [variant('a', 0, 0, 1), variant('b', 0, 0, 9)]), 4000);
+
+        expect(counts.a / 4000).toBeCloseTo(0.1, 1);
+        expect(pickCreative(campaignWith('WEIGHTED', [variant('a', 0, 0, 0)])).id).toBeNull();
+    });
+
+    test('THOMPSON mostly serves the variant with the clearly better click-through rate', () => {
+        const counts = pickCounts(campaignWith('THOMPSON', [variant('a', 5000, 50), variant('b', 5000, 150)]), 1000);
+
+        expect(counts.b).toBeGreaterThan(990);
+    });
+
+    test('THOMPSON keeps exploring variants without data', () => {
+        const counts = pickCounts(campaignWith('THOMPSON', [variant('a', 5000, 100), variant('new', 0, 0)]), 1000);
+
+        expect(counts.new).toBeGreaterThan(900);
+    });
+});
+
+describe('buildCreativeReport', () => {
+    test('names a winner once the leader beats every variant significantly', () => {
+        const report = buildCreativeReport(campaignWith('THOMPSON', [
+            variant('a', 1000, 150),
+            variant('b', 1000, 200),
+            variant('c', 1000, 100)
+        ]));
+
+        expect(report.winner).toBe('b');
+        expect(report.confidenceLevel).toBe(0.95);
+        expect(report.variants.map(({ id, ctr, isLeader }) => [id, ctr, isLeader])).toEqual([
+            ['a', '15.00', false],
+            ['b', '20.00', true],
+            ['c', '10.00', false]
+        ]);
+        expect(report.variants[0].comparedToLeader).toEqual({ zScore: 2.942, pValue: 0.0033, significant: true });
+        expect(report.variants[1].comparedToLeader).toBeNull();
+    });
+
+    test('has no winner while a variant is within noise of the leader', () => {
+        const report = buildCreativeReport(campaignWith('THOMPSON', [
+            variant('a', 1000, 195),
+            variant('b', 1000, 200),
+            variant('c', 1000, 100)
+        ]));
+
+        expect(report.winner).toBeNull();
+        expect(report.variants[0].comparedToLeader.significant).toBe(false);
+        expect(report.variants[2].comparedToLeader.significant).toBe(true);
+    });
+
+    test('has no winner with a single variant', () => {
+        expect(buildCreativeReport(campaignWith('EVEN', [variant('a', 1000, 200)])).winner).toBeNull();
+    });
+});
+
+describe('creative validation', () => {
+    test.each([
+        [{ name: 'A', headline: 'h', body: 'b', callToAction: 'c', weight: 2 }, true, null],
+        [{ name: 'A', headline: 'h', body: 'b' }, true, 'Creative callToAction is required'],
+        [{ headline: 'New headline' }, false, null],
+        [{ headline: '  ' }, false, 'Creative headline must be a non-empty string'],
+        [{ weight: -1 }, false, 'Creative weight must be a non-negative number']
+    ])('%j (new: %s) -> %s', (body, isNew, error) => {
+        expect(validateCreativeFields(body, { isNew })).toBe(error);
+    });
+
+    test('knows the split strategies', () => {
+        expect(validateCreativeSplitFields({ creativeSplit: 'THOMPSON' })).toBeNull();
+        expect(validateCreativeSplitFields({ creativeSplit: 'RANDOM' })).toBe('Creative split must be one of EVEN, WEIGHTED, THOMPSON');
+    });
+});
+
+describe('click tokens of variants', () => {
+    test('carry the creative the impression was served with', () => {
+        process.env.CLICK_TOKEN_SECRET = 'click-secret';
+        const token = createClickToken({ campaignId: 'c1', impressionId: 'i1', creativeId: 'v1', issuedAt: Date.now() });
+
+        expect(verifyClickToken(token).payload.creativeId).toBe('v1');
+    });
+});
@@ -0,0 +1,229 @@
+const mongoose = require('mongoose');
+
+mongoose.set('bufferCommands', false);
+
+const AuthToken = require('../src/models/AuthToken');
+const User = require('../src/models/User');
+const Session = require('../src/models/Session');
+const { checkMailTransport, registerTransport, sendMail } = require('../src/services/mailer');
+const { consumeToken, sendVerificationEmail, sendPasswordResetEmail } = require('../src/services/authTokenService');
+const { forgotPassword, resetPassword } = require('../src/controllers/userController');
+const { requireVerifiedEmail } = require('../src/middlewares/isAuth');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const user = { _id: new mongoose.Types.ObjectId(), fullName: 'Jane Doe', email: 'jane@example.com' };
+
+// Stored tokens and sent messages
+let tokens;
+let outbox;
+
+const isOpen = (authToken, filter) => authToken.usedAt === null
+    && String(authToken.user) === String(filter.user ?? authToken.user)
+    && (!filter.tokenHash || authToken.tokenHash === filter.tokenHash)
+    && authToken.purpose === filter.purpose
+    && (!filter.expiresAt || authToken.expiresAt > filter.expiresAt.$gt);
+
+// The token in the link of the last message sent
+const linkedToken = () => outbox[outbox.length - 1].text.match(/\?token=([\w-]+)/)[1];
+
+beforeEach(() => {
+    tokens = [];
+    outbox = [];
+    process.env.MAIL_TRANSPORT = 'memory';
+    registerTransport('memory', () => async (message) => {
+        outbox.push(message);
+    });
+
+    jest.spyOn(AuthToken, 'create').mockImplementation(async (fields) => {
+        tokens.push({ usedAt: null, ...fields });
+    });
+    jest.spyOn(AuthToken, 'updateMany').mockImplementation(async (filter, update) => {
+        tokens.filter(authToken => isOpen(authToken, filter)).forEach(authToken => Object.assign(authToken, update));
+    });
+    jest.spyOn(AuthToken, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+        const authToken = tokens.find(candidate => isOpen(candidate, filter));
+        return authToken ? { ...Object.assign(authToken, update) } : null;
+    });
+});
+
+afterEach(() => {
+    delete process.env.MAIL_TRANSPORT;
+    jest.restoreAllMocks();
+});
+
+describe('emailed tokens', () => {
+    test('a reset link works once, and only a hash of it is stored', async () => {
+        await sendPasswordResetEmail(user);
+
+        expect(outbox[0]).toMatchObject({ to: 'jane@example.com', subject: 'Reset your AdvertiseMedia password' });
+        const token = linkedToken();
+        expect(JSON.stringify(tokens)).not.toContain(token);
+        expect(tokens[0].expiresAt - Date.now()).toBeLessThanOrEqual(HOUR_MS);
+
+        expect(String(await consumeToken(token, 'PASSWORD_RESET'))).toBe(String(user._id));
+        expect(await consumeToken(token, 'PASSWORD_RESET')).toBeNull();
+    });
+
+    test('a new link replaces the earlier one', async () => {
+        await sendVerificationEmail(user);
+        const first = linkedToken();
+        await sendVerificationEmail(user);
+
+        expect(await consumeToken(first, 'EMAIL_VERIFICATION')).toBeNull();
+        expect(await consumeToken(linkedToken(), 'EMAIL_VERIFICATION')).not.toBeNull();
+    });
+
+    test('a token is only good for its purpose', async () => {
+        await sendVerificationEmail(user);
+
+        expect(await consumeToken(linkedToken(), 'PASSWORD_RESET')).toBeNull();
+    });
+
+    test('verification links last 48 hours', async () => {
+        await sendVerificationEmail(user);
+        const token = linkedToken();
+
+        expect(Math.round((tokens[0].expiresAt - Date.now()) / HOUR_MS)).toBe(48);
+        tokens[0].expiresAt = new Date(Date.now() - 1);
+        expect(await consumeToken(token, 'EMAIL_VERIFICATION')).toBeNull();
+    });
+
+    test('links point at the web app', async () => {
+        process.env.APP_URL = 'https://app.example.com';
+        try {
+            await sendVerificationEmail(user);
+        } finally {
+            delete process.env.APP_URL;
+        }
+
+        expect(outbox[0].text).toContain(`https://app.example.com/verify-email?token=${linkedToken()}`);
+    });
+});
+
+describe('mailer', () => {
+    test('failed deliveries are upstream errors', async () => {
+        const cause = new Error('Connection refused');
+        registerTransport('memory', () => async () => {
+            throw cause;
+        });
+
+        await expect(sendMail({ to: 'jane@example.com', subject: 'Hi', text: 'Hi' })).rejects.toMatchObject({
+            status: 502,
+            code: 'UPSTREAM_FAILURE',
+            cause
+        });
+    });
+
+    test('unknown transports are refused', async () => {
+        process.env.MAIL_TRANSPORT = 'pigeon';
+        registerTransport('memory', () => async () => {});
+
+        await expect(sendMail({ to: 'jane@example.com', subject: 'Hi', text: 'Hi' })).rejects.toThrow('Unknown mail transport: pigeon');
+    });
+
+    test.each([
+        [{ MAIL_TRANSPORT: 'pigeon' }, 'Unknown mail transport pigeon, emails cannot be sent'],
+        [{ NODE_ENV: 'production' }, 'MAIL_TRANSPORT is not set, emails are only printed to the console'],
+        [{ NODE_ENV: 'development' }, null],
+        [{ MAIL_TRANSPORT: 'smtp', NODE_ENV: 'production' }, null]
+    ])('warns at startup with %j', (env, warning) => {
+        const saved = { MAIL_TRANSPORT: process.env.MAIL_TRANSPORT, NODE_ENV: process.env.NODE_ENV };
+        delete process.env.MAIL_TRANSPORT;
+        Object.assign(process.env, env);
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        try {
+            checkMailTransport();
+        } finally {
+            for (const [name, value] of Object.entries(saved)) {
+                if (value === undefined) {
+                    delete process.env[name];
+                } else {
+                    process.env[name] = value;
+                }
+            }
+        }
+
+        if (warning) {
+            expect(warn).toHaveBeenCalledWith(warning);
+        } else {
+            expect(warn).not.toHaveBeenCalled();
+        }
+    });
+});
+
+describe('password reset', () => {
+    const call = async (handler, body) => {
+        const res = { json: jest.fn() };
+        const next = jest.fn();
+        await handler({ body }, res, next);
+        return { res, next };
+    };
+
+    test('answers the same whether or not the account exists', async () => {
+        jest.spyOn(User, 'findOne').mockResolvedValueOnce(user).mockResolvedValueOnce(null);
+
+        const known = await call(forgotPassword, { email: 'Jane@Example.com' });
+        const unknown = await call(forgotPassword, { email: 'nobody@example.com' });
+
+        expect(known.res.json.mock.calls).toEqual(unknown.res.json.mock.calls);
+        expect(User.findOne).toHaveBeenCalledWith({ email: 'jane@example.com' });
+        await new Promise(setImmediate);
+        expect(outbox).toHaveLength(1);
+    });
+
+    test('does not reveal a failed email', async () => {
+        jest.spyOn(User, 'findOne').mockResolvedValue(user);
+        registerTransport('memory', () => async () => {
+            throw new Error('Connection refused');
+        });
+        const log = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        const { res, next } = await call(forgotPassword, { email: 'jane@example.com' });
+        await new Promise(setImmediate);
+
+        expect(next).not.toHaveBeenCalled();
+        expect(res.json).toHaveBeenCalled();
+        expect(log).toHaveBeenCalledWith('Error sending password reset email:', expect.any(Error));
+    });
+
+    test('sets the password, verifies the email and ends every session', async () => {
+        await sendPasswordResetEmail(user);
+        const update = jest.spyOn(User, 'findByIdAndUpdate').mockResolvedValue(user);
+        const revoke = jest.spyOn(Session, 'updateMany').mockResolvedValue({});
+
+        const { res } = await call(resetPassword, { token: linkedToken(), password: 'a-new-password' });
+
+        expect(res.json).toHaveBeenCalledWith({ message: 'Password reset successfully' });
+        expect(update).toHaveBeenCalledWith(user._id, expect.objectContaining({ password: expect.stringMatching(/^\$2[aby]\$/), emailVerified: true }));
+        expect(revoke).toHaveBeenCalledWith({ user: user._id, revokedAt: null }, { revokedAt: expect.any(Date) });
+    });
+
+    test('refuses a used token', async () => {
+        await sendPasswordResetEmail(user);
+        const token = linkedToken();
+        await consumeToken(token, 'PASSWORD_RESET');
+
+        const { next } = await call(resetPassword, { token, password: 'a-new-password' });
+
+        expect(next).toHaveBeenCalledWith(expect.objectContaining({ status: 400, message: 'Invalid or expired reset token' }));
+    });
+});
+
+describe('requireVerifiedEmail', () => {
+    const check = async (stored) => {
+        jest.spyOn(User, 'findById').mockReturnValue({ select: async () => stored });
+        const next = jest.fn();
+        await requireVerifiedEmail({ user: { userId: user._id } }, {}, next);
+        return next.mock.calls[0][0];
+    };
+
+    test('stops unverified users', async () => {
+        expect(await check({ emailVerified: false })).toMatchObject({ status: 403, code: 'EMAIL_NOT_VERIFIED' });
+    });
+
+    test('lets verified users and those from before verification through', async () => {
+        expect(await check({ emailVerified: true })).toBeUndefined();
+        expect(await check({})).toBeUndefined();
+    });
+});
@@ -0,0 +1,164 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const multer = require('multer');
+const request = require('supertest');
+
+const User = require('../src/models/User');
+const { requestId } = require('../src/middlewares/requestId');
+const { notFoundHandler, errorHandler } = require('../src/middlewares/errorHandler');
+const errors = require('../src/utils/errors');
+
+// An app answering /fail with whatever error the test hands it
+const appFailingWith = (makeError) => {
+    const app = express();
+    app.use(requestId);
+    app.use(express.json({ limit: '100b' }));
+    app.all('/fail', (req, res, next) => next(makeError()));
+    app.use(notFoundHandler);
+    app.use(errorHandler);
+    return app;
+};
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('error types', () => {
+    test.each([
+        ['ValidationError', 400, 'VALIDATION_FAILED'],
+        ['AuthenticationError', 401, 'UNAUTHENTICATED'],
+        ['ForbiddenError', 403, 'FORBIDDEN'],
+        ['NotFoundError', 404, 'NOT_FOUND'],
+        ['ConflictError', 409, 'CONFLICT'],
+        ['GoneError', 410, 'GONE'],
+        ['PayloadTooLargeError', 413, 'PAYLOAD_TOO_LARGE'],
+        ['TooManyRequestsError', 429, 'TOO_MANY_REQUESTS'],
+        ['UpstreamError', 502, 'UPSTREAM_FAILURE']
+    ])('%s is %i %s', (name, status, code) => {
+        const error = new errors[name]('Nope');
+
+        expect(error).toBeInstanceOf(errors.AppError);
+        expect(error).toMatchObject({ name, status, code, message: 'Nope' });
+        // Service results with the status map back to the same type
+        expect(errors.errorFromResult({ error: 'Nope', statusCode: status })).toBeInstanceOf(errors[name]);
+    });
+
+    test('other statuses keep theirs', () => {
+        expect(errors.errorFromResult({ error: 'Unavailable', statusCode: 503 })).toMatchObject({ status: 503, code: 'INTERNAL_ERROR' });
+    });
+
+    test('keep the cause', () => {
+        const cause = new Error('socket hang up');
+
+        expect(new errors.UpstreamError('Mail server unavailable', { cause }).cause).toBe(cause);
+    });
+});
+
+describe('request ids', () => {
+    test('are generated and sent back', async () => {
+        const response = await request(appFailingWith(() => new errors.NotFoundError('Campaign not found'))).get('/fail');
+
+        expect(response.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+        expect(response.body.requestId).toBe(response.headers['x-request-id']);
+    });
+
+    test('from the proxy are kept when they look sane', async () => {
+        const app = appFailingWith(() => new errors.NotFoundError('Campaign not found'));
+
+        expect((await request(app).get('/fail').set('X-Request-Id', 'lb-1234.abc')).body.requestId).toBe('lb-1234.abc');
+        expect((await request(app).get('/fail').set('X-Request-Id', 'a b<script>')).body.requestId).not.toBe('a b<script>');
+    });
+});
+
+describe('errorHandler', () => {
+    test('answers typed errors with their status, code and failing fields', async () => {
+        const fields = [{ field: 'body.email', message: 'is required' }];
+
+        const response = await request(appFailingWith(() => new errors.ValidationError('Validation failed', { errors: fields }))).get('/fail');
+
+        expect(response.status).toBe(400);
+        expect(response.body).toEqual({
+            message: 'Validation failed',
+            code: 'VALIDATION_FAILED',
+            requestId: expect.any(String),
+            errors: fields
+        });
+    });
+
+    test('answers unmatched routes with a JSON 404', async () => {
+        const response = await request(appFailingWith(() => null)).delete('/nowhere');
+
+        expect(response.status).toBe(404);
+        expect(response.body).toMatchObject({ message: 'Cannot DELETE /nowhere', code: 'NOT_FOUND' });
+    });
+
+    test('hides unexpected errors behind a logged 500', async () => {
+        const log = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        const response = await request(appFailingWith(() => new Error('secret connection string'))).get('/fail');
+
+        expect(response.status).toBe(500);
+        expect(response.body).toEqual({ message: 'Something went wrong!', code: 'INTERNAL_ERROR', requestId: expect.any(String) });
+        expect(log).toHaveBeenCalledWith(expect.stringContaining(response.body.requestId), expect.any(Error));
+    });
+
+    test('logs typed server errors too', async () => {
+        const log = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        const response = await request(appFailingWith(() => new errors.UpstreamError('Mail server unavailable'))).get('/fail');
+
+        expect(response.status).toBe(502);
+        expect(response.body.message).toBe('Mail server unavailable');
+        expect(log).toHaveBeenCalled();
+    });
+
+    test.each([
+        [
+            'invalid ids',
+            () => new mongoose.Error.CastError('ObjectId', 'nope', 'advertiser'),
+            400,
+            { code: 'VALIDATION_FAILED', message: 'Invalid advertiser', errors: [{ field: 'advertiser', message: 'must be a valid id' }] }
+        ],
+        [
+            'schema validation',
+            () => new User({ role: 'ROOT' }).validateSync(),
+            400,
+            { code: 'VALIDATION_FAILED', message: 'Validation failed', errors: expect.arrayContaining([expect.objectContaining({ field: 'role' })]) }
+        ],
+        [
+            'duplicate keys, without the value',
+            () => Object.assign(new Error('E11000 duplicate key: taken@example.com'), { code: 11000, keyPattern: { email: 1 } }),
+            409,
+            { code: 'CONFLICT', message: 'email already in use', errors: [{ field: 'email', message: 'is already in use' }] }
+        ],
+        [
+            'oversized uploads',
+            () => new multer.MulterError('LIMIT_FILE_SIZE', 'image'),
+            413,
+            { code: 'PAYLOAD_TOO_LARGE', message: 'Uploaded file is too large' }
+        ],
+        [
+            'other upload errors',
+            () => new multer.MulterError('LIMIT_UNEXPECTED_FILE', 'photo'),
+            400,
+            { code: 'VALIDATION_FAILED', message: 'Unexpected field', errors: [{ field: 'body.photo', message: 'Unexpected field' }] }
+        ]
+    ])('maps %s', async (name, makeError, status, body) => {
+        const response = await request(appFailingWith(makeError)).get('/fail');
+
+        expect(response.status).toBe(status);
+        expect(response.body).toEqual({ requestId: expect.any(String), ...body });
+    });
+
+    test('maps malformed and oversized JSON bodies', async () => {
+        const app = appFailingWith(() => null);
+
+        const malformed = await request(app).post('/fail').set('Content-Type', 'application/json').send('{"email":');
+        expect(malformed.status).toBe(400);
+        expect(malformed.body).toMatchObject({ code: 'VALIDATION_FAILED', message: 'Request body is not valid JSON' });
+
+        const oversized = await request(app).post('/fail').send({ text: 'x'.repeat(200) });
+        expect(oversized.status).toBe(413);
+        expect(oversized.body).toMatchObject({ code: 'PAYLOAD_TOO_LARGE', message: 'Request body is too large' });
+    });
+});
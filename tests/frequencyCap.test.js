@@ -0,0 +1,184 @@
+const mongoose = require('mongoose');
+
+mongoose.set('bufferCommands', false);
+
+const FrequencyCounter = require('../src/models/FrequencyCounter');
+const { filterFrequencyCapped, recordFrequency, getFrequencyStats } = require('../src/services/frequencyService');
+const { validateFrequencyCapFields } = require('../src/utils/frequencyCap');
+const { getViewerId } = require('../src/utils/viewerId');
+
+const HOUR_MS = 60 * 60 * 1000;
+const START = new Date('2024-03-05T14:00:00Z');
+const VIEWER_ID = 'cookie:viewer-1';
+
+const capped = { _id: new mongoose.Types.ObjectId(), frequencyCap: { impressions: 2, windowHours: 24 } };
+const uncapped = { _id: new mongoose.Types.ObjectId() };
+
+// Just enough of MongoDB's aggregation expressions for the counter update
+const evaluate = (expression, doc) => {
+    if (typeof expression === 'string' && expression.startsWith('$')) {
+        return doc[expression.slice(1)];
+    }
+    if (!expression || typeof expression !== 'object' || expression instanceof Date) {
+        return expression;
+    }
+    const [[operator, args]] = Object.entries(expression);
+    const values = () => args.map(arg => evaluate(arg, doc));
+    switch (operator) {
+        case '$cond': return evaluate(args[evaluate(args[0], doc) ? 1 : 2], doc);
+        case '$or': return values().some(Boolean);
+        case '$not': return !values()[0];
+        case '$lte': return values()[0] <= values()[1];
+        case '$add': return values()[0] + values()[1];
+        default: throw new Error(`Unsupported operator ${operator}`);
+    }
+};
+
+// The viewer's counter for the capped campaign, as the pipeline upserts leave it
+let counter;
+
+beforeEach(() => {
+    counter = {};
+    jest.spyOn(FrequencyCounter, 'updateOne').mockImplementation(async (filter, [{ $set }], options) => {
+        expect(options).toEqual({ upsert: true });
+        counter = Object.fromEntries(Object.entries($set).map(([field, expression]) => [field, evaluate(expression, counter)]));
+    });
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('recordFrequency', () => {
+    test('starts a window with the first impression', async () => {
+        await recordFrequency(capped, VIEWER_ID, START);
+
+        expect(FrequencyCounter.updateOne.mock.calls[0][0]).toEqual({ campaign: capped._id, viewerId: VIEWER_ID });
+        expect(counter).toEqual({ count: 1, windowStart: START, expiresAt: new Date(START.getTime() + 24 * HOUR_MS) });
+    });
+
+    test('counts impressions within the window', async () => {
+        await recordFrequency(capped, VIEWER_ID, START);
+        await recordFrequency(capped, VIEWER_ID, new Date(START.getTime() + 23 * HOUR_MS));
+
+        expect(counter).toEqual({ count: 2, windowStart: START, expiresAt: new Date(START.getTime() + 24 * HOUR_MS) });
+    });
+
+    test('starts over once the window has passed', async () => {
+        const later = new Date(START.getTime() + 24 * HOUR_MS);
+
+        await recordFrequency(capped, VIEWER_ID, START);
+        await recordFrequency(capped, VIEWER_ID, START);
+        await recordFrequency(capped, VIEWER_ID, later);
+
+        expect(counter).toEqual({ count: 1, windowStart: later, expiresAt: new Date(later.getTime() + 24 * HOUR_MS) });
+    });
+
+    test('ignores uncapped campaigns and unknown viewers', async () => {
+        await recordFrequency(uncapped, VIEWER_ID, START);
+        await recordFrequency(capped, null, START);
+
+        expect(FrequencyCounter.updateOne).not.toHaveBeenCalled();
+    });
+});
+
+describe('filterFrequencyCapped', () => {
+    const countersOf = (count) => {
+        jest.spyOn(FrequencyCounter, 'find').mockResolvedValue([{ campaign: capped._id, count }]);
+    };
+
+    test('drops campaigns the viewer has seen as often as the cap allows', async () => {
+        countersOf(2);
+
+        expect(await filterFrequencyCapped([capped, uncapped], VIEWER_ID, START)).toEqual([uncapped]);
+        expect(FrequencyCounter.find).toHaveBeenCalledWith({
+            viewerId: VIEWER_ID,
+            campaign: { $in: [capped._id] },
+            expiresAt: { $gt: START }
+        });
+    });
+
+    test('keeps campaigns below their cap', async () => {
+        countersOf(1);
+
+        expect(await filterFrequencyCapped([capped, uncapped], VIEWER_ID, START)).toEqual([capped, uncapped]);
+    });
+
+    test('does not look anything up without capped campaigns or a viewer', async () => {
+        countersOf(5);
+
+        expect(await filterFrequencyCapped([uncapped], VIEWER_ID, START)).toEqual([uncapped]);
+        expect(await filterFrequencyCapped([capped], null, START)).toEqual([capped]);
+        expect(FrequencyCounter.find).not.toHaveBeenCalled();
+    });
+});
+
+describe('getFrequencyStats', () => {
+    test('counts viewers within a window and those at the cap', async () => {
+        jest.spyOn(FrequencyCounter, 'countDocuments').mockImplementation(async filter => (filter.count ? 3 : 10));
+
+        expect(await getFrequencyStats(capped, START)).toEqual({
+            cap: { impressions: 2, windowHours: 24 },
+            activeViewers: 10,
+            cappedViewers: 3
+        });
+        expect(FrequencyCounter.countDocuments).toHaveBeenCalledWith({ campaign: capped._id, expiresAt: { $gt: START }, count: { $gte: 2 } });
+    });
+});
+
+describe('validateFrequencyCapFields', () => {
+    test.each([
+        [{}, null],
+        [{ frequencyCap: null }, null],
+        [{ frequencyCap: { impressions: 3, windowHours: '24' } }, null],
+        [{ frequencyCap: [3, 24] }, 'Frequency cap must be an object'],
+        [{ frequencyCap: { impressions: 0, windowHours: 24 } }, 'Frequency cap impressions must be a positive integer'],
+        [{ frequencyCap: { impressions: 3, windowHours: 1.5 } }, 'Frequency cap windowHours must be a positive integer']
+    ])('%j -> %s', (body, error) => {
+        expect(validateFrequencyCapFields(body)).toBe(error);
+    });
+});
+
+describe('getViewerId', () => {
+    const requestWith = ({ cookie, query = {}, secure = false } = {}) => ({
+        query,
+        secure,
+        get: name => (name.toLowerCase() === 'cookie' ? cookie : undefined)
+    });
+    const response = () => ({ cookie: jest.fn() });
+
+    test('prefers the publisher\'s device id', () => {
+        const res = response();
+
+        expect(getViewerId(requestWith({ query: { deviceId: 'idfa-1' }, cookie: 'am_vid=abc' }), res)).toBe('device:idfa-1');
+        expect(res.cookie).not.toHaveBeenCalled();
+    });
+
+    test('reads the viewer cookie', () => {
+        const res = response();
+
+        expect(getViewerId(requestWith({ cookie: 'theme=dark; am_vid=abc' }), res)).toBe('cookie:abc');
+        expect(res.cookie).not.toHaveBeenCalled();
+    });
+
+    test.each([
+        ['missing', undefined],
+        ['empty', 'am_vid='],
+        ['malformed', 'am_vid=%E0%A4%A']
+    ])('issues a new cross-site cookie when it is %s', (name, cookie) => {
+        const res = response();
+
+        const viewerId = getViewerId(requestWith({ cookie, secure: true }), res);
+
+        const [[cookieName, value, options]] = res.cookie.mock.calls;
+        expect(viewerId).toBe(`cookie:${value}`);
+        expect(cookieName).toBe('am_vid');
+        expect(options).toMatchObject({ httpOnly: true, secure: true, sameSite: 'none' });
+    });
+
+    test('ignores device ids that are too long', () => {
+        const res = response();
+
+        expect(getViewerId(requestWith({ query: { deviceId: 'x'.repeat(129) }, cookie: 'am_vid=abc' }), res)).toBe('cookie:abc');
+    });
+});
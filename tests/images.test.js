@@ -0,0 +1,198 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const sharp = require('sharp');
+
+jest.mock('../src/services/mediaStorage', () => ({
+    storeFile: jest.fn(),
+    removeFiles: jest.fn()
+}));
+
+const { storeFile, removeFiles } = require('../src/services/mediaStorage');
+const { sniffImageFormat, matchAdSize, validateStoredImageSizes, pickRendition } = require('../src/utils/images');
+const { processImage } = require('../src/services/imageService');
+const { uploadImage } = require('../src/middlewares/upload');
+const { errorHandler } = require('../src/middlewares/errorHandler');
+
+const solid = (width, height, { alpha = false } = {}) => sharp({
+    create: { width, height, channels: alpha ? 4 : 3, background: { r: 200, g: 30, b: 30, alpha: alpha ? 0.5 : 1 } }
+});
+
+let dir;
+
+beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'images-'));
+    storeFile.mockImplementation(async filePath => ({ url: `https://cdn.example.com/${path.basename(filePath)}`, key: path.basename(filePath) }));
+});
+
+afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+    jest.clearAllMocks();
+});
+
+describe('sniffImageFormat', () => {
+    test.each(['jpeg', 'png', 'gif', 'webp'])('recognises %s by its content', async (format) => {
+        const buffer = await solid(4, 4).toFormat(format).toBuffer();
+
+        expect(sniffImageFormat(buffer)).toBe(format);
+    });
+
+    test.each([
+        ['text', Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"/>')],
+        ['a truncated PNG signature', Buffer.from([0x89, 0x50, 0x4E, 0x47])],
+        ['a RIFF file that is not WebP', Buffer.from('RIFF\0\0\0\0WAVE')],
+        ['nothing', Buffer.alloc(0)]
+    ])('refuses %s', (name, buffer) => {
+        expect(sniffImageFormat(buffer)).toBeNull();
+    });
+});
+
+describe('ad sizes', () => {
+    test.each([
+        [{ width: 728, height: 90 }, 'BANNER', 1],
+        [{ width: 1456, height: 180 }, 'BANNER', 2],
+        [{ width: 900, height: 750 }, 'INTERACTIVE', 3],
+        [{ width: 1080, height: 1080 }, 'FEATURED', 1]
+    ])('%j fits %s at %ix', (dimensions, campaignType, density) => {
+        expect(matchAdSize(dimensions, campaignType).density).toBe(density);
+    });
+
+    test.each([
+        [{ width: 728, height: 91 }],
+        [{ width: 364, height: 45 }],
+        [{ width: 2912, height: 360 }]
+    ])('%j does not fit a banner', (dimensions) => {
+        expect(matchAdSize(dimensions, 'BANNER').error)
+            .toBe(`Image must be 728x90, 300x250 or 320x50 for BANNER campaigns, or a 2x or 3x multiple, not ${dimensions.width}x${dimensions.height}`);
+    });
+
+    test('stored images must still fit when the campaign type changes', () => {
+        const renditions = [{ density: 1, width: 728, height: 90 }];
+
+        expect(validateStoredImageSizes([{ renditions }], 'BANNER')).toBeNull();
+        expect(validateStoredImageSizes([{ renditions }], 'FEATURED')).toMatch(/^Stored image does not fit: /);
+        // Images from before renditions can't be checked
+        expect(validateStoredImageSizes([{ imageUrl: 'https://cdn.example.com/a.jpg' }], 'FEATURED')).toBeNull();
+    });
+});
+
+describe('pickRendition', () => {
+    const renditions = [
+        { density: 1, format: 'jpeg' },
+        { density: 1, format: 'webp' },
+        { density: 2, format: 'jpeg' },
+        { density: 2, format: 'webp' }
+    ];
+
+    test.each([
+        [{ density: 2, webp: true }, { density: 2, format: 'webp' }],
+        [{ density: 2 }, { density: 2, format: 'jpeg' }],
+        [{ density: 3, webp: true }, { density: 2, format: 'webp' }],
+        [{ density: 1.5 }, { density: 1, format: 'jpeg' }],
+        [{ density: 0.5 }, { density: 1, format: 'jpeg' }]
+    ])('%j gets %j', (viewer, expected) => {
+        expect(pickRendition(renditions, viewer)).toEqual(expected);
+    });
+
+    test('finds nothing without renditions', () => {
+        expect(pickRendition(undefined)).toBeNull();
+    });
+});
+
+describe('processImage', () => {
+    const write = async (image, name) => {
+        const filePath = path.join(dir, name);
+        await image.toFile(filePath);
+        return filePath;
+    };
+
+    test('stores each density up to the upload\'s, in its own format and as WebP', async () => {
+        const filePath = await write(solid(600, 500).png(), 'upload');
+
+        const result = await processImage(filePath, 'INTERACTIVE');
+
+        expect(result.renditions.map(({ width, height, density, format }) => `${width}x${height}@${density} ${format}`)).toEqual([
+            '300x250@1 png',
+            '300x250@1 webp',
+            '600x500@2 png',
+            '600x500@2 webp'
+        ]);
+        expect(result).toMatchObject({ imageUrl: result.renditions[0].url, imageKey: result.renditions[0].key });
+        // Renditions are removed locally once stored
+        expect(await fs.readdir(dir)).toEqual(['upload']);
+    });
+
+    test('gives WebP uploads a fallback that keeps transparency', async () => {
+        const filePath = await write(solid(728, 90, { alpha: true }).webp(), 'upload');
+
+        const { renditions } = await processImage(filePath, 'BANNER');
+
+        expect(renditions.map(({ format }) => format)).toEqual(['png', 'webp']);
+    });
+
+    test('strips metadata from the renditions', async () => {
+        const filePath = await write(solid(320, 50).jpeg().withMetadata({ exif: { IFD0: { Make: 'Camera' } } }), 'upload');
+        let stored;
+        storeFile.mockImplementation(async (output) => {
+            stored = stored || await sharp(output).metadata();
+            return { url: 'https://cdn.example.com/x', key: 'x' };
+        });
+
+        await processImage(filePath, 'BANNER');
+
+        expect(stored.exif).toBeUndefined();
+    });
+
+    test('refuses images of the wrong size', async () => {
+        const filePath = await write(solid(100, 100).png(), 'upload');
+
+        expect(await processImage(filePath, 'BANNER')).toEqual({
+            error: 'Image must be 728x90, 300x250 or 320x50 for BANNER campaigns, or a 2x or 3x multiple, not 100x100',
+            statusCode: 400
+        });
+        expect(storeFile).not.toHaveBeenCalled();
+    });
+
+    test('refuses files that are not images', async () => {
+        const filePath = path.join(dir, 'upload');
+        await fs.writeFile(filePath, 'GIF89a but not really');
+
+        expect(await processImage(filePath, 'BANNER')).toEqual({ error: 'Image could not be read', statusCode: 400 });
+    });
+
+    test('removes what was stored when a rendition fails', async () => {
+        const filePath = await write(solid(728, 90).png(), 'upload');
+        storeFile.mockResolvedValueOnce({ url: 'https://cdn.example.com/a', key: 'a' })
+            .mockRejectedValueOnce(new Error('Storage down'));
+
+        await expect(processImage(filePath, 'BANNER')).rejects.toThrow('Storage down');
+        expect(removeFiles).toHaveBeenCalledWith(['a']);
+    });
+});
+
+describe('uploadImage', () => {
+    const app = express();
+    app.post('/upload', ...uploadImage('image'), (req, res) => res.json({ format: req.file.format }));
+    app.use(errorHandler);
+
+    test('keeps the sniffed format', async () => {
+        const png = await solid(4, 4).png().toBuffer();
+
+        const response = await request(app).post('/upload').attach('image', png, { filename: 'photo.jpg', contentType: 'image/jpeg' });
+
+        expect(response.body).toEqual({ format: 'png' });
+    });
+
+    test('refuses other content whatever the client claims', async () => {
+        const response = await request(app).post('/upload')
+            .attach('image', Buffer.from('<html><script>alert(1)</script></html>'), { filename: 'banner.png', contentType: 'image/png' });
+
+        expect(response.status).toBe(400);
+        expect(response.body).toMatchObject({
+            message: 'Not an image! Please upload a JPEG, PNG, GIF or WebP image.',
+            errors: [{ field: 'body.image', message: 'must be a JPEG, PNG, GIF or WebP image' }]
+        });
+    });
+});
@@ -0,0 +1,120 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+
+mongoose.set('bufferCommands', false);
+
+jest.mock('../src/services/adServer', () => ({ recordClick: jest.fn() }));
+
+process.env.CLICK_TOKEN_SECRET = 'click-secret';
+
+const Campaign = require('../src/models/Campaign');
+const Click = require('../src/models/Click');
+const { isValidLandingUrl, validateLandingFields, buildLandingUrl } = require('../src/utils/landingUrl');
+const { createClickToken } = require('../src/utils/clickToken');
+const clickRoutes = require('../src/routes/clickRoutes');
+const { errorHandler } = require('../src/middlewares/errorHandler');
+
+const CAMPAIGN_ID = '64c000000000000000000001';
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('landing URLs', () => {
+    test.each(['https://shop.example.com', 'http://shop.example.com/spring?ref=ad'])('%s is valid', (url) => {
+        expect(isValidLandingUrl(url)).toBe(true);
+    });
+
+    test.each(['javascript:alert(1)', 'ftp://example.com/file', 'shop.example.com', 'https://', 42])('%s is not', (url) => {
+        expect(isValidLandingUrl(url)).toBe(false);
+    });
+
+    test('get the campaign\'s UTM parameters appended', () => {
+        const url = buildLandingUrl({
+            landingUrl: 'https://shop.example.com/spring?ref=ad&utm_source=old#top',
+            utm: { source: 'advertisemedia', medium: 'banner', campaign: 'spring sale' }
+        });
+
+        expect(url).toBe('https://shop.example.com/spring?ref=ad&utm_source=advertisemedia&utm_medium=banner&utm_campaign=spring+sale#top');
+    });
+
+    test('are left as they are without UTM parameters', () => {
+        expect(buildLandingUrl({ landingUrl: 'https://shop.example.com/spring' })).toBe('https://shop.example.com/spring');
+        expect(buildLandingUrl({ landingUrl: 'https://shop.example.com/', utm: { source: '' } })).toBe('https://shop.example.com/');
+    });
+});
+
+describe('validateLandingFields', () => {
+    test('accepts a landing URL with UTM parameters', () => {
+        expect(validateLandingFields({ landingUrl: 'https://shop.example.com', utm: { source: 'a', content: 'b' } })).toBeNull();
+    });
+
+    test('requires the landing URL only when asked', () => {
+        expect(validateLandingFields({}, { requireLandingUrl: true })).toBe('Landing URL is required');
+        expect(validateLandingFields({})).toBeNull();
+    });
+
+    test.each([
+        [{ landingUrl: 'javascript:alert(1)' }, 'Landing URL must be a valid http(s) URL'],
+        [{ utm: 'source=a' }, 'UTM parameters must be an object'],
+        [{ utm: ['a'] }, 'UTM parameters must be an object'],
+        [{ utm: { term: 'shoes' } }, 'Unknown UTM parameter: term'],
+        [{ utm: { source: 1 } }, 'UTM parameter source must be a string']
+    ])('refuses %j', (body, error) => {
+        expect(validateLandingFields(body)).toBe(error);
+    });
+});
+
+describe('clicks', () => {
+    const app = express();
+    app.use('/c', clickRoutes);
+    app.use(errorHandler);
+
+    const click = () => request(app).get(`/c/${createClickToken({ campaignId: CAMPAIGN_ID, impressionId: new mongoose.Types.ObjectId().toString() })}`);
+
+    beforeEach(() => {
+        jest.spyOn(Click, 'create').mockResolvedValue({});
+        delete process.env.DEFAULT_LANDING_URL;
+    });
+
+    test('send the viewer to the landing page with the UTM parameters', async () => {
+        jest.spyOn(Campaign, 'findById').mockResolvedValue({
+            _id: CAMPAIGN_ID,
+            landingUrl: 'https://shop.example.com/spring',
+            utm: { source: 'advertisemedia', medium: 'banner' }
+        });
+
+        const response = await click();
+
+        expect(response.status).toBe(302);
+        expect(response.headers.location).toBe('https://shop.example.com/spring?utm_source=advertisemedia&utm_medium=banner');
+    });
+
+    test('fall back to the default landing page for campaigns without one', async () => {
+        jest.spyOn(Campaign, 'findById').mockResolvedValue({ _id: CAMPAIGN_ID });
+        process.env.DEFAULT_LANDING_URL = 'https://advertisemedia.example.com/';
+
+        const response = await click();
+
+        expect(response.headers.location).toBe('https://advertisemedia.example.com/');
+    });
+
+    test('still count when there is nowhere to send the viewer', async () => {
+        jest.spyOn(Campaign, 'findById').mockResolvedValue({ _id: CAMPAIGN_ID });
+
+        const response = await click();
+
+        expect(response.status).toBe(404);
+        expect(response.body.message).toBe('Campaign has no landing page');
+        expect(Click.create).toHaveBeenCalled();
+    });
+});
+
+describe('Campaign model', () => {
+    test('refuses landing URLs that are not http(s)', () => {
+        const error = new Campaign({ landingUrl: 'javascript:alert(1)' }).validateSync();
+
+        expect(error.errors.landingUrl.message).toBe('Landing URL must be a valid http(s) URL');
+    });
+});
@@ -0,0 +1,186 @@
+const mongoose = require('mongoose');
+
+mongoose.set('bufferCommands', false);
+
+const Campaign = require('../src/models/Campaign');
+const User = require('../src/models/User');
+const { parsePagination, parseSort, containsText, parseDateRange, parseObjectId, setContentRange } = require('../src/utils/listQuery');
+const { getAllCampaigns } = require('../src/controllers/campaignController');
+const { getAllUsers } = require('../src/controllers/userController');
+
+const ADVERTISER_ID = '64b000000000000000000001';
+
+// A chainable find query resolving to the documents, remembering its calls
+const findQuery = (documents) => {
+    const query = {
+        calls: {},
+        then: (resolve, reject) => Promise.resolve(documents).then(resolve, reject)
+    };
+    for (const method of ['populate', 'select', 'sort', 'skip', 'limit']) {
+        query[method] = (value) => {
+            query.calls[method] = value;
+            return query;
+        };
+    }
+    return query;
+};
+
+const callHandler = async (handler, query) => {
+    const req = { query, user: { userId: ADVERTISER_ID, role: 'ADMIN' } };
+    const res = { set: jest.fn(), json: jest.fn() };
+    const next = jest.fn();
+    await handler(req, res, next);
+    return { res, next };
+};
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('parsePagination', () => {
+    test('defaults to the first page of 20', () => {
+        expect(parsePagination({})).toEqual({ page: 1, limit: 20, skip: 0 });
+    });
+
+    test('skips the earlier pages', () => {
+        expect(parsePagination({ page: '3', limit: '50' })).toEqual({ page: 3, limit: 50, skip: 100 });
+    });
+
+    test.each([
+        [{ page: '0' }, 'page must be a positive integer'],
+        [{ page: '1.5' }, 'page must be a positive integer'],
+        [{ page: 'two' }, 'page must be a positive integer'],
+        [{ limit: '0' }, 'limit must be an integer between 1 and 100'],
+        [{ limit: '101' }, 'limit must be an integer between 1 and 100']
+    ])('refuses %j', (query, error) => {
+        expect(parsePagination(query)).toEqual({ error });
+    });
+});
+
+describe('parseSort', () => {
+    const fields = ['createdAt', 'campaignName'];
+
+    test('sorts ascending, or descending with a leading -', () => {
+        expect(parseSort('campaignName', fields, '-createdAt')).toEqual({ sort: { campaignName: 1, _id: 1 } });
+        expect(parseSort('-campaignName', fields, '-createdAt')).toEqual({ sort: { campaignName: -1, _id: -1 } });
+    });
+
+    test('falls back to the default', () => {
+        expect(parseSort(undefined, fields, '-createdAt')).toEqual({ sort: { createdAt: -1, _id: -1 } });
+    });
+
+    test.each([['password'], [['createdAt', 'campaignName']]])('refuses %j', (sort) => {
+        expect(parseSort(sort, fields, '-createdAt')).toEqual({ error: 'sort must be one of createdAt, campaignName, optionally prefixed with -' });
+    });
+});
+
+describe('filters', () => {
+    test('text search matches literally and ignores case', () => {
+        const pattern = containsText('a.b (c)');
+
+        expect(pattern.test('xx A.B (C) yy')).toBe(true);
+        expect(pattern.test('axb c')).toBe(false);
+    });
+
+    test('date ranges may be open on either side', () => {
+        expect(parseDateRange('createdAt')).toEqual({});
+        expect(parseDateRange('createdAt', '2024-03-01')).toEqual({ filter: { createdAt: { $gte: new Date('2024-03-01') } } });
+        expect(parseDateRange('createdAt', undefined, '2024-03-31')).toEqual({ filter: { createdAt: { $lte: new Date('2024-03-31') } } });
+        expect(parseDateRange('createdAt', 'yesterday')).toEqual({ error: 'createdAt range must use valid dates' });
+    });
+
+    test('ids must be valid', () => {
+        expect(parseObjectId('advertiser', ADVERTISER_ID)).toEqual({ id: ADVERTISER_ID });
+        expect(parseObjectId('advertiser', 'nope')).toEqual({ error: 'advertiser must be a valid id' });
+    });
+});
+
+describe('setContentRange', () => {
+    test.each([
+        [{ skip: 20, count: 20, total: 134 }, 'campaigns 20-39/134'],
+        [{ skip: 120, count: 14, total: 134 }, 'campaigns 120-133/134'],
+        [{ skip: 200, count: 0, total: 134 }, 'campaigns */134']
+    ])('%j is "%s"', (page, header) => {
+        const res = { set: jest.fn() };
+
+        setContentRange(res, 'campaigns', page);
+
+        expect(res.set).toHaveBeenCalledWith('Content-Range', header);
+    });
+});
+
+describe('getAllCampaigns', () => {
+    test('finds a page of the filtered, searched and sorted campaigns', async () => {
+        const query = findQuery([{ _id: 'a' }, { _id: 'b' }]);
+        jest.spyOn(Campaign, 'find').mockReturnValue(query);
+        jest.spyOn(Campaign, 'countDocuments').mockResolvedValue(42);
+
+        const { res, next } = await callHandler(getAllCampaigns, {
+            status: 'ACTIVE',
+            type: 'BANNER',
+            advertiser: ADVERTISER_ID,
+            createdFrom: '2024-03-01',
+            q: 'spring sale',
+            sort: 'campaignName',
+            page: '3',
+            limit: '10'
+        });
+
+        expect(next).not.toHaveBeenCalled();
+        const filter = {
+            status: 'ACTIVE',
+            campaignType: 'BANNER',
+            advertiser: ADVERTISER_ID,
+            createdAt: { $gte: new Date('2024-03-01') },
+            $text: { $search: 'spring sale' }
+        };
+        expect(Campaign.find).toHaveBeenCalledWith(filter);
+        expect(Campaign.countDocuments).toHaveBeenCalledWith(filter);
+        expect(query.calls).toMatchObject({ sort: { campaignName: 1, _id: 1 }, skip: 20, limit: 10 });
+        expect(res.set).toHaveBeenCalledWith('Content-Range', 'campaigns 20-21/42');
+        expect(res.json).toHaveBeenCalledWith([{ _id: 'a' }, { _id: 'b' }]);
+    });
+
+    test('searches through the text index on name and headline', () => {
+        expect(Campaign.schema.indexes()).toContainEqual([{ campaignName: 'text', headline: 'text' }, expect.anything()]);
+    });
+
+    test.each([
+        [{ limit: '500' }, 'limit must be an integer between 1 and 100'],
+        [{ sort: 'budget' }, 'sort must be one of createdAt, updatedAt, campaignName, status, startDate, endDate, optionally prefixed with -'],
+        [{ createdTo: 'soon' }, 'createdAt range must use valid dates'],
+        [{ advertiser: '42' }, 'advertiser must be a valid id']
+    ])('refuses %j', async (query, message) => {
+        jest.spyOn(Campaign, 'find');
+
+        const { next } = await callHandler(getAllCampaigns, query);
+
+        expect(next).toHaveBeenCalledWith(expect.objectContaining({ status: 400, message }));
+        expect(Campaign.find).not.toHaveBeenCalled();
+    });
+});
+
+describe('getAllUsers', () => {
+    test('searches names and emails as plain text', async () => {
+        jest.spyOn(User, 'find').mockReturnValue(findQuery([]));
+        jest.spyOn(User, 'countDocuments').mockResolvedValue(0);
+
+        const { res } = await callHandler(getAllUsers, { role: 'ADVERTISER', q: 'j.doe' });
+
+        expect(User.find).toHaveBeenCalledWith({
+            role: 'ADVERTISER',
+            $or: [{ fullName: containsText('j.doe') }, { email: containsText('j.doe') }]
+        });
+        expect(res.set).toHaveBeenCalledWith('Content-Range', 'users */0');
+    });
+
+    test.each([
+        [{ role: 'ROOT' }, 'Invalid role'],
+        [{ q: ['a', 'b'] }, 'q must be a single search term'],
+        [{ company: ['a', 'b'] }, 'company must be a single search term']
+    ])('refuses %j', async (query, message) => {
+        const { next } = await callHandler(getAllUsers, query);
+
+        expect(next).toHaveBeenCalledWith(expect.objectContaining({ status: 400, message }));
+    });
+});
@@ -0,0 +1,160 @@
+const NOW = Date.UTC(2024, 2, 5, 14);
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+
+// A fresh memory store for every test
+let throttle;
+
+beforeEach(() => {
+    jest.isolateModules(() => {
+        throttle = require('../src/services/loginThrottle');
+    });
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+// Reserve attempts one after the other and fail them all
+const failAttempts = async (count, attempt, now = NOW) => {
+    const results = [];
+    for (let i = 0; i < count; i += 1) {
+        results.push((await throttle.reserveAttempt(attempt, now)).retryAfter);
+    }
+    return results;
+};
+
+describe('login throttle', () => {
+    const attempt = { ip: '198.51.100.1', email: 'user@example.com' };
+
+    test('an account gets five free attempts, then waits exponentially longer', async () => {
+        expect(await failAttempts(5, attempt)).toEqual([0, 0, 0, 0, 0]);
+        expect(await throttle.getRetryAfter(attempt, NOW)).toBe(SECOND);
+
+        expect((await throttle.reserveAttempt(attempt, NOW + SECOND)).retryAfter).toBe(0);
+        expect(await throttle.getRetryAfter(attempt, NOW + SECOND)).toBe(2 * SECOND);
+    });
+
+    test('a refused attempt is not counted', async () => {
+        await failAttempts(5, attempt);
+
+        expect(await failAttempts(3, attempt, NOW + 500)).toEqual([500, 500, 500]);
+        expect(await throttle.getRetryAfter(attempt, NOW + SECOND)).toBe(0);
+    });
+
+    test('the account locks for half an hour after ten failures', async () => {
+        let now = NOW;
+        for (let i = 0; i < 10; i += 1) {
+            now += MINUTE;
+            await throttle.reserveAttempt(attempt, now);
+        }
+
+        expect(await throttle.getRetryAfter(attempt, now)).toBe(30 * MINUTE);
+    });
+
+    test('emails are counted case-insensitively', async () => {
+        await failAttempts(5, attempt);
+
+        expect((await throttle.reserveAttempt({ ...attempt, email: 'USER@example.com' }, NOW)).retryAfter).toBe(SECOND);
+    });
+
+    test('an IP gets twenty free attempts across accounts', async () => {
+        for (let i = 0; i < 20; i += 1) {
+            expect((await throttle.reserveAttempt({ ip: attempt.ip, email: `user${i}@example.com` }, NOW)).retryAfter).toBe(0);
+        }
+
+        expect((await throttle.reserveAttempt({ ip: attempt.ip, email: 'fresh@example.com' }, NOW)).retryAfter).toBe(SECOND);
+    });
+
+    test('parallel attempts cannot all get past the limit', async () => {
+        const results = await Promise.all(Array.from({ length: 30 }, () => throttle.reserveAttempt(attempt, NOW)));
+
+        expect(results.filter(({ retryAfter }) => retryAfter === 0)).toHaveLength(5);
+    });
+
+    test('a success forgets the account\'s failures but not the IP\'s', async () => {
+        await failAttempts(4, attempt);
+
+        const { reservation } = await throttle.reserveAttempt(attempt, NOW);
+        await throttle.recordSuccess(reservation);
+
+        expect(await failAttempts(5, attempt)).toEqual([0, 0, 0, 0, 0]);
+        // The 4 earlier failures and these 5 still count against the IP
+        for (let i = 0; i < 11; i += 1) {
+            expect((await throttle.reserveAttempt({ ip: attempt.ip, email: `other${i}@example.com` }, NOW)).retryAfter).toBe(0);
+        }
+        expect((await throttle.reserveAttempt({ ip: attempt.ip, email: 'fresh@example.com' }, NOW)).retryAfter).toBe(SECOND);
+    });
+
+    test('a released attempt is as if it never happened', async () => {
+        await failAttempts(4, attempt);
+
+        const { reservation } = await throttle.reserveAttempt(attempt, NOW);
+        expect(await throttle.getRetryAfter(attempt, NOW)).toBe(SECOND);
+        await throttle.releaseAttempt(reservation, NOW);
+
+        expect(await throttle.getRetryAfter(attempt, NOW)).toBe(0);
+        expect(await failAttempts(1, attempt)).toEqual([0]);
+    });
+
+    test('releasing keeps a block set by another failure since', async () => {
+        await failAttempts(3, attempt);
+
+        const { reservation } = await throttle.reserveAttempt(attempt, NOW);
+        await failAttempts(1, attempt);
+        await throttle.releaseAttempt(reservation, NOW);
+
+        expect(await throttle.getRetryAfter(attempt, NOW)).toBe(SECOND);
+    });
+
+    test('unknown stores are refused', async () => {
+        process.env.LOGIN_THROTTLE_STORE = 'redis';
+        try {
+            await expect(throttle.reserveAttempt(attempt, NOW)).rejects.toThrow('Unknown login throttle store: redis');
+        } finally {
+            delete process.env.LOGIN_THROTTLE_STORE;
+        }
+    });
+});
+
+describe('memory store', () => {
+    test('drops expired entries in the background', async () => {
+        jest.useFakeTimers({ now: NOW });
+        try {
+            const deleted = jest.spyOn(Map.prototype, 'delete');
+            await throttle.reserveAttempt({ ip: '198.51.100.1', email: 'user@example.com' }, NOW);
+
+            jest.advanceTimersByTime(60 * MINUTE + MINUTE);
+
+            expect(deleted).toHaveBeenCalledWith('login:ip:198.51.100.1');
+            expect(deleted).toHaveBeenCalledWith('login:account:user@example.com');
+        } finally {
+            jest.useRealTimers();
+        }
+    });
+});
+
+describe('login', () => {
+    test('a burst of wrong passwords gets no more guesses than the limit', async () => {
+        // Its own copies of the models, sharing the test's fresh store
+        let login;
+        jest.isolateModules(() => {
+            require('mongoose').set('bufferCommands', false);
+            throttle = require('../src/services/loginThrottle');
+            jest.spyOn(require('../src/models/User'), 'findOne').mockResolvedValue(null);
+            jest.spyOn(require('../src/models/LoginAttempt'), 'create').mockResolvedValue({});
+            ({ login } = require('../src/controllers/userController'));
+        });
+
+        const statuses = await Promise.all(Array.from({ length: 10 }, async () => {
+            const req = { ip: '198.51.100.9', body: { email: 'victim@example.com', password: 'guess' }, get: () => undefined };
+            const res = { set: jest.fn() };
+            const next = jest.fn();
+            await login(req, res, next);
+            return next.mock.calls[0][0].status;
+        }));
+
+        expect(statuses.filter(status => status === 401)).toHaveLength(5);
+        expect(statuses.filter(status => status === 429)).toHaveLength(5);
+    });
+});
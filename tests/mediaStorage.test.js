@@ -0,0 +1,141 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+jest.mock('cloudinary', () => ({
+    v2: {
+        config: jest.fn(),
+        uploader: { upload: jest.fn(), destroy: jest.fn() }
+    }
+}));
+
+const cloudinary = require('cloudinary').v2;
+
+const ENV = ['MEDIA_STORAGE', 'MEDIA_DIR', 'MEDIA_BASE_URL', 'CLOUDINARY_CLOUD_NAME'];
+
+let tmp;
+let source;
+let mediaStorage;
+
+beforeEach(async () => {
+    tmp = await fs.mkdtemp(path.join(os.tmpdir(), 'media-storage-'));
+    source = path.join(tmp, 'upload.PNG');
+    await fs.writeFile(source, 'image bytes');
+    ENV.forEach(name => delete process.env[name]);
+    process.env.MEDIA_DIR = path.join(tmp, 'media');
+    process.env.MEDIA_BASE_URL = 'https://ads.example.com/media';
+    // Drivers are created once per process, so start each test afresh
+    jest.isolateModules(() => {
+        mediaStorage = require('../src/services/mediaStorage');
+    });
+});
+
+afterEach(async () => {
+    ENV.forEach(name => delete process.env[name]);
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    await fs.rm(tmp, { recursive: true, force: true });
+});
+
+describe('local driver', () => {
+    test('is used unless Cloudinary is configured', async () => {
+        const { url, key } = await mediaStorage.storeFile(source);
+
+        expect(key).toMatch(/^local:[\w-]+\.png$/);
+        expect(url).toBe(`https://ads.example.com/media/${key.slice('local:'.length)}`);
+        expect(await fs.readFile(path.join(tmp, 'media', key.slice('local:'.length)), 'utf8')).toBe('image bytes');
+    });
+
+    test('keeps the ids asked for, so bundled files can reference each other', async () => {
+        const { url, key } = await mediaStorage.storeFile(source, { id: 'bundles/abc/img/logo 1.png' });
+
+        expect(key).toBe('local:bundles/abc/img/logo 1.png');
+        expect(url).toBe('https://ads.example.com/media/bundles/abc/img/logo%201.png');
+        await expect(fs.access(path.join(tmp, 'media', 'bundles/abc/img/logo 1.png'))).resolves.toBeUndefined();
+    });
+
+    test.each(['../escaped.png', 'bundles/../../escaped.png', '/etc/escaped.png', '.'])('refuses the id %j', async (id) => {
+        jest.spyOn(fs, 'copyFile');
+
+        await expect(mediaStorage.storeFile(source, { id })).rejects.toThrow('Invalid media id');
+        expect(fs.copyFile).not.toHaveBeenCalled();
+    });
+
+    test('removes files, and never outside the media directory', async () => {
+        const { key } = await mediaStorage.storeFile(source);
+        const log = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        await mediaStorage.removeFiles([key, 'local:../upload.PNG']);
+
+        await expect(fs.access(path.join(tmp, 'media', key.slice('local:'.length)))).rejects.toThrow();
+        await expect(fs.access(source)).resolves.toBeUndefined();
+        expect(log).toHaveBeenCalledWith('Error removing stored file local:../upload.PNG:', expect.any(Error));
+    });
+});
+
+describe('cloudinary driver', () => {
+    beforeEach(() => {
+        process.env.CLOUDINARY_CLOUD_NAME = 'demo';
+    });
+
+    test('is used when configured', async () => {
+        cloudinary.uploader.upload.mockResolvedValue({ secure_url: 'https://res.cloudinary.com/demo/a.png', public_id: 'a' });
+
+        expect(await mediaStorage.storeFile(source)).toEqual({ url: 'https://res.cloudinary.com/demo/a.png', key: 'cloudinary:a' });
+        expect(cloudinary.uploader.upload).toHaveBeenCalledWith(source, { resource_type: 'image' });
+    });
+
+    test.each([
+        ['image', 'bundles/abc/logo.png', 'bundles/abc/logo', 'cloudinary:bundles/abc/logo'],
+        ['video', 'videos/abc.mp4', 'videos/abc', 'cloudinary:video:videos/abc'],
+        ['raw', 'bundles/abc/index.html', 'bundles/abc/index.html', 'cloudinary:raw:bundles/abc/index.html']
+    ])('stores %s files by type', async (resourceType, id, publicId, key) => {
+        cloudinary.uploader.upload.mockImplementation(async (filePath, { public_id }) => ({ secure_url: 'https://res.cloudinary.com/demo/x', public_id }));
+
+        const stored = await mediaStorage.storeFile(source, { id, resourceType });
+
+        expect(cloudinary.uploader.upload).toHaveBeenCalledWith(source, { resource_type: resourceType, public_id: publicId });
+        expect(stored.key).toBe(key);
+
+        await mediaStorage.removeFiles([stored.key]);
+        expect(cloudinary.uploader.destroy).toHaveBeenCalledWith(publicId, { resource_type: resourceType });
+    });
+
+    test('failed uploads are upstream errors', async () => {
+        const cause = new Error('Request timeout');
+        cloudinary.uploader.upload.mockRejectedValue(cause);
+
+        await expect(mediaStorage.storeFile(source)).rejects.toMatchObject({
+            status: 502,
+            message: 'Media upload failed, please try again later',
+            cause
+        });
+    });
+});
+
+describe('drivers', () => {
+    test('files are removed by the driver that stored them', async () => {
+        const { key } = await mediaStorage.storeFile(source);
+        process.env.CLOUDINARY_CLOUD_NAME = 'demo';
+
+        await mediaStorage.removeFiles([key, null, 'cloudinary:a']);
+
+        await expect(fs.readdir(path.join(tmp, 'media'))).resolves.toEqual([]);
+        expect(cloudinary.uploader.destroy).toHaveBeenCalledWith('a', { resource_type: 'image' });
+    });
+
+    test('more can be registered', async () => {
+        const upload = jest.fn(async () => ({ url: 'https://cdn.example.com/x', id: 'x' }));
+        mediaStorage.registerDriver('cdn', () => ({ upload, remove: jest.fn() }));
+        process.env.MEDIA_STORAGE = 'cdn';
+
+        expect(await mediaStorage.storeFile(source, { id: 'x' })).toEqual({ url: 'https://cdn.example.com/x', key: 'cdn:x' });
+        expect(upload).toHaveBeenCalledWith(source, { id: 'x' });
+    });
+
+    test('unknown drivers are refused', async () => {
+        process.env.MEDIA_STORAGE = 's3';
+
+        await expect(mediaStorage.storeFile(source)).rejects.toThrow('Unknown media storage driver: s3');
+    });
+});
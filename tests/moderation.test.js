@@ -0,0 +1,144 @@
+const mongoose = require('mongoose');
+
+mongoose.set('bufferCommands', false);
+
+jest.mock('../src/services/campaignStateMachine', () => ({
+    ...jest.requireActual('../src/services/campaignStateMachine'),
+    transitionCampaign: jest.fn()
+}));
+
+const Campaign = require('../src/models/Campaign');
+const { transitionCampaign } = require('../src/services/campaignStateMachine');
+const { awaitingReview, changedCreativeFields } = require('../src/services/moderationService');
+const { approveCampaign, rejectCampaign } = require('../src/controllers/campaignController');
+
+const CAMPAIGN_ID = '64c000000000000000000001';
+const ADMIN_ID = '64b000000000000000000003';
+
+const callHandler = async (handler, body = {}) => {
+    const req = {
+        params: { id: CAMPAIGN_ID },
+        body,
+        user: { userId: ADMIN_ID, role: 'ADMIN' }
+    };
+    const res = { json: jest.fn() };
+    const next = jest.fn();
+    await handler(req, res, next);
+    return { res, next };
+};
+
+// The campaign found awaiting review, or null and whether it exists at all
+const inQueue = (campaign, { exists = true } = {}) => {
+    jest.spyOn(Campaign, 'findOne').mockResolvedValue(campaign);
+    jest.spyOn(Campaign, 'exists').mockResolvedValue(exists ? { _id: CAMPAIGN_ID } : null);
+};
+
+beforeEach(() => {
+    transitionCampaign.mockImplementation(async (id, to) => ({ campaign: { _id: id, status: to } }));
+    jest.spyOn(Campaign, 'updateOne').mockResolvedValue({});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+});
+
+describe('review queue', () => {
+    test('holds pending campaigns in review, and those from before moderation', () => {
+        expect(awaitingReview()).toEqual({ status: 'PENDING', 'moderation.state': { $in: ['IN_REVIEW', null] } });
+    });
+
+    test('only changes to reviewed fields need a new review', () => {
+        const existing = { headline: 'Old', body: 'Body', campaignName: 'Name', landingUrl: 'https://example.com' };
+
+        expect(changedCreativeFields(existing, { headline: 'New', body: 'Body', campaignName: 'Renamed' })).toEqual(['headline']);
+        expect(changedCreativeFields(existing, { landingUrl: 'https://example.org', imageUrl: 'https://cdn.example.com/b.png' })).toEqual(['imageUrl', 'landingUrl']);
+        expect(changedCreativeFields(existing, { campaignName: 'Renamed' })).toEqual([]);
+    });
+});
+
+describe('approveCampaign', () => {
+    test('activates the campaign and records the approval in the same write', async () => {
+        inQueue({ _id: CAMPAIGN_ID, status: 'PENDING' });
+
+        const { res, next } = await callHandler(approveCampaign, { reason: 'Looks good' });
+
+        expect(next).not.toHaveBeenCalled();
+        expect(res.json).toHaveBeenCalledWith({ message: 'Campaign approved successfully', campaign: { id: CAMPAIGN_ID, status: 'ACTIVE' } });
+        expect(transitionCampaign).toHaveBeenCalledWith(CAMPAIGN_ID, 'ACTIVE', {
+            role: 'ADMIN',
+            actor: ADMIN_ID,
+            reason: 'Looks good',
+            filter: awaitingReview(),
+            update: {
+                'moderation.state': 'APPROVED',
+                $push: { 'moderation.history': expect.objectContaining({ action: 'APPROVED', actor: ADMIN_ID, status: 'ACTIVE', reason: 'Looks good' }) }
+            }
+        });
+    });
+
+    test('leaves campaigns starting later pending for the scheduler', async () => {
+        inQueue({ _id: CAMPAIGN_ID, status: 'PENDING', startDate: new Date(Date.now() + 24 * 60 * 60 * 1000) });
+
+        const { res } = await callHandler(approveCampaign);
+
+        expect(transitionCampaign).not.toHaveBeenCalled();
+        expect(Campaign.updateOne).toHaveBeenCalledWith(
+            { _id: CAMPAIGN_ID, ...awaitingReview() },
+            expect.objectContaining({ 'moderation.state': 'APPROVED' })
+        );
+        expect(res.json.mock.calls[0][0].campaign.status).toBe('PENDING');
+    });
+
+    test('refuses campaigns that are not awaiting review', async () => {
+        inQueue(null);
+
+        const { next } = await callHandler(approveCampaign);
+
+        expect(next).toHaveBeenCalledWith(expect.objectContaining({ status: 409, message: 'Campaign is not awaiting review' }));
+    });
+
+    test('does not find missing campaigns', async () => {
+        inQueue(null, { exists: false });
+
+        const { next } = await callHandler(approveCampaign);
+
+        expect(next).toHaveBeenCalledWith(expect.objectContaining({ status: 404 }));
+    });
+
+    test('passes on a failed transition', async () => {
+        inQueue({ _id: CAMPAIGN_ID, status: 'PENDING' });
+        transitionCampaign.mockResolvedValue({ error: 'Campaign status changed concurrently, please retry', statusCode: 409 });
+
+        const { res, next } = await callHandler(approveCampaign);
+
+        expect(next).toHaveBeenCalledWith(expect.objectContaining({ status: 409 }));
+        expect(res.json).not.toHaveBeenCalled();
+    });
+});
+
+describe('rejectCampaign', () => {
+    test('needs a reason', async () => {
+        inQueue({ _id: CAMPAIGN_ID, status: 'PENDING' });
+
+        const { next } = await callHandler(rejectCampaign, { reason: '  ' });
+
+        expect(next).toHaveBeenCalledWith(expect.objectContaining({ status: 400, message: 'Rejection reason is required' }));
+        expect(transitionCampaign).not.toHaveBeenCalled();
+    });
+
+    test('rejects with the trimmed reason in the history', async () => {
+        inQueue({ _id: CAMPAIGN_ID, status: 'PENDING' });
+
+        const { res } = await callHandler(rejectCampaign, { reason: ' Misleading claims ' });
+
+        expect(res.json).toHaveBeenCalledWith({ message: 'Campaign rejected successfully', campaign: { id: CAMPAIGN_ID, status: 'REJECTED' } });
+        expect(transitionCampaign).toHaveBeenCalledWith(CAMPAIGN_ID, 'REJECTED', expect.objectContaining({
+            reason: 'Misleading claims',
+            update: {
+                'moderation.state': 'REJECTED',
+                $push: { 'moderation.history': expect.objectContaining({ action: 'REJECTED', status: 'REJECTED', reason: 'Misleading claims' }) }
+            }
+        }));
+    });
+});
@@ -0,0 +1,234 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+mongoose.set('bufferCommands', false);
+
+const Organization = require('../src/models/Organization');
+const Campaign = require('../src/models/Campaign');
+const { registerTransport } = require('../src/services/mailer');
+const {
+    campaignScope,
+    canAccessCampaign,
+    resolveCampaignOrganization,
+    sendMemberInvitation,
+    acceptMemberInvitation,
+    changeMemberRole,
+    removeOrganizationMember
+} = require('../src/services/organizationService');
+
+const USER_ID = '64b000000000000000000001';
+const OTHER_USER_ID = '64b000000000000000000002';
+const ORGANIZATION_ID = '64a000000000000000000001';
+const OTHER_ORGANIZATION_ID = '64a000000000000000000002';
+
+const hash = token => crypto.createHash('sha256').update(token).digest('hex');
+
+// The organizations the user belongs to, with the roles they hold there
+const memberOf = (roles) => {
+    const matching = filter => Object.entries(roles)
+        .filter(([, role]) => filter.members.$elemMatch.role.$in.includes(role))
+        .map(([_id]) => ({ _id }));
+    jest.spyOn(Organization, 'find').mockImplementation(filter => ({ select: async () => matching(filter) }));
+    jest.spyOn(Organization, 'exists').mockImplementation(async filter => matching(filter).find(({ _id }) => _id === filter._id) || null);
+};
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('campaignScope', () => {
+    test('admins see every campaign', async () => {
+        expect(await campaignScope({ userId: USER_ID, role: 'ADMIN' })).toEqual({});
+    });
+
+    test('members see their organizations\' campaigns and their own from before organizations', async () => {
+        memberOf({ [ORGANIZATION_ID]: 'VIEWER', [OTHER_ORGANIZATION_ID]: 'OWNER' });
+
+        expect(await campaignScope({ userId: USER_ID, role: 'ADVERTISER' })).toEqual({
+            $or: [
+                { organization: { $in: [ORGANIZATION_ID, OTHER_ORGANIZATION_ID] } },
+                { organization: null, advertiser: USER_ID }
+            ]
+        });
+    });
+
+    test('only counts organizations where the user holds one of the roles', async () => {
+        memberOf({ [ORGANIZATION_ID]: 'VIEWER', [OTHER_ORGANIZATION_ID]: 'MANAGER' });
+
+        const scope = await campaignScope({ userId: USER_ID, role: 'ADVERTISER' }, ['OWNER', 'MANAGER']);
+
+        expect(scope.$or[0]).toEqual({ organization: { $in: [OTHER_ORGANIZATION_ID] } });
+    });
+
+    test('organization API keys reach only their organization, while the user is a member', async () => {
+        memberOf({ [ORGANIZATION_ID]: 'MANAGER' });
+
+        expect(await campaignScope({ userId: USER_ID, role: 'ADVERTISER', organizationId: ORGANIZATION_ID }))
+            .toEqual({ organization: ORGANIZATION_ID });
+        expect(await campaignScope({ userId: USER_ID, role: 'ADVERTISER', organizationId: OTHER_ORGANIZATION_ID }))
+            .toEqual({ _id: null });
+    });
+});
+
+describe('canAccessCampaign', () => {
+    const stored = (campaign) => {
+        jest.spyOn(Campaign, 'findById').mockReturnValue({ select: async () => campaign });
+    };
+
+    test('members of the campaign\'s organization may', async () => {
+        stored({ organization: ORGANIZATION_ID, advertiser: OTHER_USER_ID });
+        memberOf({ [ORGANIZATION_ID]: 'VIEWER' });
+
+        expect(await canAccessCampaign('c', { userId: USER_ID })).toBe(true);
+        expect(await canAccessCampaign('c', { userId: USER_ID }, ['OWNER', 'MANAGER'])).toBe(false);
+    });
+
+    test('campaigns from before organizations belong to their advertiser', async () => {
+        stored({ organization: null, advertiser: USER_ID });
+
+        expect(await canAccessCampaign('c', { userId: USER_ID })).toBe(true);
+        expect(await canAccessCampaign('c', { userId: OTHER_USER_ID })).toBe(false);
+    });
+
+    test('organization API keys can\'t reach other organizations', async () => {
+        stored({ organization: ORGANIZATION_ID });
+        memberOf({ [ORGANIZATION_ID]: 'OWNER', [OTHER_ORGANIZATION_ID]: 'OWNER' });
+
+        expect(await canAccessCampaign('c', { userId: USER_ID, organizationId: OTHER_ORGANIZATION_ID })).toBe(false);
+    });
+
+    test('is null for missing campaigns', async () => {
+        stored(null);
+
+        expect(await canAccessCampaign('c', { userId: USER_ID })).toBeNull();
+    });
+});
+
+describe('resolveCampaignOrganization', () => {
+    const user = { _id: USER_ID, companyName: 'Acme' };
+
+    test('uses the organization asked for when the user may edit there', async () => {
+        memberOf({ [ORGANIZATION_ID]: 'MANAGER', [OTHER_ORGANIZATION_ID]: 'VIEWER' });
+
+        expect(await resolveCampaignOrganization(user, ORGANIZATION_ID)).toEqual({ organizationId: ORGANIZATION_ID });
+        expect(await resolveCampaignOrganization(user, OTHER_ORGANIZATION_ID))
+            .toEqual({ error: 'You cannot create campaigns in this organization', statusCode: 403 });
+    });
+
+    test('picks the only organization, and needs one picked among several', async () => {
+        memberOf({ [ORGANIZATION_ID]: 'OWNER' });
+        expect(await resolveCampaignOrganization(user)).toEqual({ organizationId: ORGANIZATION_ID });
+
+        memberOf({ [ORGANIZATION_ID]: 'OWNER', [OTHER_ORGANIZATION_ID]: 'MANAGER' });
+        expect(await resolveCampaignOrganization(user))
+            .toEqual({ error: 'organizationId is required when you belong to several organizations', statusCode: 400 });
+    });
+
+    test('gives users without one an organization that takes over their campaigns', async () => {
+        memberOf({});
+        jest.spyOn(Organization, 'create').mockResolvedValue({ _id: ORGANIZATION_ID });
+        jest.spyOn(Campaign, 'updateMany').mockResolvedValue({});
+
+        expect(await resolveCampaignOrganization(user)).toEqual({ organizationId: ORGANIZATION_ID });
+        expect(Organization.create).toHaveBeenCalledWith({ name: 'Acme', members: [{ user: USER_ID, role: 'OWNER' }] });
+        expect(Campaign.updateMany).toHaveBeenCalledWith(
+            { advertiser: USER_ID, organization: null },
+            { organization: ORGANIZATION_ID }
+        );
+    });
+});
+
+describe('member invitations', () => {
+    const user = { _id: USER_ID, email: 'jane@example.com' };
+    const organization = (fields = {}) => ({
+        _id: ORGANIZATION_ID,
+        name: 'Acme',
+        members: [{ user: OTHER_USER_ID, role: 'OWNER' }],
+        invitations: [{ email: 'jane@example.com', role: 'MANAGER', tokenHash: hash('token') }],
+        ...fields
+    });
+
+    test('are mailed, replacing a pending one to the same address', async () => {
+        const outbox = [];
+        process.env.MAIL_TRANSPORT = 'memory';
+        registerTransport('memory', () => async (message) => {
+            outbox.push(message);
+        });
+        jest.spyOn(Organization, 'updateOne').mockResolvedValue({});
+
+        try {
+            await sendMemberInvitation(organization(), { email: 'Jane@Example.com', role: 'MANAGER', invitedBy: { _id: OTHER_USER_ID, fullName: 'Ada' } });
+        } finally {
+            delete process.env.MAIL_TRANSPORT;
+        }
+
+        const [[, pull], [, push]] = Organization.updateOne.mock.calls;
+        expect(pull).toEqual({ $pull: { invitations: { email: 'jane@example.com' } } });
+        const [, token] = outbox[0].text.match(/join-organization\?token=([\w-]+)/);
+        expect(push.$push.invitations).toMatchObject({ email: 'jane@example.com', role: 'MANAGER', tokenHash: hash(token) });
+        expect(outbox[0]).toMatchObject({ to: 'jane@example.com', subject: 'Join Acme on AdvertiseMedia' });
+    });
+
+    test('add the invited user with the invitation\'s role, once', async () => {
+        jest.spyOn(Organization, 'findOne').mockResolvedValue(organization());
+        jest.spyOn(Organization, 'findOneAndUpdate').mockResolvedValue(organization());
+
+        expect(await acceptMemberInvitation('token', user)).toEqual({ organization: organization(), role: 'MANAGER' });
+        const [filter, update] = Organization.findOneAndUpdate.mock.calls[0];
+        expect(filter).toMatchObject({
+            invitations: { $elemMatch: { tokenHash: hash('token'), email: 'jane@example.com' } },
+            'members.user': { $ne: USER_ID }
+        });
+        expect(update).toEqual({ $pull: { invitations: { tokenHash: hash('token') } }, $push: { members: { user: USER_ID, role: 'MANAGER' } } });
+    });
+
+    test('are refused when meant for someone else or used concurrently', async () => {
+        jest.spyOn(Organization, 'findOne').mockResolvedValueOnce(null).mockResolvedValueOnce(organization());
+        jest.spyOn(Organization, 'findOneAndUpdate').mockResolvedValue(null);
+
+        expect(await acceptMemberInvitation('token', { ...user, email: 'eve@example.com' }))
+            .toEqual({ error: 'Invalid or expired invitation', statusCode: 400 });
+        expect(await acceptMemberInvitation('token', user))
+            .toEqual({ error: 'Invalid or expired invitation', statusCode: 400 });
+    });
+
+    test('are refused for members', async () => {
+        jest.spyOn(Organization, 'findOne').mockResolvedValue(organization({ members: [{ user: USER_ID, role: 'VIEWER' }] }));
+
+        expect(await acceptMemberInvitation('token', user))
+            .toEqual({ error: 'You are already a member of this organization', statusCode: 409 });
+    });
+});
+
+describe('members', () => {
+    const stored = (members) => {
+        const organization = { members, save: jest.fn() };
+        jest.spyOn(Organization, 'findById').mockResolvedValue(organization);
+        return organization;
+    };
+
+    test('the last owner can be neither demoted nor removed', async () => {
+        const organization = stored([{ user: USER_ID, role: 'OWNER' }, { user: OTHER_USER_ID, role: 'MANAGER' }]);
+        const error = { error: 'An organization needs at least one owner', statusCode: 409 };
+
+        expect(await changeMemberRole(ORGANIZATION_ID, USER_ID, 'MANAGER')).toEqual(error);
+        expect(await removeOrganizationMember(ORGANIZATION_ID, USER_ID)).toEqual(error);
+        expect(organization.save).not.toHaveBeenCalled();
+    });
+
+    test('an owner can step down once there is another', async () => {
+        const organization = stored([{ user: USER_ID, role: 'OWNER' }, { user: OTHER_USER_ID, role: 'OWNER' }]);
+
+        await changeMemberRole(ORGANIZATION_ID, USER_ID, 'VIEWER');
+        await removeOrganizationMember(ORGANIZATION_ID, USER_ID);
+
+        expect(organization.members).toEqual([{ user: OTHER_USER_ID, role: 'OWNER' }]);
+        expect(organization.save).toHaveBeenCalledTimes(2);
+    });
+
+    test('unknown members are not found', async () => {
+        stored([{ user: OTHER_USER_ID, role: 'OWNER' }]);
+
+        expect(await changeMemberRole(ORGANIZATION_ID, USER_ID, 'VIEWER')).toEqual({ error: 'Member not found', statusCode: 404 });
+    });
+});
@@ -0,0 +1,337 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+
+jest.mock('../src/services/mediaStorage', () => ({
+    storeFile: jest.fn(),
+    removeFiles: jest.fn()
+}));
+
+const { storeFile, removeFiles } = require('../src/services/mediaStorage');
+const {
+    sniffMediaFormat,
+    normalizeBundlePath,
+    validateBundleFiles,
+    readDeclaredAdSize,
+    withBaseUrl,
+    readMp4Info
+} = require('../src/utils/richMedia');
+const { buildVast, buildEmptyVast } = require('../src/utils/vast');
+const { processRichMedia } = require('../src/services/richMediaService');
+
+const INDEX_HTML = '<html><head><meta name="ad.size" content="width=300,height=250"></head>'
+    + '<body><a href="%%CLICK_URL%%"><img src="img/logo.png"></a></body></html>';
+
+// Zip archive storing the files uncompressed, names used as given
+const zip = (files) => {
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+    for (const [name, content] of Object.entries(files)) {
+        const nameBytes = Buffer.from(name);
+        const data = Buffer.from(content);
+        const crc = zlib.crc32(data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034B50, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(data.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(nameBytes.length, 26);
+        locals.push(local, nameBytes, data);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014B50, 0);
+        central.writeUInt16LE(20, 4);
+        central.writeUInt16LE(20, 6);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(data.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(nameBytes.length, 28);
+        central.writeUInt32LE(offset, 42);
+        centrals.push(central, nameBytes);
+
+        offset += local.length + nameBytes.length + data.length;
+    }
+    const directory = Buffer.concat(centrals);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054B50, 0);
+    end.writeUInt16LE(Object.keys(files).length, 8);
+    end.writeUInt16LE(Object.keys(files).length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    return Buffer.concat([...locals, directory, end]);
+};
+
+// ISO base media box
+const box = (type, ...children) => {
+    const body = Buffer.concat(children);
+    const header = Buffer.alloc(8);
+    header.writeUInt32BE(8 + body.length, 0);
+    header.write(type, 4, 'latin1');
+    return Buffer.concat([header, body]);
+};
+
+// The same with a 64-bit size
+const largeBox = (type, ...children) => {
+    const body = Buffer.concat(children);
+    const header = Buffer.alloc(16);
+    header.writeUInt32BE(1, 0);
+    header.write(type, 4, 'latin1');
+    header.writeBigUInt64BE(BigInt(16 + body.length), 8);
+    return Buffer.concat([header, body]);
+};
+
+const movieHeader = (timescale, duration, version = 0) => {
+    const body = Buffer.alloc(version === 1 ? 112 : 100);
+    body[0] = version;
+    if (version === 1) {
+        body.writeUInt32BE(timescale, 20);
+        body.writeBigUInt64BE(BigInt(duration), 24);
+    } else {
+        body.writeUInt32BE(timescale, 12);
+        body.writeUInt32BE(duration, 16);
+    }
+    return box('mvhd', body);
+};
+
+const trackHeader = (width, height) => {
+    const body = Buffer.alloc(84);
+    body.writeUInt32BE(width * 0x10000, 76);
+    body.writeUInt32BE(height * 0x10000, 80);
+    return box('tkhd', body);
+};
+
+const mp4 = ({ seconds = 15, width = 640, height = 360 } = {}) => Buffer.concat([
+    box('ftyp', Buffer.from('isom\0\0\0\0isomavc1')),
+    box('moov', movieHeader(1000, seconds * 1000), box('trak', trackHeader(width, height))),
+    box('mdat', Buffer.alloc(16))
+]);
+
+let dir;
+
+const upload = async (content, format) => {
+    const filePath = path.join(dir, 'upload');
+    await fs.writeFile(filePath, content);
+    return { path: filePath, format };
+};
+
+beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'rich-media-'));
+    storeFile.mockImplementation(async (filePath, { id }) => ({ url: `https://cdn.example.com/${id}`, key: id }));
+});
+
+afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+    jest.clearAllMocks();
+});
+
+describe('sniffMediaFormat', () => {
+    test.each([
+        ['zip', zip({ 'index.html': INDEX_HTML })],
+        ['mp4', mp4()],
+        [null, Buffer.from('<html></html>')],
+        [null, Buffer.alloc(0)]
+    ])('recognises %s', (format, buffer) => {
+        expect(sniffMediaFormat(buffer.subarray(0, 12))).toBe(format);
+    });
+});
+
+describe('bundle paths', () => {
+    test.each(['index.html', 'img/logo.png', 'js/../img/logo.png'])('%s stays inside the bundle', (name) => {
+        expect(normalizeBundlePath(name).path).toBe(path.posix.normalize(name));
+    });
+
+    test.each(['../evil.js', 'img/../../evil.js', '..', '/etc/passwd', 'img\\..\\..\\evil.js'])('%s is refused', (name) => {
+        expect(normalizeBundlePath(name)).toEqual({ error: `Bundle path ${name} is not allowed` });
+    });
+
+    test.each([
+        [['index.html', 'app.exe'], 'Bundle file app.exe is not allowed, use .html .js .css .json .png .jpg .jpeg .gif .webp .woff .woff2 .ttf .otf files'],
+        [['index.html', 'img/logo.svg'], expect.stringMatching(/^Bundle file img\/logo\.svg is not allowed/)],
+        [['index.html', 'other.html'], 'Bundle file other.html is not allowed, index.html is the only page a bundle may contain'],
+        [['ad/index.html'], 'Bundle file ad/index.html is not allowed, index.html is the only page a bundle may contain'],
+        [['app.js'], 'Bundle must contain an index.html at its root'],
+        [Array.from({ length: 101 }, (value, index) => `${index}.js`), 'Bundle may contain at most 100 files']
+    ])('%j is refused', (paths, error) => {
+        expect(validateBundleFiles(paths)).toEqual(error);
+    });
+});
+
+describe('entry page', () => {
+    test('declares its size in a meta tag', () => {
+        expect(readDeclaredAdSize(INDEX_HTML)).toEqual({ width: 300, height: 250 });
+        expect(readDeclaredAdSize('<meta content="width = 336, height = 280" name=\'ad.size\'>')).toEqual({ width: 336, height: 280 });
+        expect(readDeclaredAdSize('<html></html>')).toBeNull();
+    });
+
+    test('gets a base URL for its relative links', () => {
+        expect(withBaseUrl('<html><head lang="en"></head></html>', 'https://cdn.example.com/b/'))
+            .toBe('<html><head lang="en"><base href="https://cdn.example.com/b/"></head></html>');
+        expect(withBaseUrl('<p>ad</p>', 'https://cdn.example.com/"b"/')).toBe('<base href="https://cdn.example.com/&quot;b&quot;/"><p>ad</p>');
+    });
+});
+
+describe('readMp4Info', () => {
+    test('reads the duration and frame size', () => {
+        expect(readMp4Info(mp4({ seconds: 30, width: 1280, height: 720 }))).toEqual({ duration: 30, width: 1280, height: 720 });
+    });
+
+    test('reads version 1 headers and 64-bit box sizes', () => {
+        const video = Buffer.concat([
+            box('ftyp', Buffer.from('isom')),
+            largeBox('moov', movieHeader(600, 600 * 12.5, 1), box('trak', trackHeader(320, 240)))
+        ]);
+
+        expect(readMp4Info(video)).toEqual({ duration: 12.5, width: 320, height: 240 });
+    });
+
+    test('skips tracks without a frame size, like audio', () => {
+        const video = Buffer.concat([
+            box('ftyp', Buffer.from('isom')),
+            box('moov', movieHeader(1000, 5000), box('trak', trackHeader(0, 0)), box('trak', trackHeader(640, 360)))
+        ]);
+
+        expect(readMp4Info(video)).toEqual({ duration: 5, width: 640, height: 360 });
+    });
+
+    test.each([
+        ['no video track', Buffer.concat([box('ftyp', Buffer.from('isom')), box('moov', movieHeader(1000, 5000))])],
+        ['no movie box', box('ftyp', Buffer.from('isom'))],
+        ['a box running past the end', mp4().subarray(0, 60)]
+    ])('finds nothing with %s', (name, buffer) => {
+        expect(readMp4Info(buffer)).toBeNull();
+    });
+});
+
+describe('processRichMedia', () => {
+    test('stores a bundle\'s files under one path and keeps its entry page', async () => {
+        const file = await upload(zip({ 'index.html': INDEX_HTML, 'img/logo.png': 'png', 'img/': '' }), 'zip');
+
+        const { richMedia } = await processRichMedia(file);
+
+        const [[, { id }]] = storeFile.mock.calls;
+        const bundle = id.split('/').slice(0, 2).join('/');
+        expect(storeFile.mock.calls.map(([, options]) => options)).toEqual([
+            { id: `${bundle}/index.html`, resourceType: 'raw' },
+            { id: `${bundle}/img/logo.png`, resourceType: 'raw' }
+        ]);
+        expect(richMedia).toEqual({
+            kind: 'HTML5',
+            width: 300,
+            height: 250,
+            html: INDEX_HTML,
+            url: `https://cdn.example.com/${bundle}/`,
+            keys: [`${bundle}/index.html`, `${bundle}/img/logo.png`]
+        });
+        // Only the upload is left behind
+        expect(await fs.readdir(dir)).toEqual(['upload']);
+    });
+
+    test('drops a folder wrapping the whole bundle and macOS metadata', async () => {
+        const file = await upload(zip({ 'ad/index.html': INDEX_HTML, 'ad/.DS_Store': 'x', '__MACOSX/ad/._index.html': 'x' }), 'zip');
+
+        const { richMedia } = await processRichMedia(file);
+
+        expect(richMedia.keys).toEqual([expect.stringMatching(/^bundles\/[\w-]+\/index\.html$/)]);
+    });
+
+    test.each(['../evil.js', 'img/../../evil.js'])('refuses a bundle escaping through %s', async (name) => {
+        const file = await upload(zip({ 'index.html': INDEX_HTML, [name]: 'alert(1)' }), 'zip');
+
+        const result = await processRichMedia(file);
+
+        expect(result).toEqual({ error: expect.stringMatching(/not allowed|invalid relative path/), statusCode: 400 });
+        expect(storeFile).not.toHaveBeenCalled();
+        await expect(fs.access(path.join(dir, 'evil.js'))).rejects.toThrow();
+    });
+
+    test.each([
+        [{ 'index.html': INDEX_HTML.replace('300,height=250', '728,height=90') }, 'HTML5 ads must be one of 300x250, 336x280, 300x600, not 728x90'],
+        [{ 'index.html': INDEX_HTML.replace('%%CLICK_URL%%', 'https://example.com') }, 'index.html must link to the landing page through the %%CLICK_URL%% click tag'],
+        [{ 'index.html': '<html></html>' }, 'index.html must declare its size, e.g. <meta name="ad.size" content="width=300,height=250">']
+    ])('refuses the entry page of %j', async (files, error) => {
+        expect(await processRichMedia(await upload(zip(files), 'zip'))).toEqual({ error, statusCode: 400 });
+    });
+
+    test('refuses archives that are not zips', async () => {
+        expect(await processRichMedia(await upload('PK\u0003\u0004 and then nothing', 'zip')))
+            .toEqual({ error: 'Bundle is not a valid zip archive', statusCode: 400 });
+    });
+
+    test('removes what was stored when storing a bundle file fails', async () => {
+        storeFile.mockResolvedValueOnce({ url: 'https://cdn.example.com/a/index.html', key: 'a' })
+            .mockRejectedValueOnce(new Error('Storage down'));
+        const file = await upload(zip({ 'index.html': INDEX_HTML, 'app.js': '' }), 'zip');
+
+        await expect(processRichMedia(file)).rejects.toThrow('Storage down');
+        expect(removeFiles).toHaveBeenCalledWith(['a']);
+    });
+
+    test('stores a video with its duration and frame size', async () => {
+        const { richMedia } = await processRichMedia(await upload(mp4({ seconds: 15 }), 'mp4'));
+
+        expect(richMedia).toEqual({
+            kind: 'VIDEO',
+            width: 640,
+            height: 360,
+            duration: 15,
+            url: expect.stringMatching(/^https:\/\/cdn\.example\.com\/videos\/[\w-]+\.mp4$/),
+            keys: [expect.stringMatching(/^videos\//)]
+        });
+        expect(storeFile).toHaveBeenCalledWith(expect.any(String), expect.objectContaining({ resourceType: 'video' }));
+    });
+
+    test.each([
+        [mp4({ seconds: 121 }), 'Video may be at most 120 seconds long'],
+        [box('ftyp', Buffer.from('isom')), 'Video must be an MP4 file with a video track']
+    ])('refuses videos that are too long or unplayable', async (content, error) => {
+        expect(await processRichMedia(await upload(content, 'mp4'))).toEqual({ error, statusCode: 400 });
+        expect(storeFile).not.toHaveBeenCalled();
+    });
+});
+
+describe('VAST', () => {
+    const campaign = {
+        _id: '64c000000000000000000001',
+        headline: 'Fish & Chips <today>',
+        richMedia: { url: 'https://cdn.example.com/videos/a.mp4', duration: 3723.5, width: 640, height: 360 }
+    };
+
+    test('describes an inline linear ad', () => {
+        const xml = buildVast({
+            campaign,
+            impressionId: 'imp-1',
+            impressionUrl: 'https://ads.example.com/i?a=1&b=2',
+            clickUrl: 'https://ads.example.com/c/token'
+        });
+
+        expect(xml).toMatch(/^<\?xml version="1.0" encoding="UTF-8"\?>\n<VAST version="4.1" xmlns="http:\/\/www.iab.com\/VAST"><Ad id="64c000000000000000000001"><InLine>/);
+        expect(xml).toContain('<AdTitle>Fish &amp; Chips &lt;today&gt;</AdTitle>');
+        expect(xml).toContain('<Impression id="imp-1"><![CDATA[https://ads.example.com/i?a=1&b=2]]></Impression>');
+        expect(xml).toContain('<Duration>01:02:03.500</Duration>');
+        expect(xml).toContain('<MediaFile delivery="progressive" type="video/mp4" width="640" height="360"><![CDATA[https://cdn.example.com/videos/a.mp4]]></MediaFile>');
+        expect(xml).toContain('<VideoClicks><ClickThrough id="64c000000000000000000001"><![CDATA[https://ads.example.com/c/token]]></ClickThrough></VideoClicks>');
+        expect(xml).toMatch(/<\/Ad><\/VAST>\n$/);
+    });
+
+    test('keeps URLs from closing their CDATA section', () => {
+        const xml = buildVast({ campaign, impressionId: 'imp-1', impressionUrl: 'https://x/]]><Evil/>', clickUrl: 'https://x/' });
+
+        expect(xml).toContain('<![CDATA[https://x/]]]]><![CDATA[><Evil/>]]>');
+        expect(xml.replace(/<!\[CDATA\[[\s\S]*?\]\]>/g, '')).not.toContain('<Evil/>');
+    });
+
+    test('escapes attribute values', () => {
+        const xml = buildVast({ campaign, impressionId: '"><Evil x=\'', impressionUrl: 'https://x/', clickUrl: 'https://x/' });
+
+        expect(xml).toContain('<AdServingId>&quot;&gt;&lt;Evil x=&apos;</AdServingId>');
+        expect(xml).toContain('<Impression id="&quot;&gt;&lt;Evil x=&apos;">');
+    });
+
+    test('is empty when there is no ad', () => {
+        expect(buildEmptyVast()).toBe('<?xml version="1.0" encoding="UTF-8"?>\n<VAST version="4.1" xmlns="http://www.iab.com/VAST"></VAST>\n');
+    });
+});
@@ -0,0 +1,234 @@
+const mongoose = require('mongoose');
+
+mongoose.set('bufferCommands', false);
+
+jest.mock('../src/services/sessionService', () => ({
+    ...jest.requireActual('../src/services/sessionService'),
+    createSession: jest.fn(async () => ({ token: 'access-token', refreshToken: 'refresh-token' })),
+    revokeAllSessions: jest.fn()
+}));
+
+const User = require('../src/models/User');
+const Setting = require('../src/models/Setting');
+const Invitation = require('../src/models/Invitation');
+const AuthToken = require('../src/models/AuthToken');
+const { revokeAllSessions } = require('../src/services/sessionService');
+const { registerTransport } = require('../src/services/mailer');
+const { changeUserRole } = require('../src/services/roleService');
+const { createInvitation, acceptInvitation } = require('../src/services/invitationService');
+const { register } = require('../src/controllers/userController');
+
+const BOOTSTRAP_TOKEN = 'bootstrap-secret';
+const INVITER = { _id: new mongoose.Types.ObjectId(), fullName: 'Ada Admin' };
+
+// Stored settings, with the unique key of the real collection
+let settings;
+let outbox;
+
+const registration = (fields = {}) => ({
+    fullName: 'Jane Doe',
+    companyName: 'Acme',
+    email: 'jane@example.com',
+    password: 'a-password',
+    role: 'ADVERTISER',
+    ...fields
+});
+
+const callRegister = async (body) => {
+    const res = { status: jest.fn(() => res), json: jest.fn() };
+    const next = jest.fn();
+    await register({ body, ip: '203.0.113.7', get: () => undefined }, res, next);
+    return { status: res.status.mock.calls[0]?.[0], body: res.json.mock.calls[0]?.[0], error: next.mock.calls[0]?.[0] };
+};
+
+beforeEach(() => {
+    settings = new Map();
+    outbox = [];
+    process.env.ADMIN_BOOTSTRAP_TOKEN = BOOTSTRAP_TOKEN;
+    process.env.MAIL_TRANSPORT = 'memory';
+    registerTransport('memory', () => async (message) => {
+        outbox.push(message);
+    });
+
+    jest.spyOn(User, 'findOne').mockResolvedValue(null);
+    jest.spyOn(User, 'exists').mockResolvedValue(null);
+    jest.spyOn(User, 'create').mockImplementation(async fields => ({ _id: new mongoose.Types.ObjectId(), ...fields }));
+    jest.spyOn(Setting, 'create').mockImplementation(async ({ key, value }) => {
+        // Yield first, like a round trip, so concurrent claims interleave
+        await new Promise(setImmediate);
+        if (settings.has(key)) {
+            throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+        }
+        settings.set(key, value);
+    });
+    jest.spyOn(Setting, 'deleteOne').mockImplementation(async ({ key }) => {
+        settings.delete(key);
+    });
+    jest.spyOn(AuthToken, 'create').mockResolvedValue({});
+    jest.spyOn(AuthToken, 'updateMany').mockResolvedValue({});
+});
+
+afterEach(() => {
+    delete process.env.ADMIN_BOOTSTRAP_TOKEN;
+    delete process.env.MAIL_TRANSPORT;
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+});
+
+describe('registering', () => {
+    test.each(['USER', 'ADVERTISER'])('anyone may register as %s and gets a verification email', async (role) => {
+        const { status, body } = await callRegister(registration({ role }));
+
+        expect(status).toBe(201);
+        expect(body.user).toMatchObject({ role, emailVerified: false });
+        expect(outbox[0].subject).toBe('Verify your AdvertiseMedia email address');
+    });
+
+    test.each([
+        ['without a token', {}],
+        ['with a wrong token', { bootstrapToken: 'guess' }]
+    ])('nobody registers as ADMIN %s', async (name, fields) => {
+        const { error } = await callRegister(registration({ role: 'ADMIN', ...fields }));
+
+        expect(error).toMatchObject({ status: 403, message: 'Admin accounts can only be created by invitation' });
+        expect(User.create).not.toHaveBeenCalled();
+    });
+
+    test('refuses unknown roles', async () => {
+        expect((await callRegister(registration({ role: 'ROOT' }))).error).toMatchObject({ status: 400, message: 'Invalid role' });
+    });
+});
+
+describe('admin bootstrap', () => {
+    test('the bootstrap token creates the first admin', async () => {
+        const { status, body } = await callRegister(registration({ role: 'ADMIN', bootstrapToken: BOOTSTRAP_TOKEN }));
+
+        expect(status).toBe(201);
+        expect(body.user.role).toBe('ADMIN');
+        expect(settings.has('adminBootstrap')).toBe(true);
+    });
+
+    test('only works while there is no admin', async () => {
+        User.exists.mockResolvedValue({ _id: 'admin' });
+
+        const { error } = await callRegister(registration({ role: 'ADMIN', bootstrapToken: BOOTSTRAP_TOKEN }));
+
+        expect(error).toMatchObject({ status: 403 });
+    });
+
+    test('is off without ADMIN_BOOTSTRAP_TOKEN', async () => {
+        delete process.env.ADMIN_BOOTSTRAP_TOKEN;
+
+        expect((await callRegister(registration({ role: 'ADMIN', bootstrapToken: '' }))).error).toMatchObject({ status: 403 });
+    });
+
+    test('concurrent registrations make one admin', async () => {
+        const results = await Promise.all([
+            callRegister(registration({ role: 'ADMIN', bootstrapToken: BOOTSTRAP_TOKEN, email: 'first@example.com' })),
+            callRegister(registration({ role: 'ADMIN', bootstrapToken: BOOTSTRAP_TOKEN, email: 'second@example.com' }))
+        ]);
+
+        expect(results.map(({ status, error }) => status || error.status).sort()).toEqual([201, 403]);
+        expect(User.create).toHaveBeenCalledTimes(1);
+    });
+
+    test('stays usable when the admin could not be created', async () => {
+        User.create.mockRejectedValueOnce(new Error('Database down'));
+
+        const failed = await callRegister(registration({ role: 'ADMIN', bootstrapToken: BOOTSTRAP_TOKEN }));
+        const retried = await callRegister(registration({ role: 'ADMIN', bootstrapToken: BOOTSTRAP_TOKEN }));
+
+        expect(failed.error.message).toBe('Database down');
+        expect(retried.status).toBe(201);
+    });
+});
+
+describe('invitations', () => {
+    const invitation = { _id: new mongoose.Types.ObjectId(), email: 'jane@example.com', role: 'ADMIN' };
+
+    test('are mailed, replacing a pending one, and only a hash of the token is stored', async () => {
+        jest.spyOn(Invitation, 'deleteMany').mockResolvedValue({});
+        jest.spyOn(Invitation, 'create').mockImplementation(async fields => fields);
+
+        const created = await createInvitation('Jane@Example.com', INVITER);
+
+        expect(Invitation.deleteMany).toHaveBeenCalledWith({ email: 'jane@example.com', acceptedAt: null });
+        const [, token] = outbox[0].text.match(/accept-invitation\?token=([\w-]+)/);
+        expect(created).toMatchObject({ email: 'jane@example.com', role: 'ADMIN', invitedBy: INVITER._id });
+        expect(created.tokenHash).not.toBe(token);
+        expect(outbox[0].text).toContain('Ada Admin invited you to join AdvertiseMedia as admin');
+    });
+
+    test('can only be accepted by the invited email while open', async () => {
+        jest.spyOn(Invitation, 'findOneAndUpdate').mockResolvedValue(null);
+
+        await acceptInvitation('token', 'Jane@Example.com');
+
+        expect(Invitation.findOneAndUpdate).toHaveBeenCalledWith(
+            { tokenHash: expect.stringMatching(/^[0-9a-f]{64}$/), email: 'jane@example.com', acceptedAt: null, expiresAt: { $gt: expect.any(Date) } },
+            { acceptedAt: expect.any(Date) },
+            { new: true }
+        );
+    });
+
+    test('decide the role and prove the email', async () => {
+        jest.spyOn(Invitation, 'findOneAndUpdate').mockResolvedValue(invitation);
+
+        const { status, body } = await callRegister(registration({ role: undefined, invitationToken: 'token' }));
+
+        expect(status).toBe(201);
+        expect(body.user).toMatchObject({ role: 'ADMIN', emailVerified: true });
+        expect(outbox).toHaveLength(0);
+    });
+
+    test('refuse unknown, used or expired tokens', async () => {
+        jest.spyOn(Invitation, 'findOneAndUpdate').mockResolvedValue(null);
+
+        const { error } = await callRegister(registration({ invitationToken: 'token' }));
+
+        expect(error).toMatchObject({ status: 400, message: 'Invalid or expired invitation' });
+        expect(User.create).not.toHaveBeenCalled();
+    });
+
+    test('stay usable when the account could not be created', async () => {
+        jest.spyOn(Invitation, 'findOneAndUpdate').mockResolvedValue(invitation);
+        jest.spyOn(Invitation, 'updateOne').mockResolvedValue({});
+        User.create.mockRejectedValue(new Error('Database down'));
+
+        await callRegister(registration({ invitationToken: 'token' }));
+
+        expect(Invitation.updateOne).toHaveBeenCalledWith({ _id: invitation._id }, { $unset: { acceptedAt: 1 } });
+    });
+});
+
+describe('changeUserRole', () => {
+    const storedUser = (role) => {
+        const user = { _id: new mongoose.Types.ObjectId(), role, save: jest.fn() };
+        jest.spyOn(User, 'findById').mockResolvedValue(user);
+        return user;
+    };
+
+    test('ends the user\'s sessions, which carry the old role', async () => {
+        const user = storedUser('USER');
+
+        expect(await changeUserRole(user._id, 'ADVERTISER')).toEqual({ user });
+        expect(user.save).toHaveBeenCalled();
+        expect(revokeAllSessions).toHaveBeenCalledWith(user._id);
+    });
+
+    test('keeps the last admin', async () => {
+        const user = storedUser('ADMIN');
+        jest.spyOn(User, 'countDocuments').mockResolvedValue(1);
+
+        expect(await changeUserRole(user._id, 'USER')).toEqual({ error: 'Cannot remove the last admin', statusCode: 409 });
+        expect(user.save).not.toHaveBeenCalled();
+    });
+
+    test('changes nothing when the role stays', async () => {
+        const user = storedUser('ADMIN');
+
+        await changeUserRole(user._id, 'ADMIN');
+
+        expect(revokeAllSessions).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,119 @@
+jest.mock('../src/services/campaignStateMachine', () => ({
+    transitionMatching: jest.fn(async () => 1)
+}));
+
+const { transitionMatching } = require('../src/services/campaignStateMachine');
+const { activateStartedCampaigns, completeEndedCampaigns, withinFlight } = require('../src/services/flightService');
+const { isValidTimezone, isWithinDaypart, validateScheduleFields } = require('../src/utils/schedule');
+
+const NOW = new Date('2024-03-05T14:00:00Z');
+
+afterEach(() => {
+    jest.clearAllMocks();
+});
+
+describe('isWithinDaypart', () => {
+    const weekdayMornings = { days: ['MON', 'TUE', 'WED', 'THU', 'FRI'], start: '09:00', end: '12:00' };
+
+    test('campaigns without dayparts serve around the clock', () => {
+        expect(isWithinDaypart({}, NOW)).toBe(true);
+        expect(isWithinDaypart({ dayparts: [] }, NOW)).toBe(true);
+    });
+
+    test.each([
+        // 09:00 in New York is 14:00 UTC, and 13:00 UTC once daylight saving time starts on March 10
+        ['2024-03-05T14:00:00Z', 'America/New_York', true],
+        ['2024-03-05T13:59:00Z', 'America/New_York', false],
+        ['2024-03-12T13:00:00Z', 'America/New_York', true],
+        // The end is exclusive
+        ['2024-03-05T17:00:00Z', 'America/New_York', false],
+        // Tuesday 09:30 UTC is 18:30 in Tokyo; March 9 is a Saturday
+        ['2024-03-05T09:30:00Z', 'UTC', true],
+        ['2024-03-05T09:30:00Z', 'Asia/Tokyo', false],
+        ['2024-03-09T09:30:00Z', 'UTC', false]
+    ])('at %s in %s: %s', (at, timezone, expected) => {
+        expect(isWithinDaypart({ timezone, dayparts: [weekdayMornings] }, new Date(at))).toBe(expected);
+    });
+
+    test('the weekday is taken in the campaign\'s timezone', () => {
+        const sundays = { days: ['SUN'], start: '00:00', end: '24:00' };
+
+        // Monday 02:00 UTC is still Sunday in Los Angeles
+        expect(isWithinDaypart({ timezone: 'America/Los_Angeles', dayparts: [sundays] }, new Date('2024-03-04T02:00:00Z'))).toBe(true);
+        expect(isWithinDaypart({ timezone: 'UTC', dayparts: [sundays] }, new Date('2024-03-04T02:00:00Z'))).toBe(false);
+    });
+});
+
+describe('validateScheduleFields', () => {
+    test.each([
+        [{}, null],
+        [{ startDate: '2024-03-06T00:00:00Z', endDate: '2024-04-01T00:00:00Z', timezone: 'Europe/Paris' }, null],
+        [{ startDate: 'soon' }, 'Start date must be a valid date'],
+        [{ endDate: 'later' }, 'End date must be a valid date'],
+        [{ startDate: '2024-03-01T00:00:00Z' }, 'Start date cannot be in the past'],
+        [{ startDate: '2024-04-01T00:00:00Z', endDate: '2024-04-01T00:00:00Z' }, 'End date must be after start date'],
+        [{ timezone: 'Mars/Olympus_Mons' }, 'Invalid timezone'],
+        [{ dayparts: {} }, 'Dayparts must be an array'],
+        [{ dayparts: [{ days: ['MONDAY'], start: '09:00', end: '12:00' }] }, 'Daypart days must be a non-empty list of SUN, MON, TUE, WED, THU, FRI, SAT'],
+        [{ dayparts: [{ days: ['MON'], start: '9:00', end: '12:00' }] }, 'Daypart start and end must be HH:MM times'],
+        [{ dayparts: [{ days: ['MON'], start: '12:00', end: '09:00' }] }, 'Daypart end must be after its start'],
+        [{ dayparts: [{ days: ['MON'], start: '18:00', end: '24:00' }] }, null]
+    ])('new campaign %j -> %s', (body, error) => {
+        expect(validateScheduleFields(body, { now: NOW })).toBe(error);
+    });
+
+    test('updates are checked against the stored dates', () => {
+        const existing = { startDate: new Date('2024-03-01T00:00:00Z'), endDate: new Date('2024-03-31T00:00:00Z') };
+
+        expect(validateScheduleFields({ endDate: '2024-02-28T00:00:00Z' }, { existing, now: NOW })).toBe('End date must be after start date');
+        expect(validateScheduleFields({ endDate: '2024-04-30T00:00:00Z' }, { existing, now: NOW })).toBeNull();
+    });
+
+    test('null clears a date instead of meaning the epoch', () => {
+        const existing = { startDate: new Date('2024-03-01T00:00:00Z'), endDate: new Date('2024-03-31T00:00:00Z') };
+
+        expect(validateScheduleFields({ endDate: null }, { existing, now: NOW })).toBeNull();
+        expect(validateScheduleFields({ startDate: null, endDate: '2024-01-01T00:00:00Z' }, { existing, now: NOW })).toBeNull();
+    });
+
+    test('knows IANA timezones', () => {
+        expect(isValidTimezone('Asia/Kolkata')).toBe(true);
+        expect(isValidTimezone('GMT+25')).toBe(false);
+    });
+});
+
+describe('flight transitions', () => {
+    test('approved pending campaigns start with their flight', async () => {
+        await activateStartedCampaigns(NOW);
+
+        expect(transitionMatching).toHaveBeenCalledWith(
+            {
+                status: 'PENDING',
+                'moderation.state': 'APPROVED',
+                startDate: { $lte: NOW },
+                $or: [{ endDate: null }, { endDate: { $gt: NOW } }]
+            },
+            'ACTIVE',
+            { reason: 'Flight started' }
+        );
+    });
+
+    test('active and paused campaigns complete when their flight ends', async () => {
+        const completed = await completeEndedCampaigns(NOW);
+
+        expect(completed).toBe(2);
+        expect(transitionMatching.mock.calls.map(([filter, to]) => [filter.status, filter.endDate, to])).toEqual([
+            ['ACTIVE', { $lte: NOW }, 'COMPLETED'],
+            ['PAUSED', { $lte: NOW }, 'COMPLETED']
+        ]);
+    });
+
+    test('serving is limited to campaigns within their flight', () => {
+        expect(withinFlight(NOW)).toEqual({
+            $and: [
+                { $or: [{ startDate: null }, { startDate: { $lte: NOW } }] },
+                { $or: [{ endDate: null }, { endDate: { $gt: NOW } }] }
+            ]
+        });
+    });
+});
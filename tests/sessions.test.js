@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+
+mongoose.set('bufferCommands', false);
+
+process.env.JWT_SECRET = 'test-secret';
+
+const Session = require('../src/models/Session');
+const User = require('../src/models/User');
+const { createSession, refreshSession, isSessionActive } = require('../src/services/sessionService');
+
+const user = { _id: new mongoose.Types.ObjectId(), email: 'user@example.com', role: 'ADVERTISER' };
+const req = { ip: '203.0.113.7', get: () => 'jest' };
+
+// Stored sessions; filters only use equality and $gt
+let sessions;
+
+const matches = (session, filter) => Object.entries(filter).every(([field, condition]) => {
+    const value = session[field] ?? null;
+    if (condition && condition.$gt !== undefined) {
+        return value > condition.$gt;
+    }
+    return String(value) === String(condition);
+});
+
+beforeEach(() => {
+    sessions = [];
+    jest.spyOn(Session, 'create').mockImplementation(async (fields) => {
+        const session = { _id: new mongoose.Types.ObjectId(), revokedAt: null, ...fields };
+        sessions.push(session);
+        return session;
+    });
+    jest.spyOn(Session, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+        const session = sessions.find(candidate => matches(candidate, filter));
+        return session ? Object.assign(session, update) : null;
+    });
+    jest.spyOn(Session, 'updateOne').mockImplementation(async (filter, update) => {
+        const session = sessions.find(candidate => matches(candidate, filter));
+        if (session) {
+            Object.assign(session, update);
+        }
+    });
+    jest.spyOn(Session, 'exists').mockImplementation(async filter => sessions.some(session => matches(session, filter)));
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('sessions', () => {
+    test('an access token names its session, which stores only a hash of the refresh token', async () => {
+        const { token, refreshToken } = await createSession(user, req);
+
+        const [session] = sessions;
+        expect(jwt.verify(token, process.env.JWT_SECRET)).toMatchObject({ userId: String(user._id), sessionId: String(session._id) });
+        expect(session.refreshTokenHash).toMatch(/^[0-9a-f]{64}$/);
+        expect(JSON.stringify(session)).not.toContain(refreshToken);
+        expect(session).toMatchObject({ ip: '203.0.113.7', userAgent: 'jest' });
+    });
+
+    test('refreshing rotates the refresh token', async () => {
+        const { refreshToken } = await createSession(user, req);
+
+        const refreshed = await refreshSession(refreshToken);
+
+        expect(refreshed.refreshToken).not.toBe(refreshToken);
+        expect(jwt.verify(refreshed.token, process.env.JWT_SECRET).sessionId).toBe(String(sessions[0]._id));
+        expect(await refreshSession(refreshed.refreshToken)).not.toBeNull();
+    });
+
+    test('reusing a rotated refresh token revokes the session', async () => {
+        const { refreshToken } = await createSession(user, req);
+        const refreshed = await refreshSession(refreshToken);
+
+        expect(await refreshSession(refreshToken)).toBeNull();
+        expect(sessions[0].revokedAt).toBeInstanceOf(Date);
+        expect(await isSessionActive(sessions[0]._id)).toBe(false);
+        // The copy and the legitimate token die together
+        expect(await refreshSession(refreshed.refreshToken)).toBeNull();
+    });
+
+    test('unknown and expired refresh tokens are refused', async () => {
+        const { refreshToken } = await createSession(user, req);
+        sessions[0].expiresAt = new Date(Date.now() - 1000);
+
+        expect(await refreshSession('made-up')).toBeNull();
+        expect(await refreshSession(refreshToken)).toBeNull();
+    });
+
+    test('sessions of deleted users end on refresh', async () => {
+        const { refreshToken } = await createSession(user, req);
+        User.findById.mockResolvedValue(null);
+
+        expect(await refreshSession(refreshToken)).toBeNull();
+        expect(sessions[0].revokedAt).toBeInstanceOf(Date);
+    });
+
+    test('a session is active until it is revoked or expires', async () => {
+        await createSession(user, req);
+
+        expect(await isSessionActive(sessions[0]._id)).toBe(true);
+        expect(await isSessionActive(undefined)).toBe(false);
+        sessions[0].expiresAt = new Date(Date.now() - 1000);
+        expect(await isSessionActive(sessions[0]._id)).toBe(false);
+    });
+});
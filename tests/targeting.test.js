@@ -0,0 +1,101 @@
+const { getRequestContext, matchesTargeting, validateTargetingFields } = require('../src/utils/targeting');
+
+const requestWith = ({ ip = '127.0.0.1', headers = {}, query = {} } = {}) => ({
+    ip,
+    query,
+    get: name => headers[name.toLowerCase()]
+});
+
+const context = {
+    country: 'DE',
+    device: 'mobile',
+    languages: ['de', 'en'],
+    referrerDomain: 'news.example.com'
+};
+
+describe('getRequestContext', () => {
+    test.each([
+        ['Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) Mobile/15E148', 'mobile'],
+        ['Mozilla/5.0 (Linux; Android 14; Pixel 8) Mobile Safari/537.36', 'mobile'],
+        ['Mozilla/5.0 (Linux; Android 13; SM-X710) Safari/537.36', 'tablet'],
+        ['Mozilla/5.0 (iPad; CPU OS 17_0 like Mac OS X)', 'tablet'],
+        ['Mozilla/5.0 (Windows NT 10.0; Win64; x64) Chrome/120.0', 'desktop'],
+        [undefined, 'desktop']
+    ])('classifies %s as %s', (userAgent, device) => {
+        expect(getRequestContext(requestWith({ headers: { 'user-agent': userAgent } })).device).toBe(device);
+    });
+
+    test('reads the primary language subtags in order', () => {
+        const { languages } = getRequestContext(requestWith({ headers: { 'accept-language': 'en-US,en;q=0.9,de-AT;q=0.8,*;q=0.1' } }));
+
+        expect(languages).toEqual(['en', 'de']);
+    });
+
+    test('prefers the referrer passed by the publisher over the Referer header', () => {
+        const { referrerDomain } = getRequestContext(requestWith({
+            headers: { referer: 'https://ads.example.net/frame' },
+            query: { referrer: 'https://www.News.Example.com/article' }
+        }));
+
+        expect(referrerDomain).toBe('news.example.com');
+    });
+
+    test('leaves unknown values empty', () => {
+        expect(getRequestContext(requestWith({ query: { referrer: 'not a url' } }))).toEqual({
+            country: null,
+            device: 'desktop',
+            languages: [],
+            referrerDomain: null
+        });
+    });
+});
+
+describe('matchesTargeting', () => {
+    test('campaigns without targeting reach everyone', () => {
+        expect(matchesTargeting(undefined, context)).toBe(true);
+        expect(matchesTargeting({}, context)).toBe(true);
+    });
+
+    test.each([
+        [{ countries: { include: ['DE', 'AT'] } }, true],
+        [{ countries: { include: ['FR'] } }, false],
+        [{ countries: { exclude: ['DE'] } }, false],
+        [{ devices: { include: ['desktop', 'tablet'] } }, false],
+        [{ devices: { exclude: ['desktop'] } }, true],
+        // Any of the viewer's languages will do
+        [{ languages: { include: ['en'] } }, true],
+        [{ languages: { exclude: ['en'] } }, false],
+        // Referrer domains include their subdomains
+        [{ referrers: { include: ['example.com'] } }, true],
+        [{ referrers: { include: ['ws.example.com'] } }, false],
+        [{ referrers: { exclude: ['news.example.com'] } }, false],
+        // Every dimension has to admit the viewer
+        [{ countries: { include: ['DE'] }, devices: { include: ['desktop'] } }, false],
+        [{ countries: { include: ['DE'], exclude: ['DE'] } }, false],
+        [{ countries: { include: [], exclude: [] } }, true]
+    ])('%j -> %s', (targeting, expected) => {
+        expect(matchesTargeting(targeting, context)).toBe(expected);
+    });
+
+    test('an include list rejects viewers the value is unknown for', () => {
+        expect(matchesTargeting({ countries: { include: ['DE'] } }, { ...context, country: null })).toBe(false);
+        expect(matchesTargeting({ countries: { exclude: ['DE'] } }, { ...context, country: null })).toBe(true);
+    });
+});
+
+describe('validateTargetingFields', () => {
+    test.each([
+        [{}, null],
+        [{ targeting: { countries: { include: ['de'] }, devices: { exclude: ['Tablet'] }, languages: { include: ['en', 'deu'] }, referrers: { include: ['example.com'] } } }, null],
+        [{ targeting: 'DE' }, 'Targeting must be an object'],
+        [{ targeting: { cities: { include: ['Berlin'] } } }, 'Unknown targeting dimension: cities'],
+        [{ targeting: { countries: ['DE'] } }, 'Targeting countries must be an object with include and exclude lists'],
+        [{ targeting: { countries: { only: ['DE'] } } }, 'Targeting countries only supports include and exclude lists'],
+        [{ targeting: { countries: { include: ['DEU'] } } }, 'Targeting countries.include must be a list of two-letter country codes'],
+        [{ targeting: { devices: { include: ['watch'] } } }, 'Targeting devices.include must be a list of device classes (desktop, mobile, tablet)'],
+        [{ targeting: { languages: { exclude: 'en' } } }, 'Targeting languages.exclude must be a list of language codes such as en or de'],
+        [{ targeting: { referrers: { include: ['https://example.com'] } } }, 'Targeting referrers.include must be a list of domain names']
+    ])('%j -> %s', (body, error) => {
+        expect(validateTargetingFields(body)).toBe(error);
+    });
+});
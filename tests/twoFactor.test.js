@@ -0,0 +1,249 @@
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+
+mongoose.set('bufferCommands', false);
+
+process.env.JWT_SECRET = 'test-secret';
+
+const User = require('../src/models/User');
+const Session = require('../src/models/Session');
+const Setting = require('../src/models/Setting');
+const { generateSecret, generateCode, verifyCode, buildOtpauthUri } = require('../src/utils/totp');
+const { verifySecondFactor, startEnrollment, activate, disable, issueChallenge, verifyChallenge } = require('../src/services/twoFactorService');
+const { activateTwoFactor, regenerateRecoveryCodes } = require('../src/controllers/twoFactorController');
+const { isAuth, isAuthBeforeTwoFactorSetup } = require('../src/middlewares/isAuth');
+
+// RFC 6238 test secret, "12345678901234567890" in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const STEP_MS = 30 * 1000;
+
+const currentStep = () => Math.floor(Date.now() / STEP_MS);
+
+// The stored user, with the fields the service selects explicitly
+let stored;
+
+const setPath = (doc, path, value) => {
+    const keys = path.split('.');
+    const parent = keys.slice(0, -1).reduce((node, key) => node[key], doc);
+    if (value === undefined) {
+        delete parent[keys[keys.length - 1]];
+    } else {
+        parent[keys[keys.length - 1]] = value;
+    }
+};
+
+// Just enough of updateOne for the replay guard, recovery codes and enrollment
+const updateStored = async (filter, update) => {
+    const lastUsedStep = stored.twoFactor.lastUsedStep ?? null;
+    const guardedStep = filter.$or?.[1]['twoFactor.lastUsedStep'].$lt;
+    if (guardedStep !== undefined && lastUsedStep !== null && lastUsedStep >= guardedStep) {
+        return { modifiedCount: 0 };
+    }
+    const requiredCode = filter['twoFactor.recoveryCodes'];
+    if (requiredCode && !stored.twoFactor.recoveryCodes.includes(requiredCode)) {
+        return { modifiedCount: 0 };
+    }
+
+    for (const [path, value] of Object.entries(update)) {
+        if (path === '$unset') {
+            Object.keys(value).forEach(unsetPath => setPath(stored, unsetPath, undefined));
+        } else if (path === '$pull') {
+            const pulled = value['twoFactor.recoveryCodes'];
+            stored.twoFactor.recoveryCodes = stored.twoFactor.recoveryCodes.filter(code => code !== pulled);
+        } else {
+            setPath(stored, path, value);
+        }
+    }
+    return { modifiedCount: 1 };
+};
+
+// Thenable like a query, with select for the hidden fields
+const userQuery = () => ({
+    select: async () => stored,
+    then: (resolve, reject) => Promise.resolve(stored).then(resolve, reject)
+});
+
+beforeEach(() => {
+    stored = { _id: new mongoose.Types.ObjectId(), email: 'admin@example.com', role: 'ADMIN', twoFactor: { enabled: false } };
+    jest.spyOn(User, 'findById').mockImplementation(userQuery);
+    jest.spyOn(User, 'updateOne').mockImplementation(updateStored);
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('TOTP codes', () => {
+    test.each([
+        [59 * 1000, '287082'],
+        [1111111109 * 1000, '081804'],
+        [1234567890 * 1000, '005924'],
+        [2000000000 * 1000, '279037']
+    ])('match the RFC 6238 test vectors at %i', (now, code) => {
+        expect(generateCode(RFC_SECRET, Math.floor(now / STEP_MS))).toBe(code);
+        expect(verifyCode(RFC_SECRET, code, { now })).toBe(Math.floor(now / STEP_MS));
+    });
+
+    test('allow one step of clock drift either way', () => {
+        const now = 1234567890 * 1000;
+        const step = Math.floor(now / STEP_MS);
+
+        expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1), { now })).toBe(step - 1);
+        expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 1), { now })).toBe(step + 1);
+        expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 2), { now })).toBeNull();
+    });
+
+    test('accept spaces but nothing else than six digits', () => {
+        const now = 59 * 1000;
+
+        expect(verifyCode(RFC_SECRET, '287 082', { now })).toBe(1);
+        expect(verifyCode(RFC_SECRET, '28708', { now })).toBeNull();
+        expect(verifyCode(RFC_SECRET, 'abcdef', { now })).toBeNull();
+    });
+
+    test('secrets are 160 bits of base32 for authenticator apps', () => {
+        const secret = generateSecret();
+
+        expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+        expect(buildOtpauthUri({ secret, account: 'admin@example.com', issuer: 'AdvertiseMedia' }))
+            .toBe(`otpauth://totp/AdvertiseMedia%3Aadmin%40example.com?secret=${secret}&issuer=AdvertiseMedia&algorithm=SHA1&digits=6&period=30`);
+    });
+});
+
+describe('second factor', () => {
+    const enroll = async () => {
+        const { secret } = await startEnrollment(stored._id);
+        const { recoveryCodes } = await activate(stored._id, generateCode(secret, currentStep()));
+        return { secret, recoveryCodes };
+    };
+
+    test('enrollment takes effect once a first code confirms it', async () => {
+        const { secret } = await startEnrollment(stored._id);
+        expect(stored.twoFactor).toEqual({ enabled: false, pendingSecret: secret });
+
+        expect(await activate(stored._id, '000000')).toEqual({ error: 'Invalid code', statusCode: 400 });
+
+        const { recoveryCodes } = await activate(stored._id, generateCode(secret, currentStep()));
+        expect(recoveryCodes).toHaveLength(10);
+        expect(stored.twoFactor).toMatchObject({ enabled: true, secret });
+        expect(stored.twoFactor.pendingSecret).toBeUndefined();
+        // Only hashes of the recovery codes are stored
+        expect(stored.twoFactor.recoveryCodes).not.toContain(recoveryCodes[0]);
+    });
+
+    test('a code is accepted only once', async () => {
+        const { secret } = await enroll();
+        const nextCode = generateCode(secret, currentStep() + 1);
+
+        expect(await verifySecondFactor(stored._id, { code: nextCode })).toBe(true);
+        expect(await verifySecondFactor(stored._id, { code: nextCode })).toBe(false);
+    });
+
+    test('codes older than the last one used are refused', async () => {
+        const { secret } = await enroll();
+        const step = currentStep();
+
+        expect(await verifySecondFactor(stored._id, { code: generateCode(secret, step + 1) })).toBe(true);
+        expect(await verifySecondFactor(stored._id, { code: generateCode(secret, step - 1) })).toBe(false);
+    });
+
+    test('each recovery code works once, in any case and with spaces around it', async () => {
+        const { recoveryCodes } = await enroll();
+
+        expect(await verifySecondFactor(stored._id, { recoveryCode: ` ${recoveryCodes[3].toUpperCase()} ` })).toBe(true);
+        expect(await verifySecondFactor(stored._id, { recoveryCode: recoveryCodes[3] })).toBe(false);
+        expect(stored.twoFactor.recoveryCodes).toHaveLength(9);
+    });
+
+    test('nothing passes once 2FA is disabled', async () => {
+        const { recoveryCodes } = await enroll();
+
+        await disable(stored._id);
+
+        expect(stored.twoFactor).toEqual({ enabled: false });
+        expect(await verifySecondFactor(stored._id, { recoveryCode: recoveryCodes[0] })).toBe(false);
+    });
+});
+
+describe('login challenges', () => {
+    test('prove the password for five minutes', () => {
+        const challenge = issueChallenge(stored);
+
+        expect(verifyChallenge(challenge)).toBe(String(stored._id));
+        expect(jwt.decode(challenge).exp - jwt.decode(challenge).iat).toBe(5 * 60);
+    });
+
+    test('cannot be replaced by an access token', () => {
+        const accessToken = jwt.sign({ userId: stored._id }, process.env.JWT_SECRET);
+
+        expect(verifyChallenge(accessToken)).toBeNull();
+        expect(verifyChallenge('not-a-token')).toBeNull();
+    });
+});
+
+describe('two-factor endpoints', () => {
+    const callHandler = async (handler, { body, email = 'admin@example.com', ip = '198.51.100.1' }) => {
+        const req = { ip, body, user: { userId: stored._id, email, sessionId: 'current-session' } };
+        const res = { set: jest.fn(), json: jest.fn() };
+        const next = jest.fn();
+        await handler(req, res, next);
+        return { res, next };
+    };
+
+    test('enabling 2FA ends the other sessions', async () => {
+        const updateMany = jest.spyOn(Session, 'updateMany').mockResolvedValue({});
+        const { secret } = await startEnrollment(stored._id);
+
+        const { res } = await callHandler(activateTwoFactor, { body: { code: generateCode(secret, currentStep()) } });
+
+        expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ recoveryCodes: expect.any(Array) }));
+        expect(updateMany).toHaveBeenCalledWith(
+            { user: stored._id, revokedAt: null, _id: { $ne: 'current-session' } },
+            { revokedAt: expect.any(Date) }
+        );
+    });
+
+    test('guessing codes on a live session is throttled like logins', async () => {
+        stored.twoFactor = { enabled: true, secret: RFC_SECRET, recoveryCodes: [] };
+        const attempt = { body: { code: '000000' }, email: 'guesser@example.com', ip: '198.51.100.2' };
+
+        const statuses = [];
+        for (let i = 0; i < 6; i += 1) {
+            const { next } = await callHandler(regenerateRecoveryCodes, attempt);
+            statuses.push(next.mock.calls[0][0].status);
+        }
+
+        expect(statuses).toEqual([401, 401, 401, 401, 401, 429]);
+    });
+});
+
+describe('admin 2FA policy', () => {
+    const adminRequest = () => ({
+        headers: { authorization: `Bearer ${jwt.sign({ userId: stored._id, role: 'ADMIN', sessionId: new mongoose.Types.ObjectId() }, process.env.JWT_SECRET)}` },
+        get: () => undefined
+    });
+
+    beforeEach(() => {
+        jest.spyOn(Setting, 'findOne').mockResolvedValue({ value: { requireTwoFactorForAdmins: true } });
+        jest.spyOn(Session, 'exists').mockResolvedValue({ _id: 'session' });
+    });
+
+    // What the middleware passes on to the next handler
+    const authenticate = middleware => new Promise((resolve) => {
+        middleware(adminRequest(), {}, resolve);
+    });
+
+    test('admins without 2FA can only set it up', async () => {
+        expect(await authenticate(isAuth)).toMatchObject({ status: 403, code: 'TWO_FACTOR_SETUP_REQUIRED' });
+    });
+
+    test('the setup routes let them through', async () => {
+        expect(await authenticate(isAuthBeforeTwoFactorSetup)).toBeUndefined();
+    });
+
+    test('admins with 2FA pass', async () => {
+        stored.twoFactor.enabled = true;
+
+        expect(await authenticate(isAuth)).toBeUndefined();
+    });
+});
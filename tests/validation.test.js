@@ -0,0 +1,99 @@
+const { validate } = require('../src/middlewares/validate');
+const schemas = require('../src/schemas');
+const { idParams, strictObject, nonEmptyString } = require('../src/schemas/common');
+
+// The error validate passes on, or undefined, and the request it may have changed
+const run = (locationSchemas, req) => {
+    const next = jest.fn();
+    validate(locationSchemas)(req, {}, next);
+    return { error: next.mock.calls[0][0], req };
+};
+
+describe('schemas', () => {
+    // ErrorResponse only documents responses
+    const requestSchemas = Object.keys(schemas).filter(name => name !== 'ErrorResponse');
+
+    test.each(requestSchemas)('%s compiles', (name) => {
+        expect(() => validate({ body: schemas[name] })).not.toThrow();
+    });
+});
+
+describe('validate', () => {
+    test('passes valid requests on', () => {
+        const { error } = run({ body: schemas.LoginRequest }, { body: { email: 'user@example.com', password: 'secret' } });
+
+        expect(error).toBeUndefined();
+    });
+
+    test('lists every failing field in one error', () => {
+        const { error } = run(
+            { params: idParams('id'), body: schemas.LoginRequest },
+            { params: { id: '42' }, body: { email: 'not-an-email', role: 'ADMIN' } }
+        );
+
+        expect(error).toMatchObject({ status: 400, code: 'VALIDATION_FAILED', message: 'Validation failed' });
+        expect(error.errors).toEqual([
+            { field: 'params.id', message: 'must be a valid id' },
+            { field: 'body.password', message: 'is required' },
+            { field: 'body.role', message: 'is not allowed' },
+            { field: 'body.email', message: 'must match format "email"' }
+        ]);
+    });
+
+    test('names nested fields and enum values', () => {
+        const { error } = run({ body: schemas.UpdateCampaignRequest }, { body: { budget: { pricingModel: 'CPA', rate: -1 } } });
+
+        expect(error.errors).toEqual([
+            { field: 'body.budget.pricingModel', message: 'must be one of CPM, CPC' },
+            { field: 'body.budget.rate', message: 'must be >= 0' }
+        ]);
+    });
+
+    test('refuses blank strings', () => {
+        const schema = strictObject({ name: nonEmptyString });
+
+        expect(run({ body: schema }, { body: { name: '' } }).error.errors).toEqual([{ field: 'body.name', message: 'must not be blank' }]);
+        expect(run({ body: schema }, { body: { name: '   ' } }).error.errors).toEqual([{ field: 'body.name', message: 'must not be blank' }]);
+    });
+
+    test('fields the server maintains cannot be set', () => {
+        const { error } = run({ body: schemas.UpdateCampaignRequest }, { body: { status: 'ACTIVE', organization: '64b000000000000000000001' } });
+
+        expect(error.errors.map(({ field }) => field)).toEqual(['body.status', 'body.organization']);
+    });
+
+    test('coerces query strings to the schema types', () => {
+        const { error, req } = run({ query: schemas.ListCampaignsQuery }, { query: { page: '2', status: 'ACTIVE' } });
+
+        expect(error).toBeUndefined();
+        expect(req.query).toEqual({ page: 2, status: 'ACTIVE' });
+    });
+
+    test.each([
+        [{ limit: '500' }, 'query.limit', 'must be <= 100'],
+        [{ sort: 'budget' }, 'query.sort', expect.stringMatching(/^must be one of createdAt, -createdAt/)],
+        [{ status: 'DELETED' }, 'query.status', 'must be one of PENDING, ACTIVE, PAUSED, COMPLETED, REJECTED'],
+        [{ q: ['a', 'b'] }, 'query.q', 'must be string'],
+        [{ createdFrom: 'last week' }, 'query.createdFrom', 'must match format "date-time"']
+    ])('refuses the campaign list query %j', (query, field, message) => {
+        expect(run({ query: schemas.ListCampaignsQuery }, { query }).error.errors).toEqual([{ field, message }]);
+    });
+
+    test.each(['2024-03-05', '2024-03-05T14:00', '2024-03-05 14:00:30', '2024-03-05T14:00:00.000Z', '2024-03-05T14:00+01:00'])(
+        'accepts the date %s',
+        (date) => {
+            expect(run({ query: schemas.AnalyticsQuery }, { query: { from: date } }).error).toBeUndefined();
+        }
+    );
+
+    test.each(['2024-13-05', '05.03.2024', '2024-03-05T25:00'])('refuses the date %s', (date) => {
+        expect(run({ query: schemas.AnalyticsQuery }, { query: { from: date } }).error).toBeDefined();
+    });
+
+    test('treats a missing multipart body as empty', () => {
+        const { error, req } = run({ body: schemas.UpdateCampaignRequest }, {});
+
+        expect(error).toBeUndefined();
+        expect(req.body).toEqual({});
+    });
+});